@@ -0,0 +1,155 @@
+/**
+ * Attack Scoring
+ * Rates an attack the enemy AI is considering, so every AI routine picks
+ * its targets the same way. The fight is predicted with predictBattle - the
+ * formulas resolveBattle uses, without rolling dice or changing any unit -
+ * after the defensive fire a melee attacker would take from player artillery
+ * next to its target (see EnemyAI.getPlayerDefensiveArtillery).
+ * An attack scores for its expected damage ratio, its chance to destroy the
+ * target and the target's value, and loses for its exposure to that fire.
+ * How much each counts follows the enemy's skill (see EnemyAI.getSkill).
+ */
+
+// Weights of the terms in an attack's score, by AI skill (0, 1, 2 and up):
+//   DAMAGE        per strength point the attack is expected to deal
+//   DAMAGE_RATIO  per unit of damage ratio (capped at MAX_DAMAGE_RATIO)
+//   KILL          for a certain kill
+//   VALUE         per unit of target value
+//   EXPOSURE      per strength point expected to be lost to defensive fire
+// An unskilled enemy only looks at how hard it hits, a standard one weighs
+// the trade and what the target is worth, and a skilled one also sets out
+// to finish units off.
+const ATTACK_SCORE_WEIGHTS = Object.freeze([
+    Object.freeze({ DAMAGE: 1, DAMAGE_RATIO: 0, KILL: 0, VALUE: 0, EXPOSURE: 0 }),
+    Object.freeze({ DAMAGE: 0, DAMAGE_RATIO: 1, KILL: 0, VALUE: 2, EXPOSURE: 0.5 }),
+    Object.freeze({ DAMAGE: 0, DAMAGE_RATIO: 1, KILL: 3, VALUE: 2, EXPOSURE: 0.5 })
+]);
+
+// Damage ratio beyond which dealing more damage adds nothing to the score
+const MAX_DAMAGE_RATIO = 4;
+
+// Added to the share of its strength the attacker expects to lose, so a
+// ranged attack, which takes no damage, still rates by the damage it deals
+const DAMAGE_RATIO_LOSS_FLOOR = 0.1;
+
+// Target value per prestige the unit type costs (an infantry company is worth 0.6)
+const TARGET_VALUE_PER_COST = 0.01;
+
+// Share of its value a unit gains per level of experience (a 5-star veteran is worth double)
+const TARGET_VALUE_PER_EXPERIENCE = 0.2;
+
+const AttackScoring = {
+    /**
+     * Rate an attack without fighting it
+     * The damage ratio compares the share of its strength each side expects
+     * to lose: 1 is an even trade, above 1 the attack favours the attacker.
+     * Only artillery the enemy has spotted counts toward the exposure.
+     * The score weighs these as the enemy's skill allows (ATTACK_SCORE_WEIGHTS).
+     * @param {GameState} gameState
+     * @param {Unit} attacker - The enemy unit
+     * @param {Unit} defender - The player unit
+     * @param {Object} options - Optional parameters
+     * @param {boolean} options.rangedAttack - A ranged attack from where the attacker stands
+     * @param {Hex} options.fromHex - Where a melee attacker fights from (default: where it stands)
+     * @param {number} options.moveCost - Movement used getting there (for fatigue)
+     * @param {boolean} options.surpriseAttack - Whether the attacker stumbles into the defender
+     * @param {boolean} options.riverAttack - Whether the attacker fights from a river
+     * @param {boolean} options.objective - The target holds what the attacker is after; its value counts double
+     * @returns {Object} { attacker, defender, expectedDamage, expectedLoss, damageRatio, killChance,
+     *                     lossChance, value, exposure, score }
+     */
+    rateAttack(gameState, attacker, defender, options = {}) {
+        const rangedAttack = options.rangedAttack || false;
+        const fromHex = options.fromHex || attacker.hex;
+        const attackerTerrain = gameState.getTerrainAt(fromHex);
+        const defenderTerrain = gameState.getTerrainAt(defender.hex);
+
+        // The attacker as it will be when the battle starts; a unit that
+        // moves to attack leaves its entrenchment behind
+        const fighter = Object.assign(Object.create(attacker), {
+            hex: fromHex,
+            movementRemaining: attacker.movementRemaining - (options.moveCost || 0),
+            entrenchment: fromHex.equals(attacker.hex) ? attacker.entrenchment : 0
+        });
+
+        // Defensive fire comes first; the melee is then predicted at the
+        // attacker's expected remaining strength
+        let exposure = 0;
+        let fireSurvivalChance = 1;
+        if (!rangedAttack) {
+            for (const artillery of EnemyAI.getPlayerDefensiveArtillery(gameState, defender.hex)) {
+                if (!EnemyAI.isSpotted(gameState, artillery)) continue;
+                const fire = predictBattle(artillery, fighter, {
+                    closeTerrain: isCloseTerrain(attackerTerrain),
+                    rangedAttack: true,
+                    attackerTerrain: gameState.getTerrainAt(artillery.hex),
+                    defenderTerrain: attackerTerrain
+                });
+                exposure += fire.expectedDefenderDamage;
+                fireSurvivalChance *= 1 - fire.defenderDestroyChance;
+                fighter.strength = Math.max(0, attacker.strength - exposure);
+            }
+        }
+
+        const battle = predictBattle(fighter, defender, {
+            closeTerrain: isCloseTerrain(defenderTerrain),
+            rangedAttack: rangedAttack,
+            surpriseAttack: options.surpriseAttack || false,
+            riverAttack: options.riverAttack || false,
+            attackerTerrain: attackerTerrain,
+            defenderTerrain: defenderTerrain
+        });
+
+        const expectedDamage = fireSurvivalChance * battle.expectedDefenderDamage;
+        const expectedLoss = exposure + battle.expectedAttackerDamage;
+        const damageRatio = (expectedDamage / defender.strength) /
+                            (expectedLoss / attacker.strength + DAMAGE_RATIO_LOSS_FLOOR);
+        const killChance = fireSurvivalChance * battle.defenderDestroyChance;
+        const value = this.getTargetValue(defender) * (options.objective ? 2 : 1);
+        const weights = ATTACK_SCORE_WEIGHTS[
+            Math.min(EnemyAI.getSkill(gameState), ATTACK_SCORE_WEIGHTS.length - 1)];
+
+        return {
+            attacker: attacker,
+            defender: defender,
+            expectedDamage: expectedDamage,
+            expectedLoss: expectedLoss,
+            damageRatio: damageRatio,
+            killChance: killChance,
+            lossChance: 1 - fireSurvivalChance * (1 - battle.attackerDestroyChance),
+            value: value,
+            exposure: exposure,
+            score: weights.DAMAGE * expectedDamage +
+                   weights.DAMAGE_RATIO * Math.min(damageRatio, MAX_DAMAGE_RATIO) +
+                   weights.KILL * killChance +
+                   weights.VALUE * value -
+                   weights.EXPOSURE * exposure
+        };
+    },
+
+    /**
+     * What destroying a unit is worth: its cost, more for a veteran
+     * @param {Unit} unit
+     * @returns {number}
+     */
+    getTargetValue(unit) {
+        return unit.getType().cost * TARGET_VALUE_PER_COST * (1 + unit.experience * TARGET_VALUE_PER_EXPERIENCE);
+    },
+
+    /**
+     * The best-scoring attack
+     * @param {Array<Object>} ratings - From rateAttack
+     * @param {number} minDamageRatio - Leave out attacks expected to go worse than this
+     * @returns {Object|null} The rating, or null if none is good enough
+     */
+    chooseBest(ratings, minDamageRatio = 0) {
+        let best = null;
+        for (const rating of ratings) {
+            if (rating.damageRatio < minDamageRatio) continue;
+            if (!best || rating.score > best.score) {
+                best = rating;
+            }
+        }
+        return best;
+    }
+};
@@ -12,22 +12,24 @@ const BATTLE_CONFIG = {
     DAMAGE_STD_DEV: 1.25,           // Standard deviation for damage variance
     MIN_DAMAGE: 0,                  // Minimum damage (floor)
     MAX_DAMAGE: 10,                 // Maximum damage (unit max strength)
-    ROUT_THRESHOLD: 3.0             // Power ratio for potential rout (10-0)
+    ROUT_THRESHOLD: 3.0,            // Power ratio for potential rout (10-0)
+    HEIGHT_ATTACK_BONUS: 2          // Attack bonus downhill (penalty uphill)
 };
 
 /**
  * Generate a Gaussian random number using Box-Muller transform
  * This creates a normal distribution (bell curve) for realistic variance
+ * @param {SeededRandom} rng - The game's random number generator
  * @param {number} mean - The expected value
  * @param {number} stdDev - Standard deviation
  * @returns {number} Random value from normal distribution
  */
-function gaussianRandom(mean = 0, stdDev = 1) {
+function gaussianRandom(rng, mean = 0, stdDev = 1) {
     // Avoid log(0) by ensuring u1 > 0
-    let u1 = Math.random();
-    while (u1 === 0) u1 = Math.random();
+    let u1 = rng.next();
+    while (u1 === 0) u1 = rng.next();
 
-    const u2 = Math.random();
+    const u2 = rng.next();
 
     // Box-Muller transform
     const z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
@@ -35,17 +37,60 @@ function gaussianRandom(mean = 0, stdDev = 1) {
     return mean + z0 * stdDev;
 }
 
+/**
+ * Get the terrain defensive bonus for a defender's hex
+ * @param {string} terrain - TerrainType of the defender's hex
+ * @returns {number} Bonus added to defender power (woods 1, castle 3, hill 1)
+ */
+function getTerrainDefenseBonus(terrain) {
+    if (!terrain) return 0;
+    return getTerrainProperties(terrain).defensiveBonus || 0;
+}
+
+/**
+ * Get the height modifier for an attack
+ * Attacking from a hill into lower ground gives a bonus, attacking up onto
+ * a hill from lower ground a penalty; level fights have no modifier.
+ * @param {string} attackerTerrain - TerrainType of the attacker's hex
+ * @param {string} defenderTerrain - TerrainType of the defender's hex
+ * @returns {number} Modifier added to attacker power
+ */
+function calculateHeightModifier(attackerTerrain, defenderTerrain) {
+    if (!attackerTerrain || !defenderTerrain) return 0;
+    const attackerHigh = !!getTerrainProperties(attackerTerrain).providesHeightBonus;
+    const defenderHigh = !!getTerrainProperties(defenderTerrain).providesHeightBonus;
+    if (attackerHigh && !defenderHigh) return BATTLE_CONFIG.HEIGHT_ATTACK_BONUS;
+    if (!attackerHigh && defenderHigh) return -BATTLE_CONFIG.HEIGHT_ATTACK_BONUS;
+    return 0;
+}
+
+/**
+ * Calculate movement fatigue for an attacker
+ * Each 33% of movement used = 1 tier, max 2 tiers
+ * @param {Unit} attacker - The attacking unit
+ * @returns {number} Fatigue tiers (0, 1 or 2)
+ */
+function calculateFatigueTiers(attacker) {
+    const maxMovement = attacker.getType().movement;
+    const movementUsed = maxMovement - attacker.movementRemaining;
+    const percentUsed = maxMovement > 0 ? movementUsed / maxMovement : 0;
+    return Math.min(2, Math.floor(percentUsed / 0.33));
+}
+
 /**
  * Calculate combat power for an attacker
  * Formula: softAttack (or hardAttack) + (strength/2) + initiative + experience
  * Strength is halved, then reduced by movement fatigue (20% per tier, max 2 tiers)
  * Surprise attacks lose all initiative and additional 20% strength
  * River attacks (from river to non-river) lose all initiative and 30% strength
+ * Attacking down from a hill adds the height bonus, attacking uphill subtracts it
  * @param {Unit} attacker - The attacking unit
  * @param {Unit} defender - The defending unit (to determine soft/hard attack)
  * @param {Object} options - Optional parameters
  * @param {boolean} options.surpriseAttack - Whether attacker stumbled into hidden enemy
  * @param {boolean} options.riverAttack - Whether attacker is on river attacking non-river
+ * @param {string} options.attackerTerrain - Terrain of the attacker's hex (for height)
+ * @param {string} options.defenderTerrain - Terrain of the defender's hex (for height)
  * @returns {number} Attacker's combat power
  */
 function calculateAttackerPower(attacker, defender, options = {}) {
@@ -55,13 +100,8 @@ function calculateAttackerPower(attacker, defender, options = {}) {
     // Choose soft or hard attack based on defender's target type
     const attackValue = getAttackValue(attackerType, defenderType);
 
-    // Calculate movement fatigue
-    // Each 33% of movement used = 1 tier, max 2 tiers
-    // 20% strength reduction per tier (max 40%)
-    const maxMovement = attackerType.movement;
-    const movementUsed = maxMovement - attacker.movementRemaining;
-    const percentUsed = maxMovement > 0 ? movementUsed / maxMovement : 0;
-    const fatigueTiers = Math.min(2, Math.floor(percentUsed / 0.33));
+    // Calculate movement fatigue (20% strength reduction per tier, max 40%)
+    const fatigueTiers = calculateFatigueTiers(attacker);
     let strengthMultiplier = 1 - (fatigueTiers * 0.20);  // 1.0, 0.8, or 0.6
 
     // Apply surprise penalty (stacks with fatigue)
@@ -84,28 +124,33 @@ function calculateAttackerPower(attacker, defender, options = {}) {
     // Strength is halved to reduce its dominance in combat calculations
     const effectiveStrength = (attacker.strength / 2) * strengthMultiplier;
 
+    // Fighting downhill (or uphill)
+    const heightModifier = calculateHeightModifier(options.attackerTerrain, options.defenderTerrain);
+
     // Initiative only applies to attacker (0 if surprised), experience applies to both
-    return attackValue + effectiveStrength + effectiveInitiative + attacker.experience;
+    return attackValue + effectiveStrength + effectiveInitiative + attacker.experience + heightModifier;
 }
 
 /**
  * Calculate combat power for a defender
- * Formula: groundDefense (or closeDefense) + (strength/2) + entrenchment + experience
+ * Formula: groundDefense (or closeDefense) + (strength/2) + entrenchment + experience + terrain bonus
  * Strength is halved to reduce its dominance in combat
  * Uses closeDefense in close terrain (woods, castle, mountain)
  * Uses groundDefense in open terrain (grass, hill, river)
  * @param {Unit} defender - The defending unit
  * @param {boolean} closeTerrain - Whether defender is in close terrain
+ * @param {string} defenderTerrain - Terrain of the defender's hex (for its defensiveBonus)
  * @returns {number} Defender's combat power
  */
-function calculateDefenderPower(defender, closeTerrain = false) {
+function calculateDefenderPower(defender, closeTerrain = false, defenderTerrain = null) {
     const defenderType = defender.getType();
 
     // Use closeDefense in close terrain, groundDefense in open terrain
     const defenseValue = getDefenseValue(defenderType, closeTerrain);
 
     // Strength is halved to reduce its dominance in combat calculations
-    return defenseValue + (defender.strength / 2) + defender.entrenchment + defender.experience;
+    return defenseValue + (defender.strength / 2) + defender.entrenchment + defender.experience +
+           getTerrainDefenseBonus(defenderTerrain);
 }
 
 /**
@@ -138,12 +183,13 @@ function calculateDamageDistribution(powerRatio) {
  * Apply Gaussian variance to a damage value
  * Creates realistic variance with most outcomes near expected value
  * but occasional outliers (upsets)
+ * @param {SeededRandom} rng - The game's random number generator
  * @param {number} baseDamage - The expected damage
  * @param {number} stdDev - Standard deviation
  * @returns {number} Damage with variance applied
  */
-function applyDamageVariance(baseDamage, stdDev = BATTLE_CONFIG.DAMAGE_STD_DEV) {
-    return gaussianRandom(baseDamage, stdDev);
+function applyDamageVariance(rng, baseDamage, stdDev = BATTLE_CONFIG.DAMAGE_STD_DEV) {
+    return gaussianRandom(rng, baseDamage, stdDev);
 }
 
 /**
@@ -158,25 +204,22 @@ function clampDamage(damage, maxStrength) {
 }
 
 /**
- * Resolve a battle between two units
+ * Calculate the deterministic part of a battle: powers, ratio and the
+ * expected (pre-variance) damage to each side.
+ * Shared by resolveBattle and predictBattle so the odds preview uses
+ * exactly the same formulas as the real fight.
  * @param {Unit} attacker - The attacking unit
  * @param {Unit} defender - The defending unit
- * @param {Object} options - Optional parameters
- * @param {boolean} options.closeTerrain - Whether defender is in close terrain (woods, castle, mountain)
- * @param {boolean} options.surpriseAttack - Whether attacker stumbled into hidden enemy
- * @param {boolean} options.riverAttack - Whether attacker is on river attacking non-river
- * @returns {BattleResult} The battle outcome
+ * @param {Object} options - Same options as resolveBattle
+ * @returns {Object} { attackerPower, defenderPower, powerRatio, baseAttackerDamage, baseDefenderDamage,
+ *                     rangedScale, terrainDefenseBonus, heightModifier }
  */
-function resolveBattle(attacker, defender, options = {}) {
+function calculateBattleBasis(attacker, defender, options = {}) {
     const closeTerrain = options.closeTerrain || false;
 
-    // Store initial strengths
-    const attackerStrengthBefore = attacker.strength;
-    const defenderStrengthBefore = defender.strength;
-
     // Calculate combat powers (pass surprise option to attacker power calc)
     const attackerPower = calculateAttackerPower(attacker, defender, options);
-    const defenderPower = calculateDefenderPower(defender, closeTerrain);
+    const defenderPower = calculateDefenderPower(defender, closeTerrain, options.defenderTerrain);
 
     // Calculate power ratio (prevent division by zero)
     const powerRatio = defenderPower > 0 ? attackerPower / defenderPower :
@@ -187,40 +230,102 @@ function resolveBattle(attacker, defender, options = {}) {
 
     // Scale down total damage when both units are weak
     // Total damage should not exceed 75% of combined remaining strength
-    const combinedStrength = attackerStrengthBefore + defenderStrengthBefore;
+    const combinedStrength = attacker.strength + defender.strength;
     const maxTotalDamage = combinedStrength * 0.75;
     const effectiveTotalDamage = Math.min(BATTLE_CONFIG.BASE_TOTAL_DAMAGE, maxTotalDamage);
 
-    // Calculate base expected damage for each side
-    const baseDefenderDamage = effectiveTotalDamage * distribution.attackerShare;
-    const baseAttackerDamage = effectiveTotalDamage * distribution.defenderShare;
+    // Ranged attacks: damage scales with the attacker's strength (half-scale reduction)
+    // Missing 60% strength = 30% damage penalty
+    let rangedScale = 1;
+    if (options.rangedAttack) {
+        const missingStrengthPercent = (10 - attacker.strength) / 10;
+        rangedScale = 1 - missingStrengthPercent * 0.5;
+    }
+
+    return {
+        attackerPower: attackerPower,
+        defenderPower: defenderPower,
+        powerRatio: powerRatio,
+        // Base expected damage for each side
+        baseDefenderDamage: effectiveTotalDamage * distribution.attackerShare,
+        baseAttackerDamage: effectiveTotalDamage * distribution.defenderShare,
+        rangedScale: rangedScale,
+        // Terrain terms (already included in the powers above)
+        terrainDefenseBonus: getTerrainDefenseBonus(options.defenderTerrain),
+        heightModifier: calculateHeightModifier(options.attackerTerrain, options.defenderTerrain)
+    };
+}
+
+/**
+ * Chance of a total rout for an extreme power mismatch
+ * At most one side can be routed; the other chance is always 0
+ * @param {number} powerRatio - Attacker power / Defender power
+ * @returns {Object} { defender, attacker } - Probability that each side is routed
+ */
+function calculateRoutChances(powerRatio) {
+    if (powerRatio >= BATTLE_CONFIG.ROUT_THRESHOLD) {
+        // Attacker vastly superior - chance of total rout of defender
+        return {
+            defender: Math.min(1, (powerRatio - BATTLE_CONFIG.ROUT_THRESHOLD) / 4),
+            attacker: 0
+        };
+    }
+    if (powerRatio <= 1 / BATTLE_CONFIG.ROUT_THRESHOLD) {
+        // Defender vastly superior - chance of total rout of attacker
+        return {
+            defender: 0,
+            attacker: Math.min(1, (1 / powerRatio - BATTLE_CONFIG.ROUT_THRESHOLD) / 4)
+        };
+    }
+    return { defender: 0, attacker: 0 };
+}
+
+/**
+ * Resolve a battle between two units
+ * @param {Unit} attacker - The attacking unit
+ * @param {Unit} defender - The defending unit
+ * @param {Object} options - Battle parameters
+ * @param {SeededRandom} options.rng - The game's random number generator (required)
+ * @param {boolean} options.closeTerrain - Whether defender is in close terrain (woods, castle, mountain)
+ * @param {boolean} options.surpriseAttack - Whether attacker stumbled into hidden enemy
+ * @param {boolean} options.riverAttack - Whether attacker is on river attacking non-river
+ * @param {boolean} options.rangedAttack - Ranged attack (attacker takes no return fire)
+ * @param {string} options.attackerTerrain - Terrain of the attacker's hex (for height)
+ * @param {string} options.defenderTerrain - Terrain of the defender's hex (defensive bonus and height)
+ * @returns {BattleResult} The battle outcome
+ */
+function resolveBattle(attacker, defender, options = {}) {
+    const rng = options.rng;
+    const closeTerrain = options.closeTerrain || false;
+
+    // Store initial strengths
+    const attackerStrengthBefore = attacker.strength;
+    const defenderStrengthBefore = defender.strength;
+
+    const basis = calculateBattleBasis(attacker, defender, options);
+    const attackerPower = basis.attackerPower;
+    const defenderPower = basis.defenderPower;
+    const powerRatio = basis.powerRatio;
 
     // Apply Gaussian variance for realistic randomness
-    let defenderDamageRaw = applyDamageVariance(baseDefenderDamage);
-    let attackerDamageRaw = applyDamageVariance(baseAttackerDamage);
+    let defenderDamageRaw = applyDamageVariance(rng, basis.baseDefenderDamage);
+    let attackerDamageRaw = applyDamageVariance(rng, basis.baseAttackerDamage);
 
     // Ranged attacks: attacker takes no return fire, damage scales with strength
     if (options.rangedAttack) {
         attackerDamageRaw = 0;
-        // Scale ranged damage by attacker's strength (half-scale reduction)
-        // Missing 60% strength = 30% damage penalty
-        const missingStrengthPercent = (10 - attackerStrengthBefore) / 10;
-        const strengthPenalty = missingStrengthPercent * 0.5;
-        defenderDamageRaw = defenderDamageRaw * (1 - strengthPenalty);
+        defenderDamageRaw = defenderDamageRaw * basis.rangedScale;
     }
 
     // Check for extreme mismatch (potential rout)
-    if (powerRatio >= BATTLE_CONFIG.ROUT_THRESHOLD) {
-        // Attacker vastly superior - chance of total rout
-        const routChance = (powerRatio - BATTLE_CONFIG.ROUT_THRESHOLD) / 4;
-        if (Math.random() < routChance) {
+    const routChances = calculateRoutChances(powerRatio);
+    if (routChances.defender > 0) {
+        if (rng.next() < routChances.defender) {
             defenderDamageRaw = defenderStrengthBefore; // Total destruction
             attackerDamageRaw = 0;
         }
-    } else if (powerRatio <= 1 / BATTLE_CONFIG.ROUT_THRESHOLD) {
-        // Defender vastly superior - chance of total rout of attacker
-        const routChance = (1/powerRatio - BATTLE_CONFIG.ROUT_THRESHOLD) / 4;
-        if (Math.random() < routChance) {
+    } else if (routChances.attacker > 0) {
+        if (rng.next() < routChances.attacker) {
             attackerDamageRaw = attackerStrengthBefore; // Total destruction
             defenderDamageRaw = 0;
         }
@@ -252,6 +357,8 @@ function resolveBattle(attacker, defender, options = {}) {
         defenderPower: defenderPower,
         powerRatio: powerRatio,
         closeTerrain: closeTerrain,     // Whether close defense was used
+        terrainDefenseBonus: basis.terrainDefenseBonus,   // Added to defender power
+        heightModifier: basis.heightModifier,             // Added to attacker power
 
         // Outcome flags
         attackerDestroyed: attackerStrengthAfter <= 0,
@@ -264,3 +371,164 @@ function resolveBattle(attacker, defender, options = {}) {
         defenderStrengthAfter: defenderStrengthAfter
     };
 }
+
+// ==================== BATTLE EXECUTION ====================
+
+/**
+ * Fight a battle and apply it to the game: damage, experience, prestige
+ * from looting and the defender's loss of entrenchment.
+ * Used for every fight - player and enemy, melee, ranged and defensive fire.
+ * Destroyed units stay on the map (the caller removes them), and the
+ * attacker's ammo and attack flag are left to the caller as well.
+ * @param {GameState} gameState - The current game state
+ * @param {Unit} attacker - The attacking unit
+ * @param {Unit} defender - The defending unit
+ * @param {Object} options - Optional parameters
+ * @param {boolean} options.rangedAttack - Ranged attack (attacker takes no return fire)
+ * @param {boolean} options.surpriseAttack - Whether attacker stumbled into hidden enemy
+ * @param {boolean} options.riverAttack - Whether attacker is on river attacking non-river
+ * @returns {Object} Battle record: the units, the BattleResult and the before/after values shown to the player
+ */
+function executeBattle(gameState, attacker, defender, options = {}) {
+    const rangedAttack = options.rangedAttack || false;
+    const attackerTerrain = gameState.getTerrainAt(attacker.hex);
+    const defenderTerrain = gameState.getTerrainAt(defender.hex);
+
+    const battle = {
+        attacker: attacker,
+        defender: defender,
+        rangedAttack: rangedAttack,
+        surpriseAttack: options.surpriseAttack || false,
+        riverAttack: options.riverAttack || false,
+        attackerTerrain: attackerTerrain,
+        defenderTerrain: defenderTerrain,
+        // Captured before the fight (fatigue also before performAttack() uses up movement)
+        fatigueTiers: calculateFatigueTiers(attacker),
+        attackerEntrenchBefore: attacker.entrenchment,
+        defenderEntrenchBefore: defender.entrenchment,
+        attackerExpBefore: attacker.experience,
+        defenderExpBefore: defender.experience,
+        attackerExpGain: 0,
+        defenderExpGain: 0,
+        prestigeGain: 0
+    };
+
+    const result = resolveBattle(attacker, defender, {
+        rng: gameState.rng,
+        closeTerrain: isCloseTerrain(defenderTerrain),
+        rangedAttack: rangedAttack,
+        surpriseAttack: battle.surpriseAttack,
+        riverAttack: battle.riverAttack,
+        attackerTerrain: attackerTerrain,
+        defenderTerrain: defenderTerrain
+    });
+    battle.result = result;
+
+    // Apply damage (a ranged attacker takes none)
+    if (!rangedAttack) {
+        attacker.takeDamage(result.attackerDamage);
+    }
+    defender.takeDamage(result.defenderDamage);
+
+    // Experience for surviving units: 0.1 + (5% of strength lost) with ±20% variance
+    if (!result.attackerDestroyed) {
+        battle.attackerExpGain = attacker.gainExperience(rangedAttack ? 0 : result.attackerDamage, gameState.rng);
+    }
+    if (!result.defenderDestroyed) {
+        battle.defenderExpGain = defender.gainExperience(result.defenderDamage, gameState.rng);
+    }
+
+    // The player's surviving units loot the fallen (ranged attackers are too far away)
+    if (attacker.playerId === 0 && !result.attackerDestroyed) {
+        battle.prestigeGain += RebuildSystem.calculateBattlePrestige(battle.attackerExpGain, rangedAttack);
+    }
+    if (defender.playerId === 0 && !result.defenderDestroyed) {
+        battle.prestigeGain += RebuildSystem.calculateBattlePrestige(battle.defenderExpGain, false);
+    }
+    gameState.prestige += battle.prestigeGain;
+
+    // Being attacked costs the defender its entrenchment
+    defender.reduceEntrenchment();
+    battle.defenderEntrenchAfter = defender.entrenchment;
+
+    return battle;
+}
+
+// ==================== BATTLE PREDICTION ====================
+
+/**
+ * Standard normal cumulative distribution function
+ * Uses the Abramowitz-Stegun erf approximation (error < 1.5e-7)
+ * @param {number} x
+ * @returns {number} P(Z <= x)
+ */
+function normalCdf(x) {
+    const z = Math.abs(x) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * z);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+                 t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-z * z);
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Predict the damage one side takes from a single Gaussian damage roll
+ * Mirrors applyDamageVariance + clampDamage + Math.round in resolveBattle:
+ * the rounded damage reaches k whenever the raw roll is at least k - 0.5.
+ * @param {number} mean - Expected raw damage
+ * @param {number} stdDev - Standard deviation of the roll
+ * @param {number} strength - Strength of the unit taking the damage
+ * @returns {Object} { expected, destroyChance }
+ */
+function predictDamageRoll(mean, stdDev, strength) {
+    const chanceAtLeast = (threshold) => 1 - normalCdf((threshold - mean) / stdDev);
+
+    // E[damage] = sum over k >= 1 of P(damage >= k)
+    let expected = 0;
+    for (let k = 1; k - 0.5 <= strength; k++) {
+        expected += chanceAtLeast(k - 0.5);
+    }
+
+    // Destroyed when the rounded damage reaches the unit's strength
+    const lethal = Math.ceil(strength);
+    const destroyChance = lethal - 0.5 <= strength ? chanceAtLeast(lethal - 0.5) : 0;
+
+    return { expected, destroyChance };
+}
+
+/**
+ * Predict the outcome of a battle without rolling any dice
+ * Takes the same options as resolveBattle (except rng) and uses the same
+ * power, ratio, damage-split and rout formulas.
+ * @param {Unit} attacker - The attacking unit
+ * @param {Unit} defender - The defending unit
+ * @param {Object} options - Same options as resolveBattle
+ * @returns {Object} Powers, ratio, expected damage, rout and destruction chances
+ */
+function predictBattle(attacker, defender, options = {}) {
+    const basis = calculateBattleBasis(attacker, defender, options);
+    const stdDev = BATTLE_CONFIG.DAMAGE_STD_DEV;
+
+    const defenderRoll = predictDamageRoll(basis.baseDefenderDamage * basis.rangedScale,
+                                           stdDev * basis.rangedScale, defender.strength);
+    const attackerRoll = options.rangedAttack ? { expected: 0, destroyChance: 0 } :
+                         predictDamageRoll(basis.baseAttackerDamage, stdDev, attacker.strength);
+
+    // A rout replaces the rolls: the routed side is wiped out, the other is unhurt
+    const rout = calculateRoutChances(basis.powerRatio);
+    const normalChance = 1 - rout.defender - rout.attacker;
+
+    return {
+        attackerPower: basis.attackerPower,
+        defenderPower: basis.defenderPower,
+        powerRatio: basis.powerRatio,
+        terrainDefenseBonus: basis.terrainDefenseBonus,
+        heightModifier: basis.heightModifier,
+        expectedAttackerDamage: normalChance * attackerRoll.expected + rout.attacker * attacker.strength,
+        expectedDefenderDamage: normalChance * defenderRoll.expected + rout.defender * defender.strength,
+        defenderRoutChance: rout.defender,
+        attackerRoutChance: rout.attacker,
+        attackerDestroyChance: normalChance * attackerRoll.destroyChance + rout.attacker,
+        defenderDestroyChance: normalChance * defenderRoll.destroyChance + rout.defender
+    };
+}
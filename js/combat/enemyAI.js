@@ -1,8 +1,31 @@
 /**
  * Enemy AI System
  * Handles automatic actions for enemy units at the end of player's turn
+ * Offense levels: the garrison holds its castles (see GARRISON AI).
+ * Defense levels: the horde rides for the player's castles (see HORDE AI).
+ * Both act only on player units the enemy has spotted, and plan around
+ * where it last saw the others (see INTELLIGENCE).
+ * How cleverly they pick targets and routes follows the game's difficulty
+ * (aiSkill in DIFFICULTY_SETTINGS): every attack it could make is rated
+ * and the best chosen, with the rating weighed by skill (see AttackScoring);
+ * 2 and up also steer clear of defenders in close terrain all the way in.
  */
 
+// Turns the enemy remembers where it last saw a player unit
+const ENEMY_MEMORY_TURNS = 3;
+
+// A garrison unit at or below this strength falls back to a castle to rebuild
+const GARRISON_RETREAT_STRENGTH = 4;
+
+// How far in front of its castle a garrison unit stands to block an approach
+const GARRISON_BLOCK_RADIUS = 2;
+
+// Damage ratio a garrison unit expects before it counterattacks (see AttackScoring)
+const GARRISON_ATTACK_MIN_RATIO = 1.5;
+
+// Damage ratio horde cavalry expects before it charges a unit that guards no castle
+const HORDE_ATTACK_MIN_RATIO = 1;
+
 const EnemyAI = {
     /**
      * Execute all enemy AI actions
@@ -11,30 +34,24 @@ const EnemyAI = {
      * @returns {Array} Array of action results for display/logging
      */
     executeEnemyTurn(gameState) {
+        this.observe(gameState);
+
         // Dispatch to horde AI for defense levels
         const level = LevelManager.getLevel(gameState.currentLevel);
         if (level && level.gameMode === 'defense') {
             return this.executeHordeTurn(gameState, level);
         }
 
-        const actions = [];
-
-        // Get all enemy units (player 1)
-        const enemyUnits = gameState.units.getPlayerUnits(1);
-
-        // Rule 1: Enemy trebuchets fire at player units in range
-        const trebuchetActions = this.executeTrebuchetAttacks(gameState, enemyUnits);
-        actions.push(...trebuchetActions);
-
-        // Rule 2: Enemy cavalry charges spotted player units
-        const cavalryActions = this.executeCavalryCharges(gameState, enemyUnits);
-        actions.push(...cavalryActions);
-
-        // Rule 3: Enemy Men-at-Arms attack adjacent player trebuchets
-        const infantryActions = this.executeInfantryAttacks(gameState, enemyUnits);
-        actions.push(...infantryActions);
+        return this.executeGarrisonTurn(gameState);
+    },
 
-        return actions;
+    /**
+     * How cleverly the enemy plays in this game
+     * @param {GameState} gameState
+     * @returns {number} aiSkill from the game's difficulty
+     */
+    getSkill(gameState) {
+        return gameState.getDifficultySettings().aiSkill;
     },
 
     /**
@@ -50,19 +67,21 @@ const EnemyAI = {
         const trebuchets = enemyUnits.filter(unit =>
             unit.typeId === 'trebuchet' &&
             unit.hasAmmo() &&
-            unit.strength > 0
+            unit.strength > 0 &&
+            !unit.hasAttacked
         );
 
         for (const trebuchet of trebuchets) {
             const target = this.findTrebuchetTarget(gameState, trebuchet);
             if (target) {
                 // Execute the ranged attack
-                const result = this.executeRangedAttack(gameState, trebuchet, target);
+                const battle = this.executeRangedAttack(gameState, trebuchet, target);
+                trebuchet.hasAttacked = true;
                 actions.push({
                     type: 'ranged_attack',
                     attacker: trebuchet,
                     defender: target,
-                    result: result
+                    battle: battle
                 });
             }
         }
@@ -89,177 +108,289 @@ const EnemyAI = {
             // Skip own hex
             if (hex.equals(trebuchet.hex)) continue;
 
-            // Check for player unit (player 0)
+            // Must have line of sight to the target
+            if (!gameState.hasLineOfSight(trebuchet.hex, hex)) continue;
+
+            // Check for a spotted player unit (player 0)
             const unit = gameState.units.getUnitAt(hex);
-            if (unit && unit.playerId === 0 && unit.strength > 0) {
+            if (unit && unit.playerId === 0 && unit.strength > 0 && this.isSpotted(gameState, unit)) {
                 playerUnits.push(unit);
             }
         }
 
-        // If multiple targets, prioritize (for now, just pick the first one)
-        // Could add priority logic: wounded units, high-value targets, etc.
-        return playerUnits.length > 0 ? playerUnits[0] : null;
+        if (playerUnits.length === 0) return null;
+
+        const ratings = playerUnits.map(unit =>
+            AttackScoring.rateAttack(gameState, trebuchet, unit, { rangedAttack: true }));
+        return AttackScoring.chooseBest(ratings).defender;
     },
 
     /**
      * Execute a ranged attack for enemy AI
+     * Also used for player artillery's defensive fire during the enemy turn
      * @param {GameState} gameState - The current game state
      * @param {Unit} attacker - The attacking trebuchet
      * @param {Unit} defender - The target unit
-     * @returns {Object} Battle result
+     * @returns {Object} Battle record (see executeBattle)
      */
     executeRangedAttack(gameState, attacker, defender) {
-        // Get defender terrain
-        const defenderCell = gameState.map.getCell(defender.hex);
-        const defenderTerrain = defenderCell ? defenderCell.terrain : TerrainType.GRASS;
-        const closeTerrain = isCloseTerrain(defenderTerrain);
-
         // Use ammo
         if (attacker.ammo !== null) {
             attacker.ammo--;
         }
 
-        // Resolve battle (ranged = no return fire)
-        const result = resolveBattle(attacker, defender, {
-            closeTerrain: closeTerrain,
-            rangedAttack: true
-        });
+        // Ranged = no return fire
+        const battle = executeBattle(gameState, attacker, defender, { rangedAttack: true });
 
-        // Apply damage to defender only (ranged attack)
-        defender.takeDamage(result.defenderDamage);
-
-        // Experience gain for surviving units
-        // Player units (defender) gain prestige when they survive and gain exp
-        let defenderExpGain = 0;
-        if (!result.defenderDestroyed) {
-            defenderExpGain = defender.gainExperience(result.defenderDamage);
-            // Player gains prestige from surviving (looting fallen enemies)
-            if (defender.playerId === 0) {
-                const prestigeGain = RebuildSystem.calculateBattlePrestige(defenderExpGain, false);
-                gameState.prestige += prestigeGain;
-            }
-        }
-        if (!result.attackerDestroyed) {
-            attacker.gainExperience(0); // Minimal exp for ranged (no risk)
+        // Remove destroyed units
+        if (battle.result.defenderDestroyed) {
+            gameState.units.removeUnit(defender.id);
         }
 
-        // Reduce defender entrenchment
-        defender.reduceEntrenchment();
+        return battle;
+    },
+
+    /**
+     * Report a unit's move, if it went anywhere
+     * @param {Unit} unit - The unit that moved
+     * @param {Hex} from - Where it started
+     * @returns {Object|null} { type: 'unit_moved', unit, from, to }, or null if it stayed put
+     */
+    moveAction(unit, from) {
+        if (unit.hex.equals(from)) return null;
+        return { type: 'unit_moved', unit: unit, from: from, to: unit.hex };
+    },
+
+    /**
+     * Execute a melee attack for enemy AI
+     * @param {GameState} gameState - The current game state
+     * @param {Unit} attacker - The attacking unit
+     * @param {Unit} defender - The target unit
+     * @param {Object} options - Combat modifiers: { surpriseAttack, riverAttack } (see executeBattle)
+     * @returns {Object} Battle record (see executeBattle)
+     */
+    executeMeleeAttack(gameState, attacker, defender, options = {}) {
+        // Melee = both take damage
+        const battle = executeBattle(gameState, attacker, defender, options);
 
         // Remove destroyed units
-        if (result.defenderDestroyed) {
+        if (battle.result.attackerDestroyed) {
+            gameState.units.removeUnit(attacker.id);
+        }
+        if (battle.result.defenderDestroyed) {
             gameState.units.removeUnit(defender.id);
         }
 
-        return result;
+        return battle;
+    },
+
+    // ==================== INTELLIGENCE ====================
+
+    /**
+     * Update what the enemy knows of the player's units. Every unit its
+     * units can see (GameState.getSpottedHexKeys for player 1) is recorded
+     * in gameState.enemySightings; a sighting is dropped when the unit is
+     * gone, when the enemy looks at the hex and finds it empty, and after
+     * ENEMY_MEMORY_TURNS turns without seeing the unit again.
+     * @param {GameState} gameState
+     * @param {Array<Unit>} spotters - The enemy units looking (all by default)
+     */
+    observe(gameState, spotters = gameState.units.getPlayerUnits(1)) {
+        const sightings = gameState.enemySightings;
+        const spotted = gameState.getSpottedHexKeys(1, spotters);
+
+        for (const [unitId, sighting] of Object.entries(sightings)) {
+            const unit = gameState.units.getUnit(unitId);
+            const moved = spotted.has(sighting.hex) && (!unit || unit.hex.key !== sighting.hex);
+            if (!unit || moved || gameState.turn - sighting.turn > ENEMY_MEMORY_TURNS) {
+                delete sightings[unitId];
+            }
+        }
+
+        for (const unit of gameState.units.getPlayerUnits(0)) {
+            if (spotted.has(unit.hex.key)) {
+                sightings[unit.id] = { hex: unit.hex.key, turn: gameState.turn };
+            }
+        }
+    },
+
+    /**
+     * Whether the enemy can see a player unit right now: it was sighted
+     * this turn where it stands (player units keep still in the enemy's turn)
+     * @param {GameState} gameState
+     * @param {Unit} unit - A player unit
+     * @returns {boolean}
+     */
+    isSpotted(gameState, unit) {
+        if (gameState.enemySeesAll) return true;
+        const sighting = gameState.enemySightings[unit.id];
+        return !!sighting && sighting.turn === gameState.turn && sighting.hex === unit.hex.key;
+    },
+
+    /**
+     * Where the enemy believes the player's units are: spotted units and
+     * the last positions it remembers
+     * @param {GameState} gameState
+     * @returns {Array<Hex>}
+     */
+    getKnownPlayerHexes(gameState) {
+        if (gameState.enemySeesAll) {
+            return gameState.units.getPlayerUnits(0)
+                .filter(unit => unit.strength > 0)
+                .map(unit => unit.hex);
+        }
+        return Object.values(gameState.enemySightings).map(sighting => Hex.fromKey(sighting.hex));
     },
 
+    // ==================== GARRISON AI (Offense Mode) ====================
+
     /**
-     * Execute infantry attacks against adjacent player trebuchets
+     * Execute the garrison's turn (offense mode)
+     * The garrison plans as player 1 with the player's own movement rules
+     * (GameState.asPlayer). Order: rest → trebuchets fire → fall back →
+     * hold castles → counterattack → block approaches → trebuchets take position
      * @param {GameState} gameState - The current game state
-     * @param {Array<Unit>} enemyUnits - All enemy units
      * @returns {Array} Array of action results
      */
-    executeInfantryAttacks(gameState, enemyUnits) {
+    executeGarrisonTurn(gameState) {
         const actions = [];
+        gameState.units.resetTurn(1);
+        const garrison = gameState.units.getPlayerUnits(1);
+
+        gameState.asPlayer(1, () => {
+            actions.push(...this.restGarrisonUnits(gameState, garrison));
+            actions.push(...this.executeTrebuchetAttacks(gameState, garrison));
+            actions.push(...this.fallBackGarrisonUnits(gameState, garrison));
+            actions.push(...this.holdGarrisonCastles(gameState, garrison));
+            actions.push(...this.executeCounterattacks(gameState, garrison));
+            actions.push(...this.blockCastleApproaches(gameState, garrison));
+            actions.push(...this.positionGarrisonTrebuchets(gameState, garrison));
+        });
 
-        // Filter to only infantry (Men-at-Arms)
-        const infantry = enemyUnits.filter(unit =>
-            unit.typeId === 'infantry' &&
-            unit.strength > 0
-        );
+        return actions;
+    },
 
-        for (const unit of infantry) {
-            const target = this.findInfantryTarget(gameState, unit);
-            if (target) {
-                // Execute melee attack with defensive fire
-                const dfActions = this.executeAttackWithDefensiveFire(gameState, unit, target);
-                actions.push(...dfActions);
+    /**
+     * Rebuild damaged units resting next to (or on) a castle the garrison
+     * holds, out of the player's zone of control: half the missing strength,
+     * as RebuildSystem gives but at no cost, and +1 ammo for trebuchets.
+     * Resting takes the unit's whole turn.
+     * @param {GameState} gameState
+     * @param {Array<Unit>} garrison - All enemy units
+     * @returns {Array} Action results (unit_rebuilt)
+     */
+    restGarrisonUnits(gameState, garrison) {
+        const actions = [];
+        const { held } = this.getGarrisonCastles(gameState);
+
+        for (const unit of garrison) {
+            if (unit.strength <= 0 || unit.strength > GARRISON_RETREAT_STRENGTH) continue;
+            if (this.distanceToNearest(unit.hex, held) > 1) continue;
+            if (gameState.isUnitInAnyEnemyZOC(unit)) continue;
+
+            const strengthGained = (10 - unit.strength) / 2;
+            unit.strength += strengthGained;
+
+            let ammoGained = 0;
+            const maxAmmo = unit.getType().maxAmmo;
+            if (maxAmmo !== null && unit.ammo < maxAmmo) {
+                unit.ammo++;
+                ammoGained = 1;
             }
+
+            unit.hasMoved = true;
+            unit.hasAttacked = true;
+            unit.entrenchment = 0;
+            unit.turnsStationary = 0;
+
+            actions.push({
+                type: 'unit_rebuilt',
+                unit: unit,
+                cost: 0,
+                expLost: 0,
+                strengthGained: strengthGained,
+                ammoGained: ammoGained
+            });
         }
 
         return actions;
     },
 
     /**
-     * Find an adjacent player trebuchet to attack
-     * @param {GameState} gameState - The current game state
-     * @param {Unit} infantry - The enemy infantry unit
-     * @returns {Unit|null} Target trebuchet or null if none adjacent
+     * Pull damaged units back toward the nearest castle the garrison holds
+     * (or away from the player when none is left), keeping away from the
+     * player units it knows of where it can. A unit holding a castle stays on it.
+     * @param {GameState} gameState
+     * @param {Array<Unit>} garrison - All enemy units
+     * @returns {Array} Action results
      */
-    findInfantryTarget(gameState, infantry) {
-        // Check all 6 adjacent hexes
-        for (let dir = 0; dir < 6; dir++) {
-            const adjacentHex = infantry.hex.neighbor(dir);
-            const unit = gameState.units.getUnitAt(adjacentHex);
-
-            // Looking for player trebuchets
-            if (unit &&
-                unit.playerId === 0 &&
-                unit.typeId === 'trebuchet' &&
-                unit.strength > 0) {
-                return unit;
-            }
+    fallBackGarrisonUnits(gameState, garrison) {
+        const actions = [];
+        const threats = this.getKnownPlayerHexes(gameState);
+
+        for (const unit of garrison) {
+            if (!this.isGarrisonUnitReady(unit) || unit.strength > GARRISON_RETREAT_STRENGTH) continue;
+            if (this.isOnGarrisonCastle(gameState, unit)) continue;
+
+            const { held } = this.getGarrisonCastles(gameState);
+            actions.push(...this.moveToBest(gameState, unit, hex => {
+                const exposed = this.distanceToNearest(hex, threats) <= 1 ? 10 : 0;
+                if (held.length === 0) return exposed - this.distanceToNearest(hex, threats);
+                return exposed + this.distanceToNearest(hex, held);
+            }));
         }
 
-        return null;
+        return actions;
     },
 
     /**
-     * Execute cavalry charges toward spotted player units
-     * Cavalry charges if ANY enemy unit spots a player unit.
-     * Cavalry will not move into river hexes, but will attack a unit in the river.
-     * @param {GameState} gameState - The current game state
-     * @param {Array<Unit>} enemyUnits - All enemy units
-     * @returns {Array} Array of action results
+     * Keep a unit on every castle: retake castles the player has left empty,
+     * then fill empty castles the garrison still holds. Each castle draws the
+     * nearest fit unit that is not already on a castle. A castle held by a
+     * player unit the garrison cannot see looks empty until it gets there.
+     * @param {GameState} gameState
+     * @param {Array<Unit>} garrison - All enemy units
+     * @returns {Array} Action results
      */
-    executeCavalryCharges(gameState, enemyUnits) {
+    holdGarrisonCastles(gameState, garrison) {
         const actions = [];
+        const { held, captured } = this.getGarrisonCastles(gameState);
 
-        // Find all player units spotted by ANY enemy unit
-        const spottedPlayerHexKeys = new Set();
-        for (const unit of enemyUnits) {
-            if (unit.strength <= 0) continue;
-            const spotting = unit.getType().spotting;
-            const visibleHexes = gameState.getHexesInRange(unit.hex, spotting);
-            for (const hex of visibleHexes) {
-                const target = gameState.units.getUnitAt(hex);
-                if (target && target.playerId === 0 && target.strength > 0) {
-                    spottedPlayerHexKeys.add(hex.key);
-                }
-            }
+        for (const castle of [...captured, ...held]) {
+            const occupant = gameState.units.getUnitAt(castle);
+            if (occupant && (occupant.playerId === 1 || this.isSpotted(gameState, occupant))) continue;
+
+            const candidates = garrison.filter(unit =>
+                this.canGarrisonUnitFight(unit) &&
+                !this.isOnGarrisonCastle(gameState, unit)
+            );
+            const unit = this.nearestUnit(castle, candidates);
+            if (!unit) break;
+
+            actions.push(...this.moveToBest(gameState, unit, hex => hex.distanceTo(castle)));
         }
 
-        if (spottedPlayerHexKeys.size === 0) return actions;
+        return actions;
+    },
 
-        // Get cavalry units
-        const cavalryUnits = enemyUnits.filter(unit =>
-            unit.typeId === 'cavalry' &&
-            unit.strength > 0
-        );
+    /**
+     * Each garrison unit that can fight makes the best-rated attack (see
+     * AttackScoring) it can reach this turn on a spotted player unit, if the
+     * attack is expected to go at least GARRISON_ATTACK_MIN_RATIO well - see
+     * findCounterattackTarget. A unit holding a castle only strikes next to it.
+     * @param {GameState} gameState
+     * @param {Array<Unit>} garrison - All enemy units
+     * @returns {Array} Action results
+     */
+    executeCounterattacks(gameState, garrison) {
+        const actions = [];
 
-        for (const cav of cavalryUnits) {
-            // Find the closest spotted player unit
-            const target = this.findCavalryTarget(gameState, cav, spottedPlayerHexKeys);
-            if (!target) continue;
-
-            // Check if already adjacent — attack immediately
-            const dist = cav.hex.distanceTo(target.hex);
-            if (dist === 1) {
-                const dfActions = this.executeAttackWithDefensiveFire(gameState, cav, target);
-                actions.push(...dfActions);
-                continue;
-            }
+        for (const unit of garrison) {
+            if (!this.canGarrisonUnitFight(unit)) continue;
 
-            // Move toward target (avoiding river), then attack if adjacent
-            this.moveCavalryToward(gameState, cav, target.hex);
-            if (cav.strength > 0) {
-                // Check if now adjacent to target (and target still alive)
-                const newDist = cav.hex.distanceTo(target.hex);
-                if (newDist === 1 && target.strength > 0) {
-                    const dfActions = this.executeAttackWithDefensiveFire(gameState, cav, target);
-                    actions.push(...dfActions);
-                }
+            const target = this.findCounterattackTarget(gameState, unit);
+            if (target) {
+                actions.push(...this.attackWithGarrisonUnit(gameState, unit, target));
             }
         }
 
@@ -267,136 +398,273 @@ const EnemyAI = {
     },
 
     /**
-     * Find the closest spotted player unit for cavalry to charge
-     * @param {GameState} gameState - The current game state
-     * @param {Unit} cavalry - The cavalry unit
-     * @param {Set} spottedPlayerHexKeys - Set of hex keys with spotted player units
-     * @returns {Unit|null} Target unit or null
-     */
-    findCavalryTarget(gameState, cavalry, spottedPlayerHexKeys) {
-        let bestTarget = null;
-        let bestDist = Infinity;
-
-        const allPlayerUnits = gameState.units.getPlayerUnits(0);
-        for (const pu of allPlayerUnits) {
-            if (pu.strength > 0 && spottedPlayerHexKeys.has(pu.hex.key)) {
-                const dist = cavalry.hex.distanceTo(pu.hex);
-                if (dist < bestDist) {
-                    bestDist = dist;
-                    bestTarget = pu;
-                }
-            }
+     * Pick the spotted player unit a garrison unit can reach that is the best
+     * attack, if any is expected to go well enough (GARRISON_ATTACK_MIN_RATIO).
+     * A unit holding a castle only attacks next to it.
+     * @param {GameState} gameState
+     * @param {Unit} unit - The garrison unit
+     * @returns {Unit|null}
+     */
+    findCounterattackTarget(gameState, unit) {
+        const holdingCastle = this.isOnGarrisonCastle(gameState, unit);
+        const ratings = [];
+
+        for (const hex of gameState.getValidMovementHexes(unit)) {
+            const defender = gameState.units.getUnitAt(hex);
+            if (!defender || defender.playerId !== 0 || !this.isSpotted(gameState, defender)) continue;
+            if (holdingCastle && unit.hex.distanceTo(hex) > 1) continue;
+
+            const approach = gameState.getAttackApproach(unit, hex);
+            if (!approach) continue;
+            ratings.push(AttackScoring.rateAttack(gameState, unit, defender, {
+                fromHex: approach.stopHex,
+                moveCost: approach.moveCost,
+                surpriseAttack: approach.surpriseAttack,
+                riverAttack: approach.riverAttack
+            }));
         }
 
-        return bestTarget;
+        const best = AttackScoring.chooseBest(ratings, GARRISON_ATTACK_MIN_RATIO);
+        return best ? best.defender : null;
     },
 
     /**
-     * Move cavalry toward a target hex, avoiding river hexes.
-     * Uses greedy step-by-step movement up to the unit's movement points.
-     * @param {GameState} gameState - The current game state
-     * @param {Unit} cavalry - The cavalry unit
-     * @param {Hex} targetHex - The hex to move toward
+     * Stand the remaining fit units across the approaches to the castles.
+     * Each covers the held castle nearest to it, on the hex within
+     * GARRISON_BLOCK_RADIUS of the castle that is closest to the known player
+     * unit nearest that castle, preferring close terrain.
+     * @param {GameState} gameState
+     * @param {Array<Unit>} garrison - All enemy units
+     * @returns {Array} Action results
      */
-    moveCavalryToward(gameState, cavalry, targetHex) {
-        const unitType = cavalry.getType();
-        let movementLeft = unitType.movement;
+    blockCastleApproaches(gameState, garrison) {
+        const actions = [];
+        const threats = this.getKnownPlayerHexes(gameState);
+        if (threats.length === 0) return actions;
+
+        for (const unit of garrison) {
+            if (!this.canGarrisonUnitFight(unit) || this.isOnGarrisonCastle(gameState, unit)) continue;
+
+            const castle = this.nearestHex(unit.hex, this.getGarrisonCastles(gameState).held);
+            if (!castle) break;
+            const threat = this.nearestHex(castle, threats);
+
+            actions.push(...this.moveToBest(gameState, unit, hex => {
+                const fromCastle = hex.distanceTo(castle);
+                if (fromCastle > GARRISON_BLOCK_RADIUS) return 100 + fromCastle;
+                const cover = isCloseTerrain(gameState.getTerrainAt(hex)) ? 0.5 : 0;
+                return hex.distanceTo(threat) - cover;
+            }));
+        }
 
-        while (movementLeft > 0) {
-            let bestNeighbor = null;
-            let bestDist = cavalry.hex.distanceTo(targetHex);
-            let bestCost = Infinity;
+        return actions;
+    },
 
-            for (let dir = 0; dir < 6; dir++) {
-                const neighbor = cavalry.hex.neighbor(dir);
-                if (!gameState.map.hasCell(neighbor)) continue;
+    /**
+     * Move trebuchets that did not fire to where they can shoot next turn,
+     * behind the garrison's line: a hex with infantry or cavalry within two
+     * hexes that is nearer the closest known player unit, and never next to
+     * one. With no line to hide behind they keep their distance.
+     * @param {GameState} gameState
+     * @param {Array<Unit>} garrison - All enemy units
+     * @returns {Array} Action results
+     */
+    positionGarrisonTrebuchets(gameState, garrison) {
+        const actions = [];
+        const threats = this.getKnownPlayerHexes(gameState);
+        if (threats.length === 0) return actions;
+
+        const screen = garrison.filter(unit => unit.strength > 0 && unit.typeId !== 'trebuchet');
+
+        for (const trebuchet of garrison) {
+            if (trebuchet.typeId !== 'trebuchet' || !this.isGarrisonUnitReady(trebuchet)) continue;
+            const range = trebuchet.getType().range;
+
+            actions.push(...this.moveToBest(gameState, trebuchet, hex => {
+                const threat = this.nearestHex(hex, threats);
+                const distance = hex.distanceTo(threat);
+                const screened = screen.some(unit =>
+                    unit.hex.distanceTo(hex) <= 2 && unit.hex.distanceTo(threat) < distance
+                );
+                if (screened && distance > 1) return Math.abs(distance - range);
+                return 100 - distance;
+            }));
+        }
 
-                const cell = gameState.map.getCell(neighbor);
-                if (!cell) continue;
+        return actions;
+    },
 
-                // Never move into river, mountain, or water
-                if (cell.terrain === TerrainType.RIVER ||
-                    cell.terrain === TerrainType.MOUNTAIN ||
-                    cell.terrain === TerrainType.WATER) continue;
+    /**
+     * Move a garrison unit to the reachable empty hex with the lowest score.
+     * It stays put unless some hex scores strictly better than its own.
+     * @param {GameState} gameState
+     * @param {Unit} unit - The unit to move
+     * @param {Function} score - (hex) => number, lower is better
+     * @returns {Array} Action results
+     */
+    moveToBest(gameState, unit, score) {
+        let bestHex = unit.hex;
+        let bestScore = score(unit.hex);
+
+        for (const hex of gameState.getValidMovementHexes(unit)) {
+            if (gameState.units.getUnitAt(hex)) continue;
+            const hexScore = score(hex);
+            if (hexScore < bestScore) {
+                bestScore = hexScore;
+                bestHex = hex;
+            }
+        }
 
-                // Check movement cost
-                const currentCell = gameState.map.getCell(cavalry.hex);
-                const edgeFeature = currentCell.getEdge(dir);
-                const moveCost = getMovementCost(cell.terrain, edgeFeature, movementLeft);
-                if (moveCost === Infinity || moveCost > movementLeft) continue;
+        if (bestHex.equals(unit.hex)) return [];
+        return this.moveGarrisonUnit(gameState, unit, bestHex);
+    },
 
-                // Can't move into occupied hex
-                const occupant = gameState.units.getUnitAt(neighbor);
-                if (occupant) continue;
+    /**
+     * Move a garrison unit with GameState.moveUnit, which stops it at the
+     * zone of control of player units it could not see, and retake a
+     * captured castle if that is where it ends up
+     * @param {GameState} gameState
+     * @param {Unit} unit - The unit to move
+     * @param {Hex} hex - Destination
+     * @returns {Array} Action results (unit_moved, castle_retaken)
+     */
+    moveGarrisonUnit(gameState, unit, hex) {
+        const actions = [];
+        const from = unit.hex;
+        if (!gameState.moveUnit(unit, hex).success) return actions;
+        this.observe(gameState, [unit]);
 
-                // Pick the neighbor that gets closest to target
-                const dist = neighbor.distanceTo(targetHex);
-                if (dist < bestDist || (dist === bestDist && moveCost < bestCost)) {
-                    bestDist = dist;
-                    bestNeighbor = neighbor;
-                    bestCost = moveCost;
-                }
+        const move = this.moveAction(unit, from);
+        if (move) actions.push(move);
+        actions.push(...this.checkGarrisonRetake(gameState, unit));
+        return actions;
+    },
+
+    /**
+     * Attack a player unit, moving next to it first if need be (the
+     * approach, surprise and river rules are the player's, see
+     * GameState.getAttackApproach). Adjacent player artillery fires first.
+     * @param {GameState} gameState
+     * @param {Unit} unit - The attacking unit
+     * @param {Unit} target - The player unit to attack
+     * @returns {Array} Action results
+     */
+    attackWithGarrisonUnit(gameState, unit, target) {
+        const actions = [];
+        const from = unit.hex;
+        const approach = gameState.moveUnit(unit, target.hex);
+        if (!approach.success) return actions;
+        this.observe(gameState, [unit]);
+
+        const move = this.moveAction(unit, from);
+        if (move) actions.push(move);
+        actions.push(...this.checkGarrisonRetake(gameState, unit));
+
+        if (approach.battleTriggered) {
+            actions.push(...this.executeAttackWithDefensiveFire(gameState, unit, target, {
+                surpriseAttack: approach.surpriseAttack,
+                riverAttack: approach.riverAttack
+            }));
+            if (!unit.isDestroyed()) {
+                unit.performAttack();
             }
+        }
 
-            if (!bestNeighbor) break;
+        return actions;
+    },
 
-            cavalry.hex = bestNeighbor;
-            movementLeft -= bestCost;
+    /**
+     * Retake a captured castle if the unit stands on it
+     * @param {GameState} gameState
+     * @param {Unit} unit - A garrison unit that just moved
+     * @returns {Array} Action results (castle_retaken)
+     */
+    checkGarrisonRetake(gameState, unit) {
+        if (!gameState.checkEnemyCastleRetake(unit.hex)) return [];
+        return [{ type: 'castle_retaken', hex: unit.hex, unit: unit }];
+    },
 
-            // Stop if adjacent to target
-            if (bestDist <= 1) break;
-        }
+    /**
+     * Whether a garrison unit has not acted yet this turn
+     * @param {Unit} unit
+     * @returns {boolean}
+     */
+    isGarrisonUnitReady(unit) {
+        return unit.strength > 0 && !unit.hasMoved && !unit.hasAttacked;
     },
 
     /**
-     * Execute a melee attack for enemy AI
-     * @param {GameState} gameState - The current game state
-     * @param {Unit} attacker - The attacking unit
-     * @param {Unit} defender - The target unit
-     * @returns {Object} Battle result
+     * Whether a garrison unit can still take to the field this turn:
+     * ready, not a trebuchet, and not so damaged it should fall back
+     * @param {Unit} unit
+     * @returns {boolean}
      */
-    executeMeleeAttack(gameState, attacker, defender) {
-        // Get defender terrain
-        const defenderCell = gameState.map.getCell(defender.hex);
-        const defenderTerrain = defenderCell ? defenderCell.terrain : TerrainType.GRASS;
-        const closeTerrain = isCloseTerrain(defenderTerrain);
+    canGarrisonUnitFight(unit) {
+        return this.isGarrisonUnitReady(unit) &&
+            unit.typeId !== 'trebuchet' &&
+            unit.strength > GARRISON_RETREAT_STRENGTH;
+    },
 
-        // Resolve battle (melee = both take damage)
-        const result = resolveBattle(attacker, defender, {
-            closeTerrain: closeTerrain
-        });
+    /**
+     * Whether a unit stands on one of the garrison's castles, held or captured
+     * @param {GameState} gameState
+     * @param {Unit} unit
+     * @returns {boolean}
+     */
+    isOnGarrisonCastle(gameState, unit) {
+        return gameState.enemyCastleKeys.includes(unit.hex.key);
+    },
 
-        // Apply damage to both units
-        attacker.takeDamage(result.attackerDamage);
-        defender.takeDamage(result.defenderDamage);
-
-        // Experience gain for surviving units
-        // Player units (defender) gain prestige when they survive and gain exp
-        if (!result.attackerDestroyed) {
-            attacker.gainExperience(result.attackerDamage);
-        }
-        let defenderExpGain = 0;
-        if (!result.defenderDestroyed) {
-            defenderExpGain = defender.gainExperience(result.defenderDamage);
-            // Player gains prestige from surviving melee (looting)
-            if (defender.playerId === 0) {
-                const prestigeGain = RebuildSystem.calculateBattlePrestige(defenderExpGain, false);
-                gameState.prestige += prestigeGain;
-            }
+    /**
+     * The garrison's castles
+     * @param {GameState} gameState
+     * @returns {Object} { held, captured } - Castle hexes still held, and those the player has taken
+     */
+    getGarrisonCastles(gameState) {
+        const held = [];
+        const captured = [];
+        for (const key of gameState.enemyCastleKeys) {
+            (gameState.capturedCastles.includes(key) ? captured : held).push(Hex.fromKey(key));
         }
+        return { held, captured };
+    },
 
-        // Reduce defender entrenchment
-        defender.reduceEntrenchment();
-
-        // Remove destroyed units
-        if (result.attackerDestroyed) {
-            gameState.units.removeUnit(attacker.id);
-        }
-        if (result.defenderDestroyed) {
-            gameState.units.removeUnit(defender.id);
+    /**
+     * The hex nearest to another, first listed on ties
+     * @param {Hex} hex
+     * @param {Array<Hex>} hexes
+     * @returns {Hex|null} Null if hexes is empty
+     */
+    nearestHex(hex, hexes) {
+        let best = null;
+        for (const other of hexes) {
+            if (!best || hex.distanceTo(other) < hex.distanceTo(best)) {
+                best = other;
+            }
         }
+        return best;
+    },
 
-        return result;
+    /**
+     * The unit nearest to a hex, first listed on ties
+     * @param {Hex} hex
+     * @param {Array<Unit>} units
+     * @returns {Unit|null} Null if units is empty
+     */
+    nearestUnit(hex, units) {
+        const nearest = this.nearestHex(hex, units.map(unit => unit.hex));
+        return nearest ? units.find(unit => unit.hex.equals(nearest)) : null;
+    },
+
+    /**
+     * Distance from a hex to the nearest of some hexes
+     * @param {Hex} hex
+     * @param {Array<Hex>} hexes
+     * @returns {number} Infinity if hexes is empty
+     */
+    distanceToNearest(hex, hexes) {
+        const nearest = this.nearestHex(hex, hexes);
+        return nearest ? hex.distanceTo(nearest) : Infinity;
     },
 
     // ==================== HORDE AI (Defense Mode) ====================
@@ -417,7 +685,10 @@ const EnemyAI = {
 
         // Phase 1: Rebuild check — heal all surviving units if in rebuild mode
         if (hordeState.rebuildMode) {
-            this.processHordeRebuild(gameState, enemyUnits);
+            const rebuilt = this.processHordeRebuild(gameState, enemyUnits);
+            if (rebuilt.length > 0) {
+                actions.push({ type: 'horde_rebuilt', units: rebuilt });
+            }
             hordeState.rebuildMode = false;
             // During rebuild turn, only full-strength units act
             const fullStrengthUnits = enemyUnits.filter(u => u.strength >= 10);
@@ -448,14 +719,17 @@ const EnemyAI = {
      * Rebuild phase: heal all surviving horde units to full strength
      * @param {GameState} gameState
      * @param {Array<Unit>} enemyUnits
+     * @returns {Array<Unit>} The units that were healed
      */
     processHordeRebuild(gameState, enemyUnits) {
+        const healed = [];
         for (const unit of enemyUnits) {
             if (unit.strength > 0 && unit.strength < 10) {
                 unit.strength = 10;
-                console.log(`Horde rebuild: ${unit.typeId} healed to full strength`);
+                healed.push(unit);
             }
         }
+        return healed;
     },
 
     /**
@@ -476,16 +750,20 @@ const EnemyAI = {
             // Find targets in range, prioritize castle defenders
             const target = this.findHordeTrebuchetTarget(gameState, treb);
             if (target) {
-                const result = this.executeRangedAttack(gameState, treb, target);
+                const battle = this.executeRangedAttack(gameState, treb, target);
                 actions.push({
                     type: 'ranged_attack',
                     attacker: treb,
                     defender: target,
-                    result: result
+                    battle: battle
                 });
             } else {
                 // No target — move toward main cavalry force
-                this.moveTrebuchetTowardMainForce(gameState, treb, enemyUnits);
+                const move = this.moveTrebuchetTowardMainForce(gameState, treb, enemyUnits);
+                if (move) {
+                    actions.push(move);
+                    this.observe(gameState, [treb]);
+                }
             }
         }
 
@@ -493,7 +771,7 @@ const EnemyAI = {
     },
 
     /**
-     * Find best target for horde trebuchet, prioritizing units on castles
+     * Find best target for horde trebuchet; castle defenders count double
      * @param {GameState} gameState
      * @param {Unit} trebuchet
      * @returns {Unit|null}
@@ -501,31 +779,23 @@ const EnemyAI = {
     findHordeTrebuchetTarget(gameState, trebuchet) {
         const range = trebuchet.getType().range;
         const hexesInRange = gameState.getHexesInRange(trebuchet.hex, range);
-
-        let bestTarget = null;
-        let bestPriority = -1;
+        const ratings = [];
 
         for (const hex of hexesInRange) {
             if (hex.equals(trebuchet.hex)) continue;
+            if (!gameState.hasLineOfSight(trebuchet.hex, hex)) continue;
             const unit = gameState.units.getUnitAt(hex);
             if (!unit || unit.playerId !== 0 || unit.strength <= 0) continue;
+            if (!this.isSpotted(gameState, unit)) continue;
 
-            // Priority: castle defender > trebuchet > other
-            const cell = gameState.map.getCell(hex);
-            let priority = 1;
-            if (cell && cell.terrain === TerrainType.CASTLE) {
-                priority = 3; // Castle defenders are highest priority
-            } else if (unit.typeId === 'trebuchet') {
-                priority = 2; // Player trebuchets are high priority
-            }
-
-            if (priority > bestPriority) {
-                bestPriority = priority;
-                bestTarget = unit;
-            }
+            ratings.push(AttackScoring.rateAttack(gameState, trebuchet, unit, {
+                rangedAttack: true,
+                objective: gameState.getTerrainAt(hex) === TerrainType.CASTLE
+            }));
         }
 
-        return bestTarget;
+        const best = AttackScoring.chooseBest(ratings);
+        return best ? best.defender : null;
     },
 
     /**
@@ -533,12 +803,14 @@ const EnemyAI = {
      * @param {GameState} gameState
      * @param {Unit} trebuchet
      * @param {Array<Unit>} enemyUnits
+     * @returns {Object|null} Move action, or null if the trebuchet stayed put
      */
     moveTrebuchetTowardMainForce(gameState, trebuchet, enemyUnits) {
         // Find the average position of cavalry units
         const cavalry = enemyUnits.filter(u => u.typeId === 'cavalry' && u.strength > 0);
-        if (cavalry.length === 0) return;
+        if (cavalry.length === 0) return null;
 
+        const from = trebuchet.hex;
         let avgQ = 0, avgR = 0;
         for (const cav of cavalry) {
             avgQ += cav.hex.q;
@@ -587,9 +859,11 @@ const EnemyAI = {
             }
 
             if (!bestNeighbor) break;
-            trebuchet.hex = bestNeighbor;
+            gameState.units.moveUnit(trebuchet, bestNeighbor);
             movementLeft -= bestCost;
         }
+
+        return this.moveAction(trebuchet, from);
     },
 
     /**
@@ -625,11 +899,8 @@ const EnemyAI = {
     },
 
     /**
-     * Execute a single cavalry unit's turn using priority decision tree:
-     * 1. Adjacent to player trebuchet? → Attack
-     * 2. Adjacent to castle defender? → Attack
-     * 3. Adjacent to player unit on open ground with strength advantage? → Attack
-     * 4. Otherwise → Move toward assigned castle, then attack if adjacent after move
+     * Execute a single cavalry unit's turn: charge a target next to it, or
+     * move toward its assigned castle and charge one next to it there
      * @param {GameState} gameState
      * @param {Unit} cav - The cavalry unit
      * @param {Hex} targetCastleHex - The castle this unit is heading toward
@@ -638,136 +909,75 @@ const EnemyAI = {
     executeSingleCavalryTurn(gameState, cav, targetCastleHex) {
         const actions = [];
 
-        // Priority 1: Attack adjacent player trebuchet (easy kill, high value)
-        const adjTrebuchet = this.findAdjacentPlayerUnit(gameState, cav, 'trebuchet');
-        if (adjTrebuchet) {
-            const dfActions = this.executeAttackWithDefensiveFire(gameState, cav, adjTrebuchet);
-            actions.push(...dfActions);
-            return actions;
-        }
-
-        // Priority 2: Attack adjacent castle defender
-        const adjCastleDefender = this.findAdjacentCastleDefender(gameState, cav);
-        if (adjCastleDefender) {
-            const dfActions = this.executeAttackWithDefensiveFire(gameState, cav, adjCastleDefender);
-            actions.push(...dfActions);
-            return actions;
-        }
-
-        // Priority 3: Attack adjacent player unit on open ground if we have strength advantage
-        const adjOpenTarget = this.findAdjacentOpenGroundTarget(gameState, cav);
-        if (adjOpenTarget) {
-            const dfActions = this.executeAttackWithDefensiveFire(gameState, cav, adjOpenTarget);
-            actions.push(...dfActions);
-            return actions;
-        }
-
-        // Priority 4: Move toward assigned castle
-        if (cav.strength > 0) {
-            this.moveHordeCavalryToward(gameState, cav, targetCastleHex);
-
-            // After moving, check if adjacent to any attackable target
-            if (cav.strength > 0) {
-                // Re-check priorities after moving
-                const postMoveTreb = this.findAdjacentPlayerUnit(gameState, cav, 'trebuchet');
-                if (postMoveTreb) {
-                    const dfActions = this.executeAttackWithDefensiveFire(gameState, cav, postMoveTreb);
-                    actions.push(...dfActions);
-                    return actions;
-                }
-
-                const postMoveCastle = this.findAdjacentCastleDefender(gameState, cav);
-                if (postMoveCastle) {
-                    const dfActions = this.executeAttackWithDefensiveFire(gameState, cav, postMoveCastle);
-                    actions.push(...dfActions);
-                    return actions;
-                }
+        let target = this.findHordeCavalryTarget(gameState, cav);
+        if (!target) {
+            const move = this.moveHordeCavalryToward(gameState, cav, targetCastleHex);
+            if (move) actions.push(move);
+            target = this.findHordeCavalryTarget(gameState, cav);
+        }
 
-                const postMoveOpen = this.findAdjacentOpenGroundTarget(gameState, cav);
-                if (postMoveOpen) {
-                    const dfActions = this.executeAttackWithDefensiveFire(gameState, cav, postMoveOpen);
-                    actions.push(...dfActions);
-                    return actions;
-                }
-            }
+        if (target) {
+            actions.push(...this.executeAttackWithDefensiveFire(gameState, cav, target));
         }
 
         return actions;
     },
 
     /**
-     * Find an adjacent player unit of a specific type
+     * Pick the spotted player unit next to a horde cavalry unit to charge.
+     * Trebuchets and castle defenders are always fair game (castle defenders
+     * count double); a unit in the open only if the charge is expected to
+     * pay (HORDE_ATTACK_MIN_RATIO), and never one in other close terrain.
+     * The best-rated attack wins.
      * @param {GameState} gameState
-     * @param {Unit} unit - The searching unit
-     * @param {string} typeId - The type to look for
+     * @param {Unit} cav - The cavalry unit
      * @returns {Unit|null}
      */
-    findAdjacentPlayerUnit(gameState, unit, typeId) {
-        for (let dir = 0; dir < 6; dir++) {
-            const neighbor = unit.hex.neighbor(dir);
-            const adj = gameState.units.getUnitAt(neighbor);
-            if (adj && adj.playerId === 0 && adj.typeId === typeId && adj.strength > 0) {
-                return adj;
-            }
-        }
-        return null;
-    },
+    findHordeCavalryTarget(gameState, cav) {
+        const ratings = [];
 
-    /**
-     * Find an adjacent player unit that is defending a castle
-     * @param {GameState} gameState
-     * @param {Unit} unit
-     * @returns {Unit|null}
-     */
-    findAdjacentCastleDefender(gameState, unit) {
         for (let dir = 0; dir < 6; dir++) {
-            const neighbor = unit.hex.neighbor(dir);
-            const adj = gameState.units.getUnitAt(neighbor);
-            if (adj && adj.playerId === 0 && adj.strength > 0) {
-                const cell = gameState.map.getCell(neighbor);
-                if (cell && cell.terrain === TerrainType.CASTLE) {
-                    return adj;
-                }
-            }
-        }
-        return null;
-    },
+            const hex = cav.hex.neighbor(dir);
+            const unit = gameState.units.getUnitAt(hex);
+            if (!unit || unit.playerId !== 0 || unit.strength <= 0) continue;
+            if (!this.isSpotted(gameState, unit)) continue;
 
-    /**
-     * Find an adjacent player unit on open ground where cavalry has strength advantage
-     * @param {GameState} gameState
-     * @param {Unit} cav - The cavalry unit
-     * @returns {Unit|null}
-     */
-    findAdjacentOpenGroundTarget(gameState, cav) {
-        for (let dir = 0; dir < 6; dir++) {
-            const neighbor = cav.hex.neighbor(dir);
-            const adj = gameState.units.getUnitAt(neighbor);
-            if (adj && adj.playerId === 0 && adj.strength > 0) {
-                const cell = gameState.map.getCell(neighbor);
-                if (cell && !isCloseTerrain(cell.terrain) && cav.strength >= adj.strength) {
-                    return adj;
-                }
+            const terrain = gameState.getTerrainAt(hex);
+            const onCastle = terrain === TerrainType.CASTLE;
+            const inOpen = !isCloseTerrain(terrain);
+
+            const rating = AttackScoring.rateAttack(gameState, cav, unit, { objective: onCastle });
+            if (unit.typeId === 'trebuchet' || onCastle ||
+                (inOpen && rating.damageRatio >= HORDE_ATTACK_MIN_RATIO)) {
+                ratings.push(rating);
             }
         }
-        return null;
+
+        const best = AttackScoring.chooseBest(ratings);
+        return best ? best.defender : null;
     },
 
     /**
      * Move horde cavalry toward a target hex using greedy pathfinding.
-     * Avoids river, mountain, water. Discourages moving adjacent to defenders in close terrain.
+     * Avoids river, mountain, water. Discourages moving adjacent to defenders in close terrain
+     * that the horde knows of, and looks around after every step. An unskilled horde
+     * ignores those defenders; a skilled one avoids them right up to the target.
      * @param {GameState} gameState
      * @param {Unit} cav - The cavalry unit
      * @param {Hex} targetHex - Destination hex
+     * @returns {Object|null} Move action, or null if the cavalry stayed put
      */
     moveHordeCavalryToward(gameState, cav, targetHex) {
+        const from = cav.hex;
         const unitType = cav.getType();
         let movementLeft = unitType.movement;
+        const skill = this.getSkill(gameState);
 
         while (movementLeft > 0) {
             let bestNeighbor = null;
             let bestScore = Infinity;
             let bestCost = Infinity;
+            const knownDefenders = new Set(this.getKnownPlayerHexes(gameState).map(hex => hex.key));
 
             for (let dir = 0; dir < 6; dir++) {
                 const neighbor = cav.hex.neighbor(dir);
@@ -794,12 +1004,12 @@ const EnemyAI = {
                 let score = neighbor.distanceTo(targetHex);
 
                 // Only apply close-terrain penalty when far from target (>3 hexes)
-                // At close range, cavalry should charge toward castle regardless
-                if (cav.hex.distanceTo(targetHex) > 3) {
+                // At close range, cavalry should charge toward castle regardless,
+                // unless it is skilled enough to keep clear of all but the castle's defender
+                if (skill >= 2 || (skill > 0 && cav.hex.distanceTo(targetHex) > 3)) {
                     for (let d2 = 0; d2 < 6; d2++) {
                         const n2 = neighbor.neighbor(d2);
-                        const adj = gameState.units.getUnitAt(n2);
-                        if (adj && adj.playerId === 0 && adj.strength > 0) {
+                        if (knownDefenders.has(n2.key) && !n2.equals(targetHex)) {
                             const adjCell = gameState.map.getCell(n2);
                             if (adjCell && isCloseTerrain(adjCell.terrain)) {
                                 score += 3; // Heavy penalty for close-terrain defenders
@@ -820,8 +1030,9 @@ const EnemyAI = {
             // Don't move if it doesn't get us closer (avoid oscillating)
             if (bestScore >= cav.hex.distanceTo(targetHex) + 4) break;
 
-            cav.hex = bestNeighbor;
+            gameState.units.moveUnit(cav, bestNeighbor);
             movementLeft -= bestCost;
+            this.observe(gameState, [cav]);
 
             // Stop if on the target castle
             if (cav.hex.equals(targetHex)) break;
@@ -832,6 +1043,8 @@ const EnemyAI = {
                 if (defender && defender.playerId === 0) break;
             }
         }
+
+        return this.moveAction(cav, from);
     },
 
     /**
@@ -870,11 +1083,15 @@ const EnemyAI = {
                 if (!hordeState.garrisonUnits) hordeState.garrisonUnits = {};
                 hordeState.garrisonUnits[occupant.id] = castleKey;
 
-                // Trigger rebuild mode for next turn
-                hordeState.rebuildMode = true;
+                // Trigger rebuild mode for next turn, unless the difficulty denies it
+                if (gameState.getDifficultySettings().hordeRebuild) {
+                    hordeState.rebuildMode = true;
+                }
 
                 // Reassign remaining cavalry to next uncaptured castle
-                this.reassignHordeUnits(gameState, hordeState, level);
+                for (const reassignment of this.reassignHordeUnits(gameState, hordeState, level)) {
+                    actions.push({ type: 'horde_reassigned', ...reassignment });
+                }
             }
         }
 
@@ -887,14 +1104,17 @@ const EnemyAI = {
      * @param {GameState} gameState
      * @param {Object} hordeState
      * @param {Object} level
+     * @returns {Array<Object>} Reassignments: { unit, castleKey }
      */
     reassignHordeUnits(gameState, hordeState, level) {
+        const reassignments = [];
+
         // Find uncaptured player castles
         const uncapturedCastles = gameState.playerCastleKeys.filter(
             key => !gameState.lostCastles.includes(key)
         );
 
-        if (uncapturedCastles.length === 0) return;
+        if (uncapturedCastles.length === 0) return reassignments;
 
         // Find nearest uncaptured castle for reassignment
         const enemyUnits = gameState.units.getPlayerUnits(1);
@@ -921,9 +1141,11 @@ const EnemyAI = {
                 }
 
                 hordeState.assignments[unit.id] = bestCastle;
-                console.log(`Horde cavalry reassigned to castle ${bestCastle}`);
+                reassignments.push({ unit: unit, castleKey: bestCastle });
             }
         }
+
+        return reassignments;
     },
 
     /**
@@ -953,9 +1175,10 @@ const EnemyAI = {
      * @param {GameState} gameState
      * @param {Unit} attacker - The enemy unit attacking
      * @param {Unit} defender - The player unit being attacked
+     * @param {Object} options - Combat modifiers for the melee (see executeMeleeAttack)
      * @returns {Array} Array of action results (defensive_fire + melee_attack)
      */
-    executeAttackWithDefensiveFire(gameState, attacker, defender) {
+    executeAttackWithDefensiveFire(gameState, attacker, defender, options = {}) {
         const actions = [];
 
         // Find player artillery adjacent to the defender
@@ -964,14 +1187,14 @@ const EnemyAI = {
         // Execute defensive fire (each trebuchet fires at the attacker)
         for (const art of defArtillery) {
             if (attacker.isDestroyed()) break;
-            const result = this.executeRangedAttack(gameState, art, attacker);
-            actions.push({ type: 'defensive_fire', attacker: art, defender: attacker, result });
+            const battle = this.executeRangedAttack(gameState, art, attacker);
+            actions.push({ type: 'defensive_fire', attacker: art, defender: attacker, battle });
         }
 
         // If attacker survived defensive fire, execute melee
         if (!attacker.isDestroyed()) {
-            const result = this.executeMeleeAttack(gameState, attacker, defender);
-            actions.push({ type: 'melee_attack', attacker, defender, result });
+            const battle = this.executeMeleeAttack(gameState, attacker, defender, options);
+            actions.push({ type: 'melee_attack', attacker, defender, battle });
         }
 
         return actions;
@@ -4,11 +4,12 @@
 const CONFIG = {
     // Hex geometry (flat-top orientation)
     // HEX_SIZE is the RENDERED size (distance from center to corner).
-    // MAP_GEN_HEX_SIZE is the size the original maps were designed around -
-    // map generation derives hex counts from it, so it must stay at 32
-    // to keep the maps exactly as they were.
     HEX_SIZE: 64,
-    MAP_GEN_HEX_SIZE: 32,
+
+    // Playable map size in hexes (columns x visual rows) for levels that
+    // don't set mapWidth and mapHeight
+    MAP_WIDTH: 20,
+    MAP_HEIGHT: 15,
 
     // Zoom limits (rendered hex size)
     MIN_HEX_SIZE: 36,
@@ -37,8 +38,13 @@ const CONFIG = {
 
     // Autosave
     AUTOSAVE_INTERVAL_MS: 30000,
+    AUTOSAVE_TURNS: 5,          // start-of-turn autosaves kept per game
+
+    // Storage (IndexedDB database, or localStorage item prefix as fallback)
+    STORAGE_DB_NAME: 'puddygeneral',
+    STORAGE_RECORD_PREFIX: 'puddygeneral_save:',
 
-    // LocalStorage keys
+    // LocalStorage keys used before saves moved to IndexedDB (migrated on load)
     STORAGE_KEY: 'puddygeneral_games',
     CURRENT_GAME_KEY: 'puddygeneral_current'
 };
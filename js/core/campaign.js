@@ -0,0 +1,167 @@
+/**
+ * Campaign progress - which levels have been won, the best result on each,
+ * and which levels the campaign has reached, with the army and prestige it
+ * brought there
+ * The campaign branches: how a level ends (its victory grade, or a defeat)
+ * picks the next level, see LevelManager.getNextLevel.
+ * Progress is stored on its own (see GameStorage.saveCampaign), so loading
+ * or deleting a saved game never changes it.
+ */
+class Campaign {
+    constructor() {
+        // levelId -> { wins, bestResult, bestPrestige }
+        this.levels = {};
+        // levelId -> { from, outcome, carryOver } - how the campaign last reached each level
+        this.routes = {};
+    }
+
+    /**
+     * Progress on a level
+     * @param {number} levelId
+     * @returns {Object|null} { wins, bestResult, bestPrestige }, or null if never won
+     */
+    getLevelProgress(levelId) {
+        return this.levels[levelId] || null;
+    }
+
+    /**
+     * @param {number} levelId
+     * @returns {boolean} True if the level has been won at least once
+     */
+    isWon(levelId) {
+        const progress = this.getLevelProgress(levelId);
+        return progress !== null && progress.wins > 0;
+    }
+
+    /**
+     * A level opens once the campaign has reached it (the first is always open)
+     * @param {number} levelId
+     * @returns {boolean}
+     */
+    isUnlocked(levelId) {
+        const levelIds = LevelManager.getAllLevelIds();
+        const index = levelIds.indexOf(levelId);
+        if (index < 0) return false;
+        return index === 0 || this.routes[levelId] !== undefined;
+    }
+
+    /**
+     * Record a won level
+     * Keeps the best result and prestige, and opens the level the victory's
+     * grade leads to, carrying this win's prestige and core army there.
+     * @param {GameState} gameState - The game as it stands after the victory
+     * @param {Object} event - The engine's victory event
+     * @returns {Object} The level's progress
+     */
+    recordVictory(gameState, event) {
+        const levelId = gameState.currentLevel;
+        const progress = this.levels[levelId] || { wins: 0, bestResult: null, bestPrestige: 0 };
+        const result = Campaign.getResult(event);
+
+        progress.wins++;
+        if (!progress.bestResult || result.score > progress.bestResult.score) {
+            progress.bestResult = result;
+        }
+        progress.bestPrestige = Math.max(progress.bestPrestige, gameState.prestige);
+        this.levels[levelId] = progress;
+
+        this.addRoute(gameState, result.grade);
+        return progress;
+    }
+
+    /**
+     * Record a lost level
+     * If the level has a fallback for a defeat, the campaign continues there
+     * with the survivors and the prestige left.
+     * @param {GameState} gameState - The game as it stands after the defeat
+     * @returns {Object|null} The fallback level, or null if the campaign ends here
+     */
+    recordDefeat(gameState) {
+        return this.addRoute(gameState, VictoryGrade.DEFEAT);
+    }
+
+    /**
+     * Open the level an outcome leads to, with the prestige and core army it brings
+     * @param {GameState} gameState - The finished game
+     * @param {string} outcome - A VictoryGrade
+     * @returns {Object|null} The level reached, or null if the campaign ends here
+     */
+    addRoute(gameState, outcome) {
+        const next = LevelManager.getNextLevel(gameState.currentLevel, outcome);
+        if (next) {
+            this.routes[next.id] = {
+                from: gameState.currentLevel,
+                outcome: outcome,
+                carryOver: {
+                    prestige: gameState.prestige,
+                    coreUnits: gameState.getCoreArmy()
+                }
+            };
+        }
+        return next;
+    }
+
+    /**
+     * What a level starts with: the carry-over from the last outcome that led to it
+     * @param {number} levelId
+     * @returns {Object|null} { prestige, coreUnits }, or null to start fresh
+     */
+    getCarryOver(levelId) {
+        const route = this.routes[levelId];
+        return route ? route.carryOver : null;
+    }
+
+    /**
+     * How well a victory went, and at what difficulty; a higher score is better
+     * @param {Object} event - The engine's victory event
+     * @returns {Object} { gameMode, grade, difficulty, score, turnsRemaining } or { gameMode, grade, difficulty, score, castlesHeld, totalCastles }
+     */
+    static getResult(event) {
+        if (event.gameMode === 'defense') {
+            return {
+                gameMode: 'defense',
+                grade: event.grade,
+                difficulty: event.difficulty,
+                score: event.castlesHeld,
+                castlesHeld: event.castlesHeld,
+                totalCastles: event.totalCastles
+            };
+        }
+        return {
+            gameMode: 'offense',
+            grade: event.grade,
+            difficulty: event.difficulty,
+            score: event.turnsRemaining,
+            turnsRemaining: event.turnsRemaining
+        };
+    }
+
+    /**
+     * A result as the campaign screen shows it
+     * Results recorded before difficulties were added show none.
+     * @param {Object} result - From getResult
+     * @returns {string}
+     */
+    static describeResult(result) {
+        const grade = result.grade ? ` (${VICTORY_GRADE_NAMES[result.grade]})` : '';
+        const difficulty = result.difficulty ? ` on ${DIFFICULTY_NAMES[result.difficulty]}` : '';
+        if (result.gameMode === 'defense') {
+            return `Held ${result.castlesHeld} of ${result.totalCastles} castles${grade}${difficulty}`;
+        }
+        const days = result.turnsRemaining === 1 ? 'day' : 'days';
+        return `Won with ${result.turnsRemaining} ${days} to spare${grade}${difficulty}`;
+    }
+
+    // Serialize for storage
+    toJSON() {
+        return { levels: this.levels, routes: this.routes };
+    }
+
+    // Deserialize from storage
+    static fromJSON(data) {
+        const campaign = new Campaign();
+        campaign.levels = data.levels || {};
+        campaign.routes = data.routes || {};
+        return campaign;
+    }
+}
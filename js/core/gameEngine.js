@@ -0,0 +1,529 @@
+/**
+ * Game Engine - the headless rules layer
+ * Takes player actions (place, move/attack, ranged attack, rebuild, buy ammo,
+ * purchase, end turn), applies them to the GameState and reports what happened
+ * as a result object with a list of events. It never touches the DOM, the
+ * console or storage, so whole games can run without a browser; Game only
+ * renders the events.
+ *
+ * Plain moves that revealed nothing new can be taken back with undoMove();
+ * any other action clears the undo stack. Every successful action is
+ * recorded in the replay log (see ReplayRecorder).
+ *
+ * Every action returns { success, events, ... }. Event types:
+ *   unit_placed        { unit, hex }
+ *   placement_complete {}
+ *   unit_moved         { unit, from, to, stoppedByHiddenZOC } (player and enemy moves)
+ *   move_undone        { unit, from, to }
+ *   battle             { kind: 'melee' | 'ranged' | 'defensive_fire', battle } (battle: see executeBattle)
+ *   unit_destroyed     { unit }
+ *   unit_advanced      { unit, from, to }
+ *   castle_captured    { playerId, hex, ... } (player: checkCastleCapture info, enemy: { unit })
+ *   castle_recaptured  { hex }
+ *   castle_retaken     { hex, unit } (the enemy takes back one of its castles)
+ *   unit_rebuilt       { unit, cost, expLost, strengthGained, ammoGained } (enemy units rest for free)
+ *   ammo_bought        { unit, cost }
+ *   unit_purchased     { typeId, cost }
+ *   horde_rebuilt      { units }
+ *   horde_reassigned   { unit, castleKey }
+ *   turn_ended         { turn }
+ *   turn_started       { turn }
+ *   victory            { gameMode, grade, difficulty, bonus, ... }
+ *   defeat             { gameMode, reason: 'turns' | 'castles' }
+ */
+
+class GameEngine {
+    /**
+     * @param {GameState} gameState - The game to run
+     */
+    constructor(gameState) {
+        this.state = gameState;
+        this.undoStack = [];    // Moves that can still be taken back, most recent last
+        this.replay = new ReplayRecorder(gameState);
+    }
+
+    // ==================== PLACEMENT ====================
+
+    /**
+     * Place the next unit from the placement queue
+     * @param {Hex} hex - Where to place it
+     * @returns {Object} { success, events, unit }
+     */
+    placeUnit(hex) {
+        const state = this.state;
+        if (state.phase !== GamePhase.PLACEMENT) return this.failure();
+
+        const unit = state.placeUnit(hex);
+        if (!unit) return this.failure();
+
+        state.updateVisibility();
+        this.clearUndo();
+
+        const events = [{ type: 'unit_placed', unit: unit, hex: unit.hex }];
+        if (state.phase === GamePhase.MOVEMENT) {
+            events.push({ type: 'placement_complete' });
+        }
+        return this.record({ type: 'place', hex: hex }, { success: true, events: events, unit: unit });
+    }
+
+    /**
+     * Most units the player may field on the current level
+     * @returns {number}
+     */
+    getMaxUnits() {
+        return LevelManager.getMaxUnits(this.state.currentLevel);
+    }
+
+    /**
+     * Buy a unit in the marketplace and add it to the placement queue
+     * @param {string} typeId - The unit type to purchase
+     * @returns {Object} { success, events, reason } (reason: 'unknown_type', 'insufficient_funds' or 'army_full')
+     */
+    purchaseUnit(typeId) {
+        const state = this.state;
+        if (state.phase !== GamePhase.PLACEMENT) return this.failure();
+
+        const unitType = UNIT_TYPES[typeId];
+        if (!unitType) return this.failure('unknown_type');
+        if (state.prestige < unitType.cost) return this.failure('insufficient_funds');
+        if (state.unitsToPlace >= this.getMaxUnits()) return this.failure('army_full');
+
+        // Deduct cost and add unit to placement queue
+        state.prestige -= unitType.cost;
+        state.unitsToPlace++;
+        state.unitTypesToPlace.push(typeId);
+        this.clearUndo();
+
+        return this.record({ type: 'purchase', typeId: typeId }, {
+            success: true,
+            events: [{ type: 'unit_purchased', typeId: typeId, cost: unitType.cost }]
+        });
+    }
+
+    // ==================== MOVEMENT & COMBAT ====================
+
+    /**
+     * Move a unit; moving onto an enemy's hex attacks it
+     * A move that fought no battle, captured no castle and revealed no enemy
+     * goes on the undo stack; any other move clears it.
+     * @param {string} unitId - The unit to move
+     * @param {Hex} targetHex - Destination (or the enemy to attack)
+     * @returns {Object} { success, events, actualHex, battleTriggered, stoppedByHiddenZOC, undoable }
+     */
+    moveUnit(unitId, targetHex) {
+        const state = this.state;
+        const unit = this.getActiveUnit(unitId);
+        if (!unit) return this.failure();
+
+        const from = unit.hex;
+        const before = this.snapshotMove(unit);
+        const move = state.moveUnit(unit, targetHex);
+        if (!move.success) return this.failure();
+
+        const events = [];
+        if (!move.actualHex.equals(from)) {
+            events.push({
+                type: 'unit_moved',
+                unit: unit,
+                from: from,
+                to: move.actualHex,
+                stoppedByHiddenZOC: move.stoppedByHiddenZOC || false
+            });
+        }
+
+        if (move.battleTriggered) {
+            this.resolveAttack(unit, move.enemyUnit, move, events);
+        } else {
+            this.checkCaptures(move.actualHex, move.castleCapture, events);
+        }
+
+        // Only moves that taught the player nothing new can be taken back
+        const undoable = !move.battleTriggered &&
+            !move.stoppedByHiddenZOC &&
+            !events.some(event => event.type === 'castle_captured' || event.type === 'castle_recaptured') &&
+            !this.revealedEnemy(before.visibleEnemyIds);
+        if (undoable) {
+            this.undoStack.push(before);
+        } else {
+            this.clearUndo();
+        }
+
+        return this.record({ type: 'move', unitId: unitId, hex: targetHex }, {
+            success: true,
+            events: events,
+            actualHex: move.actualHex,
+            battleTriggered: move.battleTriggered,
+            stoppedByHiddenZOC: move.stoppedByHiddenZOC || false,
+            undoable: undoable
+        });
+    }
+
+    /**
+     * Fight the melee battle that ends an attack move: defensive fire from
+     * adjacent enemy artillery first, then the battle, then the advance
+     * into the defender's hex if it was destroyed.
+     * @param {Unit} attacker - The attacking unit (already moved next to the defender)
+     * @param {Unit} defender - The defending unit
+     * @param {Object} approach - The moveUnit result (surpriseAttack, riverAttack)
+     * @param {Array} events - Event list to append to
+     */
+    resolveAttack(attacker, defender, approach, events) {
+        const state = this.state;
+
+        // Defensive fire: each adjacent enemy artillery fires at the attacker
+        for (const artillery of state.getDefensiveArtillery(defender.hex)) {
+            if (attacker.isDestroyed()) break;
+            if (!state.executeDefensiveFire(artillery, attacker).success) continue;
+
+            const battle = executeBattle(state, artillery, attacker, { rangedAttack: true });
+            events.push({ type: 'battle', kind: 'defensive_fire', battle: battle });
+        }
+
+        if (attacker.isDestroyed()) {
+            this.removeDestroyed(events);
+            state.updateVisibility();
+            return;
+        }
+
+        const battle = executeBattle(state, attacker, defender, {
+            surpriseAttack: approach.surpriseAttack,
+            riverAttack: approach.riverAttack
+        });
+        events.push({ type: 'battle', kind: 'melee', battle: battle });
+
+        // Unit cannot move further after battle
+        attacker.performAttack();
+
+        const defenderHex = defender.hex;
+        this.removeDestroyed(events);
+
+        // If defender was destroyed and attacker survived, attacker advances into hex
+        if (battle.result.defenderDestroyed && !battle.result.attackerDestroyed) {
+            const from = attacker.hex;
+            state.units.moveUnit(attacker, defenderHex);
+            events.push({ type: 'unit_advanced', unit: attacker, from: from, to: defenderHex });
+
+            // Now check castle capture (attacker is in the hex)
+            this.checkCaptures(defenderHex, state.checkCastleCapture(defenderHex), events);
+        }
+
+        state.updateVisibility();
+    }
+
+    /**
+     * Fire a ranged unit at a visible enemy in range and line of sight
+     * Ranged attacks never capture castles - a unit must move in for that.
+     * @param {string} unitId - The ranged unit
+     * @param {Hex} targetHex - The target's hex
+     * @returns {Object} { success, events }
+     */
+    rangedAttack(unitId, targetHex) {
+        const state = this.state;
+        const unit = this.getActiveUnit(unitId);
+        if (!unit || !state.getValidRangedTargets(unit).some(h => h.equals(targetHex))) {
+            return this.failure();
+        }
+
+        this.clearUndo();
+        const defender = state.getUnitAt(targetHex);
+        // The shot is spent first, so it is fired fatigued like any attack
+        state.executeRangedAttack(unit);
+        const battle = executeBattle(state, unit, defender, { rangedAttack: true });
+
+        const events = [{ type: 'battle', kind: 'ranged', battle: battle }];
+        this.removeDestroyed(events);
+        state.updateVisibility();
+
+        return this.record({ type: 'ranged_attack', unitId: unitId, hex: targetHex }, { success: true, events: events });
+    }
+
+    // ==================== SUPPLY ====================
+
+    /**
+     * Rebuild a damaged unit (see RebuildSystem.rebuild)
+     * @param {string} unitId - The unit to rebuild
+     * @param {boolean} keepExperience - Pay full price to keep experience
+     * @returns {Object} { success, events, insufficientFunds }
+     */
+    rebuild(unitId, keepExperience) {
+        const unit = this.state.units.getUnit(unitId);
+        const result = RebuildSystem.rebuild(this.state, unit, keepExperience);
+        if (!result.success) {
+            return { success: false, events: [], insufficientFunds: result.insufficientFunds || false };
+        }
+        this.clearUndo();
+
+        return this.record({ type: 'rebuild', unitId: unitId, keepExperience: keepExperience }, {
+            success: true,
+            events: [{
+                type: 'unit_rebuilt',
+                unit: unit,
+                cost: result.cost,
+                expLost: result.expLost,
+                strengthGained: result.strengthGained,
+                ammoGained: result.ammoGained
+            }]
+        });
+    }
+
+    /**
+     * Buy one ammo for a ranged unit (see RebuildSystem.buyAmmo)
+     * @param {string} unitId - The unit to resupply
+     * @returns {Object} { success, events }
+     */
+    buyAmmo(unitId) {
+        const unit = this.state.units.getUnit(unitId);
+        const result = RebuildSystem.buyAmmo(this.state, unit);
+        if (!result.success) return this.failure();
+        this.clearUndo();
+
+        return this.record({ type: 'buy_ammo', unitId: unitId }, {
+            success: true,
+            events: [{ type: 'ammo_bought', unit: unit, cost: result.cost }]
+        });
+    }
+
+    // ==================== TURNS ====================
+
+    /**
+     * End the player's day: entrenchment and turn countdown, the enemy's
+     * turn, then the start of the player's next day
+     * @returns {Object} { success, events }
+     */
+    endTurn() {
+        const state = this.state;
+        if (state.phase === GamePhase.VICTORY || state.phase === GamePhase.DEFEAT) {
+            return this.failure();
+        }
+
+        this.clearUndo();
+        const command = { type: 'end_turn' };
+        const events = [];
+        const endedTurn = state.turn;
+        state.endTurn();
+        events.push({ type: 'turn_ended', turn: endedTurn });
+
+        // Ran out of turns in offense
+        if (state.phase === GamePhase.DEFEAT) {
+            events.push({ type: 'defeat', gameMode: state.gameMode, reason: 'turns' });
+            return this.record(command, { success: true, events: events });
+        }
+
+        // Survived all turns in defense
+        if (state.phase === GamePhase.VICTORY) {
+            const award = state.awardDefenseVictoryBonus();
+            events.push(this.victoryEvent(award));
+            return this.record(command, { success: true, events: events });
+        }
+
+        for (const action of EnemyAI.executeEnemyTurn(state)) {
+            events.push(this.enemyActionEvent(action));
+        }
+        state.units.removeDestroyed();
+        state.updateVisibility();
+
+        // All castles lost in defense
+        if (state.phase === GamePhase.DEFEAT) {
+            events.push({ type: 'defeat', gameMode: state.gameMode, reason: 'castles' });
+            return this.record(command, { success: true, events: events });
+        }
+
+        // Reset player units for the new turn
+        state.units.resetTurn(0);
+        events.push({ type: 'turn_started', turn: state.turn });
+
+        return this.record(command, { success: true, events: events });
+    }
+
+    /**
+     * Translate an EnemyAI action into an engine event
+     * @param {Object} action - Action reported by EnemyAI
+     * @returns {Object} Event
+     */
+    enemyActionEvent(action) {
+        switch (action.type) {
+            case 'ranged_attack':
+                return { type: 'battle', kind: 'ranged', battle: action.battle };
+            case 'melee_attack':
+                return { type: 'battle', kind: 'melee', battle: action.battle };
+            case 'defensive_fire':
+                return { type: 'battle', kind: 'defensive_fire', battle: action.battle };
+            case 'castle_captured':
+                return { type: 'castle_captured', playerId: action.unit.playerId, hex: action.hex, unit: action.unit };
+            case 'unit_moved':
+                return { ...action, stoppedByHiddenZOC: false };
+            default:
+                return action;
+        }
+    }
+
+    // ==================== UNDO ====================
+
+    /**
+     * Check if there is a move to take back
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.state.phase === GamePhase.MOVEMENT && this.undoStack.length > 0;
+    }
+
+    /**
+     * Take back the most recent undoable move
+     * Restores the unit's hex, movement, entrenchment and the visibility cache.
+     * @returns {Object} { success, events, unit }
+     */
+    undoMove() {
+        if (!this.canUndo()) return this.failure();
+
+        const state = this.state;
+        const entry = this.undoStack.pop();
+        const unit = state.units.getUnit(entry.unitId);
+        if (!unit) {
+            this.clearUndo();
+            return this.failure();
+        }
+
+        const from = unit.hex;
+        state.units.moveUnit(unit, entry.hex);
+        unit.lastHex = entry.lastHex;
+        unit.movementRemaining = entry.movementRemaining;
+        unit.hasMoved = entry.hasMoved;
+        unit.entrenchment = entry.entrenchment;
+        unit.turnsStationary = entry.turnsStationary;
+        state._visibleHexes = entry.visibleHexes;
+
+        return this.record({ type: 'undo' }, {
+            success: true,
+            events: [{ type: 'move_undone', unit: unit, from: from, to: unit.hex }],
+            unit: unit
+        });
+    }
+
+    /**
+     * Forget every undoable move (called by any action other than a plain move)
+     */
+    clearUndo() {
+        this.undoStack = [];
+    }
+
+    /**
+     * Record what undoMove needs to put a unit back where it was
+     * @param {Unit} unit - The unit about to move
+     * @returns {Object} Undo entry
+     */
+    snapshotMove(unit) {
+        return {
+            unitId: unit.id,
+            hex: unit.hex,
+            lastHex: unit.lastHex,
+            movementRemaining: unit.movementRemaining,
+            hasMoved: unit.hasMoved,
+            entrenchment: unit.entrenchment,
+            turnsStationary: unit.turnsStationary,
+            visibleHexes: new Set(this.state._visibleHexes),
+            visibleEnemyIds: this.getVisibleEnemyIds()
+        };
+    }
+
+    /**
+     * IDs of the enemy units the current player can see
+     * @returns {Set<string>}
+     */
+    getVisibleEnemyIds() {
+        const state = this.state;
+        const ids = new Set();
+        for (const unit of state.units.getAllUnits()) {
+            if (unit.playerId !== state.currentPlayer && state.isEnemyVisible(unit.hex)) {
+                ids.add(unit.id);
+            }
+        }
+        return ids;
+    }
+
+    /**
+     * Check if an enemy came into view that was not visible before
+     * @param {Set<string>} visibleBefore - Result of getVisibleEnemyIds before the move
+     * @returns {boolean}
+     */
+    revealedEnemy(visibleBefore) {
+        for (const id of this.getVisibleEnemyIds()) {
+            if (!visibleBefore.has(id)) return true;
+        }
+        return false;
+    }
+
+    // ==================== HELPERS ====================
+
+    /**
+     * Get a unit the current player may give orders to
+     * @param {string} unitId
+     * @returns {Unit|null}
+     */
+    getActiveUnit(unitId) {
+        if (this.state.phase !== GamePhase.MOVEMENT) return null;
+        const unit = this.state.units.getUnit(unitId);
+        return unit && unit.playerId === this.state.currentPlayer ? unit : null;
+    }
+
+    /**
+     * Victory event, graded for campaign branching
+     * @param {Object} details - { turnsRemaining, bonus } in offense, the defense award otherwise
+     * @returns {Object} { type: 'victory', gameMode, grade, difficulty, ...details }
+     */
+    victoryEvent(details) {
+        const event = { type: 'victory', gameMode: this.state.gameMode, difficulty: this.state.difficulty, ...details };
+        event.grade = LevelManager.gradeVictory(this.state.currentLevel, event);
+        return event;
+    }
+
+    /**
+     * Report a castle capture or recapture after a player unit entered a hex
+     * @param {Hex} hex - The hex the unit entered
+     * @param {Object|null} capture - Result of GameState.checkCastleCapture
+     * @param {Array} events - Event list to append to
+     */
+    checkCaptures(hex, capture, events) {
+        const state = this.state;
+        if (capture) {
+            events.push({ type: 'castle_captured', playerId: state.currentPlayer, ...capture });
+            if (capture.victory) {
+                events.push(this.victoryEvent({ turnsRemaining: state.turnsRemaining, bonus: capture.victoryBonus }));
+            }
+        }
+
+        // Castle recapture in defense mode
+        if (state.checkPlayerCastleRecapture(hex)) {
+            events.push({ type: 'castle_recaptured', hex: hex });
+        }
+    }
+
+    /**
+     * Remove destroyed units from the map, reporting each one
+     * @param {Array} events - Event list to append to
+     */
+    removeDestroyed(events) {
+        for (const unit of this.state.units.removeDestroyed()) {
+            events.push({ type: 'unit_destroyed', unit: unit });
+        }
+    }
+
+    /**
+     * Add a successful action to the replay log
+     * @param {Object} command - The command as plain data, e.g. { type: 'move', unitId, hex }
+     * @param {Object} result - The action's result
+     * @returns {Object} The result, unchanged
+     */
+    record(command, result) {
+        this.replay.record(command, result.events, this.state);
+        return result;
+    }
+
+    /**
+     * Result of a refused action
+     * @param {string} reason - Optional machine-readable reason
+     * @returns {Object} { success: false, events: [], reason }
+     */
+    failure(reason = null) {
+        return { success: false, events: [], reason: reason };
+    }
+}
@@ -8,6 +8,41 @@ const GamePhase = Object.freeze({
     DEFEAT: 'defeat'
 });
 
+/**
+ * AI difficulty, chosen when a game starts
+ */
+const Difficulty = Object.freeze({
+    EASY: 'easy',
+    NORMAL: 'normal',
+    HARD: 'hard',
+    BRUTAL: 'brutal'
+});
+
+const DIFFICULTY_NAMES = Object.freeze({
+    easy: 'Easy',
+    normal: 'Normal',
+    hard: 'Hard',
+    brutal: 'Brutal'
+});
+
+/**
+ * What each difficulty changes
+ * enemyStrength: added to the starting strength of enemy units (kept within 1-10)
+ * prestige: multiplies the level's starting prestige
+ * aiSkill: how cleverly the enemy picks targets and routes, 0-3 (see EnemyAI)
+ * hordeRebuild: the horde heals up the turn after it takes a castle
+ * enemySeesAll: the enemy ignores fog of war
+ */
+const DIFFICULTY_SETTINGS = Object.freeze({
+    easy: Object.freeze({ enemyStrength: -2, prestige: 1.5, aiSkill: 0, hordeRebuild: false, enemySeesAll: false }),
+    normal: Object.freeze({ enemyStrength: 0, prestige: 1, aiSkill: 1, hordeRebuild: true, enemySeesAll: false }),
+    hard: Object.freeze({ enemyStrength: 1, prestige: 0.8, aiSkill: 2, hordeRebuild: true, enemySeesAll: false }),
+    brutal: Object.freeze({ enemyStrength: 2, prestige: 0.6, aiSkill: 3, hordeRebuild: true, enemySeesAll: true })
+});
+
+// Cube offset used to test both sides of a line of sight that runs along a hex edge
+const LOS_EDGE_NUDGE = 1e-6;
+
 /**
  * Complete game state for save/load
  */
@@ -30,7 +65,9 @@ class GameState {
         this.selectedUnit = null;
         this.unitsToPlace = 3;          // Units remaining to place
         this.unitTypesToPlace = [];     // Array of unit types to place (e.g., ['infantry', 'infantry', 'trebuchet'])
+        this.coreUnitsToPlace = [];     // Core army carried over from the last level (unit data), placed first
         this.capturedCastles = [];      // Array of captured castle hex keys
+        this.castlesEverCaptured = [];  // Castle hex keys the capture prestige was paid for (kept when retaken)
         this.enemyCastleKeys = [];     // Hex keys of enemy castles (only these count for victory)
         this.totalCastles = 3;          // Castles needed to win (enemy castles)
         this.turnLimit = 15;            // Total turns allowed (counts down)
@@ -50,24 +87,52 @@ class GameState {
         this.playerCastleKeys = [];     // Hex keys of player castles to defend
         this.lostCastles = [];          // Hex keys of player castles captured by enemy
         this.hordeState = null;         // Horde AI state (only for defense levels)
-        // Internal cache for movement costs (set by getValidMovementHexes)
+        // Where the enemy AI last saw each of the player's units: unit ID -> { hex, turn }
+        // (see EnemyAI.observe); with enemySeesAll it ignores fog of war instead
+        this.enemySightings = {};
+        this.enemySeesAll = false;
+        // AI difficulty (see DIFFICULTY_SETTINGS)
+        this.difficulty = Difficulty.NORMAL;
+        // Where the player places units: { minQ, maxQ, minVRow, maxVRow } (see LevelManager.getDeploymentZone)
+        this.deploymentZone = null;
+        // Seeded RNG - every combat, experience and map roll draws from this
+        this.rng = new SeededRandom();
+        // Internal caches set by getValidMovementHexes: movement cost to each
+        // reachable hex, and the hex each was reached from
         this._movementCosts = new Map();
+        this._movementFrom = new Map();
         // Cache for visible hexes (recalculated when units move)
         this._visibleHexes = new Set();
     }
 
-    // Create a new game with default map
-    static create(name = 'New Game', levelId = 1) {
+    /**
+     * Create a new game from a level definition
+     * @param {string} name - Save name
+     * @param {number} levelId - Level to load
+     * @param {Object} options - Optional parameters
+     * @param {number} options.seed - RNG seed (random if omitted), for reproducible games
+     * @param {Array<Object>} options.coreUnits - Core army from the previous level (see getCoreArmy)
+     * @param {string} options.difficulty - A Difficulty (default normal)
+     * @returns {GameState}
+     */
+    static create(name = 'New Game', levelId = 1, options = {}) {
         const state = new GameState();
+        if (options.seed !== undefined && options.seed !== null) {
+            state.rng = new SeededRandom(options.seed);
+        }
         state.id = crypto.randomUUID();
         state.name = name;
         state.createdAt = new Date().toISOString();
         state.updatedAt = state.createdAt;
         state.currentLevel = levelId;
+        if (DIFFICULTY_SETTINGS[options.difficulty]) {
+            state.difficulty = options.difficulty;
+        }
+        const difficulty = state.getDifficultySettings();
+        state.enemySeesAll = difficulty.enemySeesAll;
 
         // Get level definition
         const level = LevelManager.getLevel(levelId);
-        console.log(`Loading level ${levelId}:`, level ? level.name : 'NOT FOUND');
 
         if (level) {
             // Create map from level definition (fixed, not random)
@@ -77,12 +142,22 @@ class GameState {
             state.unitsToPlace = level.playerUnitsToPlace;
             // IMPORTANT: Create a copy of the array, not a reference, so we don't modify the level definition
             state.unitTypesToPlace = level.playerUnitTypes ? [...level.playerUnitTypes] : Array(level.playerUnitsToPlace).fill('infantry');
+
+            // A carried-over core army is placed first; the level's starting
+            // units fill what room it leaves under the level's unit cap
+            if (options.coreUnits && options.coreUnits.length > 0) {
+                const maxUnits = LevelManager.getMaxUnits(levelId);
+                state.coreUnitsToPlace = GameState.selectCoreUnits(options.coreUnits, maxUnits);
+                state.unitTypesToPlace = state.unitTypesToPlace.slice(0, maxUnits - state.coreUnitsToPlace.length);
+                state.unitsToPlace = state.coreUnitsToPlace.length + state.unitTypesToPlace.length;
+            }
             state.totalCastles = level.castlesToCapture;
             state.turnLimit = level.turnLimit || 15;
             state.turnsRemaining = state.turnLimit;
             state.earlyVictoryBonus = level.earlyVictoryBonus || 20;
-            state.prestige = level.playerStartingPrestige;
+            state.prestige = Math.round(level.playerStartingPrestige * difficulty.prestige);
             state.capturedCastles = [];
+            state.castlesEverCaptured = [];
 
             // Store enemy castle hex keys so we only count those for victory
             state.enemyCastleKeys = level.castles.enemy.map(pos => {
@@ -99,9 +174,10 @@ class GameState {
                 return new Hex(pos.q, r).key;
             });
             state.lostCastles = [];
+            state.deploymentZone = LevelManager.getDeploymentZone(level, 'player');
 
             // Place enemy units from level definition
-            LevelManager.placeEnemyUnits(state.units, level);
+            LevelManager.placeEnemyUnits(state.units, level, difficulty.enemyStrength);
 
             // Place player's pre-placed units from level definition
             LevelManager.placePlayerUnits(state.units, level);
@@ -126,6 +202,7 @@ class GameState {
     // Serialize for LocalStorage
     toJSON() {
         return {
+            saveVersion: SAVE_VERSION,
             id: this.id,
             name: this.name,
             createdAt: this.createdAt,
@@ -142,7 +219,9 @@ class GameState {
             selectedUnit: this.selectedUnit,
             unitsToPlace: this.unitsToPlace,
             unitTypesToPlace: this.unitTypesToPlace,
+            coreUnitsToPlace: this.coreUnitsToPlace,
             capturedCastles: this.capturedCastles,
+            castlesEverCaptured: this.castlesEverCaptured,
             enemyCastleKeys: this.enemyCastleKeys,
             totalCastles: this.totalCastles,
             turnLimit: this.turnLimit,
@@ -153,12 +232,24 @@ class GameState {
             gameMode: this.gameMode,
             playerCastleKeys: this.playerCastleKeys,
             lostCastles: this.lostCastles,
-            hordeState: this.hordeState
+            hordeState: this.hordeState,
+            enemySightings: this.enemySightings,
+            enemySeesAll: this.enemySeesAll,
+            difficulty: this.difficulty,
+            deploymentZone: this.deploymentZone,
+            rng: this.rng.toJSON()
         };
     }
 
     // Deserialize from LocalStorage
+    // Older saves are migrated first; throws if the save is from a newer version
     static fromJSON(data) {
+        const migration = SaveMigrations.migrate(data);
+        if (!migration.success) {
+            throw new Error(migration.error);
+        }
+        data = migration.data;
+
         const state = new GameState();
         state.id = data.id;
         state.name = data.name;
@@ -172,22 +263,30 @@ class GameState {
         state.players = data.players;
         state.selectedHex = data.selectedHex ?
             new Hex(data.selectedHex.q, data.selectedHex.r) : null;
-        state.selectedUnit = data.selectedUnit || null;
-        state.unitsToPlace = data.unitsToPlace ?? 0;
-        state.unitTypesToPlace = data.unitTypesToPlace || [];
-        state.capturedCastles = data.capturedCastles || [];
-        state.enemyCastleKeys = data.enemyCastleKeys || [];
-        state.totalCastles = data.totalCastles ?? 3;
-        state.turnLimit = data.turnLimit ?? 15;
-        state.turnsRemaining = data.turnsRemaining ?? data.turnLimit ?? 15;
-        state.earlyVictoryBonus = data.earlyVictoryBonus ?? 20;
-        state.prestige = data.prestige ?? 150;
-        state.currentLevel = data.currentLevel ?? 1;
+        state.selectedUnit = data.selectedUnit;
+        state.unitsToPlace = data.unitsToPlace;
+        state.unitTypesToPlace = data.unitTypesToPlace;
+        state.coreUnitsToPlace = data.coreUnitsToPlace;
+        state.capturedCastles = data.capturedCastles;
+        state.castlesEverCaptured = data.castlesEverCaptured;
+        state.enemyCastleKeys = data.enemyCastleKeys;
+        state.totalCastles = data.totalCastles;
+        state.turnLimit = data.turnLimit;
+        state.turnsRemaining = data.turnsRemaining;
+        state.earlyVictoryBonus = data.earlyVictoryBonus;
+        state.prestige = data.prestige;
+        state.currentLevel = data.currentLevel;
+        // Settings added since the save was made keep their defaults
         state.settings = { ...state.settings, ...data.settings };
-        state.gameMode = data.gameMode || 'offense';
-        state.playerCastleKeys = data.playerCastleKeys || [];
-        state.lostCastles = data.lostCastles || [];
-        state.hordeState = data.hordeState || null;
+        state.gameMode = data.gameMode;
+        state.playerCastleKeys = data.playerCastleKeys;
+        state.lostCastles = data.lostCastles;
+        state.hordeState = data.hordeState;
+        state.enemySightings = data.enemySightings;
+        state.enemySeesAll = data.enemySeesAll;
+        state.difficulty = data.difficulty;
+        state.deploymentZone = data.deploymentZone;
+        state.rng = SeededRandom.fromJSON(data.rng);
         return state;
     }
 
@@ -212,6 +311,14 @@ class GameState {
         }
     }
 
+    /**
+     * What this game's difficulty changes (see DIFFICULTY_SETTINGS)
+     * @returns {Object}
+     */
+    getDifficultySettings() {
+        return DIFFICULTY_SETTINGS[this.difficulty] || DIFFICULTY_SETTINGS[Difficulty.NORMAL];
+    }
+
     // Select a unit
     selectUnit(unitId) {
         const unit = this.units.getUnit(unitId);
@@ -233,6 +340,12 @@ class GameState {
         return this.units.getUnitAt(hex);
     }
 
+    // Get the terrain at a hex (grass if off the map)
+    getTerrainAt(hex) {
+        const cell = this.map ? this.map.getCell(hex) : null;
+        return cell ? cell.terrain : TerrainType.GRASS;
+    }
+
     // Add a new unit to the game
     addUnit(typeId, playerId, hex) {
         // Check if hex is valid and unoccupied
@@ -248,6 +361,67 @@ class GameState {
         return unit;
     }
 
+    /**
+     * Add a carried-over core unit at the start of a level
+     * It keeps its ID, strength, experience and ammo; its turn state starts fresh.
+     * @param {Object} data - Unit data from getCoreArmy
+     * @param {Hex} hex - Where to place it
+     * @returns {Unit|null} The unit, or null if the hex is off the map or occupied
+     */
+    addCoreUnit(data, hex) {
+        if (!this.map || !this.map.hasCell(hex) || this.units.getUnitAt(hex)) {
+            return null;
+        }
+
+        const unit = Unit.fromJSON({ ...data, hex: { q: hex.q, r: hex.r } });
+        unit.playerId = this.currentPlayer;
+        unit.movementRemaining = unit.getType().movement;
+        unit.hasMoved = false;
+        unit.hasAttacked = false;
+        unit.entrenchment = 0;
+        unit.turnsStationary = 0;
+        this.units.addUnit(unit);
+        return unit;
+    }
+
+    /**
+     * The unit the next placement will put down
+     * @returns {Object} { typeId, isCore }
+     */
+    getNextPlacement() {
+        if (this.coreUnitsToPlace.length > 0) {
+            return { typeId: this.coreUnitsToPlace[0].typeId, isCore: true };
+        }
+        const typeId = this.unitTypesToPlace.length > 0 ? this.unitTypesToPlace[0] : 'infantry';
+        return { typeId: typeId, isCore: false };
+    }
+
+    /**
+     * The core army that carries into the next level
+     * Surviving player units do, with their strength, experience and ammo;
+     * auxiliaries stay behind.
+     * @returns {Array<Object>} Unit data
+     */
+    getCoreArmy() {
+        return this.units.getPlayerUnits(0)
+            .filter(unit => !unit.isAuxiliary)
+            .map(unit => unit.toJSON());
+    }
+
+    /**
+     * Fit a core army into a level's unit cap, keeping the most experienced
+     * (then strongest) units
+     * @param {Array<Object>} coreUnits - Unit data from getCoreArmy
+     * @param {number} maxUnits - The level's unit cap
+     * @returns {Array<Object>} The units that fit, in their original order
+     */
+    static selectCoreUnits(coreUnits, maxUnits) {
+        const kept = [...coreUnits]
+            .sort((a, b) => (b.experience - a.experience) || (b.strength - a.strength))
+            .slice(0, maxUnits);
+        return coreUnits.filter(unit => kept.includes(unit));
+    }
+
     // Start a new turn
     nextTurn() {
         // Switch to next player
@@ -274,32 +448,21 @@ class GameState {
      * @returns {boolean}
      */
     isHexPlayable(hex) {
-        // Calculate visual row (used for top/bottom bounds)
-        const vRow = hex.q / 2 + hex.r;
-
-        // Exclude:
-        // - Rightmost column (q >= 20) as it's partially outside visible area
-        // - Top edge hexes (vRow < 0) like (1,-1), (3,-2), (5,-3)
-        // - Bottom edge hexes (vRow >= 15) like (0,15), (2,14), (4,13)
-        return hex.q < 20 && vRow >= 0 && vRow < 15;
+        return this.map.isPlayable(hex);
     }
 
     /**
-     * Get valid hexes for unit placement (right edge of map, passable terrain)
+     * Get valid hexes for unit placement (the deployment zone, passable terrain)
      * @returns {Array<Hex>}
      */
     getValidPlacementHexes() {
-        if (!this.map) return [];
+        if (!this.map || !this.deploymentZone) return [];
 
         const validHexes = [];
         const cells = this.map.getAllCells();
 
-        // Placement area depends on game mode
-        const minQ = this.gameMode === 'defense' ? 12 : 18;
-        const maxQ = 19;
-
         for (const cell of cells) {
-            if (cell.hex.q >= minQ && cell.hex.q <= maxQ) {
+            if (this.map.isPlayable(cell.hex) && LevelManager.isInDeploymentZone(cell.hex, this.deploymentZone)) {
                 const terrain = getTerrainProperties(cell.terrain);
                 // Must be passable and unoccupied
                 if (!terrain.impassable && !this.units.getUnitAt(cell.hex)) {
@@ -324,15 +487,15 @@ class GameState {
         const isValid = validHexes.some(h => h.equals(hex));
         if (!isValid) return null;
 
-        // Get the next unit type to place (peek first, don't remove yet)
-        const unitType = this.unitTypesToPlace.length > 0
-            ? this.unitTypesToPlace[0]
-            : 'infantry';
-
-        const unit = this.addUnit(unitType, this.currentPlayer, hex);
+        // Core units are placed before new ones (peek first, don't remove yet)
+        const unit = this.coreUnitsToPlace.length > 0
+            ? this.addCoreUnit(this.coreUnitsToPlace[0], hex)
+            : this.addUnit(this.getNextPlacement().typeId, this.currentPlayer, hex);
         if (unit) {
-            // Only remove from array after successful placement
-            if (this.unitTypesToPlace.length > 0) {
+            // Only remove from the queue after successful placement
+            if (this.coreUnitsToPlace.length > 0) {
+                this.coreUnitsToPlace.shift();
+            } else if (this.unitTypesToPlace.length > 0) {
                 this.unitTypesToPlace.shift();
             }
             this.unitsToPlace--;
@@ -347,57 +510,60 @@ class GameState {
 
     /**
      * Get hexes a unit can move to
-     * Accounts for zone of control (must stop when entering enemy ZOC)
+     * A cheapest-first (Dijkstra) search that remembers, for every hex, the
+     * hex it was reached from. Accounts for zone of control (must stop when
+     * entering enemy ZOC), rivers (entering without a bridge takes all
+     * movement) and occupied hexes (no passing through any unit; enemies can
+     * be clicked to attack).
      * @param {Unit} unit - The unit to check movement for
      * @returns {Array<Hex>} Array of reachable hexes
      */
     getValidMovementHexes(unit) {
+        this._movementCosts = new Map();
+        this._movementFrom = new Map();
         if (!unit || !unit.canMove()) {
-            this._movementCosts = new Map();
             return [];
         }
 
-        const reachable = [];
-        const visited = new Map(); // hex.key -> { cost, stoppedByZOC }
-        const queue = [{ hex: unit.hex, cost: 0, stoppedByZOC: false }];
-        visited.set(unit.hex.key, { cost: 0, stoppedByZOC: false });
+        // hex.key -> { hex, cost, stoppedByZOC }
+        const visited = new Map([[unit.hex.key, { hex: unit.hex, cost: 0, stoppedByZOC: false }]]);
+        const open = new PriorityQueue();
+        open.push({ hex: unit.hex, cost: 0 }, 0);
+
+        // Reach a hex from another, unless it is already reached as cheaply
+        const reach = (hex, from, cost, stoppedByZOC) => {
+            const prev = visited.get(hex.key);
+            if (prev !== undefined && cost >= prev.cost) return false;
+            visited.set(hex.key, { hex: hex, cost: cost, stoppedByZOC: stoppedByZOC });
+            this._movementFrom.set(hex.key, from);
+            return true;
+        };
 
-        while (queue.length > 0) {
-            const { hex, cost, stoppedByZOC } = queue.shift();
+        while (!open.isEmpty()) {
+            const { hex, cost } = open.pop();
+            const { cost: bestCost, stoppedByZOC } = visited.get(hex.key);
+            if (cost > bestCost) continue;     // Reached more cheaply since this was queued
 
-            // Check all neighbors
             for (let dir = 0; dir < 6; dir++) {
+                const neighbor = hex.neighbor(dir);
+
                 // If we're stopped by ZOC, we can ONLY attack adjacent enemies
                 // We cannot move to other hexes from here
                 if (stoppedByZOC) {
-                    const neighbor = hex.neighbor(dir);
                     const occupant = this.units.getUnitAt(neighbor);
-                    if (occupant && occupant.playerId !== this.currentPlayer) {
-                        // Found an adjacent enemy - this is a valid attack target
-                        const prev = visited.get(neighbor.key);
-                        // Always add to reachable if not already there
-                        if (prev === undefined) {
-                            visited.set(neighbor.key, { cost: cost + 1, stoppedByZOC: true });
-                        }
-                        // Add to reachable if not already in the list
-                        if (!reachable.some(h => h.equals(neighbor))) {
-                            reachable.push(neighbor);
-                        }
+                    if (occupant && occupant.playerId !== this.currentPlayer && !visited.has(neighbor.key)) {
+                        reach(neighbor, hex, cost + 1, true);
                     }
-                    continue; // Don't process other movement from ZOC hex
+                    continue;
                 }
-                const neighbor = hex.neighbor(dir);
+
                 if (!this.map.hasCell(neighbor)) continue;
 
                 // Exclude hexes outside playable area
                 if (!this.isHexPlayable(neighbor)) continue;
 
-                const cell = this.map.getCell(neighbor);
-                const terrain = cell.terrain;
-
-                // Get edge feature between current and neighbor
-                const currentCell = this.map.getCell(hex);
-                const edgeFeature = currentCell.getEdge(dir);
+                const terrain = this.map.getCell(neighbor).terrain;
+                const edgeFeature = this.map.getCell(hex).getEdge(dir);
 
                 // Special rule for rivers without bridges:
                 // Can only enter if starting adjacent (cost must be 0)
@@ -408,8 +574,6 @@ class GameState {
 
                 // Calculate movement cost
                 const moveCost = getMovementCost(terrain, edgeFeature, unit.movementRemaining - cost);
-
-                // Check if we can enter
                 if (moveCost === Infinity) continue;
 
                 const totalCost = cost + moveCost;
@@ -418,53 +582,67 @@ class GameState {
                 // Check if occupied by another unit
                 const occupant = this.units.getUnitAt(neighbor);
                 if (occupant) {
-                    // Can't move into friendly units
-                    if (occupant.playerId === this.currentPlayer) {
-                        continue;
-                    }
-                    // Enemy unit: allow as destination (clicking = attack intent)
-                    // But can't path THROUGH enemy hex, so mark as stopped and don't explore further
-                    const prev = visited.get(neighbor.key);
-                    if (prev === undefined || totalCost < prev.cost) {
-                        visited.set(neighbor.key, { cost: totalCost, stoppedByZOC: true });
-                        // DON'T add to queue - can't move through enemy
-                        if (!neighbor.equals(unit.hex)) {
-                            reachable.push(neighbor);
-                        }
-                    }
+                    // Can't move into (or through) friendly units
+                    if (occupant.playerId === this.currentPlayer) continue;
+                    // Enemy unit: allow as destination (clicking = attack intent),
+                    // but never search on through it
+                    reach(neighbor, hex, totalCost, true);
                     continue;
                 }
 
-                // Check if this hex enters enemy zone of control (visible enemies only)
+                // Entering enemy zone of control (visible enemies only) ends the move
                 const entersZOC = this.isInEnemyZOC(neighbor);
-
-                // Check if we found a better path
-                const prev = visited.get(neighbor.key);
-                if (prev === undefined || totalCost < prev.cost) {
-                    visited.set(neighbor.key, { cost: totalCost, stoppedByZOC: entersZOC });
-                    queue.push({ hex: neighbor, cost: totalCost, stoppedByZOC: entersZOC });
-                    if (!neighbor.equals(unit.hex)) {
-                        reachable.push(neighbor);
-                    }
+                if (reach(neighbor, hex, totalCost, entersZOC)) {
+                    open.push({ hex: neighbor, cost: totalCost }, totalCost);
                 }
             }
         }
 
-        // Cache movement costs for use by moveUnit (just the costs)
-        this._movementCosts = new Map();
+        // Cache movement costs for use by moveUnit and followMovementPath
+        const reachable = [];
         for (const [key, data] of visited) {
             this._movementCosts.set(key, data.cost);
+            if (!data.hex.equals(unit.hex)) {
+                reachable.push(data.hex);
+            }
         }
-
         return reachable;
     }
 
+    /**
+     * The way a unit would move to a hex: the cheapest route, hex by hex
+     * @param {Unit} unit - The moving unit
+     * @param {Hex} hex - Destination (an enemy's hex ends the path at the enemy)
+     * @returns {Array<Hex>|null} From the unit's hex to the destination, or null if it can't get there
+     */
+    getPathTo(unit, hex) {
+        if (!unit) return null;
+        this.getValidMovementHexes(unit);
+        return this.followMovementPath(unit.hex, hex);
+    }
+
+    /**
+     * Walk the last getValidMovementHexes search back from a hex to where it started
+     * @param {Hex} startHex - The moving unit's hex
+     * @param {Hex} hex - Destination
+     * @returns {Array<Hex>|null} From startHex to hex, or null if the search didn't reach hex
+     */
+    followMovementPath(startHex, hex) {
+        if (!this._movementCosts.has(hex.key)) return null;
+
+        const path = [hex];
+        while (!path[0].equals(startHex)) {
+            path.unshift(this._movementFrom.get(path[0].key));
+        }
+        return path;
+    }
+
     /**
      * Move a unit to a new hex
      * Battle only triggers when clicking on enemy's hex (visible or hidden)
      * @param {Unit} unit - The unit to move
      * @param {Hex} targetHex - Destination hex
-     * @returns {Object} Result: { success, battleTriggered, enemyUnit, actualHex, stoppedByHiddenZOC }
+     * @returns {Object} Result: { success, battleTriggered, enemyUnit, actualHex, stoppedByHiddenZOC, castleCapture }
      */
     moveUnit(unit, targetHex) {
         if (!unit || !unit.canMove()) {
@@ -482,38 +660,23 @@ class GameState {
         // This is the ONLY way battle is triggered - clicking on enemy's hex
         const enemyAtTarget = this.units.getUnitAt(targetHex);
         if (enemyAtTarget && enemyAtTarget.playerId !== this.currentPlayer) {
-            // Check if enemy was visible BEFORE we move (for surprise attack detection)
-            // If enemy hex was not visible to any of our units, it's a surprise attack
-            const enemyWasVisible = this.isHexVisible(targetHex);
-
             // Player clicked on enemy's hex = attack intent
             // Unit stops adjacent to enemy, then battle commences
-            const stopHex = this.findStopHexBeforeEnemy(unit, targetHex);
-            if (stopHex) {
-                const moveCost = this._movementCosts.get(stopHex.key);
-                unit.hex = stopHex;
-                unit.useMovement(moveCost, stopHex);
+            // (approach is worked out BEFORE we move, for surprise attack detection)
+            const approach = this.getAttackApproach(unit, targetHex);
+            if (approach) {
+                this.units.moveUnit(unit, approach.stopHex);
+                unit.useMovement(approach.moveCost, approach.stopHex);
                 this.updateVisibility();
 
-                // Check for river attack penalty
-                // Attacker on river attacking someone NOT on river = disadvantage
-                const attackerCell = this.map.getCell(stopHex);
-                const defenderCell = this.map.getCell(targetHex);
-                const attackerOnRiver = attackerCell && attackerCell.terrain === TerrainType.RIVER;
-                const defenderOnRiver = defenderCell && defenderCell.terrain === TerrainType.RIVER;
-                const riverAttack = attackerOnRiver && !defenderOnRiver;
-
-                // Get defender terrain for close defense calculation
-                const defenderTerrain = defenderCell ? defenderCell.terrain : TerrainType.GRASS;
-
                 return {
                     success: true,
                     battleTriggered: true,
                     enemyUnit: enemyAtTarget,
-                    actualHex: stopHex,
-                    surpriseAttack: !enemyWasVisible,
-                    riverAttack: riverAttack,
-                    defenderTerrain: defenderTerrain
+                    actualHex: approach.stopHex,
+                    surpriseAttack: approach.surpriseAttack,
+                    riverAttack: approach.riverAttack,
+                    defenderTerrain: approach.defenderTerrain
                 };
             } else {
                 // Can't find a valid stop hex (shouldn't happen normally)
@@ -525,12 +688,12 @@ class GameState {
         const moveCost = this._movementCosts ? this._movementCosts.get(targetHex.key) : null;
 
         if (moveCost === null || moveCost === undefined) {
-            console.error('Movement cost not found for target hex');
+            // Movement cost not found for target hex
             return { success: false, battleTriggered: false, enemyUnit: null, actualHex: null };
         }
 
-        // Reconstruct path and check for hidden enemy ZoC
-        const path = this.reconstructPath(unit.hex, targetHex);
+        // Follow the path and check for hidden enemy ZoC
+        const path = this.followMovementPath(unit.hex, targetHex);
         let actualDestination = targetHex;
         let stoppedByHiddenZOC = false;
 
@@ -542,7 +705,6 @@ class GameState {
                 // Stop at this hex
                 actualDestination = pathHex;
                 stoppedByHiddenZOC = true;
-                console.log(`Unit stopped at hidden enemy ZoC at (${pathHex.q}, ${pathHex.r})`);
                 break;
             }
         }
@@ -551,7 +713,7 @@ class GameState {
         const actualMoveCost = this._movementCosts.get(actualDestination.key);
 
         // Move the unit to actual destination
-        unit.hex = actualDestination;
+        this.units.moveUnit(unit, actualDestination);
         unit.useMovement(actualMoveCost, actualDestination);
 
         // Update visibility after movement
@@ -566,52 +728,149 @@ class GameState {
         // NOTE: Moving into ZOC does NOT trigger battle - only clicking on enemy hex does
         // Unit simply stops in ZOC (handled by getValidMovementHexes preventing further movement)
 
-        // Check if unit moved onto a castle
-        this.checkCastleCapture(actualDestination);
+        // Check if unit moved onto a castle (only the player captures castles
+        // this way; EnemyAI retakes its own with checkEnemyCastleRetake)
+        const castleCapture = unit.playerId === 0 ? this.checkCastleCapture(actualDestination) : null;
 
         return {
             success: true,
             battleTriggered: false,
             enemyUnit: null,
             actualHex: actualDestination,
-            stoppedByHiddenZOC: stoppedByHiddenZOC
+            stoppedByHiddenZOC: stoppedByHiddenZOC,
+            castleCapture: castleCapture
         };
     }
 
     /**
-     * Reconstruct the path from start to target using cached movement costs
-     * Uses a simple backtracking approach from target to start
+     * Work out how a unit would engage the enemy at targetHex: where it stops,
+     * what getting there costs and which combat modifiers apply.
+     * Relies on the movement cost cache from getValidMovementHexes(unit).
+     * @param {Unit} unit - The attacking unit
+     * @param {Hex} targetHex - The enemy's hex
+     * @returns {Object|null} { stopHex, moveCost, surpriseAttack, riverAttack, defenderTerrain }
      */
-    reconstructPath(startHex, targetHex) {
-        const path = [targetHex];
-        let current = targetHex;
+    getAttackApproach(unit, targetHex) {
+        const stopHex = this.findStopHexBeforeEnemy(unit, targetHex);
+        if (!stopHex) return null;
 
-        while (!current.equals(startHex)) {
-            const currentCost = this._movementCosts.get(current.key);
-            let bestNeighbor = null;
-            let bestCost = currentCost;
+        // Check for river attack penalty
+        // Attacker on river attacking someone NOT on river = disadvantage
+        const attackerCell = this.map.getCell(stopHex);
+        const defenderCell = this.map.getCell(targetHex);
+        const attackerOnRiver = attackerCell && attackerCell.terrain === TerrainType.RIVER;
+        const defenderOnRiver = defenderCell && defenderCell.terrain === TerrainType.RIVER;
 
-            // Find neighbor with lower cost that leads back to start
-            for (let dir = 0; dir < 6; dir++) {
-                const neighbor = current.neighbor(dir);
-                const neighborCost = this._movementCosts.get(neighbor.key);
+        return {
+            stopHex: stopHex,
+            moveCost: this._movementCosts.get(stopHex.key),
+            // If enemy hex was not visible to any of our units, it's a surprise attack
+            surpriseAttack: !this.isHexVisible(targetHex),
+            riverAttack: attackerOnRiver && !defenderOnRiver,
+            // Defender terrain for close defense calculation
+            defenderTerrain: defenderCell ? defenderCell.terrain : TerrainType.GRASS
+        };
+    }
 
-                if (neighborCost !== undefined && neighborCost < bestCost) {
-                    bestCost = neighborCost;
-                    bestNeighbor = neighbor;
-                }
-            }
+    /**
+     * Predict the outcome of attacking a visible enemy, for the odds preview.
+     * Accounts for the approach move (fatigue, river, surprise) and for
+     * defensive fire from visible enemy artillery next to the target.
+     * A ranged preview has no surpriseAttack or riverAttack.
+     * Does not change any state.
+     * @param {Unit} unit - The selected unit
+     * @param {Hex} targetHex - The hovered enemy hex
+     * @returns {Object|null} Preview, or null if the unit cannot attack there
+     */
+    getAttackPreview(unit, targetHex) {
+        const defender = this.getVisibleEnemyAt(targetHex);
+        if (!unit || !defender) return null;
+
+        const defenderTerrain = this.getTerrainAt(targetHex);
+
+        // Ranged attack: no approach move and no defensive fire. The shot is
+        // spent before it is fired (see executeRangedAttack), so it is fired
+        // with no movement left; it can neither surprise nor come from a river.
+        if (this.getValidRangedTargets(unit).some(h => h.equals(targetHex))) {
+            const attacker = Object.assign(Object.create(unit), { movementRemaining: 0 });
+            const battle = predictBattle(attacker, defender, {
+                closeTerrain: isCloseTerrain(defenderTerrain),
+                rangedAttack: true,
+                attackerTerrain: this.getTerrainAt(unit.hex),
+                defenderTerrain: defenderTerrain
+            });
+            return {
+                rangedAttack: true,
+                attacker: attacker,
+                defender: defender,
+                fatigueTiers: calculateFatigueTiers(attacker),
+                defensiveFire: null,
+                battle: battle,
+                attackerDestroyChance: battle.attackerDestroyChance,
+                defenderDestroyChance: battle.defenderDestroyChance
+            };
+        }
 
-            if (bestNeighbor) {
-                path.unshift(bestNeighbor);
-                current = bestNeighbor;
-            } else {
-                // Couldn't find path back (shouldn't happen)
-                break;
-            }
+        // Working out the approach searches the unit's moves, which replaces
+        // the movement caches that moveUnit and getPathTo read; put them back
+        const movementCosts = this._movementCosts;
+        const movementFrom = this._movementFrom;
+        const approach = this.getValidMovementHexes(unit).some(h => h.equals(targetHex)) ?
+            this.getAttackApproach(unit, targetHex) : null;
+        this._movementCosts = movementCosts;
+        this._movementFrom = movementFrom;
+        if (!approach) return null;
+
+        // The attacker as it will be when the battle starts: moved, not entrenched
+        const attacker = Object.assign(Object.create(unit), {
+            hex: approach.stopHex,
+            movementRemaining: unit.movementRemaining - approach.moveCost,
+            entrenchment: 0
+        });
+
+        // Defensive fire happens first; the melee is then predicted at the
+        // attacker's expected remaining strength
+        const attackerTerrain = this.getTerrainAt(approach.stopHex);
+        const artillery = this.getDefensiveArtillery(targetHex)
+            .filter(art => this.isHexVisible(art.hex));
+        let fireDamage = 0;
+        let fireSurvivalChance = 1;
+        for (const art of artillery) {
+            const fire = predictBattle(art, attacker, {
+                closeTerrain: isCloseTerrain(attackerTerrain),
+                rangedAttack: true,
+                attackerTerrain: this.getTerrainAt(art.hex),
+                defenderTerrain: attackerTerrain
+            });
+            fireDamage += fire.expectedDefenderDamage;
+            fireSurvivalChance *= 1 - fire.defenderDestroyChance;
+            attacker.strength = Math.max(0, unit.strength - fireDamage);
         }
 
-        return path;
+        const battle = predictBattle(attacker, defender, {
+            closeTerrain: isCloseTerrain(defenderTerrain),
+            surpriseAttack: approach.surpriseAttack,
+            riverAttack: approach.riverAttack,
+            attackerTerrain: attackerTerrain,
+            defenderTerrain: defenderTerrain
+        });
+
+        return {
+            rangedAttack: false,
+            attacker: attacker,
+            defender: defender,
+            surpriseAttack: approach.surpriseAttack,
+            riverAttack: approach.riverAttack,
+            fatigueTiers: calculateFatigueTiers(attacker),
+            defensiveFire: artillery.length > 0 ? {
+                count: artillery.length,
+                expectedDamage: fireDamage,
+                destroyChance: 1 - fireSurvivalChance
+            } : null,
+            battle: battle,
+            attackerDestroyChance: 1 - fireSurvivalChance * (1 - battle.attackerDestroyChance),
+            defenderDestroyChance: fireSurvivalChance * battle.defenderDestroyChance
+        };
     }
 
     /**
@@ -669,33 +928,49 @@ class GameState {
     /**
      * Check if a castle was captured and update state
      * @param {Hex} hex - The hex to check
+     * Prestige is only paid the first time a castle is captured, so a castle
+     * the enemy retakes is not worth farming.
+     * @returns {Object|null} Capture info: { hex, prestige, captured, total, victory, victoryBonus },
+     *                        or null if nothing was captured
      */
     checkCastleCapture(hex) {
         const cell = this.map.getCell(hex);
-        if (!cell || cell.terrain !== TerrainType.CASTLE) return;
+        if (!cell || cell.terrain !== TerrainType.CASTLE) return null;
 
         const key = hex.key;
         // Only count enemy castles toward victory
-        if (!this.enemyCastleKeys.includes(key)) return;
+        if (!this.enemyCastleKeys.includes(key)) return null;
+        if (this.capturedCastles.includes(key)) return null;
 
-        if (!this.capturedCastles.includes(key)) {
-            this.capturedCastles.push(key);
+        this.capturedCastles.push(key);
 
-            // Gain prestige for capturing castle
-            this.prestige += 50;
-            console.log(`Castle captured! +50 prestige (${this.capturedCastles.length}/${this.totalCastles})`);
+        // Gain prestige for capturing castle, once
+        const prestige = this.castlesEverCaptured.includes(key) ? 0 : 50;
+        if (prestige > 0) {
+            this.castlesEverCaptured.push(key);
+            this.prestige += prestige;
+        }
 
-            // Check victory
-            if (this.capturedCastles.length >= this.totalCastles) {
-                // Award early victory bonus
-                const bonus = this.turnsRemaining * this.earlyVictoryBonus;
-                this.prestige += bonus;
-                console.log(`Early victory bonus: ${this.turnsRemaining} turns × ${this.earlyVictoryBonus} = +${bonus} prestige`);
+        const capture = {
+            hex: hex,
+            prestige: prestige,
+            captured: this.capturedCastles.length,
+            total: this.totalCastles,
+            victory: false,
+            victoryBonus: 0
+        };
 
-                this.phase = GamePhase.VICTORY;
-                console.log('VICTORY! All castles captured!');
-            }
+        // Check victory
+        if (this.capturedCastles.length >= this.totalCastles) {
+            // Award early victory bonus: turns remaining × bonus per turn
+            capture.victoryBonus = this.turnsRemaining * this.earlyVictoryBonus;
+            this.prestige += capture.victoryBonus;
+
+            this.phase = GamePhase.VICTORY;
+            capture.victory = true;
         }
+
+        return capture;
     }
 
     /**
@@ -707,6 +982,25 @@ class GameState {
         return this.capturedCastles.includes(hex.key);
     }
 
+    /**
+     * Check if an enemy unit has retaken one of its own castles (offense mode)
+     * The castle no longer counts toward victory until the player captures it again.
+     * @param {Hex} hex - The hex the enemy unit stopped on
+     * @returns {boolean} True if a castle was retaken
+     */
+    checkEnemyCastleRetake(hex) {
+        if (this.gameMode !== 'offense') return false;
+
+        const index = this.capturedCastles.indexOf(hex.key);
+        if (index === -1) return false;
+
+        const occupant = this.units.getUnitAt(hex);
+        if (!occupant || occupant.playerId === 0) return false;
+
+        this.capturedCastles.splice(index, 1);
+        return true;
+    }
+
     /**
      * Initialize horde cavalry assignments based on level config
      * Maps each enemy unit ID to its target castle hex key
@@ -767,12 +1061,9 @@ class GameState {
             this.hordeState.capturedCastles.push(key);
         }
 
-        console.log(`Player castle captured! (${this.lostCastles.length}/${this.playerCastleKeys.length})`);
-
         // Check defeat: all player castles captured
         if (this.lostCastles.length >= this.playerCastleKeys.length) {
             this.phase = GamePhase.DEFEAT;
-            console.log('DEFEAT! All castles lost!');
         }
 
         return true;
@@ -782,13 +1073,14 @@ class GameState {
      * Check if a player has recaptured a lost castle (defense mode)
      * Called when a player unit moves onto or advances into a castle hex
      * @param {Hex} hex - The hex to check
+     * @returns {boolean} True if a castle was recaptured
      */
     checkPlayerCastleRecapture(hex) {
-        if (this.gameMode !== 'defense') return;
+        if (this.gameMode !== 'defense') return false;
 
         const key = hex.key;
         const index = this.lostCastles.indexOf(key);
-        if (index === -1) return;
+        if (index === -1) return false;
 
         // Castle recaptured!
         this.lostCastles.splice(index, 1);
@@ -802,8 +1094,27 @@ class GameState {
             }
         }
 
-        const held = this.playerCastleKeys.length - this.lostCastles.length;
-        console.log(`Castle recaptured! (${held}/${this.playerCastleKeys.length} held)`);
+        return true;
+    }
+
+    /**
+     * Award the defense victory bonus: prestige for every castle still held
+     * Called once, when the player survives the last turn of a defense level
+     * @returns {Object} { castlesHeld, totalCastles, perCastle, bonus }
+     */
+    awardDefenseVictoryBonus() {
+        const castlesHeld = this.playerCastleKeys.length - this.lostCastles.length;
+        const level = LevelManager.getLevel(this.currentLevel);
+        const perCastle = level ? (level.defensePrestigePerCastle || 75) : 75;
+        const bonus = castlesHeld * perCastle;
+        this.prestige += bonus;
+
+        return {
+            castlesHeld: castlesHeld,
+            totalCastles: this.playerCastleKeys.length,
+            perCastle: perCastle,
+            bonus: bonus
+        };
     }
 
     /**
@@ -823,11 +1134,9 @@ class GameState {
             if (this.gameMode === 'defense') {
                 // Defense mode: surviving all turns = VICTORY
                 this.phase = GamePhase.VICTORY;
-                console.log('VICTORY! Survived all turns!');
             } else {
                 // Offense mode: running out of turns = DEFEAT
                 this.phase = GamePhase.DEFEAT;
-                console.log('DEFEAT! Ran out of turns!');
             }
         }
 
@@ -897,7 +1206,7 @@ class GameState {
 
     /**
      * Get valid ranged attack targets for a unit
-     * Returns enemy hexes within unit's range that are visible
+     * Returns enemy hexes within unit's range that are visible and in line of sight
      * @param {Unit} unit - The ranged unit
      * @returns {Array<Hex>} Array of valid target hexes
      */
@@ -918,6 +1227,9 @@ class GameState {
             // Must be visible
             if (!this.isHexVisible(hex)) continue;
 
+            // Must be in the firing unit's own line of sight
+            if (!this.hasLineOfSight(unit.hex, hex)) continue;
+
             // Must have enemy unit
             const targetUnit = this.units.getUnitAt(hex);
             if (targetUnit && targetUnit.playerId !== this.currentPlayer) {
@@ -929,26 +1241,20 @@ class GameState {
     }
 
     /**
-     * Perform a ranged attack
+     * Spend a ranged attack once the shot has been resolved
+     * (resolving first keeps the used-up movement from counting as fatigue)
      * @param {Unit} attacker - The attacking ranged unit
-     * @param {Unit} defender - The defending unit
-     * @returns {Object} Result with defender terrain info
+     * @returns {Object} Result: { success }
      */
-    executeRangedAttack(attacker, defender) {
+    executeRangedAttack(attacker) {
         if (!this.canRangedAttack(attacker)) {
             return { success: false };
         }
 
-        const defenderCell = this.map.getCell(defender.hex);
-        const defenderTerrain = defenderCell ? defenderCell.terrain : TerrainType.GRASS;
-
         // Mark unit as having attacked (uses all movement and ammo)
         attacker.performAttack();
 
-        return {
-            success: true,
-            defenderTerrain: defenderTerrain
-        };
+        return { success: true };
     }
 
     // ==================== DEFENSIVE FIRE ====================
@@ -1009,19 +1315,85 @@ class GameState {
 
     /**
      * Update visibility based on current player's units
-     * Each unit can see hexes within their spotting range
+     * Each unit can see hexes within their spotting range that are in line of sight
      */
     updateVisibility() {
-        this._visibleHexes = new Set();
+        this._visibleHexes = this.getSpottedHexKeys(this.currentPlayer);
+    }
 
-        const playerUnits = this.units.getPlayerUnits(this.currentPlayer);
-        for (const unit of playerUnits) {
+    /**
+     * Get the hexes a player's units can see, whatever the fog of war setting
+     * @param {number} playerId - The player whose units are looking
+     * @param {Array<Unit>} spotters - Only these of the player's units (all by default)
+     * @returns {Set<string>} Hex keys
+     */
+    getSpottedHexKeys(playerId, spotters = this.units.getPlayerUnits(playerId)) {
+        const spotted = new Set();
+        for (const unit of spotters) {
             const spotting = unit.getType().spotting;
-            const visibleFromUnit = this.getHexesInRange(unit.hex, spotting);
-            for (const hex of visibleFromUnit) {
-                this._visibleHexes.add(hex.key);
+            for (const hex of this.getVisibleHexesFrom(unit.hex, spotting)) {
+                spotted.add(hex.key);
             }
         }
+        return spotted;
+    }
+
+    /**
+     * Run a function from another player's point of view: movement, zone of
+     * control and visibility work for that player until it returns
+     * EnemyAI plans its moves this way, by the same rules as the player's.
+     * @param {number} playerId - The player to act as
+     * @param {Function} fn - Called with no arguments
+     * @returns {*} Whatever fn returns
+     */
+    asPlayer(playerId, fn) {
+        const previousPlayer = this.currentPlayer;
+        this.currentPlayer = playerId;
+        this.updateVisibility();
+        try {
+            return fn();
+        } finally {
+            this.currentPlayer = previousPlayer;
+            this.updateVisibility();
+        }
+    }
+
+    /**
+     * Get the hexes a spotter can see: within range and in line of sight
+     * @param {Hex} spotterHex - Where the spotter stands
+     * @param {number} range - Spotting range in hexes
+     * @returns {Array<Hex>}
+     */
+    getVisibleHexesFrom(spotterHex, range) {
+        return this.getHexesInRange(spotterHex, range)
+            .filter(hex => this.hasLineOfSight(spotterHex, hex));
+    }
+
+    /**
+     * Check line of sight between two hexes
+     * Woods and mountains (blocksLineOfSight) between the two hexes block the
+     * view; the end hexes themselves never do, so units can see into and out
+     * of woods. A spotter on a hill sees over blocking terrain.
+     * A line running exactly along a hex edge is clear if either side is.
+     * @param {Hex} from - Spotter's hex
+     * @param {Hex} to - Target hex
+     * @returns {boolean}
+     */
+    hasLineOfSight(from, to) {
+        if (from.distanceTo(to) <= 1) return true;
+
+        const fromCell = this.map.getCell(from);
+        if (fromCell && getTerrainProperties(fromCell.terrain).providesHeightBonus) {
+            return true;
+        }
+
+        return [LOS_EDGE_NUDGE, -LOS_EDGE_NUDGE].some(nudge => {
+            const between = from.lineTo(to, nudge).slice(1, -1);
+            return between.every(hex => {
+                const cell = this.map.getCell(hex);
+                return !cell || !getTerrainProperties(cell.terrain).blocksLineOfSight;
+            });
+        });
     }
 
     /**
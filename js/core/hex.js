@@ -76,11 +76,52 @@ class Hex {
         return HEX_DIRECTIONS.map((_, i) => this.neighbor(i));
     }
 
+    /**
+     * Get the hexes on a straight line to another hex (both ends included)
+     * @param {Hex} other - End of the line
+     * @param {number} nudge - Shifts the whole line by a tiny cube offset so a
+     *   line running exactly along a hex edge falls to one side; pass +e and -e
+     *   to get both sides
+     * @returns {Array<Hex>}
+     */
+    lineTo(other, nudge = 0) {
+        const distance = this.distanceTo(other);
+        const hexes = [];
+        for (let i = 0; i <= distance; i++) {
+            const t = distance === 0 ? 0 : i / distance;
+            const q = this.q + (other.q - this.q) * t + nudge;
+            const r = this.r + (other.r - this.r) * t + nudge;
+            hexes.push(Hex.round(q, r));
+        }
+        return hexes;
+    }
+
     // Create from key string
     static fromKey(key) {
         const [q, r] = key.split(',').map(Number);
         return new Hex(q, r);
     }
+
+    // Round fractional axial coordinates to the nearest hex
+    static round(q, r) {
+        const s = -q - r;
+        let rq = Math.round(q);
+        let rr = Math.round(r);
+        let rs = Math.round(s);
+
+        const qDiff = Math.abs(rq - q);
+        const rDiff = Math.abs(rr - r);
+        const sDiff = Math.abs(rs - s);
+
+        // Reset the component with largest rounding error
+        if (qDiff > rDiff && qDiff > sDiff) {
+            rq = -rr - rs;
+        } else if (rDiff > sDiff) {
+            rr = -rq - rs;
+        }
+
+        return new Hex(rq, rr);
+    }
 }
 
 /**
@@ -142,23 +183,7 @@ class HexLayout {
 
     // Round fractional hex to nearest valid hex
     hexRound(q, r) {
-        const s = -q - r;
-        let rq = Math.round(q);
-        let rr = Math.round(r);
-        let rs = Math.round(s);
-
-        const qDiff = Math.abs(rq - q);
-        const rDiff = Math.abs(rr - r);
-        const sDiff = Math.abs(rs - s);
-
-        // Reset the component with largest rounding error
-        if (qDiff > rDiff && qDiff > sDiff) {
-            rq = -rr - rs;
-        } else if (rDiff > sDiff) {
-            rr = -rq - rs;
-        }
-
-        return new Hex(rq, rr);
+        return Hex.round(q, r);
     }
 
     // Get the 6 corner positions of a hex
@@ -20,7 +20,6 @@ class HexCell {
             EdgeFeature.NONE   // 5: Southeast
         ];
         this.visibility = 'visible';  // 'hidden', 'explored', 'visible'
-        this.unitId = null;           // For future unit placement
     }
 
     setEdge(direction, feature) {
@@ -38,8 +37,7 @@ class HexCell {
             r: this.hex.r,
             terrain: this.terrain,
             edges: this.edges,
-            visibility: this.visibility,
-            unitId: this.unitId
+            visibility: this.visibility
         };
     }
 
@@ -49,9 +47,8 @@ class HexCell {
             new Hex(data.q, data.r),
             data.terrain
         );
-        cell.edges = data.edges || Array(6).fill(EdgeFeature.NONE);
-        cell.visibility = data.visibility || 'visible';
-        cell.unitId = data.unitId || null;
+        cell.edges = data.edges;
+        cell.visibility = data.visibility;
         return cell;
     }
 }
@@ -60,10 +57,16 @@ class HexCell {
  * Collection of hex cells forming the game map
  */
 class HexMap {
-    constructor() {
+    /**
+     * @param {number} width - Playable columns (q 0 to width - 1)
+     * @param {number} height - Playable visual rows (vRow 0 up to height)
+     */
+    constructor(width = CONFIG.MAP_WIDTH, height = CONFIG.MAP_HEIGHT) {
         this.cells = new Map();  // Key: "q,r" -> HexCell
         this.bounds = null;
         this.riverPath = [];     // Array of {hex, cornerIndex} for continuous river
+        this.width = width;
+        this.height = height;
     }
 
     addCell(cell) {
@@ -115,6 +118,18 @@ class HexMap {
         return false;
     }
 
+    /**
+     * Check if a hex is within the playable area
+     * The edge hexes around it (see createHexField) fill out the rectangle
+     * on screen but are cut off by its frame, so units never go there.
+     * @param {Hex} hex
+     * @returns {boolean}
+     */
+    isPlayable(hex) {
+        const vRow = hex.q / 2 + hex.r;
+        return hex.q >= 0 && hex.q < this.width && vRow >= 0 && vRow < this.height;
+    }
+
     // Get existing neighbors of a hex
     getNeighbors(hex) {
         return hex.neighbors()
@@ -126,158 +141,46 @@ class HexMap {
         return {
             cells: this.getAllCells().map(cell => cell.toJSON()),
             bounds: this.bounds,
-            riverPath: this.riverPath
+            riverPath: this.riverPath,
+            width: this.width,
+            height: this.height
         };
     }
 
     static fromJSON(data) {
-        const map = new HexMap();
+        const map = new HexMap(data.width, data.height);
         data.cells.forEach(cellData => {
             map.addCell(HexCell.fromJSON(cellData));
         });
-        map.riverPath = data.riverPath || [];
+        map.riverPath = data.riverPath;
         return map;
     }
 }
 
 /**
- * Creates a visually rectangular map
- * Uses pixel-based boundaries to ensure the map looks rectangular on screen
+ * Creates a visually rectangular all-grass map
+ * The playable width x height hexes are framed by edge hexes that fill out
+ * the rectangle on screen: the odd columns' half hex above the top row, two
+ * rows below the bottom one and two columns right of the last one.
+ * @param {number} width - Playable columns
+ * @param {number} height - Playable visual rows
+ * @returns {HexMap}
  */
-function createDefaultMap() {
-    const map = new HexMap();
-
-    // Visual dimensions in pixels (increased for fuller board)
-    // NOTE: uses MAP_GEN_HEX_SIZE (not the rendered HEX_SIZE) so the number
-    // of hexes - and therefore the map layout - never changes with visuals.
-    const visualWidth = 1000;  // pixels
-    const visualHeight = 860;  // pixels
-    const hexSize = CONFIG.MAP_GEN_HEX_SIZE;
-
-    // Calculate hex dimensions
-    const hexHeight = hexSize * Math.sqrt(3);
-    const colSpacing = hexSize * 1.5;
-    const rowSpacing = hexHeight;
-
-    // Determine q range (columns)
-    const qMin = 0;
-    const qMax = Math.floor(visualWidth / colSpacing) + 1;  // +1 for extra column
-
-    // First pass: create all cells with basic terrain
-    for (let q = qMin; q <= qMax; q++) {
+function createHexField(width, height) {
+    const map = new HexMap(width, height);
+
+    for (let q = 0; q <= width + 1; q++) {
         const rMin = Math.floor(-q / 2);
-        const rMax = Math.floor(visualHeight / rowSpacing - q / 2) + 1;  // +1 for extra row
+        const rMax = height + 1 - Math.floor(q / 2);
 
         for (let r = rMin; r <= rMax; r++) {
-            const hex = new Hex(q, r);
-            map.addCell(new HexCell(hex, TerrainType.GRASS));
+            map.addCell(new HexCell(new Hex(q, r), TerrainType.GRASS));
         }
     }
 
-    // Add terrain features
-    addCastles(map);
-    addMountainsAndHills(map);
-    addForestClusters(map);
-    addRiverPath(map);
-    addRoads(map);
-
     return map;
 }
 
-// Helper: get visual row from q,r coordinates
-function getVisualRow(q, r) {
-    return q / 2 + r;
-}
-
-// Helper: get r from q and visual row
-function getRFromVisual(q, vRow) {
-    return Math.round(vRow - q / 2);
-}
-
-// Add castles at strategic positions
-function addCastles(map) {
-    const castlePositions = [
-        { q: 2, vRow: 2 },      // Top-left
-        { q: 17, vRow: 2 },     // Top-right
-        { q: 10, vRow: 7 },     // Center
-        { q: 3, vRow: 13 },     // Bottom-left
-        { q: 16, vRow: 12 }     // Bottom-right
-    ];
-
-    for (const pos of castlePositions) {
-        const r = getRFromVisual(pos.q, pos.vRow);
-        const hex = new Hex(pos.q, r);
-        const cell = map.getCell(hex);
-        if (cell) {
-            cell.terrain = TerrainType.CASTLE;
-        }
-    }
-}
-
-// Add mountains and hills in the right side of map
-function addMountainsAndHills(map) {
-    const cells = map.getAllCells();
-
-    for (const cell of cells) {
-        const q = cell.hex.q;
-        const vRow = getVisualRow(q, cell.hex.r);
-
-        // Mountains in upper right corner
-        if (vRow < 5 && q > 15) {
-            const noise = Math.sin(q * 2.5 + cell.hex.r * 1.7) * 0.5 + 0.5;
-            if (noise > 0.5) {
-                cell.terrain = TerrainType.MOUNTAIN;
-            } else if (noise > 0.3) {
-                cell.terrain = TerrainType.HILL;
-            }
-        }
-
-        // Hills in bottom right area
-        if (vRow > 10 && q > 13) {
-            const noise = Math.sin(q * 1.8 + cell.hex.r * 2.3) * 0.5 + 0.5;
-            if (noise > 0.6) {
-                cell.terrain = TerrainType.MOUNTAIN;
-            } else if (noise > 0.3) {
-                cell.terrain = TerrainType.HILL;
-            }
-        }
-    }
-}
-
-// Add forest in clusters (fewer but larger groups)
-function addForestClusters(map) {
-    // Define forest cluster centers (visual coordinates)
-    const forestCenters = [
-        { q: 4, vRow: 4 },
-        { q: 12, vRow: 3 },
-        { q: 6, vRow: 8 },
-        { q: 14, vRow: 7 },
-        { q: 2, vRow: 10 },
-        { q: 8, vRow: 12 },
-    ];
-
-    // For each cluster, fill nearby hexes with forest
-    for (const center of forestCenters) {
-        const centerR = getRFromVisual(center.q, center.vRow);
-        const centerHex = new Hex(center.q, centerR);
-
-        // Get hexes within radius 2 of center
-        const clusterHexes = getHexesInRadius(centerHex, 2);
-
-        for (const hex of clusterHexes) {
-            const cell = map.getCell(hex);
-            if (cell && cell.terrain === TerrainType.GRASS) {
-                // Random chance decreasing with distance
-                const dist = centerHex.distanceTo(hex);
-                const chance = 1 - (dist * 0.3);
-                if (Math.random() < chance) {
-                    cell.terrain = TerrainType.WOODS;
-                }
-            }
-        }
-    }
-}
-
 // Get all hexes within a radius of a center hex
 function getHexesInRadius(center, radius) {
     const results = [];
@@ -289,112 +192,67 @@ function getHexesInRadius(center, radius) {
     return results;
 }
 
-// Add river as terrain hexes flowing from top to bottom
-function addRiverPath(map) {
-    // River flows from top to bottom, column around q=8
-    // Store the path of hex coordinates for rendering
-    const riverPath = [];
-
-    // Define river path using visual row positions
-    // River starts at top and flows down with slight meandering
-    // IMPORTANT: Each consecutive pair must be adjacent hexes!
-    const riverPoints = [
-        { q: 8, vRow: 0 },
-        { q: 8, vRow: 1 },
-        { q: 8, vRow: 2 },
-        { q: 8, vRow: 3 },
-        { q: 8, vRow: 4 },
-        { q: 8, vRow: 5 },
-        { q: 8, vRow: 6 },   // Bridge hex - needed for adjacency
-        { q: 7, vRow: 6 },   // Bend slightly west (adjacent to 8,vRow6)
-        { q: 7, vRow: 7 },
-        { q: 7, vRow: 8 },
-        { q: 7, vRow: 9 },
-        { q: 6, vRow: 10 },  // Bend more west
-        { q: 6, vRow: 11 },
-        { q: 6, vRow: 12 },
-        { q: 6, vRow: 13 },
-        { q: 6, vRow: 14 },
-        { q: 6, vRow: 15 },
-        { q: 6, vRow: 16 },  // Bottom map edge - river exits the map
-    ];
-
-    // Set river terrain and build path
-    for (const point of riverPoints) {
-        const r = getRFromVisual(point.q, point.vRow);
-        const hex = new Hex(point.q, r);
-        const cell = map.getCell(hex);
-
-        if (cell) {
-            cell.terrain = TerrainType.RIVER;
-            riverPath.push({ q: point.q, r: r });
-        }
-    }
-
-    // Store river path for rendering
-    map.riverPath = riverPath;
-}
-
-// Add roads connecting castles
-function addRoads(map) {
-    // Castle positions (must match addCastles)
-    const castles = [
-        new Hex(2, getRFromVisual(2, 2)),       // Top-left
-        new Hex(17, getRFromVisual(17, 2)),     // Top-right
-        new Hex(10, getRFromVisual(10, 7)),     // Center
-        new Hex(3, getRFromVisual(3, 13)),      // Bottom-left
-        new Hex(16, getRFromVisual(16, 12))     // Bottom-right
-    ];
-
-    // Connect all castles to center
-    connectWithRoad(map, castles[0], castles[2]);  // Top-left to Center
-    connectWithRoad(map, castles[1], castles[2]);  // Top-right to Center
-    connectWithRoad(map, castles[2], castles[3]);  // Center to Bottom-left
-    connectWithRoad(map, castles[2], castles[4]);  // Center to Bottom-right
+// What a road pays to enter a hex. Roads follow easy ground, go round
+// mountains and lakes, cross a river where it takes the fewest river hexes,
+// keep to the playable map, and join roads already laid rather than running
+// alongside them.
+const ROAD_COSTS = Object.freeze({
+    existingRoad: 0.5,      // Along a road already laid (or its bridge)
+    river: 8,               // Into a river hex, which takes a bridge
+    blocked: 10000          // Over a mountain or lake, or off the playable map: only with no way round at all
+});
+
+// Key for the road between two neighbouring hexes, the same both ways
+function roadEdgeKey(a, b) {
+    return a.key < b.key ? `${a.key}|${b.key}` : `${b.key}|${a.key}`;
 }
 
-// Create road path between two hexes
-function connectWithRoad(map, start, end) {
-    let current = start;
-    const visited = new Set();
-    visited.add(current.key);
-
-    while (!current.equals(end)) {
-        let bestDir = -1;
-        let bestDist = Infinity;
-
-        for (let dir = 0; dir < 6; dir++) {
-            const neighbor = current.neighbor(dir);
-            if (!map.hasCell(neighbor)) continue;
-            if (visited.has(neighbor.key)) continue;
-
-            const dist = neighbor.distanceTo(end);
-            if (dist < bestDist) {
-                bestDist = dist;
-                bestDir = dir;
+/**
+ * Route a road from start to end (A* over the map's terrain)
+ * @param {HexMap} map
+ * @param {Hex} start
+ * @param {Hex} end
+ * @param {Set<string>} [roads] - roadEdgeKeys of roads already laid, which the route joins
+ * @returns {Array<Hex>} From start to end, one neighbouring hex after another
+ *   (just start if end is not on the map)
+ */
+function findRoadPath(map, start, end, roads = new Set()) {
+    if (!map.hasCell(end)) return [start];
+
+    const stepCost = (from, to) => {
+        if (roads.has(roadEdgeKey(from, to))) return ROAD_COSTS.existingRoad;
+        const terrain = TERRAIN_PROPERTIES[map.getCell(to).terrain];
+        if (terrain.impassable || !map.isPlayable(to)) return ROAD_COSTS.blocked;
+        if (map.getCell(to).terrain === TerrainType.RIVER) return ROAD_COSTS.river;
+        return terrain.movementCost;
+    };
+    // Never more than the cost left, so the first route found is the cheapest
+    const estimate = hex => hex.distanceTo(end) * ROAD_COSTS.existingRoad;
+
+    const cost = new Map([[start.key, 0]]);
+    const cameFrom = new Map();
+    const open = new PriorityQueue();
+    open.push(start, estimate(start));
+
+    while (!open.isEmpty()) {
+        const current = open.pop();
+        if (current.equals(end)) break;
+
+        for (const next of current.neighbors()) {
+            if (!map.hasCell(next)) continue;
+
+            const nextCost = cost.get(current.key) + stepCost(current, next);
+            if (nextCost < (cost.get(next.key) ?? Infinity)) {
+                cost.set(next.key, nextCost);
+                cameFrom.set(next.key, current);
+                open.push(next, nextCost + estimate(next));
             }
         }
+    }
 
-        if (bestDir === -1) break;
-
-        const next = current.neighbor(bestDir);
-        visited.add(next.key);
-
-        // Check if crossing a river hex - mark as bridge
-        const nextCell = map.getCell(next);
-        const currentCell = map.getCell(current);
-
-        if (nextCell && nextCell.terrain === TerrainType.RIVER) {
-            // Road enters a river hex - this is a bridge
-            map.setEdgeBetween(current, next, EdgeFeature.BRIDGE);
-        } else if (currentCell && currentCell.terrain === TerrainType.RIVER) {
-            // Road exits a river hex - this is a bridge
-            map.setEdgeBetween(current, next, EdgeFeature.BRIDGE);
-        } else {
-            // Normal road
-            map.setEdgeBetween(current, next, EdgeFeature.ROAD);
-        }
-
-        current = next;
+    const path = [end];
+    while (!path[0].equals(start)) {
+        path.unshift(cameFrom.get(path[0].key));
     }
+    return path;
 }
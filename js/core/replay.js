@@ -0,0 +1,379 @@
+/**
+ * Replays - record a game as it is played and step through it afterwards
+ * ReplayRecorder keeps the starting GameState (with its RNG seed) and every
+ * player command together with the events it produced; the enemy's turn
+ * arrives as the events of the end_turn command. Events are stored as plain
+ * data (unit IDs, hexes, values after each battle), so a replay exports as a
+ * single JSON file and plays back without running the rules again.
+ * ReplayPlayer rebuilds the game at any step from the starting state.
+ */
+
+const REPLAY_FORMAT = 'puddy-replay';
+const REPLAY_VERSION = 1;
+
+/**
+ * Hex as plain data
+ * @param {Hex} hex
+ * @returns {Object} { q, r }
+ */
+function replayHex(hex) {
+    return { q: hex.q, r: hex.r };
+}
+
+/**
+ * Convert a GameEngine event to plain replay data
+ * Units become IDs; placed, rebuilt and resupplied units are stored whole.
+ * @param {Object} event - Event returned by the GameEngine
+ * @returns {Object} Replay event
+ */
+function serializeReplayEvent(event) {
+    switch (event.type) {
+        case 'unit_placed':
+        case 'unit_rebuilt':
+        case 'ammo_bought':
+            return { type: event.type, unit: event.unit.toJSON(), cost: event.cost ?? 0 };
+        case 'unit_moved':
+        case 'unit_advanced':
+        case 'move_undone':
+            return {
+                type: event.type,
+                unitId: event.unit.id,
+                typeId: event.unit.typeId,
+                playerId: event.unit.playerId,
+                from: replayHex(event.from),
+                to: replayHex(event.to)
+            };
+        case 'battle': {
+            const battle = event.battle;
+            return {
+                type: 'battle',
+                kind: event.kind,
+                attacker: {
+                    id: battle.attacker.id,
+                    typeId: battle.attacker.typeId,
+                    playerId: battle.attacker.playerId,
+                    strength: battle.result.attackerStrengthAfter,
+                    experience: battle.attackerExpBefore + battle.attackerExpGain
+                },
+                defender: {
+                    id: battle.defender.id,
+                    typeId: battle.defender.typeId,
+                    playerId: battle.defender.playerId,
+                    hex: replayHex(battle.defender.hex),
+                    strength: battle.result.defenderStrengthAfter,
+                    experience: battle.defenderExpBefore + battle.defenderExpGain,
+                    entrenchment: battle.defenderEntrenchAfter
+                },
+                prestigeGain: battle.prestigeGain
+            };
+        }
+        case 'unit_destroyed':
+            return { type: event.type, unitId: event.unit.id };
+        case 'castle_captured':
+            return { type: event.type, playerId: event.playerId, hex: replayHex(event.hex) };
+        case 'castle_recaptured':
+        case 'castle_retaken':
+            return { type: event.type, hex: replayHex(event.hex) };
+        case 'horde_rebuilt':
+            return { type: event.type, unitIds: event.units.map(unit => unit.id) };
+        case 'horde_reassigned':
+            return { type: event.type, unitId: event.unit.id, castleKey: event.castleKey };
+        default:
+            // unit_purchased, placement_complete, turn_ended, turn_started,
+            // victory and defeat are plain data already
+            return { ...event };
+    }
+}
+
+/**
+ * Records a game for replay
+ */
+class ReplayRecorder {
+    /**
+     * @param {GameState} gameState - The game as it stands when recording starts
+     */
+    constructor(gameState) {
+        this.seed = gameState.rng.seed;
+        this.levelId = gameState.currentLevel;
+        this.recordedAt = new Date().toISOString();
+        // Deep copy: toJSON shares arrays with the live state
+        this.initialState = JSON.parse(JSON.stringify(gameState));
+        this.commands = [];
+    }
+
+    /**
+     * Append a command and what it led to
+     * @param {Object} command - The player's command, e.g. { type: 'move', unitId, hex }
+     * @param {Array} events - Events returned by the GameEngine
+     * @param {GameState} gameState - The game after the command
+     */
+    record(command, events, gameState) {
+        const entry = { ...command };
+        if (entry.hex) {
+            entry.hex = replayHex(entry.hex);
+        }
+        this.commands.push({
+            command: entry,
+            events: events.map(event => serializeReplayEvent(event)),
+            prestige: gameState.prestige
+        });
+    }
+
+    // Serialize for export
+    toJSON() {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            levelId: this.levelId,
+            recordedAt: this.recordedAt,
+            initialState: this.initialState,
+            commands: this.commands
+        };
+    }
+}
+
+/**
+ * Steps through a recorded game
+ * The game at step N is the starting state with the first N replay events
+ * applied. Fog of war is off so enemy moves can be followed.
+ */
+class ReplayPlayer {
+    /**
+     * @param {Object} data - Replay data (ReplayRecorder.toJSON())
+     */
+    constructor(data) {
+        this.data = data;
+        this.steps = [];
+        data.commands.forEach((entry, commandIndex) => {
+            entry.events.forEach((event, i) => {
+                const step = { commandIndex: commandIndex, event: event };
+                // The command's prestige total is known once its last event has played
+                if (i === entry.events.length - 1) {
+                    step.prestige = entry.prestige;
+                }
+                this.steps.push(step);
+            });
+        });
+        this.position = 0;
+        this.state = null;
+        this.seek(0);
+    }
+
+    /**
+     * Load a replay from exported data
+     * @param {Object} data - Parsed replay file
+     * @returns {ReplayPlayer|null} The player, or null if the data is not a replay this version can read
+     */
+    static fromJSON(data) {
+        if (!data || data.format !== REPLAY_FORMAT) return null;
+        if (typeof data.version !== 'number' || data.version > REPLAY_VERSION) return null;
+        if (!data.initialState || !Array.isArray(data.commands)) return null;
+        return new ReplayPlayer(data);
+    }
+
+    /**
+     * Number of steps in the replay
+     * @returns {number}
+     */
+    get length() {
+        return this.steps.length;
+    }
+
+    /**
+     * The event shown at the current position (the last one applied)
+     * @returns {Object|null}
+     */
+    getCurrentEvent() {
+        return this.position > 0 ? this.steps[this.position - 1].event : null;
+    }
+
+    /**
+     * Rebuild the game after the first `position` steps
+     * @param {number} position - Step to show (0 = starting state)
+     * @returns {GameState} The rebuilt game
+     */
+    seek(position) {
+        position = Math.max(0, Math.min(this.steps.length, position));
+
+        const state = GameState.fromJSON(JSON.parse(JSON.stringify(this.data.initialState)));
+        state.settings.fogOfWar = false;
+        state.selectedUnit = null;
+        state.selectedHex = null;
+
+        for (let i = 0; i < position; i++) {
+            const step = this.steps[i];
+            this.applyEvent(state, step.event);
+            if (step.prestige !== undefined) {
+                state.prestige = step.prestige;
+            }
+        }
+
+        this.position = position;
+        this.state = state;
+        return state;
+    }
+
+    /**
+     * Show the next step
+     * @returns {boolean} True if the position changed
+     */
+    stepForward() {
+        if (this.position >= this.steps.length) return false;
+        this.seek(this.position + 1);
+        return true;
+    }
+
+    /**
+     * Show the previous step
+     * @returns {boolean} True if the position changed
+     */
+    stepBack() {
+        if (this.position <= 0) return false;
+        this.seek(this.position - 1);
+        return true;
+    }
+
+    /**
+     * Jump to the start of the next turn (or the end of the replay)
+     * @returns {boolean} True if the position changed
+     */
+    nextTurn() {
+        for (let i = this.position; i < this.steps.length; i++) {
+            if (this.steps[i].event.type === 'turn_started') {
+                this.seek(i + 1);
+                return true;
+            }
+        }
+        if (this.position === this.steps.length) return false;
+        this.seek(this.steps.length);
+        return true;
+    }
+
+    /**
+     * Jump back to the start of the current turn, or of the previous one
+     * when already there (or the start of the replay)
+     * @returns {boolean} True if the position changed
+     */
+    previousTurn() {
+        for (let i = this.position - 2; i >= 0; i--) {
+            if (this.steps[i].event.type === 'turn_started') {
+                this.seek(i + 1);
+                return true;
+            }
+        }
+        if (this.position === 0) return false;
+        this.seek(0);
+        return true;
+    }
+
+    /**
+     * Apply one replay event to a game
+     * Tracks what the map shows: units, their strength and experience,
+     * castles, turns, and the end of the game.
+     * @param {GameState} state - The game being rebuilt
+     * @param {Object} event - Replay event
+     */
+    applyEvent(state, event) {
+        switch (event.type) {
+            case 'unit_placed':
+                state.units.addUnit(Unit.fromJSON(event.unit));
+                state.unitsToPlace = Math.max(0, state.unitsToPlace - 1);
+                break;
+            case 'placement_complete':
+                state.phase = GamePhase.MOVEMENT;
+                break;
+            case 'unit_moved':
+            case 'unit_advanced':
+            case 'move_undone': {
+                const unit = state.units.getUnit(event.unitId);
+                if (!unit) break;
+                state.units.moveUnit(unit, new Hex(event.to.q, event.to.r));
+                if (event.type === 'move_undone') {
+                    unit.movementRemaining = unit.getType().movement;
+                    unit.hasMoved = false;
+                } else {
+                    unit.movementRemaining = 0;
+                    unit.hasMoved = true;
+                }
+                break;
+            }
+            case 'battle':
+                this.applyBattleSide(state, event.attacker);
+                this.applyBattleSide(state, event.defender);
+                if (state.units.getUnit(event.attacker.id)) {
+                    state.units.getUnit(event.attacker.id).hasAttacked = true;
+                }
+                break;
+            case 'unit_destroyed':
+                state.units.removeUnit(event.unitId);
+                break;
+            case 'castle_captured': {
+                const key = new Hex(event.hex.q, event.hex.r).key;
+                if (event.playerId === 0) {
+                    state.capturedCastles.push(key);
+                    if (!state.castlesEverCaptured.includes(key)) {
+                        state.castlesEverCaptured.push(key);
+                    }
+                } else {
+                    state.lostCastles.push(key);
+                }
+                break;
+            }
+            case 'castle_recaptured': {
+                const key = new Hex(event.hex.q, event.hex.r).key;
+                state.lostCastles = state.lostCastles.filter(k => k !== key);
+                break;
+            }
+            case 'castle_retaken': {
+                const key = new Hex(event.hex.q, event.hex.r).key;
+                state.capturedCastles = state.capturedCastles.filter(k => k !== key);
+                break;
+            }
+            case 'unit_rebuilt':
+            case 'ammo_bought':
+                state.units.removeUnit(event.unit.id);
+                state.units.addUnit(Unit.fromJSON(event.unit));
+                break;
+            case 'horde_rebuilt':
+                for (const id of event.unitIds) {
+                    const unit = state.units.getUnit(id);
+                    if (unit) unit.strength = 10;
+                }
+                break;
+            case 'turn_ended':
+                state.turnsRemaining--;
+                break;
+            case 'turn_started':
+                state.turn = event.turn;
+                state.units.resetTurn();
+                break;
+            case 'victory':
+                state.phase = GamePhase.VICTORY;
+                break;
+            case 'defeat':
+                state.phase = GamePhase.DEFEAT;
+                break;
+        }
+    }
+
+    /**
+     * Apply one side's battle outcome, removing the unit if it was destroyed
+     * @param {GameState} state - The game being rebuilt
+     * @param {Object} side - { id, strength, experience, entrenchment }
+     */
+    applyBattleSide(state, side) {
+        const unit = state.units.getUnit(side.id);
+        if (!unit) return;
+
+        if (side.strength <= 0) {
+            state.units.removeUnit(unit.id);
+            return;
+        }
+        unit.strength = side.strength;
+        unit.experience = side.experience;
+        if (side.entrenchment !== undefined) {
+            unit.entrenchment = side.entrenchment;
+        }
+    }
+}
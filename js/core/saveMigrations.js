@@ -0,0 +1,172 @@
+/**
+ * Save format versions and migrations
+ * Every save carries a saveVersion; saves from before versioning count as
+ * version 0. Loading runs a save through each migration after its version
+ * in turn, so GameState.fromJSON only ever sees data in the current format.
+ * To change the format, bump SAVE_VERSION and add a migration that upgrades
+ * data from the previous version.
+ */
+
+// Save version written by this build
+const SAVE_VERSION = 7;
+
+/**
+ * Migrations in order - each one upgrades data from (version - 1) to version
+ * and may change the data in place
+ */
+const SAVE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill in fields that unversioned saves could leave out',
+        migrate(data) {
+            fillMissing(data, {
+                selectedUnit: null,
+                unitsToPlace: 0,
+                unitTypesToPlace: [],
+                capturedCastles: [],
+                enemyCastleKeys: [],
+                totalCastles: 3,
+                turnLimit: 15,
+                earlyVictoryBonus: 20,
+                prestige: 150,
+                currentLevel: 1,
+                settings: {},
+                gameMode: 'offense',
+                playerCastleKeys: [],
+                lostCastles: [],
+                hordeState: null,
+                units: []
+            });
+            fillMissing(data, { turnsRemaining: data.turnLimit });
+
+            if (data.map) {
+                fillMissing(data.map, { riverPath: [] });
+                for (const cell of data.map.cells || []) {
+                    fillMissing(cell, {
+                        edges: Array(6).fill(EdgeFeature.NONE),
+                        visibility: 'visible'
+                    });
+                }
+            }
+
+            for (const unit of data.units) {
+                fillMissing(unit, {
+                    experience: 0,
+                    entrenchment: 0,
+                    hasMoved: false,
+                    turnsStationary: 0,
+                    isAuxiliary: false
+                });
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Give saves from before the seeded RNG a fresh seed',
+        migrate(data) {
+            if (!data.rng) {
+                data.rng = new SeededRandom().toJSON();
+            }
+            fillMissing(data.rng, { state: data.rng.seed });
+        }
+    },
+    {
+        version: 3,
+        description: 'Add the core army placement queue',
+        migrate(data) {
+            fillMissing(data, { coreUnitsToPlace: [] });
+        }
+    },
+    {
+        version: 4,
+        description: 'Store the map size and the player\'s deployment zone, which every level used to share',
+        migrate(data) {
+            if (data.map) {
+                fillMissing(data.map, { width: 20, height: 15 });
+            }
+            fillMissing(data, {
+                deploymentZone: { minQ: data.gameMode === 'defense' ? 12 : 18, maxQ: 19, minVRow: 0, maxVRow: 14.5 }
+            });
+        }
+    },
+    {
+        version: 5,
+        description: 'Add the enemy\'s memory of where it saw the player\'s units',
+        migrate(data) {
+            fillMissing(data, { enemySightings: {}, enemySeesAll: false });
+        }
+    },
+    {
+        version: 6,
+        description: 'Add the AI difficulty, which was always normal',
+        migrate(data) {
+            fillMissing(data, { difficulty: 'normal' });
+        }
+    },
+    {
+        version: 7,
+        description: 'Remember which castles have paid their capture prestige',
+        migrate(data) {
+            fillMissing(data, { castlesEverCaptured: [...(data.capturedCastles || [])] });
+        }
+    }
+];
+
+/**
+ * Set each default whose field is missing (undefined or null)
+ * @param {Object} target - Object to fill in
+ * @param {Object} defaults - Field name -> default value
+ */
+function fillMissing(target, defaults) {
+    for (const [key, value] of Object.entries(defaults)) {
+        if (target[key] === undefined || target[key] === null) {
+            target[key] = value;
+        }
+    }
+}
+
+const SaveMigrations = {
+    /**
+     * Version of saved game data
+     * @param {Object} data - Saved GameState data
+     * @returns {number} The save version (0 for saves from before versioning)
+     */
+    getVersion(data) {
+        return data.saveVersion ?? 0;
+    },
+
+    /**
+     * Upgrade saved game data to the current save version
+     * The data passed in is left unchanged.
+     * @param {Object} data - Saved GameState data
+     * @returns {Object} { success, data } or { success: false, error } with a message for the player
+     */
+    migrate(data) {
+        if (!data || typeof data !== 'object') {
+            return { success: false, error: 'The save has no game data.' };
+        }
+
+        const version = this.getVersion(data);
+        if (!Number.isInteger(version) || version < 0) {
+            return { success: false, error: `The save has an invalid version (${version}).` };
+        }
+        if (version > SAVE_VERSION) {
+            return {
+                success: false,
+                error: `This save is from a newer version of Puddy General (save version ${version}, this game reads up to ${SAVE_VERSION}). Update the game to load it.`
+            };
+        }
+        if (version === SAVE_VERSION) {
+            return { success: true, data: data };
+        }
+
+        const upgraded = JSON.parse(JSON.stringify(data));
+        for (const migration of SAVE_MIGRATIONS) {
+            if (migration.version > version) {
+                migration.migrate(upgraded);
+                upgraded.saveVersion = migration.version;
+            }
+        }
+        return { success: true, data: upgraded };
+    }
+};
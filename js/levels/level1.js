@@ -28,13 +28,18 @@ Now off you go and invade!`,
     playerStartingPrestige: 150,
     // showMarketplace: false (default) - marketplace shows for Level 2+
 
+    // Campaign branches: a quick victory leaves time to march on the river;
+    // a slow one gives the horde time to reach the heartland first
+    outcomes: {
+        brilliant: { minTurnsRemaining: 5, nextLevel: 2 },
+        tactical: { nextLevel: 3 }
+    },
+
     // Castle positions (q, vRow format)
-    // Player castles are on the right, enemy castles on the left
+    // No player castles: the right side is mountains and hills, and the
+    // roads there lead off toward home
     castles: {
-        player: [
-            { q: 17, vRow: 2 },     // Top-right
-            { q: 16, vRow: 12 }     // Bottom-right
-        ],
+        player: [],
         enemy: [
             { q: 10, vRow: 7 }      // Center - only enemy castle for Level 1
         ]
@@ -94,9 +99,9 @@ Now off you go and invade!`,
         { from: { q: 10, vRow: 7 }, to: { q: 0, vRow: 2 } },
         // Road from center castle going southwest off map (where bottom-left castle was)
         { from: { q: 10, vRow: 7 }, to: { q: 0, vRow: 13 } },
-        // Road from center castle to top-right player castle
+        // Road from center castle to the top-right mountains
         { from: { q: 10, vRow: 7 }, to: { q: 17, vRow: 2 } },
-        // Road from center castle to bottom-right player castle
+        // Road from center castle to the bottom-right hills
         { from: { q: 10, vRow: 7 }, to: { q: 16, vRow: 12 } }
     ],
 
@@ -136,7 +141,4 @@ Now off you go and invade!`,
     ]
 };
 
-// Make available globally
-if (typeof window !== 'undefined') {
-    window.Level1 = Level1;
-}
+LevelManager.register(Level1);
@@ -29,6 +29,13 @@ You have 20 days. Take both castles and the river trade routes are ours!`,
     showMarketplace: true,
     maxUnits: 6,
 
+    // Campaign branches: failing at the river doesn't end the war - the
+    // campaign falls back to defending the heartland against the horde
+    outcomes: {
+        brilliant: { minTurnsRemaining: 8 },
+        defeat: { nextLevel: 3 }
+    },
+
     // Castle positions (q, vRow format)
     castles: {
         player: [],
@@ -132,7 +139,4 @@ You have 20 days. Take both castles and the river trade routes are ours!`,
     ]
 };
 
-// Make available globally
-if (typeof window !== 'undefined') {
-    window.Level2 = Level2;
-}
+LevelManager.register(Level2);
@@ -28,7 +28,7 @@ Hold for 22 days. If even one castle still flies our banner, we win!`,
 
     // Player setup
     playerUnitsToPlace: 0,
-    playerStartingPrestige: 0,      // Overridden by carry-over from Level 2
+    playerStartingPrestige: 0,      // Overridden by carry-over from Level 1 or 2
     showMarketplace: true,
     maxUnits: 8,
 
@@ -160,7 +160,7 @@ Hold for 22 days. If even one castle still flies our banner, we win!`,
         { q: 8, vRow: 7 },
         { q: 8, vRow: 8 },
         { q: 8, vRow: 9 },
-        { q: 7, vRow: 10 },
+        { q: 7, vRow: 10, ford: true },   // Dry crossing between here and (8, 9) - the horde's way over
         { q: 7, vRow: 11 },
         { q: 7, vRow: 12 },
         { q: 7, vRow: 13 },
@@ -170,7 +170,4 @@ Hold for 22 days. If even one castle still flies our banner, we win!`,
     ]
 };
 
-// Make available globally
-if (typeof window !== 'undefined') {
-    window.Level3 = Level3;
-}
+LevelManager.register(Level3);
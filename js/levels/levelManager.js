@@ -2,52 +2,186 @@
  * Level Manager - Handles loading and managing level definitions
  */
 
+/**
+ * How a level ended, for campaign branching (a level's `outcomes`)
+ */
+const VictoryGrade = Object.freeze({
+    BRILLIANT: 'brilliant',
+    TACTICAL: 'tactical',
+    DEFEAT: 'defeat'
+});
+
+const VICTORY_GRADE_NAMES = Object.freeze({
+    brilliant: 'Brilliant Victory',
+    tactical: 'Tactical Victory',
+    defeat: 'Defeat'
+});
+
 const LevelManager = {
-    // Registry of all available levels
+    // Registry of all available levels - the campaign
     levels: {},
+    // Levels loaded from level files, played on their own outside the campaign
+    customLevels: {},
 
     /**
-     * Register a level definition
+     * Register a campaign level
+     * The level is checked against LEVEL_SCHEMA first; an invalid level is
+     * left out and its problems logged.
+     * @param {Object} level - Level definition
+     * @returns {Object} { success, level } or { success: false, errors }
      */
     register(level) {
+        const errors = LevelValidator.validate(level);
+        if (errors.length > 0) {
+            console.error(`Level ${level && level.id} not registered:\n  ${errors.join('\n  ')}`);
+            return { success: false, errors: errors };
+        }
         this.levels[level.id] = level;
+        return { success: true, level: level };
+    },
+
+    /**
+     * Read a level file
+     * @param {string} text - The file's contents (JSON)
+     * @returns {Object} { success, level } or { success: false, errors } with messages for the player
+     */
+    parseLevelFile(text) {
+        let level;
+        try {
+            level = JSON.parse(text);
+        } catch (e) {
+            return { success: false, errors: [`The file is not valid JSON: ${e.message}`] };
+        }
+
+        const errors = LevelValidator.validate(level);
+        if (errors.length === 0 && this.levels[level.id]) {
+            errors.push(`id: ${level.id} is taken by the campaign level "${this.levels[level.id].name}"`);
+        }
+        return errors.length > 0 ? { success: false, errors: errors } : { success: true, level: level };
+    },
+
+    /**
+     * Make a level from a level file playable, outside the campaign
+     * A level loaded again with the same ID replaces the earlier one.
+     * @param {Object} level - Level definition (see parseLevelFile)
+     * @returns {Object} { success, level } or { success: false, errors }
+     */
+    addCustomLevel(level) {
+        const errors = LevelValidator.validate(level);
+        if (errors.length > 0) {
+            console.error(`Level ${level && level.id} not loaded:\n  ${errors.join('\n  ')}`);
+            return { success: false, errors: errors };
+        }
+        this.customLevels[level.id] = level;
+        return { success: true, level: level };
+    },
+
+    /**
+     * An unused ID for a new custom level (above the campaign's, from 101 up)
+     */
+    getFreeLevelId() {
+        const ids = [...Object.keys(this.levels), ...Object.keys(this.customLevels)].map(Number);
+        return Math.max(100, ...ids) + 1;
+    },
+
+    /**
+     * Whether a level is part of the campaign (not loaded from a level file)
+     */
+    isCampaignLevel(id) {
+        return this.levels[id] !== undefined;
     },
 
     /**
      * Get a level by ID
      */
     getLevel(id) {
-        const level = this.levels[id] || null;
+        const level = this.findLevel(id);
         if (!level) {
-            console.warn(`Level ${id} not found. Registered levels:`, Object.keys(this.levels));
+            console.warn(`Level ${id} not found. Registered levels:`, Object.keys(this.levels), 'Custom levels:', Object.keys(this.customLevels));
         }
         return level;
     },
 
+    /**
+     * Look a level up in the campaign and the custom levels
+     * @returns {Object|null}
+     */
+    findLevel(id) {
+        return this.levels[id] || this.customLevels[id] || null;
+    },
+
     /**
      * Get the first level (for new games)
      */
     getFirstLevel() {
-        return this.levels[1] || null;
+        const levelIds = this.getAllLevelIds();
+        return levelIds.length > 0 ? this.levels[levelIds[0]] : null;
     },
 
     /**
-     * Get the next level after the given level ID
+     * Get the level an outcome leads to
+     * A level's `outcomes` can send each victory grade, or a defeat, to any
+     * level (nextLevel: null ends the campaign). Otherwise a victory leads to
+     * the next level in ID order and a defeat ends the campaign.
+     * @param {number} currentLevelId
+     * @param {string} outcome - A VictoryGrade (default: a tactical victory)
+     * @returns {Object|null} The level, or null if the campaign ends here
      */
-    getNextLevel(currentLevelId) {
-        const nextId = currentLevelId + 1;
-        return this.levels[nextId] || null;
+    getNextLevel(currentLevelId, outcome = VictoryGrade.TACTICAL) {
+        const level = this.levels[currentLevelId];
+        const branch = level && level.outcomes ? level.outcomes[outcome] : null;
+        if (branch && branch.nextLevel !== undefined) {
+            return branch.nextLevel === null ? null : this.levels[branch.nextLevel] || null;
+        }
+        if (outcome === VictoryGrade.DEFEAT) return null;
+
+        const nextId = this.getAllLevelIds().find(id => id > currentLevelId);
+        return nextId !== undefined ? this.levels[nextId] : null;
+    },
+
+    /**
+     * Check if there's a level after this one for an outcome
+     */
+    hasNextLevel(currentLevelId, outcome = VictoryGrade.TACTICAL) {
+        return this.getNextLevel(currentLevelId, outcome) !== null;
+    },
+
+    /**
+     * Grade a victory
+     * Offense: brilliant when won with at least outcomes.brilliant.minTurnsRemaining
+     * turns left (default a third of the turn limit). The early victory bonus
+     * is paid per turn left, so this ranks victories just as the bonus does;
+     * grading on the bonus itself would leave a level that pays none
+     * (earlyVictoryBonus: 0) without a brilliant victory. Defense: brilliant when at least
+     * outcomes.brilliant.minCastlesHeld castles still stand (default all of them).
+     * @param {number} levelId
+     * @param {Object} victory - The victory event: { gameMode, turnsRemaining } or { gameMode, castlesHeld, totalCastles }
+     * @returns {string} VictoryGrade.BRILLIANT or VictoryGrade.TACTICAL
+     */
+    gradeVictory(levelId, victory) {
+        const level = this.findLevel(levelId);
+        const brilliant = (level && level.outcomes && level.outcomes.brilliant) || {};
+
+        if (victory.gameMode === 'defense') {
+            const minCastlesHeld = brilliant.minCastlesHeld ?? victory.totalCastles;
+            return victory.castlesHeld >= minCastlesHeld ? VictoryGrade.BRILLIANT : VictoryGrade.TACTICAL;
+        }
+
+        const turnLimit = (level && level.turnLimit) || 15;
+        const minTurnsRemaining = brilliant.minTurnsRemaining ?? Math.ceil(turnLimit / 3);
+        return victory.turnsRemaining >= minTurnsRemaining ? VictoryGrade.BRILLIANT : VictoryGrade.TACTICAL;
     },
 
     /**
-     * Check if there's a next level
+     * Most units the player may field on a level (core army and purchases)
      */
-    hasNextLevel(currentLevelId) {
-        return this.levels[currentLevelId + 1] !== undefined;
+    getMaxUnits(levelId) {
+        const level = this.getLevel(levelId);
+        return level && level.maxUnits ? level.maxUnits : 6;
     },
 
     /**
-     * Get all level IDs in order
+     * Get all campaign level IDs in order
      */
     getAllLevelIds() {
         return Object.keys(this.levels)
@@ -62,38 +196,71 @@ const LevelManager = {
         return Math.round(vRow - q / 2);
     },
 
+    /**
+     * A hex as a level position
+     * @param {Hex} hex
+     * @returns {Object} { q, vRow }
+     */
+    hexToPosition(hex) {
+        return { q: hex.q, vRow: hex.q / 2 + hex.r };
+    },
+
+    /**
+     * The playable size of a level's map
+     * @param {Object} level - Level definition
+     * @returns {Object} { width, height } in columns and visual rows
+     */
+    getMapSize(level) {
+        return {
+            width: level.mapWidth || CONFIG.MAP_WIDTH,
+            height: level.mapHeight || CONFIG.MAP_HEIGHT
+        };
+    },
+
+    /**
+     * Where a side's army deploys: the level's zone for the side, reaching
+     * the edge of the map on every side the zone leaves open
+     * Without a zone the player deploys in the two columns at the right edge
+     * (eight on defense levels, to reach the castles to hold) and the
+     * enemy anywhere.
+     * @param {Object} level - Level definition
+     * @param {string} side - 'player' or 'enemy'
+     * @returns {Object} { minQ, maxQ, minVRow, maxVRow }, all inclusive
+     */
+    getDeploymentZone(level, side) {
+        const size = this.getMapSize(level);
+        let zone = level.deploymentZones && level.deploymentZones[side];
+        if (!zone && side === 'player') {
+            zone = { minQ: size.width - (level.gameMode === 'defense' ? 8 : 2) };
+        }
+        zone = zone || {};
+
+        return {
+            minQ: zone.minQ ?? 0,
+            maxQ: zone.maxQ ?? size.width - 1,
+            minVRow: zone.minVRow ?? 0,
+            maxVRow: zone.maxVRow ?? size.height - 0.5
+        };
+    },
+
+    /**
+     * @param {Hex} hex
+     * @param {Object} zone - From getDeploymentZone
+     * @returns {boolean} True if the hex is inside the zone
+     */
+    isInDeploymentZone(hex, zone) {
+        const vRow = hex.q / 2 + hex.r;
+        return hex.q >= zone.minQ && hex.q <= zone.maxQ &&
+            vRow >= zone.minVRow && vRow <= zone.maxVRow;
+    },
+
     /**
      * Create a map from a level definition
      */
     createMapFromLevel(level) {
-        const map = new HexMap();
-
-        // Visual dimensions in pixels
-        // NOTE: uses MAP_GEN_HEX_SIZE (not the rendered HEX_SIZE) so the number
-        // of hexes - and therefore the map layout - never changes with visuals.
-        const visualWidth = 1000;
-        const visualHeight = 860;
-        const hexSize = CONFIG.MAP_GEN_HEX_SIZE;
-
-        // Calculate hex dimensions
-        const hexHeight = hexSize * Math.sqrt(3);
-        const colSpacing = hexSize * 1.5;
-        const rowSpacing = hexHeight;
-
-        // Determine q range (columns)
-        const qMin = 0;
-        const qMax = Math.floor(visualWidth / colSpacing) + 1;
-
-        // First pass: create all cells with grass
-        for (let q = qMin; q <= qMax; q++) {
-            const rMin = Math.floor(-q / 2);
-            const rMax = Math.floor(visualHeight / rowSpacing - q / 2) + 1;
-
-            for (let r = rMin; r <= rMax; r++) {
-                const hex = new Hex(q, r);
-                map.addCell(new HexCell(hex, TerrainType.GRASS));
-            }
-        }
+        // First pass: the level's field, all grass
+        const size = this.getMapSize(level);
+        const map = createHexField(size.width, size.height);
 
         // Add castles
         this.addCastlesFromLevel(map, level);
@@ -104,6 +271,9 @@ const LevelManager = {
         // Add forests from fixed positions
         this.addForestsFromLevel(map, level);
 
+        // Add hand-painted terrain (scenario editor)
+        this.addTerrainFromLevel(map, level);
+
         // Add river
         this.addRiverFromLevel(map, level);
 
@@ -207,6 +377,18 @@ const LevelManager = {
         }
     },
 
+    /**
+     * Add hand-painted terrain, hex by hex
+     */
+    addTerrainFromLevel(map, level) {
+        for (const pos of level.terrain || []) {
+            const cell = map.getCell(new Hex(pos.q, this.vRowToR(pos.q, pos.vRow)));
+            if (cell) {
+                cell.terrain = pos.terrain;
+            }
+        }
+    },
+
     /**
      * Add river from level definition
      */
@@ -231,101 +413,130 @@ const LevelManager = {
      * Add roads connecting castles
      */
     addRoadsFromLevel(map, level) {
-        // Check if level has custom road definitions
-        if (level.customRoads && level.customRoads.length > 0) {
-            // Use custom road paths
-            for (const road of level.customRoads) {
-                const fromHex = new Hex(road.from.q, this.vRowToR(road.from.q, road.from.vRow));
-                const toHex = new Hex(road.to.q, this.vRowToR(road.to.q, road.to.vRow));
-                this.connectWithRoad(map, fromHex, toHex);
-            }
-        } else {
-            // Default behavior: connect all castles to center castle
-            const allCastles = [
-                ...level.castles.player,
-                ...level.castles.enemy
-            ].map(pos => new Hex(pos.q, this.vRowToR(pos.q, pos.vRow)));
-
-            // Find center castle (approximately)
-            let centerCastle = allCastles[0];
-            let minTotalDist = Infinity;
-
-            for (const castle of allCastles) {
-                let totalDist = 0;
-                for (const other of allCastles) {
-                    totalDist += castle.distanceTo(other);
-                }
-                if (totalDist < minTotalDist) {
-                    minTotalDist = totalDist;
-                    centerCastle = castle;
-                }
-            }
-
-            // Connect all castles to center
-            for (const castle of allCastles) {
-                if (!castle.equals(centerCastle)) {
-                    this.connectWithRoad(map, castle, centerCastle);
-                }
+        for (const path of this.getRoadPaths(map, level)) {
+            for (let i = 1; i < path.length; i++) {
+                this.setRoadEdge(map, path[i - 1], path[i]);
             }
         }
     },
 
     /**
-     * Create road path between two hexes
+     * Every road on a level, as a list of neighbouring hexes each
+     * Roads drawn hex by hex (roadPaths) are exactly the level's roads, even
+     * none at all. Otherwise custom roads are routed from point to point
+     * (through their waypoints), and without those every castle is joined to
+     * the central one. Each road joins the ones routed before it.
+     * @param {HexMap} map - The level's map
+     * @param {Object} level - Level definition
+     * @returns {Array<Array<Hex>>}
      */
-    connectWithRoad(map, start, end) {
-        let current = start;
-        const visited = new Set();
-        visited.add(current.key);
-
-        while (!current.equals(end)) {
-            let bestDir = -1;
-            let bestDist = Infinity;
-
-            for (let dir = 0; dir < 6; dir++) {
-                const neighbor = current.neighbor(dir);
-                if (!map.hasCell(neighbor)) continue;
-                if (visited.has(neighbor.key)) continue;
-
-                const dist = neighbor.distanceTo(end);
-                if (dist < bestDist) {
-                    bestDist = dist;
-                    bestDir = dir;
-                }
-            }
+    getRoadPaths(map, level) {
+        const toHex = pos => new Hex(pos.q, this.vRowToR(pos.q, pos.vRow));
 
-            if (bestDir === -1) break;
+        if (level.roadPaths) {
+            return level.roadPaths.map(path => path.map(toHex));
+        }
 
-            const next = current.neighbor(bestDir);
-            visited.add(next.key);
+        const roads = new Set();
 
-            const nextCell = map.getCell(next);
-            const currentCell = map.getCell(current);
+        // Check if level has custom road definitions
+        if (level.customRoads && level.customRoads.length > 0) {
+            return level.customRoads.map(road =>
+                this.traceRoad(map, [road.from, ...(road.via || []), road.to].map(toHex), roads));
+        }
 
-            if (nextCell && nextCell.terrain === TerrainType.RIVER) {
-                map.setEdgeBetween(current, next, EdgeFeature.BRIDGE);
-            } else if (currentCell && currentCell.terrain === TerrainType.RIVER) {
-                map.setEdgeBetween(current, next, EdgeFeature.BRIDGE);
-            } else {
-                map.setEdgeBetween(current, next, EdgeFeature.ROAD);
+        // Default behavior: connect all castles to center castle
+        const allCastles = [
+            ...level.castles.player,
+            ...level.castles.enemy
+        ].map(toHex);
+
+        // Find center castle (approximately)
+        let centerCastle = allCastles[0];
+        let minTotalDist = Infinity;
+
+        for (const castle of allCastles) {
+            let totalDist = 0;
+            for (const other of allCastles) {
+                totalDist += castle.distanceTo(other);
+            }
+            if (totalDist < minTotalDist) {
+                minTotalDist = totalDist;
+                centerCastle = castle;
             }
+        }
+
+        // Connect all castles to center
+        return allCastles
+            .filter(castle => !castle.equals(centerCastle))
+            .map(castle => this.traceRoad(map, [castle, centerCastle], roads));
+    },
+
+    /**
+     * Create road path between two hexes
+     * @param {Set<string>} [roads] - Roads already laid, which this one joins (see findRoadPath)
+     */
+    connectWithRoad(map, start, end, roads = new Set()) {
+        const path = this.traceRoad(map, [start, end], roads);
+        for (let i = 1; i < path.length; i++) {
+            this.setRoadEdge(map, path[i - 1], path[i]);
+        }
+    },
+
+    /**
+     * The hexes a road takes through its stops, routed leg by leg with
+     * findRoadPath: round mountains and lakes, over rivers at one bridge, and
+     * along roads already laid where they go the same way
+     * @param {HexMap} map
+     * @param {Array<Hex>} stops - Start, any waypoints, end
+     * @param {Set<string>} [roads] - roadEdgeKeys of roads already laid; the new road is added
+     * @returns {Array<Hex>} From start, one neighbouring hex after another
+     */
+    traceRoad(map, stops, roads = new Set()) {
+        const path = [stops[0]];
+        for (let i = 1; i < stops.length; i++) {
+            path.push(...findRoadPath(map, path[path.length - 1], stops[i], roads).slice(1));
+        }
+        for (let i = 1; i < path.length; i++) {
+            roads.add(roadEdgeKey(path[i - 1], path[i]));
+        }
+        return path;
+    },
 
-            current = next;
+    /**
+     * Lay a road between two neighbouring hexes - a bridge where either is river
+     */
+    setRoadEdge(map, from, to) {
+        const fromCell = map.getCell(from);
+        const toCell = map.getCell(to);
+
+        if (toCell && toCell.terrain === TerrainType.RIVER) {
+            map.setEdgeBetween(from, to, EdgeFeature.BRIDGE);
+        } else if (fromCell && fromCell.terrain === TerrainType.RIVER) {
+            map.setEdgeBetween(from, to, EdgeFeature.BRIDGE);
+        } else {
+            map.setEdgeBetween(from, to, EdgeFeature.ROAD);
         }
     },
 
     /**
      * Place enemy units from level definition
+     * @param {UnitManager} units
+     * @param {Object} level - Level definition
+     * @param {number} strengthBonus - Added to each unit's starting strength by the difficulty (kept within 1-10)
      */
-    placeEnemyUnits(units, level) {
+    placeEnemyUnits(units, level, strengthBonus = 0) {
         for (const enemyDef of level.enemyUnits) {
             const r = this.vRowToR(enemyDef.q, enemyDef.vRow);
             const hex = new Hex(enemyDef.q, r);
             const unit = new Unit(enemyDef.type, 1, hex);  // Player 1 = enemy
-            // Apply level-specific enemy starting strength if defined
-            if (level.enemyStartingStrength !== undefined) {
+            // Apply the unit's own strength, or the level's enemy starting strength, if defined
+            if (enemyDef.strength !== undefined) {
+                unit.strength = enemyDef.strength;
+            } else if (level.enemyStartingStrength !== undefined) {
                 unit.strength = level.enemyStartingStrength;
             }
+            unit.strength = Math.max(1, Math.min(10, unit.strength + strengthBonus));
             units.addUnit(unit);
         }
     },
@@ -351,23 +562,6 @@ const LevelManager = {
     }
 };
 
-// Register Level 1 (using window.Level1 since const is file-scoped)
-if (typeof window !== 'undefined' && window.Level1) {
-    LevelManager.register(window.Level1);
-} else {
-    console.error('Level1 not found! Make sure level1.js is loaded before levelManager.js');
-}
-
-// Register Level 2
-if (typeof window !== 'undefined' && window.Level2) {
-    LevelManager.register(window.Level2);
-}
-
-// Register Level 3
-if (typeof window !== 'undefined' && window.Level3) {
-    LevelManager.register(window.Level3);
-}
-
 // Make available globally
 if (typeof window !== 'undefined') {
     window.LevelManager = LevelManager;
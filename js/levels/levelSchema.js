@@ -0,0 +1,497 @@
+/**
+ * Level schema - the format of a level definition, and its validator
+ * Levels are plain data, written as JS objects (level1.js ...) or loaded
+ * from JSON level files, and both are checked against the same schema
+ * before LevelManager accepts them.
+ *
+ * Positions come in two forms:
+ *   { q, vRow } - column and visual row (vRow = q / 2 + r), so a straight
+ *                 row of hexes keeps the same vRow; odd columns sit half a
+ *                 row lower (vRow 2.5 ...)
+ *   { q, r }    - axial coordinates (forests only)
+ * The map is the mapWidth x mapHeight field LevelManager.createMapFromLevel
+ * builds; castles and units must be inside its playable area (see
+ * HexMap.isPlayable).
+ *
+ * LEVEL_SCHEMA describes every field: its type, whether it is required and
+ * the values it takes. Cross-field rules (positions on the map, contiguous
+ * rivers, hordeConfig indices ...) are checked by LevelValidator.
+ */
+
+// { q, vRow } map position
+const MAP_POSITION = {
+    type: 'object',
+    fields: {
+        q: { type: 'integer', required: true },
+        vRow: { type: 'number', required: true }
+    }
+};
+
+// Terrain that can be painted hex by hex (castles and rivers have their own fields)
+const PAINTABLE_TERRAIN = [TerrainType.GRASS, TerrainType.WOODS, TerrainType.HILL, TerrainType.MOUNTAIN, TerrainType.WATER];
+
+// A point on the river; ford leaves a dry crossing between it and the point before
+const RIVER_POINT = {
+    type: 'object',
+    fields: {
+        q: { type: 'integer', required: true },
+        vRow: { type: 'number', required: true },
+        ford: { type: 'boolean' }
+    }
+};
+
+// A unit on the map at the start of the level
+const LEVEL_UNIT = {
+    type: 'object',
+    fields: {
+        type: { type: 'unitType', required: true },
+        q: { type: 'integer', required: true },
+        vRow: { type: 'number', required: true },
+        strength: { type: 'integer', min: 1, max: 10 },   // Default 10 (enemyStartingStrength for enemies)
+        auxiliary: { type: 'boolean' }                    // Auxiliaries never join the core army
+    }
+};
+
+// Noise-generated mountains and hills inside a rectangle of the map
+const TERRAIN_REGION = {
+    type: 'object',
+    fields: {
+        // Inclusive bounds; leave one out for no limit on that side
+        bounds: {
+            type: 'object',
+            required: true,
+            fields: {
+                minQ: { type: 'number' },
+                maxQ: { type: 'number' },
+                minVRow: { type: 'number' },
+                maxVRow: { type: 'number' }
+            }
+        },
+        mountainThreshold: { type: 'number', min: 0, max: 1 },    // Noise above this is mountain (default 0.5)
+        hillThreshold: { type: 'number', min: 0, max: 1 },        // Noise above this is hill (default 0.3)
+        noiseFactor1: { type: 'number' },                         // Noise pattern (defaults 2.5 and 1.7)
+        noiseFactor2: { type: 'number' }
+    }
+};
+
+// Level 1's original mountain and hill corners (new levels use terrainRegions)
+const CORNER_REGION = {
+    type: 'object',
+    fields: {
+        region: {
+            type: 'object',
+            required: true,
+            fields: {
+                minQ: { type: 'number' },
+                minVRow: { type: 'number' },
+                maxVRow: { type: 'number' }
+            }
+        },
+        pattern: { type: 'string', values: ['noise'] }
+    }
+};
+
+// Where a side deploys: inclusive bounds, leave one out to reach the map's edge
+const DEPLOYMENT_ZONE = {
+    type: 'object',
+    fields: {
+        minQ: { type: 'integer', min: 0 },
+        maxQ: { type: 'integer', min: 0 },
+        minVRow: { type: 'number', min: 0 },
+        maxVRow: { type: 'number', min: 0 }
+    }
+};
+
+// Where an outcome leads; null ends the campaign
+const OUTCOME_BRANCH = {
+    type: 'object',
+    fields: {
+        nextLevel: { type: 'integer', min: 1, nullable: true }
+    }
+};
+
+const LEVEL_SCHEMA = {
+    type: 'object',
+    fields: {
+        id: { type: 'integer', required: true, min: 1 },
+        name: { type: 'string', required: true },
+        description: { type: 'string' },
+        introText: { type: 'string' },                    // Story shown when the level starts
+
+        // Victory and defeat
+        gameMode: { type: 'string', values: ['offense', 'defense'] },     // Default offense
+        castlesToCapture: { type: 'integer', required: true, min: 0 },   // Enemy castles to take (offense)
+        castlesToDefend: { type: 'integer', min: 0 },                     // Player castles to hold (defense)
+        turnLimit: { type: 'integer', min: 1 },                           // Default 15
+        earlyVictoryBonus: { type: 'number', min: 0 },                    // Prestige per turn left on victory
+        defensePrestigePerCastle: { type: 'number', min: 0 },             // Prestige per castle held (defense)
+        outcomes: {
+            type: 'object',
+            fields: {
+                brilliant: {
+                    type: 'object',
+                    fields: {
+                        minTurnsRemaining: { type: 'integer', min: 0 },
+                        minCastlesHeld: { type: 'integer', min: 0 },
+                        nextLevel: { type: 'integer', min: 1, nullable: true }
+                    }
+                },
+                tactical: OUTCOME_BRANCH,
+                defeat: OUTCOME_BRANCH
+            }
+        },
+
+        // Player setup
+        playerUnitsToPlace: { type: 'integer', required: true, min: 0 },
+        playerUnitTypes: { type: 'array', items: { type: 'unitType' } },    // One per unit to place
+        playerStartingPrestige: { type: 'number', required: true, min: 0 },
+        showMarketplace: { type: 'boolean' },
+        maxUnits: { type: 'integer', min: 1 },                              // Default 6
+
+        // Map
+        mapWidth: { type: 'integer', min: 8, max: 60 },      // Playable columns (default CONFIG.MAP_WIDTH)
+        mapHeight: { type: 'integer', min: 6, max: 40 },     // Playable visual rows (default CONFIG.MAP_HEIGHT)
+        // Where each side starts (see LevelManager.getDeploymentZone for the defaults)
+        deploymentZones: {
+            type: 'object',
+            fields: {
+                player: DEPLOYMENT_ZONE,      // Hexes the player places units on
+                enemy: DEPLOYMENT_ZONE        // Hexes enemyUnits must start on
+            }
+        },
+        castles: {
+            type: 'object',
+            required: true,
+            fields: {
+                player: { type: 'array', required: true, items: MAP_POSITION },
+                enemy: { type: 'array', required: true, items: MAP_POSITION }
+            }
+        },
+        forests: {
+            type: 'array',
+            required: true,
+            items: {
+                type: 'object',
+                fields: {
+                    q: { type: 'integer', required: true },
+                    r: { type: 'integer', required: true }
+                }
+            }
+        },
+        terrainRegions: { type: 'array', items: TERRAIN_REGION },
+        mountainsUpperRight: CORNER_REGION,
+        hillsBottomRight: CORNER_REGION,
+        // Hand-painted terrain, applied over regions and forests
+        terrain: {
+            type: 'array',
+            items: {
+                type: 'object',
+                fields: {
+                    q: { type: 'integer', required: true },
+                    vRow: { type: 'number', required: true },
+                    terrain: { type: 'string', required: true, values: PAINTABLE_TERRAIN }
+                }
+            }
+        },
+        riverPath: { type: 'array', required: true, items: RIVER_POINT },   // Neighbouring hexes, in order
+        // Roads drawn hex by hex: each path is a list of neighbouring hexes.
+        // With roadPaths the level has exactly these roads (customRoads is ignored).
+        roadPaths: { type: 'array', items: { type: 'array', items: MAP_POSITION } },
+        // Roads routed between two points, through any waypoints on the way
+        // (by default every castle is joined to the central one)
+        customRoads: {
+            type: 'array',
+            items: {
+                type: 'object',
+                fields: {
+                    from: { ...MAP_POSITION, required: true },
+                    via: { type: 'array', items: MAP_POSITION },
+                    to: { ...MAP_POSITION, required: true }
+                }
+            }
+        },
+
+        // Units
+        playerUnits: { type: 'array', required: true, items: LEVEL_UNIT },
+        enemyUnits: { type: 'array', required: true, items: LEVEL_UNIT },
+        enemyStartingStrength: { type: 'integer', min: 1, max: 10 },
+
+        // Horde AI (defense): which enemy units go for which player castle
+        hordeConfig: {
+            type: 'object',
+            fields: {
+                mainForceTarget: { type: 'integer', required: true },       // Index into castles.player
+                raiderTarget: { type: 'integer', required: true },          // Index into castles.player
+                mainForceUnits: { type: 'array', required: true, items: { type: 'integer' } },  // Indices into enemyUnits
+                raiderUnits: { type: 'array', required: true, items: { type: 'integer' } }      // Indices into enemyUnits
+            }
+        }
+    }
+};
+
+/**
+ * Does a value have a schema type?
+ * @param {*} value
+ * @param {string} type - Schema type
+ * @returns {boolean}
+ */
+function hasSchemaType(value, type) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'string': return typeof value === 'string';
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'unitType': return typeof value === 'string' && UNIT_TYPES[value] !== undefined;
+        default: return false;
+    }
+}
+
+const SCHEMA_TYPE_NAMES = {
+    integer: 'a whole number',
+    number: 'a number',
+    string: 'text',
+    boolean: 'true or false',
+    array: 'a list',
+    object: 'an object'
+};
+
+const LevelValidator = {
+    /**
+     * Check a level definition
+     * @param {Object} level - Level definition (parsed JSON or a level object)
+     * @returns {Array<string>} Everything wrong with the level, empty if it is valid
+     */
+    validate(level) {
+        const errors = [];
+        this.checkValue(level, LEVEL_SCHEMA, 'level', errors);
+        // The map checks need a well-formed level to build the map from
+        if (errors.length === 0) {
+            this.checkLevelRules(level, errors);
+        }
+        return errors;
+    },
+
+    /**
+     * Check a value against its schema entry, recursing into objects and lists
+     * @param {*} value
+     * @param {Object} spec - Schema entry
+     * @param {string} path - Where the value is, for error messages
+     * @param {Array<string>} errors - Collects the problems found
+     */
+    checkValue(value, spec, path, errors) {
+        if (value === null && spec.nullable) return;
+
+        if (!hasSchemaType(value, spec.type)) {
+            if (spec.type === 'unitType') {
+                errors.push(`${path}: unknown unit type ${JSON.stringify(value)} (expected one of ${Object.keys(UNIT_TYPES).join(', ')})`);
+            } else {
+                errors.push(`${path}: expected ${SCHEMA_TYPE_NAMES[spec.type]}, got ${JSON.stringify(value)}`);
+            }
+            return;
+        }
+
+        if (spec.values && !spec.values.includes(value)) {
+            errors.push(`${path}: ${JSON.stringify(value)} is not one of ${spec.values.join(', ')}`);
+        }
+        if (spec.min !== undefined && value < spec.min) {
+            errors.push(`${path}: ${value} is less than ${spec.min}`);
+        }
+        if (spec.max !== undefined && value > spec.max) {
+            errors.push(`${path}: ${value} is more than ${spec.max}`);
+        }
+
+        if (spec.type === 'array' && spec.items) {
+            value.forEach((item, i) => this.checkValue(item, spec.items, `${path}[${i}]`, errors));
+        }
+
+        if (spec.type === 'object' && spec.fields) {
+            for (const [name, fieldSpec] of Object.entries(spec.fields)) {
+                const fieldPath = path === 'level' ? name : `${path}.${name}`;
+                if (value[name] === undefined) {
+                    if (fieldSpec.required) {
+                        errors.push(`${fieldPath}: missing`);
+                    }
+                } else {
+                    this.checkValue(value[name], fieldSpec, fieldPath, errors);
+                }
+            }
+            for (const name of Object.keys(value)) {
+                if (!spec.fields[name]) {
+                    errors.push(`${path === 'level' ? name : `${path}.${name}`}: unknown field`);
+                }
+            }
+        }
+    },
+
+    /**
+     * Check the rules that span fields: everything sits on the map, the river
+     * flows from hex to hex, and counts and indices agree with each other
+     * @param {Object} level - A level that matches LEVEL_SCHEMA
+     * @param {Array<string>} errors - Collects the problems found
+     */
+    checkLevelRules(level, errors) {
+        const map = LevelManager.createMapFromLevel(level);
+        const toHex = pos => new Hex(pos.q, LevelManager.vRowToR(pos.q, pos.vRow));
+        const describe = pos => `(q ${pos.q}, vRow ${pos.vRow})`;
+
+        // Castles: on the playable map, one per hex, and not buried under terrain
+        const castleKeys = new Set();
+        for (const side of ['player', 'enemy']) {
+            level.castles[side].forEach((pos, i) => {
+                const path = `castles.${side}[${i}]`;
+                const hex = toHex(pos);
+                const cell = map.getCell(hex);
+                if (!cell || !map.isPlayable(hex)) {
+                    errors.push(`${path}: ${describe(pos)} is outside the map`);
+                    return;
+                }
+                if (castleKeys.has(hex.key)) {
+                    errors.push(`${path}: ${describe(pos)} already has a castle`);
+                }
+                castleKeys.add(hex.key);
+                if (cell.terrain !== TerrainType.CASTLE) {
+                    errors.push(`${path}: ${describe(pos)} is covered by ${TERRAIN_PROPERTIES[cell.terrain].name.toLowerCase()}`);
+                }
+            });
+        }
+
+        level.forests.forEach((pos, i) => {
+            if (!map.hasCell(new Hex(pos.q, pos.r))) {
+                errors.push(`forests[${i}]: (q ${pos.q}, r ${pos.r}) is outside the map`);
+            }
+        });
+
+        // River: every point on the map and next to the one before it, unless there is a ford
+        level.riverPath.forEach((pos, i) => {
+            const hex = toHex(pos);
+            if (!map.hasCell(hex)) {
+                errors.push(`riverPath[${i}]: ${describe(pos)} is outside the map`);
+            } else if (i > 0 && !pos.ford && hex.distanceTo(toHex(level.riverPath[i - 1])) !== 1) {
+                errors.push(`riverPath[${i}]: ${describe(pos)} is not next to riverPath[${i - 1}] ${describe(level.riverPath[i - 1])} - the river has a gap (mark it ford: true if that is meant)`);
+            }
+        });
+
+        (level.terrain || []).forEach((pos, i) => {
+            if (!map.hasCell(toHex(pos))) {
+                errors.push(`terrain[${i}]: ${describe(pos)} is outside the map`);
+            }
+        });
+
+        // Drawn roads: every point on the map and next to the one before it
+        (level.roadPaths || []).forEach((path, i) => {
+            path.forEach((pos, j) => {
+                const hex = toHex(pos);
+                if (!map.hasCell(hex)) {
+                    errors.push(`roadPaths[${i}][${j}]: ${describe(pos)} is outside the map`);
+                } else if (j > 0 && hex.distanceTo(toHex(path[j - 1])) !== 1) {
+                    errors.push(`roadPaths[${i}][${j}]: ${describe(pos)} is not next to roadPaths[${i}][${j - 1}] ${describe(path[j - 1])}`);
+                }
+            });
+        });
+
+        (level.customRoads || []).forEach((road, i) => {
+            for (const end of ['from', 'to']) {
+                if (!map.hasCell(toHex(road[end]))) {
+                    errors.push(`customRoads[${i}].${end}: ${describe(road[end])} is outside the map`);
+                }
+            }
+            (road.via || []).forEach((pos, j) => {
+                if (!map.hasCell(toHex(pos))) {
+                    errors.push(`customRoads[${i}].via[${j}]: ${describe(pos)} is outside the map`);
+                }
+            });
+        });
+
+        // Units: on the playable map, on passable terrain, one per hex
+        const unitKeys = new Set();
+        for (const list of ['playerUnits', 'enemyUnits']) {
+            level[list].forEach((unitDef, i) => {
+                const path = `${list}[${i}]`;
+                const hex = toHex(unitDef);
+                const cell = map.getCell(hex);
+                if (!cell || !map.isPlayable(hex)) {
+                    errors.push(`${path}: ${unitDef.type} at ${describe(unitDef)} is outside the map`);
+                    return;
+                }
+                if (TERRAIN_PROPERTIES[cell.terrain].impassable) {
+                    errors.push(`${path}: ${unitDef.type} at ${describe(unitDef)} is on impassable ${TERRAIN_PROPERTIES[cell.terrain].name.toLowerCase()}`);
+                }
+                if (unitKeys.has(hex.key)) {
+                    errors.push(`${path}: ${unitDef.type} at ${describe(unitDef)} shares its hex with another unit`);
+                }
+                unitKeys.add(hex.key);
+            });
+        }
+
+        this.checkDeploymentZones(level, map, errors);
+
+        if (level.playerUnitTypes && level.playerUnitTypes.length !== level.playerUnitsToPlace) {
+            errors.push(`playerUnitTypes: lists ${level.playerUnitTypes.length} units but playerUnitsToPlace is ${level.playerUnitsToPlace}`);
+        }
+        if (level.castlesToCapture > level.castles.enemy.length) {
+            errors.push(`castlesToCapture: ${level.castlesToCapture} castles to capture but only ${level.castles.enemy.length} enemy castles`);
+        }
+
+        if (level.hordeConfig) {
+            const config = level.hordeConfig;
+            const castleCount = level.castles.player.length;
+            const unitCount = level.enemyUnits.length;
+            for (const name of ['mainForceTarget', 'raiderTarget']) {
+                if (config[name] < 0 || config[name] >= castleCount) {
+                    errors.push(`hordeConfig.${name}: ${config[name]} is out of range (castles.player has ${castleCount} castles)`);
+                }
+            }
+            for (const name of ['mainForceUnits', 'raiderUnits']) {
+                config[name].forEach((index, i) => {
+                    if (index < 0 || index >= unitCount) {
+                        errors.push(`hordeConfig.${name}[${i}]: ${index} is out of range (enemyUnits has ${unitCount} units)`);
+                    }
+                });
+            }
+        }
+    },
+
+    /**
+     * Check the deployment zones: each one is a real area, the player's has
+     * room for the units to place, and the enemy's holds the enemy units
+     * @param {Object} level - A level that matches LEVEL_SCHEMA
+     * @param {HexMap} map - The level's map
+     * @param {Array<string>} errors - Collects the problems found
+     */
+    checkDeploymentZones(level, map, errors) {
+        const zones = {
+            player: LevelManager.getDeploymentZone(level, 'player'),
+            enemy: LevelManager.getDeploymentZone(level, 'enemy')
+        };
+
+        for (const [side, zone] of Object.entries(zones)) {
+            for (const axis of ['Q', 'VRow']) {
+                if (zone[`min${axis}`] > zone[`max${axis}`]) {
+                    errors.push(`deploymentZones.${side}: min${axis} ${zone[`min${axis}`]} is more than max${axis} ${zone[`max${axis}`]}`);
+                }
+            }
+        }
+
+        const occupied = new Set([...level.playerUnits, ...level.enemyUnits]
+            .map(unitDef => new Hex(unitDef.q, LevelManager.vRowToR(unitDef.q, unitDef.vRow)).key));
+        const freeHexes = map.getAllCells().filter(cell =>
+            map.isPlayable(cell.hex) &&
+            LevelManager.isInDeploymentZone(cell.hex, zones.player) &&
+            !TERRAIN_PROPERTIES[cell.terrain].impassable &&
+            !occupied.has(cell.hex.key)).length;
+        if (freeHexes < level.playerUnitsToPlace) {
+            errors.push(`deploymentZones.player: ${freeHexes} free hexes to deploy ${level.playerUnitsToPlace} units`);
+        }
+
+        if (level.deploymentZones && level.deploymentZones.enemy) {
+            level.enemyUnits.forEach((unitDef, i) => {
+                const hex = new Hex(unitDef.q, LevelManager.vRowToR(unitDef.q, unitDef.vRow));
+                if (!LevelManager.isInDeploymentZone(hex, zones.enemy)) {
+                    errors.push(`enemyUnits[${i}]: ${unitDef.type} at (q ${unitDef.q}, vRow ${unitDef.vRow}) is outside the enemy deployment zone`);
+                }
+            });
+        }
+    }
+};
@@ -0,0 +1,481 @@
+/**
+ * Scenario editor - build a level by painting on the map
+ * The editor keeps a level definition (see LEVEL_SCHEMA) and a preview game
+ * built from it with LevelManager.createMapFromLevel, so the map shows
+ * exactly what the level will play as. Every tool edits the definition and
+ * rebuilds the preview. Roads are kept as roadPaths and painted hexes as
+ * terrain; a level opened for editing has its roads converted to roadPaths.
+ */
+
+const EditorTool = Object.freeze({
+    TERRAIN: 'terrain',
+    ROAD: 'road',
+    RIVER: 'river',
+    CASTLE: 'castle',
+    UNIT: 'unit',
+    ERASE: 'erase'
+});
+
+// Level settings the editor lets the player change, with their input types
+const EDITOR_SETTINGS = Object.freeze({
+    name: 'text',
+    description: 'text',
+    gameMode: 'text',
+    turnLimit: 'number',
+    castlesToCapture: 'number',
+    earlyVictoryBonus: 'number',
+    playerStartingPrestige: 'number',
+    playerUnitsToPlace: 'number',
+    showMarketplace: 'boolean',
+    mapWidth: 'number',
+    mapHeight: 'number'
+});
+
+class ScenarioEditor {
+    /**
+     * @param {Object} level - Level definition to edit (copied); a blank level by default
+     */
+    constructor(level = ScenarioEditor.createBlankLevel(LevelManager.getFreeLevelId())) {
+        this.level = JSON.parse(JSON.stringify(level));
+        this.level.terrain = this.level.terrain || [];
+        if (!this.level.roadPaths) {
+            // Trace the level's roads, then keep them hex by hex
+            const map = LevelManager.createMapFromLevel(this.level);
+            this.level.roadPaths = LevelManager.getRoadPaths(map, this.level)
+                .map(path => path.map(hex => LevelManager.hexToPosition(hex)));
+            delete this.level.customRoads;
+        }
+
+        // The road being drawn (one of level.roadPaths), continued by clicking next to its end
+        this.road = null;
+        // Preview game showing the level (rebuilt after every change)
+        this.state = null;
+        this.rebuild();
+    }
+
+    /**
+     * An empty all-grass offense level
+     * @param {number} id - Level ID
+     * @returns {Object} Level definition
+     */
+    static createBlankLevel(id) {
+        return {
+            id: id,
+            name: 'New Scenario',
+            description: '',
+            gameMode: 'offense',
+            castlesToCapture: 0,
+            turnLimit: 15,
+            earlyVictoryBonus: 20,
+            playerUnitsToPlace: 4,
+            playerUnitTypes: ['infantry', 'infantry', 'infantry', 'trebuchet'],
+            playerStartingPrestige: 150,
+            showMarketplace: true,
+            mapWidth: CONFIG.MAP_WIDTH,
+            mapHeight: CONFIG.MAP_HEIGHT,
+            castles: { player: [], enemy: [] },
+            forests: [],
+            terrain: [],
+            riverPath: [],
+            roadPaths: [],
+            playerUnits: [],
+            enemyUnits: []
+        };
+    }
+
+    /**
+     * A level position as a hex
+     * @param {Object} pos - { q, vRow }
+     * @returns {Hex}
+     */
+    static toHex(pos) {
+        return new Hex(pos.q, LevelManager.vRowToR(pos.q, pos.vRow));
+    }
+
+    /**
+     * Rebuild the preview game from the level definition
+     * Fog is off, and the player's castles fly the player's banner.
+     */
+    rebuild() {
+        const state = new GameState();
+        state.id = 'editor';
+        state.name = this.level.name;
+        state.currentLevel = this.level.id;
+        state.map = LevelManager.createMapFromLevel(this.level);
+        LevelManager.placeEnemyUnits(state.units, this.level);
+        LevelManager.placePlayerUnits(state.units, this.level);
+        state.capturedCastles = this.level.castles.player.map(pos => ScenarioEditor.toHex(pos).key);
+        state.settings.fogOfWar = false;
+        state.unitsToPlace = 0;
+        this.state = state;
+    }
+
+    /**
+     * Use a tool on a hex
+     * @param {Hex} hex - The hex clicked
+     * @param {Object} tool - { type: EditorTool, ... } with the tool's options:
+     *   TERRAIN { terrain }, CASTLE { side }, UNIT { typeId, side, strength, auxiliary }
+     * @returns {Object} { success } or { success: false, error }
+     */
+    apply(hex, tool) {
+        if (!this.state.map.hasCell(hex)) {
+            return { success: false, error: 'That hex is off the map.' };
+        }
+        if (tool.type !== EditorTool.ROAD) {
+            this.finishRoad();
+        }
+
+        let result;
+        switch (tool.type) {
+            case EditorTool.TERRAIN:
+                result = this.paintTerrain(hex, tool.terrain);
+                break;
+            case EditorTool.ROAD:
+                result = this.drawRoad(hex);
+                break;
+            case EditorTool.RIVER:
+                result = this.drawRiver(hex);
+                break;
+            case EditorTool.CASTLE:
+                result = this.toggleCastle(hex, tool.side);
+                break;
+            case EditorTool.UNIT:
+                result = this.toggleUnit(hex, tool);
+                break;
+            case EditorTool.ERASE:
+                result = this.erase(hex);
+                break;
+            default:
+                return { success: false, error: `Unknown tool ${tool.type}.` };
+        }
+
+        if (result.success) {
+            this.rebuild();
+        }
+        return result;
+    }
+
+    // ==================== TOOLS ====================
+
+    /**
+     * Paint a hex with a terrain type
+     * A castle there is removed; so is a unit, if the terrain is impassable.
+     */
+    paintTerrain(hex, terrain) {
+        if (!PAINTABLE_TERRAIN.includes(terrain)) {
+            return { success: false, error: `${terrain} can't be painted.` };
+        }
+        if (this.findAt(this.level.riverPath, hex)) {
+            return { success: false, error: 'The river flows there - erase it from its end first.' };
+        }
+
+        this.removeAt(this.level.terrain, hex);
+        this.removeAt(this.level.castles.player, hex);
+        this.removeEnemyCastle(hex);
+        this.level.terrain.push({ ...LevelManager.hexToPosition(hex), terrain: terrain });
+
+        if (TERRAIN_PROPERTIES[terrain].impassable) {
+            this.removeAt(this.level.playerUnits, hex);
+            this.removeAt(this.level.enemyUnits, hex);
+        }
+        return { success: true };
+    }
+
+    /**
+     * Draw a road: a click next to the end of the road being drawn extends
+     * it, a click on its end finishes it, any other click starts a new road
+     * Roads over the river are bridges.
+     */
+    drawRoad(hex) {
+        const end = this.road ? ScenarioEditor.toHex(this.road[this.road.length - 1]) : null;
+
+        if (end && end.equals(hex)) {
+            this.finishRoad();
+        } else if (end && end.distanceTo(hex) === 1) {
+            this.road.push(LevelManager.hexToPosition(hex));
+        } else {
+            this.finishRoad();
+            this.road = [LevelManager.hexToPosition(hex)];
+            this.level.roadPaths.push(this.road);
+        }
+        return { success: true };
+    }
+
+    /**
+     * Stop drawing the current road (a road of one hex is dropped)
+     */
+    finishRoad() {
+        if (this.road && this.road.length < 2) {
+            this.level.roadPaths.splice(this.level.roadPaths.indexOf(this.road), 1);
+        }
+        this.road = null;
+    }
+
+    /**
+     * Extend the river to a hex next to its end, or take back its last hex
+     */
+    drawRiver(hex) {
+        const river = this.level.riverPath;
+        const end = river.length > 0 ? ScenarioEditor.toHex(river[river.length - 1]) : null;
+
+        if (end && end.equals(hex)) {
+            river.pop();
+            return { success: true };
+        }
+        if (this.findAt(this.level.castles.player, hex) || this.findAt(this.level.castles.enemy, hex)) {
+            return { success: false, error: 'A castle stands there.' };
+        }
+        if (this.findAt(river, hex)) {
+            return { success: false, error: 'The river already flows there.' };
+        }
+        if (end && end.distanceTo(hex) !== 1) {
+            const pos = river[river.length - 1];
+            return { success: false, error: `The river must carry on next to its end at (q ${pos.q}, vRow ${pos.vRow}).` };
+        }
+
+        river.push(LevelManager.hexToPosition(hex));
+        this.removeAt(this.level.terrain, hex);
+        return { success: true };
+    }
+
+    /**
+     * Build a castle for a side, hand it to the side, or pull it down if the side has it
+     */
+    toggleCastle(hex, side) {
+        const castles = this.level.castles;
+        if (this.findAt(this.level.riverPath, hex)) {
+            return { success: false, error: 'Castles can\'t be built on the river.' };
+        }
+
+        // Pull down whatever castle stands here; build one unless it was this side's
+        const owned = this.findAt(castles[side], hex) !== null;
+        this.removeAt(castles.player, hex);
+        this.removeEnemyCastle(hex);
+        if (owned) {
+            return { success: true };
+        }
+
+        this.removeAt(this.level.terrain, hex);
+        if (side === 'enemy') {
+            this.addEnemyCastle(hex);
+        } else {
+            castles.player.push(LevelManager.hexToPosition(hex));
+        }
+        return { success: true };
+    }
+
+    /**
+     * Place a unit, replacing any unit on the hex; the same unit again removes it
+     * @param {Hex} hex
+     * @param {Object} options - { typeId, side ('player' or 'enemy'), strength, auxiliary }
+     */
+    toggleUnit(hex, options) {
+        const list = options.side === 'enemy' ? this.level.enemyUnits : this.level.playerUnits;
+        const existing = this.findAt(list, hex);
+        this.removeAt(this.level.playerUnits, hex);
+        this.removeAt(this.level.enemyUnits, hex);
+        if (existing && existing.type === options.typeId) {
+            return { success: true };
+        }
+
+        const terrain = this.state.map.getCell(hex).terrain;
+        if (TERRAIN_PROPERTIES[terrain].impassable) {
+            return { success: false, error: `Units can't stand on ${TERRAIN_PROPERTIES[terrain].name.toLowerCase()}.` };
+        }
+
+        const unit = { type: options.typeId, ...LevelManager.hexToPosition(hex) };
+        if (options.strength !== undefined && options.strength !== 10) {
+            unit.strength = options.strength;
+        }
+        if (options.auxiliary && options.side !== 'enemy') {
+            unit.auxiliary = true;
+        }
+        list.push(unit);
+        return { success: true };
+    }
+
+    /**
+     * Clear the topmost thing on a hex: a unit, a castle, roads, painted
+     * terrain, or the end of the river
+     */
+    erase(hex) {
+        if (this.removeAt(this.level.playerUnits, hex) || this.removeAt(this.level.enemyUnits, hex)) {
+            return { success: true };
+        }
+        if (this.removeAt(this.level.castles.player, hex) || this.removeEnemyCastle(hex)) {
+            return { success: true };
+        }
+        if (this.removeRoadsAt(hex)) {
+            return { success: true };
+        }
+        if (this.removeAt(this.level.terrain, hex)) {
+            return { success: true };
+        }
+
+        const river = this.level.riverPath;
+        if (river.length > 0 && ScenarioEditor.toHex(river[river.length - 1]).equals(hex)) {
+            river.pop();
+            return { success: true };
+        }
+        if (this.findAt(river, hex)) {
+            return { success: false, error: 'Rivers are erased from their end.' };
+        }
+        return { success: false, error: 'Nothing to erase there.' };
+    }
+
+    // ==================== LEVEL DATA ====================
+
+    /**
+     * The first entry of a position list on a hex
+     * @param {Array<Object>} list - Entries with q and vRow
+     * @param {Hex} hex
+     * @returns {Object|null}
+     */
+    findAt(list, hex) {
+        return list.find(pos => ScenarioEditor.toHex(pos).equals(hex)) || null;
+    }
+
+    /**
+     * Remove every entry of a position list on a hex
+     * @returns {boolean} True if anything was removed
+     */
+    removeAt(list, hex) {
+        const before = list.length;
+        const kept = list.filter(pos => !ScenarioEditor.toHex(pos).equals(hex));
+        list.splice(0, list.length, ...kept);
+        return list.length < before;
+    }
+
+    // Enemy castles: castlesToCapture follows the count while it asks for all of them
+    addEnemyCastle(hex) {
+        const captureAll = this.level.castlesToCapture === this.level.castles.enemy.length;
+        this.level.castles.enemy.push(LevelManager.hexToPosition(hex));
+        if (captureAll) {
+            this.level.castlesToCapture = this.level.castles.enemy.length;
+        }
+    }
+
+    removeEnemyCastle(hex) {
+        const captureAll = this.level.castlesToCapture === this.level.castles.enemy.length;
+        const removed = this.removeAt(this.level.castles.enemy, hex);
+        const count = this.level.castles.enemy.length;
+        if (captureAll || this.level.castlesToCapture > count) {
+            this.level.castlesToCapture = count;
+        }
+        return removed;
+    }
+
+    /**
+     * Take the hex out of every road, splitting roads that ran through it
+     * @returns {boolean} True if a road ran through the hex
+     */
+    removeRoadsAt(hex) {
+        let found = false;
+        const paths = [];
+        for (const path of this.level.roadPaths) {
+            let piece = [];
+            for (const pos of path) {
+                if (ScenarioEditor.toHex(pos).equals(hex)) {
+                    found = true;
+                    paths.push(piece);
+                    piece = [];
+                } else {
+                    piece.push(pos);
+                }
+            }
+            paths.push(piece);
+        }
+        this.level.roadPaths = paths.filter(path => path.length > 1);
+        return found;
+    }
+
+    /**
+     * Change a level setting (see EDITOR_SETTINGS)
+     * @param {string} name - Setting
+     * @param {*} value - New value (numbers and booleans already converted)
+     */
+    setOption(name, value) {
+        if (!EDITOR_SETTINGS[name]) return;
+        this.level[name] = value;
+
+        // One unit type per unit to place: keep the ones chosen, add infantry
+        if (name === 'playerUnitsToPlace') {
+            const types = (this.level.playerUnitTypes || []).slice(0, value);
+            while (types.length < value) {
+                types.push('infantry');
+            }
+            this.level.playerUnitTypes = types;
+        }
+        if (name === 'name') {
+            this.state.name = value;
+        }
+        // A resized map keeps everything where it was; what falls off the edge shows up in validate()
+        if (name === 'mapWidth' || name === 'mapHeight') {
+            this.rebuild();
+        }
+    }
+
+    /**
+     * The finished level definition
+     * Defense levels defend every player castle, and their horde goes for
+     * the castles its units start nearest to (see buildHordeConfig).
+     * @returns {Object} Level definition, ready for LevelValidator and createMapFromLevel
+     */
+    toLevel() {
+        const level = JSON.parse(JSON.stringify(this.level));
+        level.roadPaths = level.roadPaths.filter(path => path.length > 1);
+
+        if (level.gameMode === 'defense') {
+            level.castlesToCapture = 0;
+            level.castlesToDefend = level.castles.player.length;
+            level.hordeConfig = ScenarioEditor.buildHordeConfig(level);
+        } else {
+            delete level.castlesToDefend;
+            delete level.hordeConfig;
+        }
+        return level;
+    }
+
+    /**
+     * Horde orders for a defense level: each enemy unit heads for the player
+     * castle nearest to where it starts. The castle most of them are nearest
+     * to is the main force's target and the next one the raiders'; units
+     * nearest to any other castle join the main force.
+     * @param {Object} level - Level definition
+     * @returns {Object} hordeConfig
+     */
+    static buildHordeConfig(level) {
+        const castles = level.castles.player.map(pos => ScenarioEditor.toHex(pos));
+        const nearest = level.enemyUnits.map(unit => {
+            const hex = ScenarioEditor.toHex(unit);
+            let best = 0;
+            castles.forEach((castle, i) => {
+                if (castle.distanceTo(hex) < castles[best].distanceTo(hex)) best = i;
+            });
+            return best;
+        });
+
+        const counts = castles.map((castle, i) => nearest.filter(index => index === i).length);
+        const ranked = castles.map((castle, i) => i).sort((a, b) => counts[b] - counts[a] || a - b);
+        const mainForceTarget = ranked.length > 0 ? ranked[0] : 0;
+        const raiderTarget = ranked.length > 1 ? ranked[1] : mainForceTarget;
+
+        const config = { mainForceTarget: mainForceTarget, raiderTarget: raiderTarget, mainForceUnits: [], raiderUnits: [] };
+        nearest.forEach((castleIndex, unitIndex) => {
+            if (castleIndex === raiderTarget && raiderTarget !== mainForceTarget) {
+                config.raiderUnits.push(unitIndex);
+            } else {
+                config.mainForceUnits.push(unitIndex);
+            }
+        });
+        return config;
+    }
+
+    /**
+     * Everything wrong with the level as it stands
+     * @returns {Array<string>} Empty if the level can be played
+     */
+    validate() {
+        return LevelValidator.validate(this.toLevel());
+    }
+}
@@ -0,0 +1,420 @@
+/**
+ * Random skirmish generator - builds a battle from a seed and a few settings
+ * A skirmish is an ordinary level definition (see LEVEL_SCHEMA): mountain
+ * chains are terrainRegions, forests are clusters of getHexesInRadius, and
+ * roads are customRoads traced the way every level's roads are, so the
+ * same seed and settings always give the same battle. Every skirmish is
+ * checked with checkPlayability before it is handed out.
+ *
+ * The player deploys on the two columns at the right edge and attacks the
+ * enemy castles to the left; a strip of no man's land keeps the enemy's
+ * deployment zone away from the player's.
+ */
+
+// Skirmish settings with their defaults and limits
+const SKIRMISH_SETTINGS = Object.freeze({
+    mapWidth: { default: 20, min: 12, max: 40 },
+    mapHeight: { default: 15, min: 8, max: 30 },
+    forestDensity: { default: 0.3, min: 0, max: 1 },    // 1 puts roughly a third of the map in woods
+    mountainChains: { default: 2, min: 0, max: 6 },
+    castles: { default: 3, min: 1, max: 6 },
+    river: { default: true }
+});
+
+// Columns between the two deployment zones
+const SKIRMISH_NO_MANS_LAND = 3;
+
+// Fewest hexes between two castles
+const SKIRMISH_CASTLE_SPACING = 4;
+
+// Maps tried (drawing on from the same seed) before the settings are given up on
+const SKIRMISH_ATTEMPTS = 20;
+
+const SkirmishGenerator = {
+    /**
+     * Skirmish settings with the defaults filled in and numbers kept inside their limits
+     * @param {Object} options - Any of SKIRMISH_SETTINGS, and seed
+     * @returns {Object} Every setting, and seed
+     */
+    getSettings(options = {}) {
+        const settings = {};
+        for (const [name, spec] of Object.entries(SKIRMISH_SETTINGS)) {
+            const value = options[name] ?? spec.default;
+            settings[name] = spec.min === undefined ? value : Math.max(spec.min, Math.min(spec.max, value));
+        }
+        for (const name of ['mapWidth', 'mapHeight', 'mountainChains', 'castles']) {
+            settings[name] = Math.round(settings[name]);
+        }
+        settings.seed = (options.seed ?? SeededRandom.randomSeed()) >>> 0;
+        return settings;
+    },
+
+    /**
+     * Generate a skirmish
+     * @param {Object} options - Any of SKIRMISH_SETTINGS, seed, and id (a free custom level ID by default)
+     * @returns {Object} { success, level } or { success: false, errors }
+     */
+    generate(options = {}) {
+        const settings = this.getSettings(options);
+        const id = options.id ?? LevelManager.getFreeLevelId();
+        const rng = new SeededRandom(settings.seed);
+
+        let errors = [];
+        for (let attempt = 0; attempt < SKIRMISH_ATTEMPTS; attempt++) {
+            const level = this.buildLevel(settings, rng, id);
+            if (!level) {
+                errors = [`There is no room for ${settings.castles} castles on a ${settings.mapWidth}x${settings.mapHeight} map.`];
+                continue;
+            }
+            errors = [...LevelValidator.validate(level), ...this.checkPlayability(level)];
+            if (errors.length === 0) {
+                return { success: true, level: level };
+            }
+        }
+        return { success: false, errors: errors };
+    },
+
+    /**
+     * One try at a skirmish map
+     * @param {Object} settings - From getSettings
+     * @param {SeededRandom} rng
+     * @param {number} id - Level ID
+     * @returns {Object|null} Level definition, or null if the castles don't fit
+     */
+    buildLevel(settings, rng, id) {
+        const width = settings.mapWidth;
+        const height = settings.mapHeight;
+        const enemyMaxQ = width - 3 - SKIRMISH_NO_MANS_LAND;
+        const unitsToPlace = Math.min(6, 2 + settings.castles);
+
+        const level = {
+            id: id,
+            name: `Random Skirmish ${settings.seed}`,
+            description: this.describe(settings),
+            gameMode: 'offense',
+            castlesToCapture: 0,
+            turnLimit: Math.ceil(width / 3) + 3 * settings.castles + 2,
+            earlyVictoryBonus: 20,
+            playerUnitsToPlace: unitsToPlace,
+            playerUnitTypes: ['infantry', 'infantry', 'trebuchet', 'cavalry', 'infantry', 'cavalry'].slice(0, unitsToPlace),
+            playerStartingPrestige: 150 + 30 * settings.castles,
+            showMarketplace: true,
+            mapWidth: width,
+            mapHeight: height,
+            deploymentZones: {
+                player: { minQ: width - 2 },
+                enemy: { maxQ: enemyMaxQ }
+            },
+            castles: { player: [], enemy: [] },
+            forests: [],
+            terrainRegions: [],
+            terrain: [],
+            riverPath: [],
+            customRoads: [],
+            playerUnits: [],
+            enemyUnits: []
+        };
+
+        const field = createHexField(width, height);
+        if (settings.river) {
+            level.riverPath = this.traceRiver(field, rng);
+        }
+
+        const castles = this.placeCastles(field, level, settings.castles, rng);
+        if (!castles) return null;
+        level.castles.enemy = castles;
+        level.castlesToCapture = castles.length;
+
+        level.terrainRegions = this.raiseMountainChains(field, settings.mountainChains, rng);
+        level.forests = this.plantForests(field, settings.forestDensity, rng);
+        level.customRoads = this.planRoads(level);
+        this.clearPasses(level);
+        level.enemyUnits = this.placeEnemyUnits(level, rng);
+        return level;
+    },
+
+    /**
+     * The settings as the campaign screen shows them, enough to make the map again
+     */
+    describe(settings) {
+        const forests = ['no', 'light', 'light', 'thick', 'thick', 'dense'][Math.round(settings.forestDensity * 5)];
+        const river = settings.river ? 'a river' : 'no river';
+        return `${settings.mapWidth}x${settings.mapHeight} map, ${settings.castles} castles, ${forests} forests, ` +
+            `${settings.mountainChains} mountain chains, ${river} (seed ${settings.seed})`;
+    },
+
+    /**
+     * A river from the top of the map to the bottom, wandering a little to
+     * either side; each hex is next to the one before
+     * @param {HexMap} field - The empty map
+     * @param {SeededRandom} rng
+     * @returns {Array<Object>} riverPath
+     */
+    traceRiver(field, rng) {
+        const vRowOf = hex => hex.q / 2 + hex.r;
+        const startQ = rng.nextInt(Math.floor(field.width * 0.3), Math.floor(field.width * 0.6));
+        // Stay in a band around the source, and clear of the player's deployment zone
+        const minQ = Math.max(1, startQ - 3);
+        const maxQ = Math.min(field.width - 3, startQ + 3);
+
+        let hex = new Hex(startQ, LevelManager.vRowToR(startQ, (startQ % 2) / 2));
+        const path = [hex];
+        for (;;) {
+            const downstream = hex.neighbors().filter(next =>
+                vRowOf(next) > vRowOf(hex) && next.q >= minQ && next.q <= maxQ && field.isPlayable(next));
+            if (downstream.length === 0) break;
+
+            // Mostly straight down, so the river crosses the whole map
+            const straight = downstream.find(next => vRowOf(next) === vRowOf(hex) + 1);
+            hex = straight && rng.next() < 0.5 ? straight : downstream[rng.nextInt(0, downstream.length - 1)];
+            path.push(hex);
+        }
+        return path.map(step => ({ q: step.q, vRow: vRowOf(step) }));
+    },
+
+    /**
+     * Enemy castles, spread out inside the enemy's deployment zone and clear of the river
+     * @returns {Array<Object>|null} Castle positions, or null if they don't all fit
+     */
+    placeCastles(field, level, count, rng) {
+        const zone = LevelManager.getDeploymentZone(level, 'enemy');
+        const river = level.riverPath.map(pos => new Hex(pos.q, LevelManager.vRowToR(pos.q, pos.vRow)));
+        let candidates = field.getAllCells()
+            .map(cell => cell.hex)
+            .filter(hex => {
+                const vRow = hex.q / 2 + hex.r;
+                return field.isPlayable(hex) && LevelManager.isInDeploymentZone(hex, zone) &&
+                    hex.q >= 1 && vRow >= 1 && vRow <= field.height - 2 &&
+                    river.every(riverHex => riverHex.distanceTo(hex) >= 2);
+            });
+
+        const castles = [];
+        for (let i = 0; i < count; i++) {
+            if (candidates.length === 0) return null;
+            const castle = candidates[rng.nextInt(0, candidates.length - 1)];
+            castles.push(castle);
+            candidates = candidates.filter(hex => hex.distanceTo(castle) >= SKIRMISH_CASTLE_SPACING);
+        }
+        return castles.map(hex => ({ q: hex.q, vRow: hex.q / 2 + hex.r }));
+    },
+
+    /**
+     * Mountain chains: long narrow terrainRegions of mountain and hill noise,
+     * kept out of the player's deployment zone
+     * @returns {Array<Object>} terrainRegions
+     */
+    raiseMountainChains(field, count, rng) {
+        const regions = [];
+        for (let i = 0; i < count; i++) {
+            const upright = rng.next() < 0.5;
+            const length = rng.nextInt(4, 7);
+            const spanQ = upright ? 2 : length;
+            const spanVRow = upright ? length : 2;
+            const minQ = rng.nextInt(0, Math.max(0, field.width - 3 - spanQ));
+            const minVRow = rng.nextInt(0, Math.max(0, field.height - spanVRow));
+
+            regions.push({
+                bounds: { minQ: minQ, maxQ: minQ + spanQ - 1, minVRow: minVRow, maxVRow: minVRow + spanVRow - 1 },
+                mountainThreshold: 0.45,
+                hillThreshold: 0.2,
+                noiseFactor1: Math.round((1 + rng.next() * 2) * 100) / 100,
+                noiseFactor2: Math.round((1 + rng.next() * 2) * 100) / 100
+            });
+        }
+        return regions;
+    },
+
+    /**
+     * Forest clusters, thinning out from their centres
+     * @returns {Array<Object>} forests, as { q, r }
+     */
+    plantForests(field, density, rng) {
+        const playable = field.getAllCells().map(cell => cell.hex).filter(hex => field.isPlayable(hex));
+        const clusters = Math.round(density * field.width * field.height / 30);
+        const forests = new Map();
+
+        for (let i = 0; i < clusters; i++) {
+            const center = playable[rng.nextInt(0, playable.length - 1)];
+            for (const hex of getHexesInRadius(center, 2)) {
+                const chance = 1 - center.distanceTo(hex) * 0.3;
+                if (field.isPlayable(hex) && rng.next() < chance) {
+                    forests.set(hex.key, { q: hex.q, r: hex.r });
+                }
+            }
+        }
+        return [...forests.values()];
+    },
+
+    /**
+     * Roads joining every castle to the player's side of the map: each castle
+     * in turn, nearest first, joins the closest place already on the roads
+     * @returns {Array<Object>} customRoads
+     */
+    planRoads(level) {
+        const toHex = pos => new Hex(pos.q, LevelManager.vRowToR(pos.q, pos.vRow));
+        const start = { q: level.mapWidth - 2, vRow: Math.floor(level.mapHeight / 2) };
+        const joined = [start];
+        const waiting = [...level.castles.enemy];
+        const roads = [];
+
+        while (waiting.length > 0) {
+            let best = null;
+            for (const castle of waiting) {
+                for (const end of joined) {
+                    const distance = toHex(castle).distanceTo(toHex(end));
+                    if (!best || distance < best.distance) {
+                        best = { castle: castle, end: end, distance: distance };
+                    }
+                }
+            }
+            roads.push({ from: best.castle, to: best.end });
+            joined.push(best.castle);
+            waiting.splice(waiting.indexOf(best.castle), 1);
+        }
+        return roads;
+    },
+
+    /**
+     * Cut a pass wherever a road runs over a mountain, so every castle can
+     * be reached by road (the pass is hill country)
+     */
+    clearPasses(level) {
+        const map = LevelManager.createMapFromLevel(level);
+        for (const path of LevelManager.getRoadPaths(map, level)) {
+            for (const hex of path) {
+                const cell = map.getCell(hex);
+                if (TERRAIN_PROPERTIES[cell.terrain].impassable) {
+                    cell.terrain = TerrainType.HILL;
+                    level.terrain.push({ q: hex.q, vRow: hex.q / 2 + hex.r, terrain: TerrainType.HILL });
+                }
+            }
+        }
+    },
+
+    /**
+     * A garrison on every castle, and a few more units around them
+     * @returns {Array<Object>} enemyUnits
+     */
+    placeEnemyUnits(level, rng) {
+        const map = LevelManager.createMapFromLevel(level);
+        const zone = LevelManager.getDeploymentZone(level, 'enemy');
+        const castles = level.castles.enemy.map(pos => new Hex(pos.q, LevelManager.vRowToR(pos.q, pos.vRow)));
+        const taken = new Set(castles.map(hex => hex.key));
+        const units = castles.map(hex => ({ type: 'infantry', q: hex.q, vRow: hex.q / 2 + hex.r }));
+
+        const extraTypes = ['infantry', 'infantry', 'cavalry', 'trebuchet'];
+        for (let i = 0; i <= castles.length; i++) {
+            const castle = castles[rng.nextInt(0, castles.length - 1)];
+            const spots = getHexesInRadius(castle, 2).filter(hex => {
+                const cell = map.getCell(hex);
+                return cell && map.isPlayable(hex) && LevelManager.isInDeploymentZone(hex, zone) &&
+                    !taken.has(hex.key) && !TERRAIN_PROPERTIES[cell.terrain].impassable &&
+                    cell.terrain !== TerrainType.RIVER;
+            });
+            if (spots.length === 0) continue;
+
+            const hex = spots[rng.nextInt(0, spots.length - 1)];
+            taken.add(hex.key);
+            units.push({ type: extraTypes[rng.nextInt(0, extraTypes.length - 1)], q: hex.q, vRow: hex.q / 2 + hex.r });
+        }
+        return units;
+    },
+
+    /**
+     * Everything that would make a level unplayable as a skirmish: a castle
+     * cut off from either side's deployment zone, a unit cut off from the
+     * player's, a road crossing the
+     * river without a bridge, or the armies starting next to each other
+     * (the river running hex to hex is checked by LevelValidator)
+     * @param {Object} level - Level definition
+     * @returns {Array<string>} Empty if the level is playable
+     */
+    checkPlayability(level) {
+        const errors = [];
+        const map = LevelManager.createMapFromLevel(level);
+        const toHex = pos => new Hex(pos.q, LevelManager.vRowToR(pos.q, pos.vRow));
+        const describe = pos => `(q ${pos.q}, vRow ${pos.vRow})`;
+        const zoneHexes = this.getZoneHexes(map, level, 'player');
+        const deployHexes = zoneHexes.filter(hex => !TERRAIN_PROPERTIES[map.getCell(hex).terrain].impassable);
+        const enemyDeployHexes = this.getZoneHexes(map, level, 'enemy')
+            .filter(hex => !TERRAIN_PROPERTIES[map.getCell(hex).terrain].impassable);
+        if (deployHexes.length === 0) {
+            return ['The player\'s deployment zone has no open ground.'];
+        }
+        if (enemyDeployHexes.length === 0) {
+            return ['The enemy\'s deployment zone has no open ground.'];
+        }
+
+        // The player's zone must hold together; the enemy may hold ground on
+        // both sides of a mountain chain
+        const reachable = this.getReachableHexes(map, [deployHexes[0]]);
+        const enemyReachable = this.getReachableHexes(map, enemyDeployHexes);
+
+        if (deployHexes.some(hex => !reachable.has(hex.key))) {
+            errors.push('The player\'s deployment zone is split by impassable terrain.');
+        }
+        level.castles.enemy.forEach((pos, i) => {
+            const key = toHex(pos).key;
+            if (!reachable.has(key)) {
+                errors.push(`castles.enemy[${i}]: ${describe(pos)} can't be reached from the player's deployment zone`);
+            }
+            if (!enemyReachable.has(key)) {
+                errors.push(`castles.enemy[${i}]: ${describe(pos)} can't be reached from the enemy's deployment zone`);
+            }
+        });
+        level.enemyUnits.forEach((unitDef, i) => {
+            const hex = toHex(unitDef);
+            if (!reachable.has(hex.key)) {
+                errors.push(`enemyUnits[${i}]: ${describe(unitDef)} is cut off from the player's deployment zone`);
+            }
+            if (zoneHexes.some(zoneHex => zoneHex.distanceTo(hex) <= 1)) {
+                errors.push(`enemyUnits[${i}]: ${describe(unitDef)} starts next to the player's deployment zone`);
+            }
+        });
+
+        for (const path of LevelManager.getRoadPaths(map, level)) {
+            for (let i = 1; i < path.length; i++) {
+                const crossesRiver = [path[i - 1], path[i]].some(hex => map.getCell(hex).terrain === TerrainType.RIVER);
+                if (crossesRiver && this.getEdgeBetween(map, path[i - 1], path[i]) !== EdgeFeature.BRIDGE) {
+                    errors.push(`A road crosses the river at ${describe(LevelManager.hexToPosition(path[i]))} without a bridge`);
+                }
+            }
+        }
+        return errors;
+    },
+
+    // The playable hexes of one side's deployment zone
+    getZoneHexes(map, level, side) {
+        const zone = LevelManager.getDeploymentZone(level, side);
+        return map.getAllCells()
+            .filter(cell => map.isPlayable(cell.hex) && LevelManager.isInDeploymentZone(cell.hex, zone))
+            .map(cell => cell.hex);
+    },
+
+    // Keys of every hex reachable on foot from the start hexes (river hexes are slow, not blocked)
+    getReachableHexes(map, starts) {
+        const reachable = new Set(starts.map(hex => hex.key));
+        const queue = [...starts];
+        while (queue.length > 0) {
+            const hex = queue.shift();
+            for (const next of hex.neighbors()) {
+                const cell = map.getCell(next);
+                if (!cell || reachable.has(next.key) || !map.isPlayable(next)) continue;
+                if (TERRAIN_PROPERTIES[cell.terrain].impassable) continue;
+                reachable.add(next.key);
+                queue.push(next);
+            }
+        }
+        return reachable;
+    },
+
+    // The edge feature between two neighbouring hexes
+    getEdgeBetween(map, from, to) {
+        for (let dir = 0; dir < 6; dir++) {
+            if (from.neighbor(dir).equals(to)) {
+                return map.getCell(from).getEdge(dir);
+            }
+        }
+        return null;
+    }
+};
@@ -9,6 +9,7 @@ class Game {
     constructor() {
         this.canvas = document.getElementById('game-canvas');
         this.infoPanel = document.getElementById('hex-info');
+        this.battlePreview = document.getElementById('battle-preview');
         this.turnDisplay = document.getElementById('turn-display');
 
         // Create hex layout (origin at 0,0 - the camera handles positioning)
@@ -32,8 +33,20 @@ class Game {
             });
         }
 
-        // Game state
+        // Game state, and the engine that applies player actions to it
         this.gameState = null;
+        this.engine = null;
+
+        // Campaign progress (levels won, best results, carry-over)
+        this.campaign = null;
+
+        // Replay being watched (null while playing)
+        this.replayPlayer = null;
+
+        // Scenario being edited (null while playing)
+        this.editor = null;
+        // The scenario last edited, reopened by the Editor button
+        this.editorDraft = null;
 
         // Auto-save timer
         this.autoSaveTimer = null;
@@ -44,9 +57,6 @@ class Game {
         // Pending confirmation action
         this.pendingConfirmAction = null;
 
-        // Marketplace state
-        this.marketplaceMaxUnits = 6;
-
         // --- Camera scrolling state ---
         // Last known pointer position in canvas CSS coords (null = not tracked)
         this.pointerPos = null;
@@ -74,21 +84,45 @@ class Game {
         this.scrollLoopRunning = false;
         this.lastScrollTick = 0;
 
-        // Initialize
-        this.init();
+        // Initialize - storage is opened asynchronously, so a failure is
+        // reported here rather than leaving a blank page
+        this.init().catch(e => {
+            console.error('Failed to start the game:', e);
+            this.showMessage('Game Not Started', `${e.message} Reload the page to try again.`);
+        });
 
         // Continuous scroll loop (edge + keyboard scrolling)
         this.startScrollLoop();
     }
 
-    init() {
-        // Try to load existing game or create new one
-        this.gameState = GameStorage.loadCurrentGame();
+    async init() {
+        // Open storage, then load the last game or create a new one
+        await GameStorage.init();
+        try {
+            this.campaign = await GameStorage.loadCampaign();
+        } catch (e) {
+            // Progress this version can't read is left in storage untouched
+            console.error('Failed to load campaign progress:', e);
+            this.campaign = new Campaign();
+        }
+        for (const level of await GameStorage.loadCustomLevels()) {
+            LevelManager.addCustomLevel(level);
+        }
+
+        let loadError = null;
+        try {
+            this.gameState = await GameStorage.loadCurrentGame();
+        } catch (e) {
+            // A save this version can't read is left in storage untouched
+            console.error('Failed to load game:', e);
+            loadError = e.message;
+        }
 
         if (!this.gameState) {
             this.gameState = GameState.create('Puddy General');
             GameStorage.saveGame(this.gameState);
         }
+        this.engine = new GameEngine(this.gameState);
 
         // Set up event listeners
         this.setupEventListeners();
@@ -109,6 +143,10 @@ class Game {
         this.render();
 
         this.logGameState();
+
+        if (loadError) {
+            this.showMessage('Saved Game Not Loaded', `${loadError} A new game was started instead.`);
+        }
     }
 
     logGameState() {
@@ -168,29 +206,34 @@ class Game {
         const newGameBtn = document.getElementById('new-game-btn');
         if (newGameBtn) {
             newGameBtn.addEventListener('click', () => {
-                this.showConfirmDialog(
+                this.showNewGameDialog(
                     'New Game',
                     'Start a new game? Current progress will be lost.',
-                    () => this.newGame('Puddy General')
+                    (difficulty) => this.newGame('Puddy General', 1, { difficulty })
                 );
             });
         }
 
-        // TEMP: Test Level 2 button
-        const testLevel2Btn = document.getElementById('test-level2-btn');
-        if (testLevel2Btn) {
-            testLevel2Btn.addEventListener('click', () => {
-                // Simulate winning Level 1 on day 10: 150 start + 50 castle + 5 turns × 20 bonus = 300
-                this.newGame('Puddy General', 2, { prestige: 300 });
-            });
+        // Campaign screen
+        const campaignBtn = document.getElementById('campaign-btn');
+        if (campaignBtn) {
+            campaignBtn.addEventListener('click', () => this.showCampaignModal());
         }
 
-        // TEMP: Test Level 3 button
-        const testLevel3Btn = document.getElementById('test-level3-btn');
-        if (testLevel3Btn) {
-            testLevel3Btn.addEventListener('click', () => {
-                // Simulate winning Level 2 with ~850 prestige
-                this.newGame('Puddy General', 3, { prestige: 850 });
+        const campaignCloseBtn = document.getElementById('campaign-close-btn');
+        if (campaignCloseBtn) {
+            campaignCloseBtn.addEventListener('click', () => this.hideCampaignModal());
+        }
+
+        const levelFileInput = document.getElementById('level-file-input');
+        const loadLevelBtn = document.getElementById('load-level-btn');
+        if (loadLevelBtn && levelFileInput) {
+            loadLevelBtn.addEventListener('click', () => levelFileInput.click());
+            levelFileInput.addEventListener('change', () => {
+                if (levelFileInput.files.length > 0) {
+                    this.importLevelFile(levelFileInput.files[0]);
+                }
+                levelFileInput.value = '';
             });
         }
 
@@ -200,6 +243,101 @@ class Game {
             rulesBtn.addEventListener('click', () => this.showRulesModal());
         }
 
+        // Save slots
+        const savesBtn = document.getElementById('saves-btn');
+        if (savesBtn) {
+            savesBtn.addEventListener('click', () => this.showSavesModal());
+        }
+
+        const saveSlotBtn = document.getElementById('save-slot-btn');
+        if (saveSlotBtn) {
+            saveSlotBtn.addEventListener('click', () => this.saveToSlot());
+        }
+
+        const saveSlotName = document.getElementById('save-slot-name');
+        if (saveSlotName) {
+            saveSlotName.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.saveToSlot();
+                }
+            });
+        }
+
+        const savesCloseBtn = document.getElementById('saves-close-btn');
+        if (savesCloseBtn) {
+            savesCloseBtn.addEventListener('click', () => this.hideSavesModal());
+        }
+
+        // Save files
+        const exportSaveBtn = document.getElementById('export-save-btn');
+        if (exportSaveBtn) {
+            exportSaveBtn.addEventListener('click', () => this.exportSave());
+        }
+
+        const saveFileInput = document.getElementById('save-file-input');
+        const importSaveBtn = document.getElementById('import-save-btn');
+        if (importSaveBtn && saveFileInput) {
+            importSaveBtn.addEventListener('click', () => saveFileInput.click());
+            saveFileInput.addEventListener('change', () => {
+                if (saveFileInput.files.length > 0) {
+                    this.importSaveFile(saveFileInput.files[0]);
+                }
+                saveFileInput.value = '';
+            });
+        }
+
+        const messageOkBtn = document.getElementById('message-ok-btn');
+        if (messageOkBtn) {
+            messageOkBtn.addEventListener('click', () => this.hideMessage());
+        }
+
+        // Replay viewer
+        const replayBtn = document.getElementById('replay-btn');
+        if (replayBtn) {
+            replayBtn.addEventListener('click', () => this.startReplay());
+        }
+
+        const replayButtons = {
+            'replay-prev-turn-btn': () => this.replayPlayer.previousTurn(),
+            'replay-prev-btn': () => this.replayPlayer.stepBack(),
+            'replay-next-btn': () => this.replayPlayer.stepForward(),
+            'replay-next-turn-btn': () => this.replayPlayer.nextTurn()
+        };
+        for (const [id, step] of Object.entries(replayButtons)) {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => this.stepReplay(step));
+            }
+        }
+
+        const replayExportBtn = document.getElementById('replay-export-btn');
+        if (replayExportBtn) {
+            replayExportBtn.addEventListener('click', () => this.exportReplay());
+        }
+
+        const replayFileInput = document.getElementById('replay-file-input');
+        const replayLoadBtn = document.getElementById('replay-load-btn');
+        if (replayLoadBtn && replayFileInput) {
+            replayLoadBtn.addEventListener('click', () => replayFileInput.click());
+            replayFileInput.addEventListener('change', () => {
+                if (replayFileInput.files.length > 0) {
+                    this.loadReplayFile(replayFileInput.files[0]);
+                }
+                replayFileInput.value = '';
+            });
+        }
+
+        const replayCloseBtn = document.getElementById('replay-close-btn');
+        if (replayCloseBtn) {
+            replayCloseBtn.addEventListener('click', () => this.stopReplay());
+        }
+
+        // Scenario editor
+        this.setupEditorControls();
+
+        // Random skirmish
+        this.setupSkirmishControls();
+
         // Rules modal close button
         const rulesOkBtn = document.getElementById('rules-ok-btn');
         if (rulesOkBtn) {
@@ -225,6 +363,12 @@ class Game {
             });
         }
 
+        // Undo button
+        const undoBtn = document.getElementById('undo-btn');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.undoMove());
+        }
+
         // Inspect button
         const inspectBtn = document.getElementById('inspect-btn');
         if (inspectBtn) {
@@ -316,13 +460,31 @@ class Game {
         const point = this.pointerPos;
         const hex = this.renderer.getHexAtPoint(point);
 
+        // Watching a replay: just track the hovered hex
+        if (this.replayPlayer) {
+            this.renderer.setHoveredHex(this.replayPlayer.state.map.hasCell(hex) ? hex : null);
+            this.render();
+            return;
+        }
+
+        // Editing a scenario: show where the pointer is, for placing things by hand
+        if (this.editor) {
+            const onMap = this.editor.state.map.hasCell(hex);
+            this.renderer.setHoveredHex(onMap ? hex : null);
+            this.infoPanel.textContent = onMap ? this.describeEditorHex(hex) : 'Hover over a hex';
+            this.render();
+            return;
+        }
+
         // Check if hex exists on map
         if (this.gameState.map.hasCell(hex)) {
             this.renderer.setHoveredHex(hex);
             this.updateInfoPanel(hex);
+            this.updateBattlePreview(hex);
         } else {
             this.renderer.setHoveredHex(null);
             this.infoPanel.textContent = 'Hover over a hex';
+            this.updateBattlePreview(null);
         }
 
         this.render();
@@ -335,9 +497,17 @@ class Game {
             return;
         }
 
+        // No orders while watching a replay
+        if (this.replayPlayer) return;
+
         const point = this.renderer.getCanvasCoords(event);
         const hex = this.renderer.getHexAtPoint(point);
 
+        if (this.editor) {
+            this.applyEditorTool(hex);
+            return;
+        }
+
         if (!this.gameState.map.hasCell(hex)) return;
 
         // Handle inspection mode
@@ -364,24 +534,15 @@ class Game {
                 break;
         }
 
+        // Selection changed - refresh (or hide) the odds preview
+        this.updateBattlePreview(hex);
         this.render();
     }
 
     handlePlacementClick(hex) {
-        const unit = this.gameState.placeUnit(hex);
-        if (unit) {
-            console.log(`Placed ${unit.getName()} at (${hex.q}, ${hex.r})`);
-            console.log(`Units remaining: ${this.gameState.unitsToPlace}`);
-
-            // Update visibility after placing unit
-            this.gameState.updateVisibility();
-
-            if (this.gameState.phase === GamePhase.MOVEMENT) {
-                console.log('All units placed! Movement phase begins.');
-                console.log('Click on a unit to select it, then click on a highlighted hex to move.');
-            }
-
-            this.updateHighlights();
+        const result = this.engine.placeUnit(hex);
+        if (result.success) {
+            this.playEvents(result.events);
         }
     }
 
@@ -407,13 +568,11 @@ class Game {
 
                 if (isRangedTarget && clickedUnit) {
                     // Execute ranged attack
-                    const result = this.gameState.executeRangedAttack(selectedUnit, clickedUnit);
+                    const result = this.engine.rangedAttack(selectedUnit.id, hex);
                     if (result.success) {
-                        console.log(`${selectedUnit.getName()} fires at ${clickedUnit.getName()}!`);
-                        this.showRangedBattlePopup(selectedUnit, clickedUnit, result.defenderTerrain);
                         this.gameState.deselectUnit();
                         this.gameState.deselectHex();
-                        this.updateHighlights();
+                        this.playEvents(result.events);
                         return;
                     }
                 }
@@ -424,47 +583,12 @@ class Game {
             const isValidMove = validMoves.some(h => h.equals(hex));
 
             if (isValidMove) {
-                const result = this.gameState.moveUnit(selectedUnit, hex);
+                const result = this.engine.moveUnit(selectedUnit.id, hex);
                 if (result.success) {
-                    const actualHex = result.actualHex || hex;
-                    console.log(`Moved ${selectedUnit.getName()} to (${actualHex.q}, ${actualHex.r})`);
-
-                    // Check if unit was stopped by hidden enemy ZoC
-                    if (result.stoppedByHiddenZOC) {
-                        console.log('Unit stopped by hidden enemy zone of control!');
-                        // Show a brief message or let the player see the newly revealed enemy
-                    }
-
-                    // Check if battle was triggered
-                    if (result.battleTriggered) {
-                        // Check for defensive artillery fire
-                        const defensiveArtillery = this.gameState.getDefensiveArtillery(result.enemyUnit.hex);
-                        if (defensiveArtillery.length > 0) {
-                            // Show defensive fire sequence, then main battle
-                            this.showDefensiveFireSequence(selectedUnit, result.enemyUnit, defensiveArtillery, result);
-                        } else {
-                            // No defensive fire, show main battle
-                            this.showBattlePopup(selectedUnit, result.enemyUnit, result.surpriseAttack, result.riverAttack, result.defenderTerrain);
-                        }
-                        // Unit cannot move further after battle
-                        this.gameState.deselectUnit();
-                        this.gameState.deselectHex();
-                        this.updateHighlights();
-                        return;
-                    }
-
-                    // Check castle recapture in defense mode
-                    this.gameState.checkPlayerCastleRecapture(actualHex);
-
-                    // Check victory
-                    if (this.gameState.phase === GamePhase.VICTORY) {
-                        this.showVictory();
-                    }
-
-                    // Unit can only move once per turn (hasMoved flag is now set)
+                    // Unit can only move once per turn (and not at all after a battle)
                     this.gameState.deselectUnit();
                     this.gameState.deselectHex();
-                    this.updateHighlights();
+                    this.playEvents(result.events);
                 }
                 return;
             }
@@ -523,12 +647,11 @@ class Game {
     updateTurnDisplay() {
         if (this.turnDisplay) {
             if (this.gameState.phase === GamePhase.PLACEMENT) {
-                // Show what unit type is next to place
-                const nextType = this.gameState.unitTypesToPlace.length > 0
-                    ? this.gameState.unitTypesToPlace[0]
-                    : 'infantry';
-                const typeName = nextType.charAt(0).toUpperCase() + nextType.slice(1);
-                this.turnDisplay.textContent = `Place ${typeName} (${this.gameState.unitsToPlace} left)`;
+                // Show what unit is next to place
+                const next = this.gameState.getNextPlacement();
+                const typeName = next.typeId.charAt(0).toUpperCase() + next.typeId.slice(1);
+                const veteran = next.isCore ? 'Veteran ' : '';
+                this.turnDisplay.textContent = `Place ${veteran}${typeName} (${this.gameState.unitsToPlace} left)`;
             } else if (this.gameState.phase === GamePhase.VICTORY) {
                 this.turnDisplay.textContent = 'VICTORY!';
             } else if (this.gameState.phase === GamePhase.DEFEAT) {
@@ -554,6 +677,11 @@ class Game {
             prestigeDisplay.textContent = this.gameState.prestige;
         }
 
+        const undoBtn = document.getElementById('undo-btn');
+        if (undoBtn) {
+            undoBtn.disabled = !this.engine || !this.engine.canUndo();
+        }
+
         // Update level display
         const levelDisplay = document.getElementById('level-display');
         if (levelDisplay) {
@@ -566,124 +694,125 @@ class Game {
         }
     }
 
-    showVictory() {
-        const isDefense = this.gameState.gameMode === 'defense';
+    /**
+     * Show the victory modal
+     * @param {Object} event - The engine's victory event
+     */
+    showVictory(event) {
+        const isDefense = event.gameMode === 'defense';
 
+        console.log('=================================');
         if (isDefense) {
-            // Defense mode victory: award prestige based on castles held
-            const castlesHeld = this.gameState.playerCastleKeys.length - this.gameState.lostCastles.length;
-            const level = LevelManager.getLevel(this.gameState.currentLevel);
-            const perCastle = level ? (level.defensePrestigePerCastle || 75) : 75;
-            const defenseBonus = castlesHeld * perCastle;
-            this.gameState.prestige += defenseBonus;
-
-            console.log('=================================');
             console.log('   VICTORY! You survived the siege!');
-            console.log(`   Castles held: ${castlesHeld}/${this.gameState.playerCastleKeys.length}`);
-            console.log(`   Defense bonus: +${defenseBonus} prestige (${castlesHeld} × ${perCastle})`);
-            console.log('=================================');
-
-            const modal = document.getElementById('victory-modal');
-            if (modal) {
-                const bonusText = document.getElementById('victory-bonus-text');
-                if (bonusText) {
-                    bonusText.textContent = `Castles held: ${castlesHeld}/${this.gameState.playerCastleKeys.length} (+${defenseBonus} prestige)`;
-                }
-
-                modal.classList.remove('hidden');
-
-                const okBtn = document.getElementById('victory-ok-btn');
-                if (okBtn) {
-                    const currentLevel = this.gameState.currentLevel;
-                    const hasNext = LevelManager.hasNextLevel(currentLevel);
-
-                    if (hasNext) {
-                        okBtn.textContent = 'Next Battle!';
-                        okBtn.onclick = () => {
-                            modal.classList.add('hidden');
-                            const prestigeCarryOver = this.gameState.prestige;
-                            const nextLevelId = currentLevel + 1;
-                            this.newGame('Puddy General', nextLevelId, { prestige: prestigeCarryOver });
-                        };
-                    } else {
-                        okBtn.textContent = 'Long Live the King!';
-                        okBtn.onclick = () => modal.classList.add('hidden');
-                    }
-                }
-            }
+            console.log(`   Castles held: ${event.castlesHeld}/${event.totalCastles}`);
+            console.log(`   Defense bonus: +${event.bonus} prestige (${event.castlesHeld} × ${event.perCastle})`);
         } else {
-            // Offense mode victory
-            console.log('=================================');
             console.log('   VICTORY! All castles captured!');
-            console.log(`   Turns remaining: ${this.gameState.turnsRemaining}`);
-            console.log(`   Early victory bonus: +${this.gameState.turnsRemaining * this.gameState.earlyVictoryBonus} prestige`);
-            console.log('=================================');
-
-            const modal = document.getElementById('victory-modal');
-            if (modal) {
-                const bonusText = document.getElementById('victory-bonus-text');
-                if (bonusText) {
-                    const bonus = this.gameState.turnsRemaining * this.gameState.earlyVictoryBonus;
-                    bonusText.textContent = `Turns remaining: ${this.gameState.turnsRemaining} (+${bonus} prestige bonus!)`;
-                }
+            console.log(`   Turns remaining: ${event.turnsRemaining}`);
+            console.log(`   Early victory bonus: +${event.bonus} prestige`);
+        }
+        console.log('=================================');
 
-                modal.classList.remove('hidden');
-
-                const okBtn = document.getElementById('victory-ok-btn');
-                if (okBtn) {
-                    const currentLevel = this.gameState.currentLevel;
-                    const hasNext = LevelManager.hasNextLevel(currentLevel);
-
-                    if (hasNext) {
-                        okBtn.textContent = 'Next Battle!';
-                        okBtn.onclick = () => {
-                            modal.classList.add('hidden');
-                            const prestigeCarryOver = this.gameState.prestige;
-                            const nextLevelId = currentLevel + 1;
-                            this.newGame('Puddy General', nextLevelId, { prestige: prestigeCarryOver });
-                        };
-                    } else {
-                        okBtn.textContent = 'Long Live the King!';
-                        okBtn.onclick = () => modal.classList.add('hidden');
-                    }
-                }
+        const modal = document.getElementById('victory-modal');
+        if (!modal) return;
+
+        const title = document.getElementById('victory-title');
+        if (title) {
+            title.textContent = `${VICTORY_GRADE_NAMES[event.grade].toUpperCase()}!`;
+        }
+
+        const difficultyText = document.getElementById('victory-difficulty-text');
+        if (difficultyText) {
+            difficultyText.textContent = `Difficulty: ${DIFFICULTY_NAMES[event.difficulty]}`;
+        }
+
+        const bonusText = document.getElementById('victory-bonus-text');
+        if (bonusText) {
+            bonusText.textContent = isDefense
+                ? `Castles held: ${event.castlesHeld}/${event.totalCastles} (+${event.bonus} prestige)`
+                : `Turns remaining: ${event.turnsRemaining} (+${event.bonus} prestige bonus!)`;
+        }
+
+        // Record the win; the grade picks the next level, where the
+        // surviving core units march on to. Custom levels stand alone.
+        let nextLevel = null;
+        if (LevelManager.isCampaignLevel(this.gameState.currentLevel)) {
+            this.campaign.recordVictory(this.gameState, event);
+            GameStorage.saveCampaign(this.campaign);
+            nextLevel = LevelManager.getNextLevel(this.gameState.currentLevel, event.grade);
+        }
+        const hasNext = nextLevel !== null;
+        const coreText = document.getElementById('victory-core-text');
+        if (coreText && hasNext) {
+            const coreArmy = this.campaign.getCarryOver(nextLevel.id).coreUnits;
+            coreText.textContent = `${coreArmy.length} veteran unit${coreArmy.length === 1 ? '' : 's'} will march on to ${nextLevel.name}.`;
+        }
+        if (coreText) {
+            coreText.classList.toggle('hidden', !hasNext);
+        }
+
+        modal.classList.remove('hidden');
+
+        const okBtn = document.getElementById('victory-ok-btn');
+        if (okBtn) {
+            if (hasNext) {
+                okBtn.textContent = 'Next Battle!';
+                okBtn.onclick = () => {
+                    modal.classList.add('hidden');
+                    this.startCampaignLevel(nextLevel.id);
+                };
+            } else {
+                okBtn.textContent = 'Long Live the King!';
+                okBtn.onclick = () => modal.classList.add('hidden');
             }
         }
     }
 
-    showDefeat() {
-        const isDefense = this.gameState.gameMode === 'defense';
+    /**
+     * Show the defeat modal
+     * @param {Object} event - The engine's defeat event
+     */
+    showDefeat(event) {
+        const castlesLost = event.reason === 'castles';
 
-        if (isDefense) {
-            console.log('=================================');
-            console.log('   DEFEAT! All your castles have fallen!');
-            console.log('=================================');
-        } else {
-            console.log('=================================');
-            console.log('   DEFEAT! Ran out of turns!');
-            console.log('=================================');
-        }
+        console.log('=================================');
+        console.log(castlesLost ? '   DEFEAT! All your castles have fallen!' : '   DEFEAT! Ran out of turns!');
+        console.log('=================================');
 
         // Show defeat modal
         const modal = document.getElementById('defeat-modal');
         if (modal) {
-            // Update defeat message for defense mode
             const defeatText = document.getElementById('defeat-text');
             if (defeatText) {
-                defeatText.textContent = isDefense
+                defeatText.textContent = castlesLost
                     ? 'All your castles have fallen to the horde!'
                     : 'You ran out of time to capture all castles!';
             }
+
+            // Some levels fall back to another level instead of ending the campaign
+            let fallback = null;
+            if (LevelManager.isCampaignLevel(this.gameState.currentLevel)) {
+                fallback = this.campaign.recordDefeat(this.gameState);
+                GameStorage.saveCampaign(this.campaign);
+            }
+            const fallbackText = document.getElementById('defeat-fallback-text');
+            if (fallbackText) {
+                fallbackText.textContent = fallback ? `The war goes on: fall back to ${fallback.name}.` : '';
+                fallbackText.classList.toggle('hidden', !fallback);
+            }
             modal.classList.remove('hidden');
 
             const okBtn = document.getElementById('defeat-ok-btn');
             if (okBtn) {
-                okBtn.onclick = () => modal.classList.add('hidden');
+                okBtn.textContent = fallback ? 'Fall Back' : 'Try Again';
+                okBtn.onclick = () => {
+                    modal.classList.add('hidden');
+                    if (fallback) {
+                        this.startCampaignLevel(fallback.id);
+                    }
+                };
             }
         }
-
-        this.updateTurnDisplay();
-        this.render();
     }
 
     /**
@@ -703,6 +832,20 @@ class Game {
         }
     }
 
+    /**
+     * Ask before starting a game, with a choice of difficulty
+     * The difficulty of the game being played is offered first.
+     * @param {string} title
+     * @param {string} message
+     * @param {Function} onStart - Called with the chosen Difficulty
+     */
+    showNewGameDialog(title, message, onStart) {
+        const select = document.getElementById('difficulty-select');
+        select.value = this.gameState.difficulty;
+        this.showConfirmDialog(title, message, () => onStart(select.value));
+        document.getElementById('confirm-difficulty').classList.remove('hidden');
+    }
+
     /**
      * Handle confirmation dialog "Yes" button
      */
@@ -722,9 +865,29 @@ class Game {
         if (modal) {
             modal.classList.add('hidden');
         }
+        document.getElementById('confirm-difficulty').classList.add('hidden');
         this.pendingConfirmAction = null;
     }
 
+    /**
+     * Show a message with an OK button
+     * @param {string} title
+     * @param {string} message
+     */
+    showMessage(title, message) {
+        const modal = document.getElementById('message-modal');
+        document.getElementById('message-title').textContent = title;
+        document.getElementById('message-text').textContent = message;
+        modal.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the message modal
+     */
+    hideMessage() {
+        document.getElementById('message-modal').classList.add('hidden');
+    }
+
     /**
      * Toggle inspection mode, or inspect selected unit directly
      */
@@ -1009,7 +1172,7 @@ class Game {
 
         // Calculate current unit count (units to place + already placed units)
         const currentUnits = this.gameState.unitsToPlace;
-        const maxUnits = this.marketplaceMaxUnits;
+        const maxUnits = this.engine.getMaxUnits();
 
         // Update unit count display
         const unitCount = document.getElementById('marketplace-unit-count');
@@ -1082,33 +1245,19 @@ class Game {
 
     /**
      * Purchase a unit from the marketplace
-     * @param {string} unitType - The unit type to purchase ('infantry' or 'trebuchet')
+     * @param {string} unitType - The unit type to purchase ('infantry', 'trebuchet' or 'cavalry')
      */
     purchaseUnit(unitType) {
-        const unitDef = UNIT_TYPES[unitType];
-        if (!unitDef) return;
-
-        const cost = unitDef.cost;
-
-        // Check if can afford
-        if (this.gameState.prestige < cost) {
-            console.log(`Cannot afford ${unitType} (need ${cost}, have ${this.gameState.prestige})`);
-            return;
-        }
+        const result = this.engine.purchaseUnit(unitType);
 
-        // Check if at max units
-        const currentUnits = this.gameState.unitsToPlace;
-        if (currentUnits >= this.marketplaceMaxUnits) {
-            console.log(`Army at maximum capacity (${this.marketplaceMaxUnits})`);
-            return;
+        if (result.reason === 'insufficient_funds') {
+            console.log(`Cannot afford ${unitType} (need ${UNIT_TYPES[unitType].cost}, have ${this.gameState.prestige})`);
+        } else if (result.reason === 'army_full') {
+            console.log(`Army at maximum capacity (${this.engine.getMaxUnits()})`);
         }
+        if (!result.success) return;
 
-        // Deduct cost and add unit to placement queue
-        this.gameState.prestige -= cost;
-        this.gameState.unitsToPlace++;
-        this.gameState.unitTypesToPlace.push(unitType);
-
-        console.log(`Purchased ${unitType} for ${cost} prestige. Now have ${this.gameState.unitsToPlace} units to place.`);
+        this.logEvents(result.events);
 
         // Update displays
         this.updateMarketplaceDisplay();
@@ -1170,24 +1319,26 @@ class Game {
     handleRebuild(keepExperience) {
         if (!this.inspectedUnit) return;
 
-        const result = RebuildSystem.rebuild(this.gameState, this.inspectedUnit, keepExperience);
+        const result = this.engine.rebuild(this.inspectedUnit.id, keepExperience);
 
         if (result.success) {
+            this.logEvents(result.events);
+
             // Refresh the modal to show updated stats
             this.showInspectModal(this.inspectedUnit);
 
             // Update displays
-            this.updateTurnDisplay();
             this.updateHighlights();
             this.render();
 
+            const rebuilt = result.events[0];
             const rebuildStatus = document.getElementById('rebuild-status');
             if (rebuildStatus) {
-                let msg = `Rebuilt! +${Math.floor(result.strengthGained)} str, Cost: ${result.cost}`;
-                if (result.expLost > 0) {
-                    msg += `, Exp lost: ${result.expLost.toFixed(2)}`;
+                let msg = `Rebuilt! +${Math.floor(rebuilt.strengthGained)} str, Cost: ${rebuilt.cost}`;
+                if (rebuilt.expLost > 0) {
+                    msg += `, Exp lost: ${rebuilt.expLost.toFixed(2)}`;
                 }
-                if (result.ammoGained > 0) {
+                if (rebuilt.ammoGained > 0) {
                     msg += ', +1 ammo';
                 }
                 rebuildStatus.textContent = msg;
@@ -1208,466 +1359,326 @@ class Game {
     handleBuyAmmo() {
         if (!this.inspectedUnit) return;
 
-        const result = RebuildSystem.buyAmmo(this.gameState, this.inspectedUnit);
+        const result = this.engine.buyAmmo(this.inspectedUnit.id);
 
         if (result.success) {
+            this.logEvents(result.events);
+
             // Refresh the modal to show updated stats
             this.showInspectModal(this.inspectedUnit);
 
             // Update displays
-            this.updateTurnDisplay();
             this.updateHighlights();
             this.render();
 
             const ammoStatus = document.getElementById('ammo-status');
             if (ammoStatus) {
-                ammoStatus.textContent = `Resupplied! +1 ammo, Cost: ${result.cost} prestige`;
+                ammoStatus.textContent = `Resupplied! +1 ammo, Cost: ${result.events[0].cost} prestige`;
                 ammoStatus.className = 'rebuild-status success';
             }
         }
     }
 
+    // ==================== ENGINE EVENTS ====================
+
     /**
-     * Show battle popup and resolve combat
-     * @param {Unit} attacker - The attacking unit
-     * @param {Unit} defender - The defending unit
-     * @param {boolean} surpriseAttack - Whether attacker stumbled into hidden enemy
-     * @param {boolean} riverAttack - Whether attacker is on river attacking non-river
-     * @param {string} defenderTerrain - The terrain type the defender is on
+     * Render the events of an engine action one after another: battles
+     * get a modal each (the next event waits until it is closed), and the
+     * game ends with the victory or defeat modal.
+     * @param {Array} events - Events returned by the GameEngine
+     * @param {Object} options - Optional parameters
+     * @param {boolean} options.followCamera - Scroll to each battle (enemy turn)
+     * @param {Function} options.onComplete - Called after the last event
      */
-    showBattlePopup(attacker, defender, surpriseAttack = false, riverAttack = false, defenderTerrain = TerrainType.GRASS) {
-        // Capture entrenchment and experience before battle
-        const attackerEntrenchBefore = attacker.entrenchment;
-        const defenderEntrenchBefore = defender.entrenchment;
-        const attackerExpBefore = attacker.experience;
-        const defenderExpBefore = defender.experience;
-
-        // Capture fatigue info before performAttack() resets movementRemaining
-        const attackerType = attacker.getType();
-        const maxMovement = attackerType.movement;
-        const movementUsed = maxMovement - attacker.movementRemaining;
-        const percentUsed = maxMovement > 0 ? movementUsed / maxMovement : 0;
-        const fatigueTiers = Math.min(2, Math.floor(percentUsed / 0.33));
-        const penaltyPercent = fatigueTiers * 20;
+    playEvents(events, options = {}) {
+        let index = 0;
 
-        // Determine if defender is in close terrain (uses closeDefense)
-        const closeTerrain = isCloseTerrain(defenderTerrain);
+        const playNext = () => {
+            if (index >= events.length) {
+                this.updateHighlights();
+                this.render();
+                if (options.onComplete) options.onComplete();
+                return;
+            }
 
-        // Resolve the battle using the battle resolver
-        const result = resolveBattle(attacker, defender, { surpriseAttack, riverAttack, closeTerrain });
+            const event = events[index++];
+            this.logEvents([event]);
 
-        // Apply damage to units
-        attacker.takeDamage(result.attackerDamage);
-        defender.takeDamage(result.defenderDamage);
+            switch (event.type) {
+                case 'battle':
+                    if (options.followCamera) {
+                        this.renderer.centerOnHex(event.battle.defender.hex);
+                    }
+                    this.updateTurnDisplay();
+                    this.render();
+                    this.showBattleEvent(event, playNext);
+                    return;
+                case 'castle_captured':
+                case 'castle_retaken':
+                    if (options.followCamera) {
+                        this.renderer.centerOnHex(event.hex);
+                    }
+                    break;
+                case 'victory':
+                    this.showVictory(event);
+                    break;
+                case 'defeat':
+                    this.showDefeat(event);
+                    break;
+            }
+            playNext();
+        };
 
-        // Apply experience gains for surviving units
-        // Formula: 0.1 + (5% of strength lost) with ±20% variance
-        let attackerExpGain = 0;
-        let defenderExpGain = 0;
-        if (!result.attackerDestroyed) {
-            attackerExpGain = attacker.gainExperience(result.attackerDamage);
-        }
-        if (!result.defenderDestroyed) {
-            defenderExpGain = defender.gainExperience(result.defenderDamage);
-        }
+        playNext();
+    }
 
-        // Add prestige from looting (melee attackers who survive and dealt damage)
-        let attackerPrestigeGain = 0;
-        if (!result.attackerDestroyed && attackerExpGain > 0) {
-            attackerPrestigeGain = RebuildSystem.calculateBattlePrestige(attackerExpGain, false);
-            this.gameState.prestige += attackerPrestigeGain;
+    /**
+     * Write engine events to the console
+     * @param {Array} events - Events returned by the GameEngine
+     */
+    logEvents(events) {
+        for (const event of events) {
+            switch (event.type) {
+                case 'unit_placed':
+                    console.log(`Placed ${event.unit.getName()} at (${event.hex.q}, ${event.hex.r})`);
+                    console.log(`Units remaining: ${this.gameState.unitsToPlace}`);
+                    break;
+                case 'placement_complete':
+                    console.log('All units placed! Movement phase begins.');
+                    console.log('Click on a unit to select it, then click on a highlighted hex to move.');
+                    break;
+                case 'unit_moved':
+                    // Enemy moves stay secret
+                    if (event.unit.playerId !== 0) break;
+                    console.log(`Moved ${event.unit.getName()} to (${event.to.q}, ${event.to.r})`);
+                    if (event.stoppedByHiddenZOC) {
+                        console.log('Unit stopped by hidden enemy zone of control!');
+                    }
+                    break;
+                case 'move_undone':
+                    console.log(`Undid move: ${event.unit.getName()} back to (${event.to.q}, ${event.to.r})`);
+                    break;
+                case 'battle': {
+                    const { attacker, defender, result } = event.battle;
+                    const label = event.kind === 'melee' ? 'BATTLE' :
+                                  (event.kind === 'ranged' ? 'RANGED ATTACK' : 'DEFENSIVE FIRE');
+                    console.log('=================================');
+                    console.log(`   ${label}: ${this.ownerLabel(attacker)} ${attacker.getName()} vs ${this.ownerLabel(defender)} ${defender.getName()}`);
+                    console.log(`   Power: ${result.attackerPower.toFixed(1)} vs ${result.defenderPower.toFixed(1)} (ratio: ${result.powerRatio.toFixed(2)})`);
+                    console.log(`   Result: ${result.attackerStrengthBefore} -> ${result.attackerStrengthAfter} vs ${result.defenderStrengthBefore} -> ${result.defenderStrengthAfter}`);
+                    console.log('=================================');
+                    break;
+                }
+                case 'castle_captured':
+                    if (event.playerId === 0) {
+                        console.log(`Castle captured! +${event.prestige} prestige (${event.captured}/${event.total})`);
+                    } else {
+                        console.log(`Horde captured a castle at (${event.hex.q}, ${event.hex.r})!`);
+                    }
+                    break;
+                case 'castle_recaptured':
+                    console.log(`Castle recaptured at (${event.hex.q}, ${event.hex.r})!`);
+                    break;
+                case 'castle_retaken':
+                    console.log(`The enemy retook its castle at (${event.hex.q}, ${event.hex.r})! (${this.gameState.capturedCastles.length}/${this.gameState.totalCastles})`);
+                    break;
+                case 'unit_rebuilt':
+                    // Enemy rebuilds stay secret, like their moves
+                    if (event.unit.playerId !== 0) break;
+                    console.log(`Unit rebuilt! Strength +${event.strengthGained.toFixed(1)}, Cost: ${event.cost}, Exp lost: ${event.expLost.toFixed(2)}${event.ammoGained > 0 ? ', +1 ammo' : ''}`);
+                    break;
+                case 'ammo_bought':
+                    console.log(`Ammo purchased! Ammo: ${event.unit.ammo}/${event.unit.getType().maxAmmo}, Cost: ${event.cost} prestige`);
+                    break;
+                case 'unit_purchased':
+                    console.log(`Purchased ${event.typeId} for ${event.cost} prestige. Now have ${this.gameState.unitsToPlace} units to place.`);
+                    break;
+                case 'horde_rebuilt':
+                    console.log(`Horde rebuild: ${event.units.length} unit(s) healed to full strength`);
+                    break;
+                case 'horde_reassigned':
+                    console.log(`Horde cavalry reassigned to castle ${event.castleKey}`);
+                    break;
+                case 'turn_started':
+                    console.log(`Turn ${event.turn} begins`);
+                    break;
+            }
         }
+    }
 
-        // Reduce defender entrenchment after being attacked
-        defender.reduceEntrenchment();
-
-        // Capture entrenchment after battle
-        const defenderEntrenchAfter = defender.entrenchment;
-
-        // Mark attacker as having attacked
-        attacker.performAttack();
-
-        // Log battle results
-        console.log('=================================');
-        console.log(`   BATTLE: ${attacker.getName()} vs ${defender.getName()}`);
-        console.log(`   Power: ${result.attackerPower} vs ${result.defenderPower} (ratio: ${result.powerRatio.toFixed(2)})`);
-        console.log(`   Entrenchment: ${attackerEntrenchBefore} vs ${defenderEntrenchBefore} -> ${defenderEntrenchAfter}`);
-        console.log(`   Experience: ${attackerExpBefore.toFixed(1)} (+${attackerExpGain.toFixed(2)}) vs ${defenderExpBefore.toFixed(1)} (+${defenderExpGain.toFixed(2)})`);
-        console.log(`   Raw Damage: Atk: ${result.attackerDamageRaw.toFixed(1)}, Def: ${result.defenderDamageRaw.toFixed(1)}`);
-        console.log(`   Result: ${result.attackerStrengthBefore} -> ${result.attackerStrengthAfter} vs ${result.defenderStrengthBefore} -> ${result.defenderStrengthAfter}`);
-        console.log('=================================');
+    /**
+     * "Your" or "Enemy", for naming units in messages
+     * @param {Unit} unit
+     * @returns {string}
+     */
+    ownerLabel(unit) {
+        return unit.playerId === 0 ? 'Your' : 'Enemy';
+    }
 
-        // Store defender hex for castle capture check
-        const defenderHex = defender.hex;
+    /**
+     * Show the battle modal for a battle event (melee, ranged or defensive fire,
+     * fought by either side)
+     * @param {Object} event - The engine's battle event
+     * @param {Function} onClose - Callback when the modal is closed
+     */
+    showBattleEvent(event, onClose) {
+        const battle = event.battle;
+        const { attacker, defender, result } = battle;
+        const ranged = battle.rangedAttack;
 
-        // Show custom battle modal
         const modal = document.getElementById('battle-modal');
-        if (modal) {
-            // Update attacker info (player's unit)
-            document.getElementById('battle-attacker-name').textContent = `Your ${attacker.getName()}`;
-            document.getElementById('battle-attacker-before').textContent = Math.floor(result.attackerStrengthBefore);
-            document.getElementById('battle-attacker-after').textContent = Math.floor(result.attackerStrengthAfter);
-            document.getElementById('battle-attacker-damage').textContent =
-                result.attackerDamage > 0 ? `-${Math.floor(result.attackerDamage)}` : '0';
-
-            // Update defender info (enemy unit)
-            document.getElementById('battle-defender-name').textContent = `Enemy ${defender.getName()}`;
-            document.getElementById('battle-defender-before').textContent = Math.floor(result.defenderStrengthBefore);
-            document.getElementById('battle-defender-after').textContent = Math.floor(result.defenderStrengthAfter);
-            document.getElementById('battle-defender-damage').textContent =
-                result.defenderDamage > 0 ? `-${Math.floor(result.defenderDamage)}` : '0';
-
-            // Update status message
-            let status = '';
-            if (result.attackerDestroyed && result.defenderDestroyed) {
-                status = 'Mutual destruction!';
-            } else if (result.attackerDestroyed) {
-                status = `Your ${attacker.getName()} destroyed!`;
-            } else if (result.defenderDestroyed) {
-                status = `Enemy ${defender.getName()} destroyed!`;
-            } else {
-                status = 'Both units survive.';
-            }
-            document.getElementById('battle-status').textContent = status;
-
-            // Apply destroyed styling
-            const attackerAfter = document.getElementById('battle-attacker-after');
-            const defenderAfter = document.getElementById('battle-defender-after');
-            attackerAfter.classList.toggle('unit-destroyed', result.attackerDestroyed);
-            defenderAfter.classList.toggle('unit-destroyed', result.defenderDestroyed);
-
-            // Update battle details (dev/debug info)
-            document.getElementById('battle-power-info').textContent =
-                `${result.attackerPower.toFixed(1)} vs ${result.defenderPower.toFixed(1)} (ratio: ${result.powerRatio.toFixed(2)})`;
-            // Display terrain type and which defense was used
-            const terrainName = getTerrainProperties(defenderTerrain).name;
-            const defenseType = closeTerrain ? 'Close' : 'Ground';
-            const defenderType = defender.getType();
-            const defenseValue = closeTerrain ? defenderType.closeDefense : defenderType.groundDefense;
-            document.getElementById('battle-terrain-info').textContent =
-                `${terrainName} (${defenseType} Def: ${defenseValue})`;
-            document.getElementById('battle-entrench-info').textContent =
-                `${attackerEntrenchBefore} vs ${defenderEntrenchBefore} → ${defenderEntrenchAfter}`;
-            // Show experience before → after with gain
-            const atkExpStr = result.attackerDestroyed ? attackerExpBefore.toFixed(1) :
-                `${attackerExpBefore.toFixed(1)} → ${attacker.experience.toFixed(1)} (+${attackerExpGain.toFixed(2)})`;
-            const defExpStr = result.defenderDestroyed ? defenderExpBefore.toFixed(1) :
-                `${defenderExpBefore.toFixed(1)} → ${defender.experience.toFixed(1)} (+${defenderExpGain.toFixed(2)})`;
-            document.getElementById('battle-exp-info').textContent =
-                `${atkExpStr} vs ${defExpStr}`;
-            // Display initiative (0 if surprised)
-            const baseInit = attacker.getType().initiative;
+        if (!modal) {
+            onClose();
+            return;
+        }
+
+        // Attacker info (a ranged attacker takes no damage)
+        let attackerTitle = `${this.ownerLabel(attacker)} ${attacker.getName()}`;
+        if (event.kind === 'ranged') attackerTitle += ' (Ranged)';
+        if (event.kind === 'defensive_fire') attackerTitle += ' (Def Fire)';
+        const attackerDamage = ranged ? 0 : result.attackerDamage;
+        const attackerDestroyed = !ranged && result.attackerDestroyed;
+        document.getElementById('battle-attacker-name').textContent = attackerTitle;
+        document.getElementById('battle-attacker-before').textContent = Math.floor(result.attackerStrengthBefore);
+        document.getElementById('battle-attacker-after').textContent =
+            Math.floor(result.attackerStrengthBefore - attackerDamage);
+        document.getElementById('battle-attacker-damage').textContent =
+            attackerDamage > 0 ? `-${Math.floor(attackerDamage)}` : '0';
+
+        // Defender info
+        document.getElementById('battle-defender-name').textContent =
+            `${this.ownerLabel(defender)} ${defender.getName()}`;
+        document.getElementById('battle-defender-before').textContent = Math.floor(result.defenderStrengthBefore);
+        document.getElementById('battle-defender-after').textContent = Math.floor(result.defenderStrengthAfter);
+        document.getElementById('battle-defender-damage').textContent =
+            result.defenderDamage > 0 ? `-${Math.floor(result.defenderDamage)}` : '0';
+
+        // Status message
+        let status = '';
+        if (attackerDestroyed && result.defenderDestroyed) {
+            status = 'Mutual destruction!';
+        } else if (attackerDestroyed) {
+            status = `${this.ownerLabel(attacker)} ${attacker.getName()} destroyed!`;
+        } else if (result.defenderDestroyed) {
+            status = `${this.ownerLabel(defender)} ${defender.getName()} destroyed` +
+                     (event.kind === 'defensive_fire' ? ' by defensive fire!' : '!');
+        } else if (event.kind === 'defensive_fire') {
+            status = `Defensive fire hits for ${Math.floor(result.defenderDamage)}`;
+        } else if (event.kind === 'ranged') {
+            status = 'Target survives.';
+        } else {
+            status = 'Both units survive.';
+        }
+        document.getElementById('battle-status').textContent = status;
+
+        // Apply destroyed styling
+        document.getElementById('battle-attacker-after').classList.toggle('unit-destroyed', attackerDestroyed);
+        document.getElementById('battle-defender-after').classList.toggle('unit-destroyed', result.defenderDestroyed);
+
+        // Battle details (dev/debug info)
+        document.getElementById('battle-power-info').textContent =
+            `${result.attackerPower.toFixed(1)} vs ${result.defenderPower.toFixed(1)} (ratio: ${result.powerRatio.toFixed(2)})`;
+        // Display terrain type, which defense was used and the terrain terms
+        document.getElementById('battle-terrain-info').textContent =
+            this.formatTerrainInfo(defender, battle.defenderTerrain, result);
+        document.getElementById('battle-height-info').textContent = this.formatHeightInfo(result);
+        document.getElementById('battle-entrench-info').textContent =
+            `${battle.attackerEntrenchBefore} vs ${battle.defenderEntrenchBefore} → ${battle.defenderEntrenchAfter}`;
+
+        // Show experience before → after with gain
+        const formatExp = (before, gain, destroyed) => destroyed ? before.toFixed(1) :
+            `${before.toFixed(1)} → ${(before + gain).toFixed(1)} (+${gain.toFixed(2)})`;
+        document.getElementById('battle-exp-info').textContent =
+            `${formatExp(battle.attackerExpBefore, battle.attackerExpGain, result.attackerDestroyed)} vs ` +
+            formatExp(battle.defenderExpBefore, battle.defenderExpGain, result.defenderDestroyed);
+
+        const baseInit = attacker.getType().initiative;
+        if (ranged) {
+            document.getElementById('battle-init-info').textContent = `+${baseInit} (ranged)`;
+            document.getElementById('battle-fatigue-info').textContent = 'N/A (ranged)';
+            document.getElementById('battle-raw-damage').textContent =
+                `Atk: 0 (ranged), Def: ${result.defenderDamageRaw.toFixed(1)}`;
+        } else {
             // Display initiative (0 if surprised or river attack)
-            const lostInitiative = surpriseAttack || riverAttack;
+            const lostInitiative = battle.surpriseAttack || battle.riverAttack;
             let initReason = '';
-            if (surpriseAttack && riverAttack) initReason = 'surprised + river';
-            else if (surpriseAttack) initReason = 'surprised';
-            else if (riverAttack) initReason = 'river';
+            if (battle.surpriseAttack && battle.riverAttack) initReason = 'surprised + river';
+            else if (battle.surpriseAttack) initReason = 'surprised';
+            else if (battle.riverAttack) initReason = 'river';
             document.getElementById('battle-init-info').textContent =
                 lostInitiative ? `0 (${initReason}, was +${baseInit})` : `+${baseInit} (attacker only)`;
 
-            // Display fatigue (calculated at start of function before performAttack)
+            // Display fatigue (captured before the attack used up movement)
             document.getElementById('battle-fatigue-info').textContent =
-                fatigueTiers > 0 ? `${fatigueTiers} tier(s) (-${penaltyPercent}% str)` : 'None';
-
-            // Display surprise attack status
-            document.getElementById('battle-surprise-info').textContent =
-                surpriseAttack ? 'Yes (-20% str, no init)' : 'No';
-
-            // Display river attack status
-            document.getElementById('battle-river-info').textContent =
-                riverAttack ? 'Yes (-30% str, no init)' : 'No';
-
+                battle.fatigueTiers > 0 ? `${battle.fatigueTiers} tier(s) (-${battle.fatigueTiers * 20}% str)` : 'None';
             document.getElementById('battle-raw-damage').textContent =
                 `Atk: ${result.attackerDamageRaw.toFixed(1)}, Def: ${result.defenderDamageRaw.toFixed(1)}`;
+        }
 
-            modal.classList.remove('hidden');
-
-            const okBtn = document.getElementById('battle-ok-btn');
-            if (okBtn) {
-                okBtn.onclick = () => {
-                    modal.classList.add('hidden');
-
-                    // Remove destroyed units
-                    this.gameState.units.removeDestroyed();
-
-                    // If defender was destroyed and attacker survived, attacker advances into hex
-                    if (result.defenderDestroyed && !result.attackerDestroyed) {
-                        // Move attacker to defender's hex (capture the ground)
-                        attacker.hex = defenderHex;
-
-                        // Now check castle capture (attacker is in the hex)
-                        this.gameState.checkCastleCapture(defenderHex);
-                        this.gameState.checkPlayerCastleRecapture(defenderHex);
-
-                        // Check victory
-                        if (this.gameState.phase === GamePhase.VICTORY) {
-                            this.showVictory();
-                        }
-                    }
+        // Display surprise and river attack status
+        document.getElementById('battle-surprise-info').textContent =
+            battle.surpriseAttack ? 'Yes (-20% str, no init)' : 'No';
+        document.getElementById('battle-river-info').textContent =
+            battle.riverAttack ? 'Yes (-30% str, no init)' : 'No';
 
-                    // Update visibility after battle
-                    this.gameState.updateVisibility();
+        modal.classList.remove('hidden');
 
-                    this.updateTurnDisplay();
-                    this.render();
-                };
-            }
+        const okBtn = document.getElementById('battle-ok-btn');
+        if (okBtn) {
+            okBtn.onclick = () => {
+                modal.classList.add('hidden');
+                onClose();
+            };
         }
     }
 
     /**
-     * Show ranged battle popup (attacker takes no damage)
-     * @param {Unit} attacker - The ranged attacking unit
+     * Describe the defender's terrain for the battle popup
+     * e.g. "Woods (Close Def: 8, Terrain +1)"
      * @param {Unit} defender - The defending unit
      * @param {string} defenderTerrain - The terrain the defender is on
+     * @param {BattleResult} result - The resolved battle
+     * @returns {string}
      */
-    showRangedBattlePopup(attacker, defender, defenderTerrain = TerrainType.GRASS) {
-        // Capture values before battle
-        const attackerExpBefore = attacker.experience;
-        const defenderExpBefore = defender.experience;
-        const defenderEntrenchBefore = defender.entrenchment;
+    formatTerrainInfo(defender, defenderTerrain, result) {
+        const terrainName = getTerrainProperties(defenderTerrain).name;
+        const defenseType = result.closeTerrain ? 'Close' : 'Ground';
+        const defenseValue = getDefenseValue(defender.getType(), result.closeTerrain);
+        const bonus = result.terrainDefenseBonus > 0 ? `, Terrain +${result.terrainDefenseBonus}` : '';
+        return `${terrainName} (${defenseType} Def: ${defenseValue}${bonus})`;
+    }
 
-        // Determine if defender is in close terrain
-        const closeTerrain = isCloseTerrain(defenderTerrain);
+    /**
+     * Describe the hill height modifier for the battle popup
+     * @param {BattleResult} result - The resolved battle
+     * @returns {string}
+     */
+    formatHeightInfo(result) {
+        if (result.heightModifier > 0) return `+${result.heightModifier} (downhill)`;
+        if (result.heightModifier < 0) return `${result.heightModifier} (uphill)`;
+        return 'None';
+    }
 
-        // Resolve battle with rangedAttack flag (attacker takes no damage)
-        const result = resolveBattle(attacker, defender, { closeTerrain, rangedAttack: true });
+    handleMouseLeave() {
+        this.renderer.setHoveredHex(null);
+        this.infoPanel.textContent = 'Hover over a hex';
+        this.updateBattlePreview(null);
+        this.render();
+    }
 
-        // Apply damage (only defender takes damage in ranged attack)
-        defender.takeDamage(result.defenderDamage);
+    // --- Camera: canvas sizing ---
 
-        // Experience gains
-        let attackerExpGain = 0;
-        let defenderExpGain = 0;
-        if (!result.attackerDestroyed) {
-            attackerExpGain = attacker.gainExperience(0); // No damage taken
-        }
-        if (!result.defenderDestroyed) {
-            defenderExpGain = defender.gainExperience(result.defenderDamage);
-        }
+    resizeCanvas() {
+        const container = this.canvas.parentElement;
+        if (!container) return;
+        const dpr = window.devicePixelRatio || 1;
+        this.renderer.resize(container.clientWidth, container.clientHeight, dpr);
+    }
 
-        // Reduce defender entrenchment
-        defender.reduceEntrenchment();
-        const defenderEntrenchAfter = defender.entrenchment;
-
-        // Store defender hex for castle capture check
-        const defenderHex = defender.hex;
-
-        // Log
-        console.log('=================================');
-        console.log(`   RANGED ATTACK: ${attacker.getName()} fires at ${defender.getName()}`);
-        console.log(`   Power: ${result.attackerPower.toFixed(1)} vs ${result.defenderPower.toFixed(1)}`);
-        console.log(`   Defender takes ${result.defenderDamage} damage (${result.defenderStrengthBefore} -> ${result.defenderStrengthAfter})`);
-        console.log('=================================');
-
-        // Show battle modal
-        const modal = document.getElementById('battle-modal');
-        if (modal) {
-            document.getElementById('battle-attacker-name').textContent = `Your ${attacker.getName()} (Ranged)`;
-            document.getElementById('battle-attacker-before').textContent = Math.floor(result.attackerStrengthBefore);
-            document.getElementById('battle-attacker-after').textContent = Math.floor(result.attackerStrengthAfter);
-            document.getElementById('battle-attacker-damage').textContent = '0';
-
-            document.getElementById('battle-defender-name').textContent = `Enemy ${defender.getName()}`;
-            document.getElementById('battle-defender-before').textContent = Math.floor(result.defenderStrengthBefore);
-            document.getElementById('battle-defender-after').textContent = Math.floor(result.defenderStrengthAfter);
-            document.getElementById('battle-defender-damage').textContent =
-                result.defenderDamage > 0 ? `-${Math.floor(result.defenderDamage)}` : '0';
-
-            let status = result.defenderDestroyed ? `Enemy ${defender.getName()} destroyed!` : 'Target survives.';
-            document.getElementById('battle-status').textContent = status;
-
-            const attackerAfter = document.getElementById('battle-attacker-after');
-            const defenderAfter = document.getElementById('battle-defender-after');
-            attackerAfter.classList.toggle('unit-destroyed', false);
-            defenderAfter.classList.toggle('unit-destroyed', result.defenderDestroyed);
-
-            // Update details
-            document.getElementById('battle-power-info').textContent =
-                `${result.attackerPower.toFixed(1)} vs ${result.defenderPower.toFixed(1)} (ratio: ${result.powerRatio.toFixed(2)})`;
-            const terrainName = getTerrainProperties(defenderTerrain).name;
-            const defenseType = closeTerrain ? 'Close' : 'Ground';
-            const defenderType = defender.getType();
-            const defenseValue = closeTerrain ? defenderType.closeDefense : defenderType.groundDefense;
-            document.getElementById('battle-terrain-info').textContent =
-                `${terrainName} (${defenseType} Def: ${defenseValue})`;
-            document.getElementById('battle-entrench-info').textContent =
-                `0 vs ${defenderEntrenchBefore} → ${defenderEntrenchAfter}`;
-            const atkExpStr = `${attackerExpBefore.toFixed(1)} → ${attacker.experience.toFixed(1)} (+${attackerExpGain.toFixed(2)})`;
-            const defExpStr = result.defenderDestroyed ? defenderExpBefore.toFixed(1) :
-                `${defenderExpBefore.toFixed(1)} → ${defender.experience.toFixed(1)} (+${defenderExpGain.toFixed(2)})`;
-            document.getElementById('battle-exp-info').textContent = `${atkExpStr} vs ${defExpStr}`;
-            document.getElementById('battle-init-info').textContent = `+${attacker.getType().initiative} (ranged)`;
-            document.getElementById('battle-fatigue-info').textContent = 'N/A (ranged)';
-            document.getElementById('battle-surprise-info').textContent = 'No';
-            document.getElementById('battle-river-info').textContent = 'No';
-            document.getElementById('battle-raw-damage').textContent =
-                `Atk: 0 (ranged), Def: ${result.defenderDamageRaw.toFixed(1)}`;
-
-            modal.classList.remove('hidden');
-
-            const okBtn = document.getElementById('battle-ok-btn');
-            if (okBtn) {
-                okBtn.onclick = () => {
-                    modal.classList.add('hidden');
-                    this.gameState.units.removeDestroyed();
-
-                    // Note: Ranged attacks do NOT capture castles
-                    // A unit must physically move into the castle to capture it
-
-                    this.gameState.updateVisibility();
-                    this.updateTurnDisplay();
-                    this.render();
-                };
-            }
-        }
-    }
-
-    /**
-     * Show defensive fire sequence before main battle
-     * @param {Unit} attacker - The attacking unit
-     * @param {Unit} defender - The defending unit
-     * @param {Array<Unit>} artillery - Array of enemy artillery that will fire
-     * @param {Object} battleResult - The original battle trigger result
-     */
-    showDefensiveFireSequence(attacker, defender, artillery, battleResult) {
-        // Process defensive fire from each artillery unit
-        let artilleryIndex = 0;
-
-        const processNextArtillery = () => {
-            if (artilleryIndex >= artillery.length || attacker.isDestroyed()) {
-                // All defensive fire done, now show main battle if attacker survived
-                if (!attacker.isDestroyed()) {
-                    this.showBattlePopup(attacker, defender, battleResult.surpriseAttack, battleResult.riverAttack, battleResult.defenderTerrain);
-                } else {
-                    // Attacker destroyed by defensive fire
-                    this.gameState.units.removeDestroyed();
-                    this.gameState.updateVisibility();
-                    this.render();
-                }
-                return;
-            }
-
-            const art = artillery[artilleryIndex];
-            artilleryIndex++;
-
-            // Execute defensive fire
-            const fireResult = this.gameState.executeDefensiveFire(art, attacker);
-            if (fireResult.success) {
-                this.showDefensiveFirePopup(art, attacker, fireResult.defenderTerrain, processNextArtillery);
-            } else {
-                // Artillery couldn't fire, move to next
-                processNextArtillery();
-            }
-        };
-
-        processNextArtillery();
-    }
-
-    /**
-     * Show defensive fire popup (artillery firing at attacker)
-     * @param {Unit} artillery - The artillery unit firing
-     * @param {Unit} target - The unit being fired upon (the original attacker)
-     * @param {string} targetTerrain - The terrain the target is on
-     * @param {Function} onClose - Callback when popup is closed
-     */
-    showDefensiveFirePopup(artillery, target, targetTerrain, onClose) {
-        const closeTerrain = isCloseTerrain(targetTerrain);
-        const targetExpBefore = target.experience;
-        const targetEntrenchBefore = target.entrenchment;
-
-        // Resolve battle (ranged attack - artillery takes no damage)
-        const result = resolveBattle(artillery, target, { closeTerrain, rangedAttack: true });
-
-        // Apply damage to target
-        target.takeDamage(result.defenderDamage);
-
-        // Experience for target if it survives (they can loot the fallen)
-        let targetExpGain = 0;
-        if (!result.defenderDestroyed) {
-            targetExpGain = target.gainExperience(result.defenderDamage);
-            // Defender gains prestige from surviving defensive fire (looting)
-            const prestigeGain = RebuildSystem.calculateBattlePrestige(targetExpGain, false);
-            this.gameState.prestige += prestigeGain;
-        }
-
-        // Reduce entrenchment
-        target.reduceEntrenchment();
-
-        console.log(`   DEFENSIVE FIRE: ${artillery.getName()} hits ${target.getName()} for ${result.defenderDamage}`);
-
-        // Show simplified popup for defensive fire
-        const modal = document.getElementById('battle-modal');
-        if (modal) {
-            document.getElementById('battle-attacker-name').textContent = `Enemy ${artillery.getName()} (Def Fire)`;
-            document.getElementById('battle-attacker-before').textContent = Math.floor(artillery.strength);
-            document.getElementById('battle-attacker-after').textContent = Math.floor(artillery.strength);
-            document.getElementById('battle-attacker-damage').textContent = '0';
-
-            document.getElementById('battle-defender-name').textContent = `Your ${target.getName()}`;
-            document.getElementById('battle-defender-before').textContent = Math.floor(result.defenderStrengthBefore);
-            document.getElementById('battle-defender-after').textContent = Math.floor(result.defenderStrengthAfter);
-            document.getElementById('battle-defender-damage').textContent =
-                result.defenderDamage > 0 ? `-${Math.floor(result.defenderDamage)}` : '0';
-
-            let status = result.defenderDestroyed ?
-                `Your ${target.getName()} destroyed by defensive fire!` :
-                `Defensive fire hits for ${Math.floor(result.defenderDamage)}`;
-            document.getElementById('battle-status').textContent = status;
-
-            const attackerAfter = document.getElementById('battle-attacker-after');
-            const defenderAfter = document.getElementById('battle-defender-after');
-            attackerAfter.classList.toggle('unit-destroyed', false);
-            defenderAfter.classList.toggle('unit-destroyed', result.defenderDestroyed);
-
-            // Simplified details for defensive fire
-            document.getElementById('battle-power-info').textContent =
-                `${result.attackerPower.toFixed(1)} vs ${result.defenderPower.toFixed(1)}`;
-            document.getElementById('battle-terrain-info').textContent = 'Defensive Fire';
-            document.getElementById('battle-entrench-info').textContent = `${targetEntrenchBefore}`;
-            document.getElementById('battle-exp-info').textContent = '-';
-            document.getElementById('battle-init-info').textContent = '-';
-            document.getElementById('battle-fatigue-info').textContent = '-';
-            document.getElementById('battle-surprise-info').textContent = '-';
-            document.getElementById('battle-river-info').textContent = '-';
-            document.getElementById('battle-raw-damage').textContent = `Def: ${result.defenderDamageRaw.toFixed(1)}`;
-
-            modal.classList.remove('hidden');
-
-            const okBtn = document.getElementById('battle-ok-btn');
-            if (okBtn) {
-                okBtn.onclick = () => {
-                    modal.classList.add('hidden');
-                    this.gameState.units.removeDestroyed();
-                    this.updateTurnDisplay();
-                    this.render();
-                    // Continue to next artillery or main battle
-                    if (onClose) onClose();
-                };
-            }
-        }
-    }
-
-    handleMouseLeave() {
-        this.renderer.setHoveredHex(null);
-        this.infoPanel.textContent = 'Hover over a hex';
-        this.render();
-    }
-
-    // --- Camera: canvas sizing ---
-
-    resizeCanvas() {
-        const container = this.canvas.parentElement;
-        if (!container) return;
-        const dpr = window.devicePixelRatio || 1;
-        this.renderer.resize(container.clientWidth, container.clientHeight, dpr);
-    }
-
-    // Center the camera over the player's forces (or the map center)
-    centerCameraOnStart() {
-        if (!this.gameState || !this.gameState.map) return;
-        this.renderer.ensureWorldBounds(this.gameState.map);
+    // Center the camera over the player's forces (or the map center)
+    centerCameraOnStart() {
+        if (!this.gameState || !this.gameState.map) return;
+        this.renderer.ensureWorldBounds(this.gameState.map);
 
         // Prefer player's units; during placement, use the placement hexes
         let hexes = this.gameState.units
@@ -1765,8 +1776,10 @@ class Game {
         if (this.gameState.map.hasCell(hex)) {
             this.renderer.setHoveredHex(hex);
             this.updateInfoPanel(hex);
+            this.updateBattlePreview(hex);
         } else {
             this.renderer.setHoveredHex(null);
+            this.updateBattlePreview(null);
         }
     }
 
@@ -1989,6 +2002,9 @@ class Game {
     }
 
     handleKeyDown(event) {
+        // Typing in a form field (the save name, the editor's tools) is not a shortcut
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+
         // Map scrolling keys (arrows + WASD). Held keys scroll continuously
         // via the scroll loop. Ignore when typing in an input or with ctrl.
         if (!event.ctrlKey && !event.metaKey && !this.isModalOpen()) {
@@ -2012,6 +2028,18 @@ class Game {
             }
         }
 
+        // Watching a replay: step with , and . (Shift for whole days), ESC closes
+        if (this.replayPlayer) {
+            this.handleReplayKey(event);
+            return;
+        }
+
+        // Editing a scenario: ESC finishes the road being drawn
+        if (this.editor) {
+            this.handleEditorKey(event);
+            return;
+        }
+
         switch (event.key.toLowerCase()) {
             case 'g':
                 // Toggle grid
@@ -2035,6 +2063,13 @@ class Game {
                     this.save();
                 }
                 break;
+            case 'z':
+                // Undo last move
+                if ((event.ctrlKey || event.metaKey) && !this.isModalOpen()) {
+                    event.preventDefault();
+                    this.undoMove();
+                }
+                break;
             case 'escape':
                 // Cancel inspect mode if active, otherwise deselect
                 if (this.inspectMode) {
@@ -2043,6 +2078,7 @@ class Game {
                     this.gameState.deselectHex();
                     this.gameState.deselectUnit();
                     this.updateHighlights();
+                    this.updateBattlePreview(null);
                     this.render();
                 }
                 break;
@@ -2118,200 +2154,29 @@ class Game {
         }
     }
 
-    endTurn() {
-        this.gameState.endTurn();
-
-        // Check for defeat (ran out of turns in offense, or all castles lost in defense)
-        if (this.gameState.phase === GamePhase.DEFEAT) {
-            this.showDefeat();
-            return;
-        }
-
-        // Check for defense victory (survived all turns)
-        if (this.gameState.phase === GamePhase.VICTORY) {
-            this.showVictory();
-            return;
-        }
-
-        // Execute enemy AI actions
-        const enemyActions = EnemyAI.executeEnemyTurn(this.gameState);
+    // Take back the last move, if it revealed nothing new
+    undoMove() {
+        if (this.replayPlayer || this.editor) return;
+        const result = this.engine.undoMove();
+        if (!result.success) return;
 
-        // Show enemy action results
-        if (enemyActions.length > 0) {
-            this.showEnemyActionsSequence(enemyActions, 0, () => {
-                // After all enemy actions, check for defense defeat (castle captured)
-                if (this.gameState.phase === GamePhase.DEFEAT) {
-                    this.showDefeat();
-                    return;
-                }
-                // Reset player units for the new turn
-                this.gameState.units.resetTurn(0);
-                this.updateHighlights();
-                this.render();
-                console.log(`Turn ${this.gameState.turn} begins`);
-            });
-        } else {
-            // Reset player units for the new turn
-            this.gameState.units.resetTurn(0);
-            this.updateHighlights();
-            this.render();
-            console.log(`Turn ${this.gameState.turn} begins`);
-        }
+        this.gameState.selectUnit(result.unit.id);
+        this.updateBattlePreview(null);
+        this.playEvents(result.events);
     }
 
-    /**
-     * Show enemy actions one by one with modals
-     * @param {Array} actions - Array of enemy action results
-     * @param {number} index - Current action index
-     */
-    showEnemyActionsSequence(actions, index, onComplete = null) {
-        if (index >= actions.length) {
-            if (onComplete) {
-                onComplete();
-            } else {
-                // All actions shown, reset player units for the new turn
-                this.gameState.units.resetTurn(0);
-                this.updateHighlights();
-                this.render();
-                console.log(`Turn ${this.gameState.turn} begins`);
-            }
-            return;
-        }
-
-        const action = actions[index];
-
-        // Handle castle capture events (no modal needed, just log)
-        if (action.type === 'castle_captured') {
-            console.log(`Horde captured a castle at (${action.hex.q}, ${action.hex.r})!`);
-            this.renderer.centerOnHex(new Hex(action.hex.q, action.hex.r));
-            this.updateTurnDisplay();
-            this.render();
-            this.showEnemyActionsSequence(actions, index + 1, onComplete);
-            return;
-        }
-
-        this.showEnemyActionModal(action, () => {
-            // Show next action after modal is closed
-            this.showEnemyActionsSequence(actions, index + 1, onComplete);
-        });
-    }
-
-    /**
-     * Show a modal for an enemy action
-     * @param {Object} action - The enemy action result
-     * @param {Function} onClose - Callback when modal is closed
-     */
-    showEnemyActionModal(action, onClose) {
-        const { attacker, defender, result, type } = action;
+    endTurn() {
+        if (this.replayPlayer || this.editor) return;
+        const result = this.engine.endTurn();
+        if (!result.success) return;
 
-        // Scroll the camera to where the action happens so the player sees it
-        const focusUnit = defender || attacker;
-        if (focusUnit && focusUnit.hex) {
-            this.renderer.centerOnHex(focusUnit.hex);
-            this.render();
+        // Keep the start of each new day as a rotating autosave
+        if (this.gameState.phase === GamePhase.MOVEMENT) {
+            GameStorage.autosave(this.gameState);
         }
 
-        // Log to console
-        let actionType = type === 'ranged_attack' ? 'fires at' : 'attacks';
-        if (type === 'defensive_fire') actionType = 'defensive fire on';
-        console.log('=================================');
-        console.log(`   ENEMY: ${attacker.getName()} ${actionType} ${defender.getName()}`);
-        console.log(`   Power: ${result.attackerPower.toFixed(1)} vs ${result.defenderPower.toFixed(1)}`);
-        console.log(`   Result: ${result.attackerStrengthBefore} -> ${result.attackerStrengthAfter} vs ${result.defenderStrengthBefore} -> ${result.defenderStrengthAfter}`);
-        console.log('=================================');
-
-        // Use the battle modal
-        const modal = document.getElementById('battle-modal');
-        if (modal) {
-            // Update attacker info
-            if (type === 'defensive_fire') {
-                // Defensive fire: attacker is player artillery, defender is enemy unit
-                document.getElementById('battle-attacker-name').textContent = `Your ${attacker.getName()} (Def Fire)`;
-            } else {
-                document.getElementById('battle-attacker-name').textContent = `Enemy ${attacker.getName()}`;
-            }
-            document.getElementById('battle-attacker-before').textContent = Math.floor(result.attackerStrengthBefore);
-            document.getElementById('battle-attacker-after').textContent = Math.floor(result.attackerStrengthAfter);
-            document.getElementById('battle-attacker-damage').textContent =
-                result.attackerDamage > 0 ? `-${Math.floor(result.attackerDamage)}` : '0';
-
-            // Update defender info
-            if (type === 'defensive_fire') {
-                document.getElementById('battle-defender-name').textContent = `Enemy ${defender.getName()}`;
-            } else {
-                document.getElementById('battle-defender-name').textContent = `Your ${defender.getName()}`;
-            }
-            document.getElementById('battle-defender-before').textContent = Math.floor(result.defenderStrengthBefore);
-            document.getElementById('battle-defender-after').textContent = Math.floor(result.defenderStrengthAfter);
-            document.getElementById('battle-defender-damage').textContent =
-                result.defenderDamage > 0 ? `-${Math.floor(result.defenderDamage)}` : '0';
-
-            // Update status message
-            let status = '';
-            if (type === 'defensive_fire') {
-                // Defensive fire: attacker=player, defender=enemy
-                if (result.attackerDestroyed && result.defenderDestroyed) {
-                    status = 'Mutual destruction!';
-                } else if (result.defenderDestroyed) {
-                    status = `Enemy ${defender.getName()} destroyed!`;
-                } else {
-                    status = `Defensive fire hits for ${Math.floor(result.defenderDamage)}`;
-                }
-            } else {
-                // Normal enemy attack: attacker=enemy, defender=player
-                if (result.attackerDestroyed && result.defenderDestroyed) {
-                    status = 'Mutual destruction!';
-                } else if (result.attackerDestroyed) {
-                    status = `Enemy ${attacker.getName()} destroyed!`;
-                } else if (result.defenderDestroyed) {
-                    status = `Your ${defender.getName()} destroyed!`;
-                } else {
-                    status = 'Both units survive.';
-                }
-            }
-            document.getElementById('battle-status').textContent = status;
-
-            // Apply destroyed styling
-            const attackerAfter = document.getElementById('battle-attacker-after');
-            const defenderAfter = document.getElementById('battle-defender-after');
-            attackerAfter.classList.toggle('unit-destroyed', result.attackerDestroyed);
-            defenderAfter.classList.toggle('unit-destroyed', result.defenderDestroyed);
-
-            // Update battle details
-            document.getElementById('battle-power-info').textContent =
-                `${result.attackerPower.toFixed(1)} vs ${result.defenderPower.toFixed(1)} (ratio: ${result.powerRatio.toFixed(2)})`;
-            document.getElementById('battle-terrain-info').textContent = type === 'defensive_fire' ? 'Defensive Fire' : (type === 'ranged_attack' ? 'Ranged Attack' : 'Melee Attack');
-            document.getElementById('battle-entrench-info').textContent = 'Enemy Turn';
-            document.getElementById('battle-exp-info').textContent = '-';
-
-            // Handle surprise/river/fatigue info
-            const surpriseInfo = document.getElementById('battle-surprise-info');
-            const riverInfo = document.getElementById('battle-river-info');
-            const fatigueInfo = document.getElementById('battle-fatigue-info');
-            const rawDamage = document.getElementById('battle-raw-damage');
-
-            if (surpriseInfo) surpriseInfo.textContent = 'No';
-            if (riverInfo) riverInfo.textContent = 'No';
-            if (fatigueInfo) fatigueInfo.textContent = '0%';
-            if (rawDamage) rawDamage.textContent = `Atk: ${result.attackerDamageRaw.toFixed(1)}, Def: ${result.defenderDamageRaw.toFixed(1)}`;
-
-            modal.classList.remove('hidden');
-
-            // Re-render to show updated unit states
-            this.render();
-
-            // Set up close handler
-            const okBtn = document.getElementById('battle-ok-btn');
-            const closeHandler = () => {
-                modal.classList.add('hidden');
-                okBtn.removeEventListener('click', closeHandler);
-                onClose();
-            };
-            okBtn.addEventListener('click', closeHandler);
-        } else {
-            // No modal, just continue
-            onClose();
-        }
+        // Show the enemy's turn action by action, scrolling to each fight
+        this.playEvents(result.events, { followCamera: true });
     }
 
     updateInfoPanel(hex) {
@@ -2382,13 +2247,266 @@ class Game {
         this.infoPanel.textContent = info;
     }
 
+    /**
+     * Show the combat odds preview when the selected unit can attack the hovered hex
+     * @param {Hex|null} hex - The hovered hex (null hides the preview)
+     */
+    updateBattlePreview(hex) {
+        if (!this.battlePreview) return;
+
+        const selectedUnit = this.gameState.selectedUnit ?
+            this.gameState.units.getUnit(this.gameState.selectedUnit) : null;
+        const preview = hex && selectedUnit && this.pointerPos &&
+                        this.gameState.phase === GamePhase.MOVEMENT && !this.isModalOpen() ?
+            this.gameState.getAttackPreview(selectedUnit, hex) : null;
+
+        if (!preview) {
+            this.battlePreview.classList.add('hidden');
+            return;
+        }
+
+        const battle = preview.battle;
+        const percent = (chance) => `${Math.round(chance * 100)}%`;
+
+        document.getElementById('preview-title').textContent = preview.rangedAttack ?
+            `Fire on ${preview.defender.getName()}` : `Attack ${preview.defender.getName()}`;
+        document.getElementById('preview-power').textContent =
+            `${battle.attackerPower.toFixed(1)} vs ${battle.defenderPower.toFixed(1)} (ratio: ${battle.powerRatio.toFixed(2)})`;
+        document.getElementById('preview-damage').textContent =
+            `You -${battle.expectedAttackerDamage.toFixed(1)}, Enemy -${battle.expectedDefenderDamage.toFixed(1)}`;
+
+        let rout = '0%';
+        if (battle.defenderRoutChance > 0) {
+            rout = `${percent(battle.defenderRoutChance)} (enemy routs)`;
+        } else if (battle.attackerRoutChance > 0) {
+            rout = `${percent(battle.attackerRoutChance)} (you rout)`;
+        }
+        document.getElementById('preview-rout').textContent = rout;
+        document.getElementById('preview-destroy').textContent =
+            `You ${percent(preview.attackerDestroyChance)}, Enemy ${percent(preview.defenderDestroyChance)}`;
+
+        // Defensive fire from visible enemy artillery next to the target
+        const fire = preview.defensiveFire;
+        document.getElementById('preview-fire-row').classList.toggle('hidden', !fire);
+        if (fire) {
+            document.getElementById('preview-fire').textContent =
+                `${fire.count} unit${fire.count > 1 ? 's' : ''}, -${fire.expectedDamage.toFixed(1)} (${percent(fire.destroyChance)} lost)`;
+        }
+
+        // Attack modifiers from the approach move
+        const modifiers = [];
+        if (preview.fatigueTiers > 0) modifiers.push(`Fatigue -${preview.fatigueTiers * 20}%`);
+        if (preview.surpriseAttack) modifiers.push('Surprise');
+        if (preview.riverAttack) modifiers.push('River -30%');
+        if (battle.heightModifier !== 0) {
+            modifiers.push(`Height ${battle.heightModifier > 0 ? '+' : ''}${battle.heightModifier}`);
+        }
+        if (battle.terrainDefenseBonus > 0) modifiers.push(`Enemy terrain +${battle.terrainDefenseBonus}`);
+        document.getElementById('preview-modifiers-row').classList.toggle('hidden', modifiers.length === 0);
+        document.getElementById('preview-modifiers').textContent = modifiers.join(', ');
+
+        // Place next to the pointer, kept inside the map area
+        this.battlePreview.classList.remove('hidden');
+        const area = this.battlePreview.parentElement;
+        const maxX = area.clientWidth - this.battlePreview.offsetWidth - 8;
+        const maxY = area.clientHeight - this.battlePreview.offsetHeight - 8;
+        this.battlePreview.style.left = `${Math.max(8, Math.min(this.pointerPos.x + 18, maxX))}px`;
+        this.battlePreview.style.top = `${Math.max(8, Math.min(this.pointerPos.y + 18, maxY))}px`;
+    }
+
     render() {
-        this.renderer.render(this.gameState);
+        // Nothing to draw until storage has loaded a game
+        if (!this.gameState) return;
+        if (this.replayPlayer) {
+            this.renderer.render(this.replayPlayer.state);
+        } else if (this.editor) {
+            this.renderer.render(this.editor.state);
+        } else {
+            this.renderer.render(this.gameState);
+        }
     }
 
-    save() {
-        GameStorage.saveGame(this.gameState);
-        console.log('Game saved');
+    // ==================== REPLAY VIEWER ====================
+
+    /**
+     * Watch the current game from the start
+     */
+    startReplay() {
+        // Through JSON, exactly as an exported replay would load
+        const data = JSON.parse(JSON.stringify(this.engine.replay));
+        this.showReplay(ReplayPlayer.fromJSON(data));
+    }
+
+    /**
+     * Switch the map to a replay
+     * @param {ReplayPlayer} player - The replay to watch
+     */
+    showReplay(player) {
+        this.stopEditor();
+        if (this.inspectMode) {
+            this.toggleInspectMode();
+        }
+        this.replayPlayer = player;
+        this.renderer.clearHighlights();
+        this.updateBattlePreview(null);
+        this.infoPanel.textContent = 'Watching replay';
+        document.getElementById('replay-bar').classList.remove('hidden');
+        this.updateReplayBar();
+        this.render();
+    }
+
+    /**
+     * Leave the replay and go back to the game
+     */
+    stopReplay() {
+        if (!this.replayPlayer) return;
+        this.replayPlayer = null;
+        document.getElementById('replay-bar').classList.add('hidden');
+        this.infoPanel.textContent = 'Hover over a hex';
+        this.updateHighlights();
+        this.render();
+    }
+
+    /**
+     * Move through the replay and show where it happened
+     * @param {Function} step - Moves the replay player; returns true if the position changed
+     */
+    stepReplay(step) {
+        if (!this.replayPlayer || !step()) return;
+
+        const event = this.replayPlayer.getCurrentEvent();
+        const where = event ? (event.to || event.hex || (event.defender && event.defender.hex)) : null;
+        if (where) {
+            this.renderer.centerOnHex(new Hex(where.q, where.r));
+        }
+        this.updateReplayBar();
+        this.render();
+    }
+
+    // Replay keyboard controls
+    handleReplayKey(event) {
+        const player = this.replayPlayer;
+        switch (event.key) {
+            case ',':
+            case '<':
+                this.stepReplay(() => event.shiftKey ? player.previousTurn() : player.stepBack());
+                break;
+            case '.':
+            case '>':
+                this.stepReplay(() => event.shiftKey ? player.nextTurn() : player.stepForward());
+                break;
+            case 'Escape':
+                this.stopReplay();
+                break;
+        }
+    }
+
+    /**
+     * Show the replay position and describe the current event
+     */
+    updateReplayBar() {
+        const player = this.replayPlayer;
+        document.getElementById('replay-status').textContent =
+            `Day ${player.state.turn} · ${player.position}/${player.length}`;
+        document.getElementById('replay-event').textContent =
+            this.describeReplayEvent(player.getCurrentEvent());
+        this.turnDisplay.textContent = `${player.state.turnsRemaining} left`;
+        document.getElementById('prestige-display').textContent = player.state.prestige;
+    }
+
+    /**
+     * One line describing a replay event
+     * @param {Object|null} event - Replay event (null = start of the replay)
+     * @returns {string}
+     */
+    describeReplayEvent(event) {
+        if (!event) return 'Start of the game';
+
+        const side = playerId => playerId === 0 ? 'Your' : 'Enemy';
+        const name = typeId => UNIT_TYPES[typeId].name;
+        switch (event.type) {
+            case 'unit_placed':
+                return `${name(event.unit.typeId)} placed at (${event.unit.hex.q}, ${event.unit.hex.r})`;
+            case 'placement_complete':
+                return 'All units placed';
+            case 'unit_moved':
+                return `${side(event.playerId)} ${name(event.typeId)} moves to (${event.to.q}, ${event.to.r})`;
+            case 'unit_advanced':
+                return `${side(event.playerId)} ${name(event.typeId)} advances`;
+            case 'move_undone':
+                return `${name(event.typeId)} move undone`;
+            case 'battle': {
+                const label = event.kind === 'melee' ? 'Battle' :
+                              (event.kind === 'ranged' ? 'Ranged attack' : 'Defensive fire');
+                const { attacker, defender } = event;
+                return `${label}: ${side(attacker.playerId)} ${name(attacker.typeId)} (${attacker.strength}) vs ` +
+                       `${side(defender.playerId)} ${name(defender.typeId)} (${defender.strength})`;
+            }
+            case 'unit_destroyed':
+                return 'Unit destroyed';
+            case 'castle_captured':
+                return event.playerId === 0 ? 'Castle captured!' : 'The enemy takes a castle!';
+            case 'castle_recaptured':
+                return 'Castle recaptured!';
+            case 'castle_retaken':
+                return 'The enemy retakes a castle!';
+            case 'unit_rebuilt':
+                return `${name(event.unit.typeId)} rebuilt`;
+            case 'ammo_bought':
+                return `${name(event.unit.typeId)} resupplied`;
+            case 'unit_purchased':
+                return `${name(event.typeId)} purchased`;
+            case 'horde_rebuilt':
+                return 'The horde regroups';
+            case 'horde_reassigned':
+                return 'Horde cavalry heads for another castle';
+            case 'turn_ended':
+                return `Day ${event.turn} ends`;
+            case 'turn_started':
+                return `Day ${event.turn} begins`;
+            case 'victory':
+                return 'VICTORY!';
+            case 'defeat':
+                return 'DEFEAT!';
+            default:
+                return event.type;
+        }
+    }
+
+    /**
+     * Download the current game's replay as a JSON file
+     */
+    exportReplay() {
+        const data = this.engine.replay.toJSON();
+        this.downloadJSON(`puddy-replay-level${data.levelId}-${data.seed}.json`, data);
+    }
+
+    /**
+     * Watch a replay from an exported file
+     * @param {File} file - The chosen replay file
+     */
+    loadReplayFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let player = null;
+            try {
+                player = ReplayPlayer.fromJSON(JSON.parse(reader.result));
+            } catch (e) {
+                console.error('Failed to read replay:', e);
+            }
+            if (player) {
+                this.showReplay(player);
+            } else {
+                this.showMessage('Replay Not Loaded', 'This is not a Puddy General replay file, or it is from a newer version of the game.');
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    async save() {
+        if (await GameStorage.saveGame(this.gameState)) {
+            console.log('Game saved');
+        }
     }
 
     startAutoSave() {
@@ -2400,9 +2518,802 @@ class Game {
         }, CONFIG.AUTOSAVE_INTERVAL_MS);
     }
 
-    // Create a new game
+    // ==================== SCENARIO EDITOR ====================
+
+    /**
+     * Wire up the editor bar and its settings dialog
+     */
+    setupEditorControls() {
+        const editorBtn = document.getElementById('editor-btn');
+        if (editorBtn) {
+            editorBtn.addEventListener('click', () => this.showEditor());
+        }
+
+        const terrainSelect = document.getElementById('editor-terrain');
+        for (const terrain of PAINTABLE_TERRAIN) {
+            const option = document.createElement('option');
+            option.value = terrain;
+            option.textContent = TERRAIN_PROPERTIES[terrain].name;
+            terrainSelect.appendChild(option);
+        }
+
+        const unitTypeSelect = document.getElementById('editor-unit-type');
+        for (const [typeId, unitType] of Object.entries(UNIT_TYPES)) {
+            const option = document.createElement('option');
+            option.value = typeId;
+            option.textContent = unitType.name;
+            unitTypeSelect.appendChild(option);
+        }
+
+        document.getElementById('editor-tool').addEventListener('change', () => this.updateEditorBar());
+        document.getElementById('editor-side').addEventListener('change', () => this.updateEditorBar());
+
+        const buttons = {
+            'editor-settings-btn': () => this.showEditorSettings(),
+            'editor-play-btn': () => this.playEditorLevel(),
+            'editor-export-btn': () => this.exportEditorLevel(),
+            'editor-close-btn': () => this.stopEditor(),
+            'editor-settings-ok-btn': () => this.applyEditorSettings(),
+            'editor-settings-cancel-btn': () => this.hideEditorSettings(),
+            'editor-start-btn': () => this.restartEditor()
+        };
+        for (const [id, action] of Object.entries(buttons)) {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', action);
+            }
+        }
+    }
+
+    /**
+     * Switch the map to the scenario editor
+     * @param {Object} [level] - Level to edit; by default the scenario last
+     *   edited, or a blank one
+     */
+    showEditor(level = this.editorDraft) {
+        this.stopReplay();
+        if (this.inspectMode) {
+            this.toggleInspectMode();
+        }
+        this.editor = new ScenarioEditor(level || undefined);
+        this.renderer.clearHighlights();
+        this.updateBattlePreview(null);
+        this.infoPanel.textContent = 'Hover over a hex';
+        document.getElementById('editor-bar').classList.remove('hidden');
+        this.updateEditorBar();
+        this.updateEditorStatus();
+        this.render();
+    }
+
+    /**
+     * Leave the editor and go back to the game
+     * The scenario is kept, so the Editor button carries on with it.
+     */
+    stopEditor() {
+        if (!this.editor) return;
+        this.editor.finishRoad();
+        this.editorDraft = this.editor.level;
+        this.editor = null;
+        document.getElementById('editor-bar').classList.add('hidden');
+        this.infoPanel.textContent = 'Hover over a hex';
+        this.updateHighlights();
+        this.render();
+    }
+
+    /**
+     * Show only the options the chosen tool uses
+     */
+    updateEditorBar() {
+        const tool = document.getElementById('editor-tool').value;
+        const side = document.getElementById('editor-side').value;
+        const show = (id, visible) => document.getElementById(id).classList.toggle('hidden', !visible);
+
+        show('editor-terrain', tool === EditorTool.TERRAIN);
+        show('editor-side', tool === EditorTool.CASTLE || tool === EditorTool.UNIT);
+        show('editor-unit-type', tool === EditorTool.UNIT);
+        show('editor-strength', tool === EditorTool.UNIT);
+        show('editor-auxiliary-label', tool === EditorTool.UNIT && side === 'player');
+    }
+
+    /**
+     * The tool chosen on the editor bar, with its options
+     * @returns {Object} Tool for ScenarioEditor.apply
+     */
+    getEditorTool() {
+        const strength = parseInt(document.getElementById('editor-strength').value, 10);
+        return {
+            type: document.getElementById('editor-tool').value,
+            terrain: document.getElementById('editor-terrain').value,
+            side: document.getElementById('editor-side').value,
+            typeId: document.getElementById('editor-unit-type').value,
+            strength: Number.isInteger(strength) ? Math.max(1, Math.min(10, strength)) : 10,
+            auxiliary: document.getElementById('editor-auxiliary').checked
+        };
+    }
+
+    /**
+     * Use the chosen tool on a clicked hex
+     * @param {Hex} hex
+     */
+    applyEditorTool(hex) {
+        const result = this.editor.apply(hex, this.getEditorTool());
+        if (result.success) {
+            this.updateEditorStatus();
+        } else {
+            this.setEditorStatus(result.error, true);
+        }
+        this.updateEditorHighlights();
+        this.render();
+    }
+
+    // Mark the end of the road or river being drawn, where the next click carries it on
+    updateEditorHighlights() {
+        const tool = document.getElementById('editor-tool').value;
+        let path = null;
+        if (tool === EditorTool.ROAD) {
+            path = this.editor.road;
+        } else if (tool === EditorTool.RIVER) {
+            path = this.editor.level.riverPath;
+        }
+        const end = path && path.length > 0 ? ScenarioEditor.toHex(path[path.length - 1]) : null;
+        this.renderer.setPlacementHighlights(end ? [end] : []);
+    }
+
+    // ESC finishes the road being drawn
+    handleEditorKey(event) {
+        if (event.key === 'Escape') {
+            this.editor.finishRoad();
+            this.updateEditorHighlights();
+            this.render();
+        }
+    }
+
+    /**
+     * Show whether the scenario can be played as it stands
+     */
+    updateEditorStatus() {
+        const problems = this.editor.validate().length;
+        if (problems === 0) {
+            this.setEditorStatus('Ready to play');
+        } else {
+            this.setEditorStatus(`${problems} ${problems === 1 ? 'problem' : 'problems'} to fix before playing`);
+        }
+    }
+
+    setEditorStatus(text, isError = false) {
+        const status = document.getElementById('editor-status');
+        status.textContent = text;
+        status.classList.toggle('editor-error', isError);
+    }
+
+    /**
+     * The hex under the pointer as the level file writes it
+     * @param {Hex} hex
+     * @returns {string}
+     */
+    describeEditorHex(hex) {
+        const pos = LevelManager.hexToPosition(hex);
+        const cell = this.editor.state.map.getCell(hex);
+        const unit = this.editor.state.getUnitAt(hex);
+        let text = `(q ${pos.q}, vRow ${pos.vRow}) ${TERRAIN_PROPERTIES[cell.terrain].name}`;
+        if (unit) {
+            text += ` - ${unit.playerId === 0 ? 'player' : 'enemy'} ${UNIT_TYPES[unit.typeId].name}`;
+        }
+        return text;
+    }
+
+    /**
+     * Show the scenario settings and the levels the editor can start over from
+     */
+    showEditorSettings() {
+        // Levels without a size of their own show the size they are played at
+        const size = LevelManager.getMapSize(this.editor.level);
+        const level = { ...this.editor.level, mapWidth: size.width, mapHeight: size.height };
+        for (const [name, type] of Object.entries(EDITOR_SETTINGS)) {
+            const input = document.getElementById(`editor-setting-${name}`);
+            if (type === 'boolean') {
+                input.checked = level[name] !== false;
+            } else {
+                input.value = level[name] ?? '';
+            }
+        }
+
+        const startSelect = document.getElementById('editor-start-level');
+        startSelect.replaceChildren();
+        const addOption = (value, text) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            startSelect.appendChild(option);
+        };
+        addOption('', 'A blank map');
+        for (const levelId of LevelManager.getAllLevelIds()) {
+            addOption(levelId, `Level ${levelId}: ${LevelManager.getLevel(levelId).name}`);
+        }
+        for (const custom of Object.values(LevelManager.customLevels)) {
+            addOption(custom.id, custom.name);
+        }
+
+        document.getElementById('editor-settings-modal').classList.remove('hidden');
+    }
+
+    hideEditorSettings() {
+        document.getElementById('editor-settings-modal').classList.add('hidden');
+    }
+
+    /**
+     * Take the settings dialog's values into the scenario
+     */
+    applyEditorSettings() {
+        for (const [name, type] of Object.entries(EDITOR_SETTINGS)) {
+            const input = document.getElementById(`editor-setting-${name}`);
+            if (type === 'boolean') {
+                this.editor.setOption(name, input.checked);
+            } else if (type === 'number') {
+                const value = parseInt(input.value, 10);
+                if (Number.isInteger(value)) {
+                    this.editor.setOption(name, value);
+                }
+            } else {
+                this.editor.setOption(name, input.value.trim());
+            }
+        }
+        this.hideEditorSettings();
+        this.updateEditorStatus();
+    }
+
+    /**
+     * Throw the scenario away and start over from the level chosen in the
+     * settings dialog (a campaign level is copied under a new ID)
+     */
+    restartEditor() {
+        const levelId = document.getElementById('editor-start-level').value;
+        let level;
+        if (levelId === '') {
+            level = ScenarioEditor.createBlankLevel(LevelManager.getFreeLevelId());
+        } else if (LevelManager.isCampaignLevel(Number(levelId))) {
+            level = { ...LevelManager.getLevel(Number(levelId)), id: LevelManager.getFreeLevelId() };
+        } else {
+            level = LevelManager.getLevel(Number(levelId));
+        }
+
+        this.hideEditorSettings();
+        this.showConfirmDialog(
+            'Start Over',
+            `Replace "${this.editor.level.name}" with ${levelId === '' ? 'a blank map' : `"${level.name}"`}? Changes not played or exported are lost.`,
+            () => this.showEditor(level)
+        );
+    }
+
+    /**
+     * Keep the scenario as a custom level and offer to play it
+     */
+    playEditorLevel() {
+        this.editor.finishRoad();
+        const result = LevelManager.addCustomLevel(this.editor.toLevel());
+        if (!result.success) {
+            this.showMessage('Scenario Not Ready', `The scenario has problems:\n${this.listProblems(result.errors)}`);
+            return;
+        }
+
+        const level = result.level;
+        GameStorage.saveCustomLevel(level);
+        this.showNewGameDialog(
+            level.name,
+            `Start "${level.name}"? Your current game stays saved, and the scenario stays on the campaign screen.`,
+            (difficulty) => this.newGame('Puddy General', level.id, { difficulty })
+        );
+    }
+
+    /**
+     * Offer the scenario as a level file, which Load Level File reads back
+     */
+    exportEditorLevel() {
+        this.editor.finishRoad();
+        const level = this.editor.toLevel();
+        const name = (level.name || 'scenario').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+        this.downloadJSON(`${name}.level.json`, level);
+    }
+
+    // ==================== RANDOM SKIRMISH ====================
+
+    /**
+     * Wire up the random skirmish dialog
+     */
+    setupSkirmishControls() {
+        for (const [name, spec] of Object.entries(SKIRMISH_SETTINGS)) {
+            const input = document.getElementById(`skirmish-${name}`);
+            if (input && input.type === 'number') {
+                input.min = spec.min;
+                input.max = spec.max;
+            }
+        }
+
+        const buttons = {
+            'skirmish-btn': () => this.showSkirmishDialog(),
+            'skirmish-play-btn': () => this.playSkirmish(),
+            'skirmish-edit-btn': () => this.editSkirmish(),
+            'skirmish-cancel-btn': () => this.hideSkirmishDialog()
+        };
+        for (const [id, action] of Object.entries(buttons)) {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', action);
+            }
+        }
+    }
+
+    /**
+     * Show the skirmish settings, starting from the defaults
+     */
+    showSkirmishDialog() {
+        for (const [name, spec] of Object.entries(SKIRMISH_SETTINGS)) {
+            const input = document.getElementById(`skirmish-${name}`);
+            if (input.type === 'checkbox') {
+                input.checked = spec.default;
+            } else {
+                input.value = spec.default;
+            }
+        }
+        document.getElementById('skirmish-seed').value = '';
+        document.getElementById('skirmish-modal').classList.remove('hidden');
+    }
+
+    hideSkirmishDialog() {
+        document.getElementById('skirmish-modal').classList.add('hidden');
+    }
+
+    /**
+     * Generate a skirmish from the dialog's settings
+     * @returns {Object|null} Level definition, or null if none could be made
+     */
+    generateSkirmish() {
+        const options = {};
+        for (const name of Object.keys(SKIRMISH_SETTINGS)) {
+            const input = document.getElementById(`skirmish-${name}`);
+            if (input.type === 'checkbox') {
+                options[name] = input.checked;
+            } else if (input.value !== '') {
+                options[name] = parseFloat(input.value);
+            }
+        }
+        const seed = parseInt(document.getElementById('skirmish-seed').value, 10);
+        if (Number.isInteger(seed)) {
+            options.seed = seed;
+        }
+
+        const result = SkirmishGenerator.generate(options);
+        if (!result.success) {
+            this.showMessage('No Skirmish', `No battle could be made with these settings:\n${this.listProblems(result.errors)}`);
+            return null;
+        }
+        return result.level;
+    }
+
+    /**
+     * Generate a skirmish, keep it as a custom level and offer to start it
+     */
+    playSkirmish() {
+        const level = this.generateSkirmish();
+        if (!level) return;
+
+        const result = LevelManager.addCustomLevel(level);
+        if (!result.success) {
+            this.showMessage('No Skirmish', `The skirmish has problems:\n${this.listProblems(result.errors)}`);
+            return;
+        }
+        GameStorage.saveCustomLevel(result.level);
+        this.hideSkirmishDialog();
+        this.showNewGameDialog(
+            result.level.name,
+            `Start "${result.level.name}"? Your current game stays saved, and the skirmish stays on the campaign screen.`,
+            (difficulty) => this.newGame('Puddy General', result.level.id, { difficulty })
+        );
+    }
+
+    /**
+     * Generate a skirmish and open it in the scenario editor instead
+     */
+    editSkirmish() {
+        const level = this.generateSkirmish();
+        if (!level) return;
+
+        this.hideSkirmishDialog();
+        this.showEditor(level);
+    }
+
+    // ==================== CAMPAIGN ====================
+
+    /**
+     * Show the campaign screen: every level with its status and best result
+     */
+    showCampaignModal() {
+        if (this.replayPlayer) return;
+
+        const list = document.getElementById('campaign-level-list');
+        list.replaceChildren();
+        for (const levelId of LevelManager.getAllLevelIds()) {
+            list.appendChild(this.createCampaignLevelItem(LevelManager.getLevel(levelId)));
+        }
+
+        const customLevels = Object.values(LevelManager.customLevels);
+        const customList = document.getElementById('custom-level-list');
+        customList.replaceChildren(...customLevels.map(level => this.createCustomLevelItem(level)));
+        document.getElementById('custom-levels-title').classList.toggle('hidden', customLevels.length === 0);
+
+        document.getElementById('campaign-modal').classList.remove('hidden');
+    }
+
+    hideCampaignModal() {
+        document.getElementById('campaign-modal').classList.add('hidden');
+    }
+
+    /**
+     * One level on the campaign screen
+     * @param {Object} level - Level definition
+     * @returns {HTMLElement}
+     */
+    createCampaignLevelItem(level) {
+        const unlocked = this.campaign.isUnlocked(level.id);
+        const progress = this.campaign.getLevelProgress(level.id);
+
+        const item = document.createElement('li');
+        item.className = 'campaign-level';
+        item.classList.toggle('locked', !unlocked);
+        item.classList.toggle('won', this.campaign.isWon(level.id));
+
+        const header = document.createElement('div');
+        header.className = 'campaign-level-header';
+        const name = document.createElement('span');
+        name.className = 'campaign-level-name';
+        name.textContent = level.name;
+        const status = document.createElement('span');
+        status.className = 'campaign-level-status';
+        if (!unlocked) {
+            status.textContent = 'Locked';
+        } else if (progress) {
+            status.textContent = progress.wins > 1 ? `Won ×${progress.wins}` : 'Won';
+        } else {
+            status.textContent = 'Not yet won';
+        }
+        header.append(name, status);
+        item.appendChild(header);
+
+        const description = document.createElement('p');
+        description.className = 'campaign-level-description';
+        description.textContent = unlocked ? level.description : 'Win the previous battle to march on.';
+        item.appendChild(description);
+
+        if (progress) {
+            const best = document.createElement('p');
+            best.className = 'campaign-level-best';
+            best.textContent = `Best: ${Campaign.describeResult(progress.bestResult)} · Prestige ${progress.bestPrestige}`;
+            item.appendChild(best);
+        }
+
+        const playBtn = document.createElement('button');
+        playBtn.textContent = progress ? 'Play Again' : 'Play';
+        playBtn.disabled = !unlocked;
+        playBtn.addEventListener('click', () => {
+            this.hideCampaignModal();
+            this.showNewGameDialog(
+                level.name,
+                `Start "${level.name}"? Your current game stays saved.`,
+                (difficulty) => this.startCampaignLevel(level.id, difficulty)
+            );
+        });
+        item.appendChild(playBtn);
+
+        return item;
+    }
+
+    /**
+     * One level loaded from a level file on the campaign screen
+     * @param {Object} level - Level definition
+     * @returns {HTMLElement}
+     */
+    createCustomLevelItem(level) {
+        const item = document.createElement('li');
+        item.className = 'campaign-level';
+
+        const name = document.createElement('div');
+        name.className = 'campaign-level-header campaign-level-name';
+        name.textContent = level.name;
+        item.appendChild(name);
+
+        if (level.description) {
+            const description = document.createElement('p');
+            description.className = 'campaign-level-description';
+            description.textContent = level.description;
+            item.appendChild(description);
+        }
+
+        const playBtn = document.createElement('button');
+        playBtn.textContent = 'Play';
+        playBtn.addEventListener('click', () => {
+            this.hideCampaignModal();
+            this.showNewGameDialog(
+                level.name,
+                `Start "${level.name}"? Your current game stays saved.`,
+                (difficulty) => this.newGame('Puddy General', level.id, { difficulty })
+            );
+        });
+        item.appendChild(playBtn);
+
+        return item;
+    }
+
+    /**
+     * Load a level from a JSON level file and offer to play it
+     * The level is kept with the saves, so it stays on the campaign screen.
+     * @param {File} file - The chosen level file
+     */
+    importLevelFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const result = LevelManager.parseLevelFile(reader.result);
+            if (!result.success) {
+                this.showMessage('Level Not Loaded', `${file.name} has problems:\n${this.listProblems(result.errors)}`);
+                return;
+            }
+
+            const level = result.level;
+            LevelManager.addCustomLevel(level);
+            GameStorage.saveCustomLevel(level);
+            this.hideCampaignModal();
+            this.showNewGameDialog(
+                level.name,
+                `Level loaded. Start "${level.name}" now? Your current game stays saved.`,
+                (difficulty) => this.newGame('Puddy General', level.id, { difficulty })
+            );
+        };
+        reader.onerror = () => this.showMessage('Level Not Loaded', 'The file could not be read.');
+        reader.readAsText(file);
+    }
+
+    /**
+     * A level's problems for a message, the first few of them
+     * @param {Array<string>} errors - From LevelValidator
+     * @returns {string} One problem per line
+     */
+    listProblems(errors) {
+        const shown = errors.slice(0, 8);
+        if (errors.length > shown.length) {
+            shown.push(`...and ${errors.length - shown.length} more`);
+        }
+        return shown.join('\n');
+    }
+
+    /**
+     * Start a level with the prestige and core army won on the level before it
+     * @param {number} levelId
+     * @param {string} difficulty - A Difficulty (default: the game being played's)
+     */
+    startCampaignLevel(levelId, difficulty) {
+        const carryOver = this.campaign.getCarryOver(levelId);
+        if (carryOver) {
+            this.newGame('Puddy General', levelId, { prestige: carryOver.prestige, coreUnits: carryOver.coreUnits, difficulty });
+        } else {
+            this.newGame('Puddy General', levelId, { difficulty });
+        }
+    }
+
+    // ==================== SAVE SLOTS ====================
+
+    /**
+     * Show the saved games dialog: named slots and this game's autosaves
+     */
+    async showSavesModal() {
+        if (this.replayPlayer) return;
+
+        const nameInput = document.getElementById('save-slot-name');
+        nameInput.value = `${this.gameState.name} - Level ${this.gameState.currentLevel}, Day ${this.gameState.turn}`;
+
+        await this.updateSaveLists();
+        document.getElementById('saves-modal').classList.remove('hidden');
+        nameInput.select();
+    }
+
+    hideSavesModal() {
+        document.getElementById('saves-modal').classList.add('hidden');
+    }
+
+    /**
+     * Fill the slot and autosave lists from storage
+     */
+    async updateSaveLists() {
+        const slots = await GameStorage.getSlotList();
+        const autosaves = await GameStorage.getAutosaveList(this.gameState.id);
+        this.fillSaveList(document.getElementById('save-slot-list'), slots, true);
+        this.fillSaveList(document.getElementById('autosave-list'), autosaves, false);
+    }
+
+    /**
+     * Show saves in a list, each with a Load (and optionally Delete) button
+     * @param {HTMLElement} list - The <ul> to fill
+     * @param {Array} saves - Save metadata from GameStorage
+     * @param {boolean} deletable - Whether saves can be deleted from here
+     */
+    fillSaveList(list, saves, deletable) {
+        list.replaceChildren();
+        if (saves.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'save-list-empty';
+            empty.textContent = 'None yet';
+            list.appendChild(empty);
+            return;
+        }
+
+        for (const save of saves) {
+            const item = document.createElement('li');
+            item.className = 'save-item';
+
+            const name = document.createElement('span');
+            name.className = 'save-item-name';
+            name.textContent = save.name;
+            name.title = save.updatedAt ? new Date(save.updatedAt).toLocaleString() : '';
+            item.appendChild(name);
+
+            const detail = document.createElement('span');
+            detail.className = 'save-item-detail';
+            detail.textContent = `Level ${save.currentLevel}, Day ${save.turn}`;
+            item.appendChild(detail);
+
+            const loadBtn = document.createElement('button');
+            loadBtn.textContent = 'Load';
+            loadBtn.addEventListener('click', () => this.confirmLoadSave(save));
+            item.appendChild(loadBtn);
+
+            if (deletable) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.textContent = 'Delete';
+                deleteBtn.addEventListener('click', async () => {
+                    await GameStorage.deleteSave(save.key);
+                    await this.updateSaveLists();
+                });
+                item.appendChild(deleteBtn);
+            }
+
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Save the current game to the slot named in the dialog
+     */
+    async saveToSlot() {
+        const name = document.getElementById('save-slot-name').value;
+        if (!name.trim()) return;
+
+        if (await GameStorage.saveToSlot(name, this.gameState)) {
+            await this.updateSaveLists();
+        } else {
+            this.hideSavesModal();
+            this.showMessage('Save Failed', 'The game could not be saved. The browser may be out of storage space.');
+        }
+    }
+
+    /**
+     * Ask before replacing the current game with a save
+     * @param {Object} save - Save metadata from GameStorage
+     */
+    confirmLoadSave(save) {
+        this.hideSavesModal();
+        this.showConfirmDialog(
+            'Load Save',
+            `Load "${save.name}"? Moves made since that save will be lost.`,
+            () => this.loadSave(save.key)
+        );
+    }
+
+    /**
+     * Load a slot or autosave and play it
+     * @param {string} key - Save key from GameStorage
+     */
+    async loadSave(key) {
+        let gameState;
+        try {
+            gameState = await GameStorage.loadSave(key);
+        } catch (e) {
+            this.showMessage('Save Not Loaded', e.message);
+            return;
+        }
+
+        if (!gameState) {
+            this.showMessage('Save Not Loaded', 'The save could not be found.');
+            return;
+        }
+        this.loadGameState(gameState);
+    }
+
+    // ==================== SAVE FILES ====================
+
+    /**
+     * Download the current game as a .puddy.json save file
+     */
+    exportSave() {
+        this.save();
+        this.downloadJSON(GameStorage.getExportFileName(this.gameState), GameStorage.exportGame(this.gameState));
+    }
+
+    /**
+     * Load a game from a .puddy.json save file, after confirmation
+     * @param {File} file - The chosen save file
+     */
+    importSaveFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const result = GameStorage.importGame(reader.result);
+            if (!result.success) {
+                this.showMessage('Import Failed', result.error);
+                return;
+            }
+
+            const imported = result.gameState;
+            this.showConfirmDialog(
+                'Import Save',
+                `Load "${imported.name}" (level ${imported.currentLevel}, day ${imported.turn})? Your current game stays saved.`,
+                () => this.loadGameState(imported)
+            );
+        };
+        reader.onerror = () => this.showMessage('Import Failed', 'The file could not be read.');
+        reader.readAsText(file);
+    }
+
+    /**
+     * Switch to another game and make it the current save
+     * @param {GameState} gameState - The game to play
+     */
+    loadGameState(gameState) {
+        this.stopReplay();
+        this.stopEditor();
+        this.gameState = gameState;
+        this.engine = new GameEngine(this.gameState);
+
+        GameStorage.saveGame(this.gameState);
+        this.gameState.updateVisibility();
+        this.updateHighlights();
+        this.resetPan();
+        this.updateTurnDisplay();
+        this.render();
+        this.logGameState();
+    }
+
+    /**
+     * Offer data to the player as a JSON file download
+     * @param {string} fileName
+     * @param {Object} data
+     */
+    downloadJSON(fileName, data) {
+        const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Create a new game (options.seed replays a specific game for bug reports,
+    // options.coreUnits carries the core army over from the previous level,
+    // options.difficulty defaults to the difficulty of the game being played)
     newGame(name = 'Puddy General', levelId = 1, options = {}) {
-        this.gameState = GameState.create(name, levelId);
+        this.stopReplay();
+        this.stopEditor();
+        this.gameState = GameState.create(name, levelId, {
+            seed: options.seed,
+            coreUnits: options.coreUnits,
+            difficulty: options.difficulty ?? this.gameState.difficulty
+        });
+        this.engine = new GameEngine(this.gameState);
+        console.log(`RNG seed: ${this.gameState.rng.seed}`);
+        console.log(`Difficulty: ${DIFFICULTY_NAMES[this.gameState.difficulty]}`);
+        if (options.coreUnits) {
+            const leftBehind = options.coreUnits.length - this.gameState.coreUnitsToPlace.length;
+            console.log(`Core army: ${this.gameState.coreUnitsToPlace.length} units carried over` +
+                (leftBehind > 0 ? `, ${leftBehind} left behind (army limit)` : '') +
+                (this.gameState.unitTypesToPlace.length > 0 ? `, ${this.gameState.unitTypesToPlace.length} joining from the level` : ''));
+        }
 
         // Apply prestige carry-over from previous level (before marketplace shows)
         if (options.prestige !== undefined) {
@@ -2423,11 +3334,6 @@ class Game {
             console.log(`Starting Level ${level.id}: ${level.name}`);
             console.log(level.description);
 
-            // Set max units from level config if available
-            if (level.maxUnits) {
-                this.marketplaceMaxUnits = level.maxUnits;
-            }
-
             // Show marketplace for Level 2+ (when showMarketplace is true)
             if (level.showMarketplace) {
                 this.showMarketplaceModal();
@@ -2445,7 +3351,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Expose some functions to console for debugging
     window.game = game;
-    window.newGame = (name, levelId) => game.newGame(name, levelId);
+    window.newGame = (name, levelId, seed) => game.newGame(name, levelId, { seed });
     window.save = () => game.save();
 
     console.log('Puddy General loaded!');
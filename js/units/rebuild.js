@@ -88,7 +88,7 @@ const RebuildSystem = {
      * @param {GameState} gameState - The current game state
      * @param {Unit} unit - The unit to rebuild
      * @param {boolean} keepExperience - If true, pay full price; if false, lose exp
-     * @returns {Object} { success, cost, expLost, strengthGained }
+     * @returns {Object} { success, cost, expLost, strengthGained, ammoGained }
      */
     rebuild(gameState, unit, keepExperience) {
         if (!this.canRebuild(gameState, unit)) {
@@ -134,8 +134,6 @@ const RebuildSystem = {
         unit.entrenchment = 0;
         unit.turnsStationary = 0;
 
-        console.log(`Unit rebuilt! Strength +${strengthGained.toFixed(1)}, Cost: ${affordable.cost}, Exp lost: ${expLost.toFixed(2)}${ammoGained > 0 ? ', +1 ammo' : ''}`);
-
         return { success: true, cost: affordable.cost, expLost, strengthGained, ammoGained };
     },
 
@@ -175,8 +173,6 @@ const RebuildSystem = {
         unit.hasMoved = true;
         unit.hasAttacked = true;
 
-        console.log(`Ammo purchased! Ammo: ${unit.ammo}/${unit.getType().maxAmmo}, Cost: 8 prestige`);
-
         return { success: true, cost: 8 };
     },
 
@@ -194,15 +194,16 @@ class Unit {
      * Gain experience from combat
      * Formula: 0.1 + (5% of strength lost) with ±20% Gaussian variance
      * @param {number} strengthLost - How much strength this unit lost in combat
+     * @param {SeededRandom} rng - The game's random number generator
      * @returns {number} The actual experience gained (for display)
      */
-    gainExperience(strengthLost) {
+    gainExperience(strengthLost, rng) {
         // Base experience: 0.1 + 5% of strength lost
         const baseExp = 0.1 + (strengthLost * 0.05);
 
         // Apply ±20% Gaussian variance (stdDev of ~10% gives ~20% range at 2 sigma)
         // Using simple random variance since gaussianRandom is in battleResolver
-        const variance = 1 + (Math.random() - 0.5) * 0.4;  // 0.8 to 1.2
+        const variance = 1 + (rng.next() - 0.5) * 0.4;  // 0.8 to 1.2
         const expGain = baseExp * variance;
 
         this.experience += expGain;
@@ -268,13 +269,13 @@ class Unit {
         unit.id = data.id;
         unit.strength = data.strength;
         unit.ammo = data.ammo;
-        unit.experience = data.experience || 0;
-        unit.entrenchment = data.entrenchment || 0;
+        unit.experience = data.experience;
+        unit.entrenchment = data.entrenchment;
         unit.movementRemaining = data.movementRemaining;
         unit.hasAttacked = data.hasAttacked;
-        unit.hasMoved = data.hasMoved || false;
-        unit.turnsStationary = data.turnsStationary || 0;
-        unit.isAuxiliary = data.isAuxiliary || false;
+        unit.hasMoved = data.hasMoved;
+        unit.turnsStationary = data.turnsStationary;
+        unit.isAuxiliary = data.isAuxiliary;
         return unit;
     }
 }
@@ -285,6 +286,7 @@ class Unit {
 class UnitManager {
     constructor() {
         this.units = new Map();  // id -> Unit
+        this.unitsByHex = new Map();  // hex key -> Unit (kept up to date by add, remove and moveUnit)
     }
 
     /**
@@ -293,6 +295,7 @@ class UnitManager {
      */
     addUnit(unit) {
         this.units.set(unit.id, unit);
+        this.unitsByHex.set(unit.hex.key, unit);
     }
 
     /**
@@ -300,7 +303,29 @@ class UnitManager {
      * @param {string} unitId
      */
     removeUnit(unitId) {
+        const unit = this.units.get(unitId);
+        if (!unit) return;
         this.units.delete(unitId);
+        this.forgetHex(unit);
+    }
+
+    /**
+     * Move a unit to another hex. Every change of a unit's hex goes through
+     * here, so getUnitAt stays right.
+     * @param {Unit} unit
+     * @param {Hex} hex
+     */
+    moveUnit(unit, hex) {
+        this.forgetHex(unit);
+        unit.hex = hex;
+        this.unitsByHex.set(hex.key, unit);
+    }
+
+    // Take a unit's hex out of the index (unless another unit has taken it since)
+    forgetHex(unit) {
+        if (this.unitsByHex.get(unit.hex.key) === unit) {
+            this.unitsByHex.delete(unit.hex.key);
+        }
     }
 
     /**
@@ -318,12 +343,7 @@ class UnitManager {
      * @returns {Unit|undefined}
      */
     getUnitAt(hex) {
-        for (const unit of this.units.values()) {
-            if (unit.hex.equals(hex)) {
-                return unit;
-            }
-        }
-        return undefined;
+        return this.unitsByHex.get(hex.key);
     }
 
     /**
@@ -364,7 +384,7 @@ class UnitManager {
         for (const unit of this.units.values()) {
             if (unit.isDestroyed()) {
                 destroyed.push(unit);
-                this.units.delete(unit.id);
+                this.removeUnit(unit.id);
             }
         }
         return destroyed;
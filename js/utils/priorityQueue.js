@@ -0,0 +1,75 @@
+/**
+ * Priority queue (binary min-heap) for path searches
+ * Items come out lowest priority first; items of equal priority come out in
+ * the order they went in, so a search over the same map always finds the
+ * same path.
+ */
+class PriorityQueue {
+    constructor() {
+        this.heap = [];
+        this.pushed = 0;    // Insertion counter, breaks ties
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    isEmpty() {
+        return this.heap.length === 0;
+    }
+
+    /**
+     * Add an item
+     * @param {*} item
+     * @param {number} priority - Lower comes out first
+     */
+    push(item, priority) {
+        this.heap.push({ item: item, priority: priority, order: this.pushed++ });
+        this.siftUp(this.heap.length - 1);
+    }
+
+    /**
+     * Take out the item with the lowest priority
+     * @returns {*} The item, or undefined if the queue is empty
+     */
+    pop() {
+        if (this.heap.length === 0) return undefined;
+
+        const top = this.heap[0];
+        const last = this.heap.pop();
+        if (this.heap.length > 0) {
+            this.heap[0] = last;
+            this.siftDown(0);
+        }
+        return top.item;
+    }
+
+    // Does entry a come out before entry b?
+    before(a, b) {
+        return a.priority < b.priority || (a.priority === b.priority && a.order < b.order);
+    }
+
+    siftUp(index) {
+        const heap = this.heap;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.before(heap[index], heap[parent])) break;
+            [heap[index], heap[parent]] = [heap[parent], heap[index]];
+            index = parent;
+        }
+    }
+
+    siftDown(index) {
+        const heap = this.heap;
+        for (;;) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let smallest = index;
+            if (left < heap.length && this.before(heap[left], heap[smallest])) smallest = left;
+            if (right < heap.length && this.before(heap[right], heap[smallest])) smallest = right;
+            if (smallest === index) break;
+            [heap[index], heap[smallest]] = [heap[smallest], heap[index]];
+            index = smallest;
+        }
+    }
+}
@@ -0,0 +1,61 @@
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * Every random draw that affects the outcome of a game - combat variance,
+ * rout checks, experience gain, map generation - goes through one of these,
+ * so a saved game plus its seed replays identically.
+ */
+class SeededRandom {
+    /**
+     * @param {number} seed - 32-bit seed (a fresh one is picked if omitted)
+     */
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Pick a fresh seed for a new game
+     * This is the only place the engine is allowed to touch Math.random()
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1)
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next integer in [min, max] (inclusive)
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    nextInt(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    // Serialize for LocalStorage
+    toJSON() {
+        return {
+            seed: this.seed,
+            state: this.state
+        };
+    }
+
+    // Deserialize from LocalStorage
+    static fromJSON(data) {
+        const rng = new SeededRandom(data.seed);
+        rng.state = data.state >>> 0;
+        return rng;
+    }
+}
@@ -1,43 +1,129 @@
 /**
- * LocalStorage wrapper for game persistence
+ * Game persistence
+ * Saves go through a pluggable backend (storageBackends.js): IndexedDB where
+ * the browser has it, localStorage otherwise. Every game keeps its latest
+ * state; the player can also save to named slots, and the last few turns are
+ * kept as rotating autosaves. Saves from before the backends (one JSON list in
+ * localStorage) are moved over on first load.
+ * Games can also be exported to and imported from .puddy.json save files.
+ * Levels loaded from level files are kept too, so their games still load.
  */
+
+// Save file format and the newest version this build can read
+const SAVE_FILE_FORMAT = 'puddy-save';
+const SAVE_FILE_VERSION = 1;
+
+// Record kinds kept by the backend
+const SaveKind = Object.freeze({
+    GAME: 'game',
+    SLOT: 'slot',
+    AUTOSAVE: 'autosave',
+    LEVEL: 'level',
+    META: 'meta'
+});
+
+// Key of the record naming the game being played
+const CURRENT_GAME_RECORD = 'current';
+
+// Key of the campaign progress record
+const CAMPAIGN_RECORD = 'campaign';
+
 const GameStorage = {
-    // Get list of saved games (metadata only)
-    getGameList() {
-        const data = localStorage.getItem(CONFIG.STORAGE_KEY);
-        if (!data) return [];
+    backend: null,
 
+    // Open the storage backend and move over saves from older versions
+    // backend: use this backend instead of picking one (for tests)
+    // legacyStorage: where older versions kept their saves (localStorage by default)
+    async init(backend = null, legacyStorage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        if (backend) {
+            this.backend = await backend.open();
+        } else {
+            this.backend = await this.openDefaultBackend();
+        }
+        if (legacyStorage) {
+            try {
+                await this.migrateLegacySaves(legacyStorage);
+            } catch (e) {
+                // The old list is only removed once every game is moved, so the next load retries
+                console.error('Failed to move old saves:', e);
+            }
+        }
+        return this.backend;
+    },
+
+    // IndexedDB if it opens, localStorage otherwise
+    async openDefaultBackend() {
+        if (IndexedDBBackend.isAvailable()) {
+            try {
+                return await new IndexedDBBackend().open();
+            } catch (e) {
+                console.warn('IndexedDB unavailable, saving to localStorage:', e);
+            }
+        }
+        return new LocalStorageBackend().open();
+    },
+
+    // Move games saved as one JSON list in localStorage into the backend
+    async migrateLegacySaves(legacyStorage) {
+        const text = legacyStorage.getItem(CONFIG.STORAGE_KEY);
+        if (!text) return 0;
+
+        let games;
         try {
-            const games = JSON.parse(data);
-            return games.map(g => ({
-                id: g.id,
-                name: g.name,
-                createdAt: g.createdAt,
-                updatedAt: g.updatedAt,
-                turn: g.turn
-            }));
+            games = JSON.parse(text);
         } catch (e) {
-            console.error('Failed to parse game list:', e);
-            return [];
+            console.error('Failed to parse old saves, leaving them in place:', e);
+            return 0;
+        }
+
+        // Old saves are stored as they are; loading migrates them (see saveMigrations.js)
+        for (const data of games) {
+            await this.backend.put(this.createRecord(`${SaveKind.GAME}:${data.id}`, SaveKind.GAME, data));
         }
+        const currentId = legacyStorage.getItem(CONFIG.CURRENT_GAME_KEY);
+        if (currentId) {
+            await this.setCurrentGameId(currentId);
+        }
+
+        legacyStorage.removeItem(CONFIG.STORAGE_KEY);
+        legacyStorage.removeItem(CONFIG.CURRENT_GAME_KEY);
+        console.log(`Moved ${games.length} saved game(s) to the new storage`);
+        return games.length;
     },
 
-    // Save a game state
-    saveGame(gameState) {
-        gameState.updatedAt = new Date().toISOString();
+    // Wrap saved game data in a backend record, with what save lists show
+    createRecord(key, kind, data, name = data.name) {
+        return {
+            key: key,
+            kind: kind,
+            gameId: data.id,
+            name: name,
+            turn: data.turn,
+            currentLevel: data.currentLevel,
+            updatedAt: data.updatedAt,
+            data: data
+        };
+    },
 
-        let games = this.getAllGames();
-        const index = games.findIndex(g => g.id === gameState.id);
+    // Record metadata without the game data
+    getRecordInfo(record) {
+        const { data, ...info } = record;
+        return info;
+    },
 
-        if (index >= 0) {
-            games[index] = gameState.toJSON();
-        } else {
-            games.push(gameState.toJSON());
-        }
+    // Get list of saved games (metadata only)
+    async getGameList() {
+        const records = await this.backend.list(SaveKind.GAME);
+        return records.map(record => this.getRecordInfo(record));
+    },
+
+    // Save a game state
+    async saveGame(gameState) {
+        gameState.updatedAt = new Date().toISOString();
 
         try {
-            localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(games));
-            localStorage.setItem(CONFIG.CURRENT_GAME_KEY, gameState.id);
+            await this.backend.put(this.createRecord(`${SaveKind.GAME}:${gameState.id}`, SaveKind.GAME, gameState.toJSON()));
+            await this.setCurrentGameId(gameState.id);
             return true;
         } catch (e) {
             console.error('Failed to save game:', e);
@@ -46,33 +132,37 @@ const GameStorage = {
     },
 
     // Load a game by ID
-    loadGame(gameId) {
-        const games = this.getAllGames();
-        const gameData = games.find(g => g.id === gameId);
-
-        if (!gameData) return null;
-
-        localStorage.setItem(CONFIG.CURRENT_GAME_KEY, gameId);
-        return GameState.fromJSON(gameData);
+    // Throws if the save is from a newer version of the game
+    async loadGame(gameId) {
+        const gameState = await this.loadSave(`${SaveKind.GAME}:${gameId}`);
+        if (gameState) {
+            await this.setCurrentGameId(gameId);
+        }
+        return gameState;
     },
 
     // Load the last played game
-    loadCurrentGame() {
-        const currentId = localStorage.getItem(CONFIG.CURRENT_GAME_KEY);
-        if (!currentId) return null;
-        return this.loadGame(currentId);
+    async loadCurrentGame() {
+        const current = await this.backend.get(CURRENT_GAME_RECORD);
+        if (!current) return null;
+        return this.loadGame(current.gameId);
     },
 
-    // Delete a game
-    deleteGame(gameId) {
-        let games = this.getAllGames();
-        games = games.filter(g => g.id !== gameId);
+    async setCurrentGameId(gameId) {
+        await this.backend.put({ key: CURRENT_GAME_RECORD, kind: SaveKind.META, gameId: gameId });
+    },
 
+    // Delete a game and its autosaves
+    async deleteGame(gameId) {
         try {
-            localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(games));
+            await this.backend.delete(`${SaveKind.GAME}:${gameId}`);
+            for (const autosave of await this.getAutosaveList(gameId)) {
+                await this.backend.delete(autosave.key);
+            }
 
-            if (localStorage.getItem(CONFIG.CURRENT_GAME_KEY) === gameId) {
-                localStorage.removeItem(CONFIG.CURRENT_GAME_KEY);
+            const current = await this.backend.get(CURRENT_GAME_RECORD);
+            if (current && current.gameId === gameId) {
+                await this.backend.delete(CURRENT_GAME_RECORD);
             }
             return true;
         } catch (e) {
@@ -81,19 +171,203 @@ const GameStorage = {
         }
     },
 
-    // Get all raw game data
-    getAllGames() {
-        const data = localStorage.getItem(CONFIG.STORAGE_KEY);
+    // Check if any saved games exist
+    async hasSavedGames() {
+        return (await this.getGameList()).length > 0;
+    },
+
+    // ==================== SLOTS AND AUTOSAVES ====================
+
+    // Save a copy of the game under a name (saving to an existing name replaces it)
+    async saveToSlot(name, gameState) {
+        name = name.trim();
+        if (!name) return false;
+
+        gameState.updatedAt = new Date().toISOString();
         try {
-            return data ? JSON.parse(data) : [];
+            await this.backend.put(this.createRecord(`${SaveKind.SLOT}:${name}`, SaveKind.SLOT, gameState.toJSON(), name));
+            return true;
         } catch (e) {
-            console.error('Failed to parse games:', e);
-            return [];
+            console.error('Failed to save to slot:', e);
+            return false;
         }
     },
 
-    // Check if any saved games exist
-    hasSavedGames() {
-        return this.getGameList().length > 0;
+    // Named saves, newest first (metadata only)
+    async getSlotList() {
+        const records = await this.backend.list(SaveKind.SLOT);
+        return records
+            .map(record => this.getRecordInfo(record))
+            .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    },
+
+    // Keep the game as it stands at the start of this turn
+    // Only the last CONFIG.AUTOSAVE_TURNS turns of each game are kept
+    async autosave(gameState) {
+        gameState.updatedAt = new Date().toISOString();
+        const key = `${SaveKind.AUTOSAVE}:${gameState.id}:${gameState.turn}`;
+        const name = `${gameState.name} - Day ${gameState.turn}`;
+
+        try {
+            await this.backend.put(this.createRecord(key, SaveKind.AUTOSAVE, gameState.toJSON(), name));
+            const autosaves = await this.getAutosaveList(gameState.id);
+            for (const old of autosaves.slice(CONFIG.AUTOSAVE_TURNS)) {
+                await this.backend.delete(old.key);
+            }
+            return true;
+        } catch (e) {
+            console.error('Failed to autosave:', e);
+            return false;
+        }
+    },
+
+    // A game's autosaves, latest turn first (metadata only)
+    async getAutosaveList(gameId) {
+        const records = await this.backend.list(SaveKind.AUTOSAVE);
+        return records
+            .filter(record => record.gameId === gameId)
+            .map(record => this.getRecordInfo(record))
+            .sort((a, b) => b.turn - a.turn);
+    },
+
+    // Load a game, slot or autosave record by key
+    // Returns null if there is no such save; throws if it is from a newer version
+    async loadSave(key) {
+        const record = await this.backend.get(key);
+        if (!record) return null;
+        return GameState.fromJSON(record.data);
+    },
+
+    // Delete a slot or autosave by key
+    async deleteSave(key) {
+        try {
+            await this.backend.delete(key);
+            return true;
+        } catch (e) {
+            console.error('Failed to delete save:', e);
+            return false;
+        }
+    },
+
+    // ==================== CAMPAIGN ====================
+
+    // Campaign progress (a fresh campaign if none is saved)
+    async loadCampaign() {
+        const record = await this.backend.get(CAMPAIGN_RECORD);
+        return record ? Campaign.fromJSON(record.data) : new Campaign();
+    },
+
+    // Save campaign progress - kept apart from saved games
+    async saveCampaign(campaign) {
+        try {
+            await this.backend.put({ key: CAMPAIGN_RECORD, kind: SaveKind.META, data: campaign.toJSON() });
+            return true;
+        } catch (e) {
+            console.error('Failed to save campaign progress:', e);
+            return false;
+        }
+    },
+
+    // ==================== CUSTOM LEVELS ====================
+
+    // Keep a level loaded from a level file (replaces one with the same ID)
+    async saveCustomLevel(level) {
+        try {
+            await this.backend.put({ key: `level:${level.id}`, kind: SaveKind.LEVEL, name: level.name, data: level });
+            return true;
+        } catch (e) {
+            console.error('Failed to save level:', e);
+            return false;
+        }
+    },
+
+    // Every kept level, in ID order
+    async loadCustomLevels() {
+        const records = await this.backend.list(SaveKind.LEVEL);
+        return records.map(record => record.data).sort((a, b) => a.id - b.id);
+    },
+
+    // ==================== SAVE FILES ====================
+
+    // Wrap a game in the versioned save file payload
+    exportGame(gameState) {
+        return {
+            format: SAVE_FILE_FORMAT,
+            version: SAVE_FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            game: gameState.toJSON()
+        };
+    },
+
+    // File name for an exported game
+    getExportFileName(gameState) {
+        const name = (gameState.name || 'game').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+        return `${name}-level${gameState.currentLevel}-day${gameState.turn}.puddy.json`;
+    },
+
+    // Read a save file's text back into a game
+    // Returns { success, gameState } or { success: false, error } with a message for the player
+    importGame(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { success: false, error: 'The file is not valid JSON - it may be corrupt or incomplete.' };
+        }
+
+        if (!data || typeof data !== 'object' || data.format !== SAVE_FILE_FORMAT) {
+            return { success: false, error: 'This is not a Puddy General save file.' };
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            return { success: false, error: 'The save file has no valid version number.' };
+        }
+        if (data.version > SAVE_FILE_VERSION) {
+            return {
+                success: false,
+                error: `The save file is version ${data.version}, but this game only reads up to version ${SAVE_FILE_VERSION}. Update the game to load it.`
+            };
+        }
+
+        // Upgrade the game data first: an older save may leave out fields
+        const migration = SaveMigrations.migrate(data.game);
+        if (!migration.success) {
+            return { success: false, error: migration.error };
+        }
+
+        const problem = this.validateGameData(migration.data);
+        if (problem) {
+            return { success: false, error: `The save file is corrupt: ${problem}.` };
+        }
+
+        try {
+            return { success: true, gameState: GameState.fromJSON(migration.data) };
+        } catch (e) {
+            return { success: false, error: `The save file is corrupt: ${e.message}.` };
+        }
+    },
+
+    // Check that saved game data has everything GameState.fromJSON needs
+    // Returns what is wrong, or null if the data looks sound
+    validateGameData(game) {
+        if (!game || typeof game !== 'object') return 'no game data';
+        if (typeof game.id !== 'string' || game.id === '') return 'missing game id';
+        if (!Object.values(GamePhase).includes(game.phase)) return `unknown phase "${game.phase}"`;
+        if (!Number.isInteger(game.turn)) return 'missing turn number';
+        if (!Number.isInteger(game.currentLevel)) return 'missing level number';
+        if (!game.map || !Array.isArray(game.map.cells) || game.map.cells.length === 0) return 'missing map';
+        if (!Array.isArray(game.units)) return 'missing units';
+
+        for (const cell of game.map.cells) {
+            if (!Number.isInteger(cell.q) || !Number.isInteger(cell.r)) return 'map cell without coordinates';
+            if (!Object.values(TerrainType).includes(cell.terrain)) return `unknown terrain "${cell.terrain}"`;
+        }
+        for (const unit of game.units) {
+            if (!UNIT_TYPES[unit.typeId]) return `unknown unit type "${unit.typeId}"`;
+            if (!unit.hex || !Number.isInteger(unit.hex.q) || !Number.isInteger(unit.hex.r)) {
+                return 'unit without a position';
+            }
+            if (typeof unit.strength !== 'number') return 'unit without strength';
+        }
+        return null;
     }
 };
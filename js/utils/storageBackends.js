@@ -0,0 +1,132 @@
+/**
+ * Storage backends for GameStorage
+ * A backend keeps save records under a string key and has one async interface:
+ *   open(), get(key), put(record), delete(key), list(kind)
+ * A record is { key, kind, ... } plus whatever GameStorage stores with it.
+ * IndexedDB is used where the browser has it; localStorage is the fallback.
+ */
+
+// Object store holding every save record
+const SAVE_STORE = 'saves';
+
+/**
+ * Saves in IndexedDB - one record per game, slot or autosave, so a save
+ * only writes its own record
+ */
+class IndexedDBBackend {
+    /**
+     * @param {string} dbName - Database name
+     */
+    constructor(dbName = CONFIG.STORAGE_DB_NAME) {
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    /**
+     * Whether this browser has IndexedDB
+     * @returns {boolean}
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (or create) the database
+     * @returns {Promise<IndexedDBBackend>}
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(SAVE_STORE, { keyPath: 'key' });
+                store.createIndex('kind', 'kind');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run one request in its own transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} action - (store) => IDBRequest
+     * @returns {Promise} The request's result once the transaction completes
+     */
+    request(mode, action) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(SAVE_STORE, mode);
+            const request = action(transaction.objectStore(SAVE_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async get(key) {
+        const record = await this.request('readonly', store => store.get(key));
+        return record ?? null;
+    }
+
+    async put(record) {
+        await this.request('readwrite', store => store.put(record));
+    }
+
+    async delete(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+
+    async list(kind) {
+        return this.request('readonly', store => store.index('kind').getAll(kind));
+    }
+}
+
+/**
+ * Saves in localStorage - one item per record, under a common prefix
+ */
+class LocalStorageBackend {
+    /**
+     * @param {Storage} storage - Web Storage to use (localStorage by default)
+     * @param {string} prefix - Prefix for item names
+     */
+    constructor(storage = localStorage, prefix = CONFIG.STORAGE_RECORD_PREFIX) {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+
+    async open() {
+        return this;
+    }
+
+    async get(key) {
+        const text = this.storage.getItem(this.prefix + key);
+        return text ? JSON.parse(text) : null;
+    }
+
+    async put(record) {
+        this.storage.setItem(this.prefix + record.key, JSON.stringify(record));
+    }
+
+    async delete(key) {
+        this.storage.removeItem(this.prefix + key);
+    }
+
+    async list(kind) {
+        const records = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const name = this.storage.key(i);
+            if (!name.startsWith(this.prefix)) continue;
+            try {
+                const record = JSON.parse(this.storage.getItem(name));
+                if (record.kind === kind) {
+                    records.push(record);
+                }
+            } catch (e) {
+                console.error(`Skipping unreadable save ${name}:`, e);
+            }
+        }
+        return records;
+    }
+}
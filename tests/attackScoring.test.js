@@ -0,0 +1,110 @@
+/**
+ * Attack scoring: how the enemy AI rates an attack before making it
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, createTestState } = require('./harness');
+
+const game = loadGame();
+const { Hex, AttackScoring } = game;
+
+/**
+ * Test state where the enemy sees every player unit
+ * @returns {GameState}
+ */
+function createSeeingState() {
+    const state = createTestState(game);
+    state.enemySeesAll = true;
+    return state;
+}
+
+test('rating an attack rolls no dice and changes no unit', () => {
+    const state = createSeeingState();
+    const attacker = state.addUnit('cavalry', 1, new Hex(3, 2));
+    const defender = state.addUnit('infantry', 0, new Hex(4, 2));
+    state.addUnit('trebuchet', 0, new Hex(5, 2));
+    const rngState = state.rng.state;
+
+    const rating = AttackScoring.rateAttack(state, attacker, defender);
+
+    assert.ok(rating.expectedDamage > 0 && rating.expectedLoss > 0);
+    assert.equal(state.rng.state, rngState);
+    assert.equal(attacker.strength, 10);
+    assert.equal(defender.strength, 10);
+    assert.ok(attacker.hex.equals(new Hex(3, 2)));
+});
+
+test('a weak target is likelier to die and a veteran is worth more', () => {
+    const state = createSeeingState();
+    const attacker = state.addUnit('cavalry', 1, new Hex(3, 2));
+    const fresh = state.addUnit('infantry', 0, new Hex(4, 2));
+    const weak = state.addUnit('infantry', 0, new Hex(3, 3));
+    weak.strength = 3;
+    const veteran = state.addUnit('infantry', 0, new Hex(2, 3));
+    veteran.experience = 2;
+
+    const freshRating = AttackScoring.rateAttack(state, attacker, fresh);
+    const weakRating = AttackScoring.rateAttack(state, attacker, weak);
+
+    assert.ok(weakRating.killChance > freshRating.killChance);
+    assert.ok(weakRating.damageRatio > freshRating.damageRatio);
+    assert.ok(weakRating.score > freshRating.score);
+    assert.ok(AttackScoring.getTargetValue(veteran) > AttackScoring.getTargetValue(fresh));
+    assert.equal(AttackScoring.rateAttack(state, attacker, fresh, { objective: true }).value,
+        2 * freshRating.value);
+});
+
+test('defensive fire the enemy knows of makes an attack riskier', () => {
+    const state = createSeeingState();
+    const attacker = state.addUnit('cavalry', 1, new Hex(3, 2));
+    const defender = state.addUnit('infantry', 0, new Hex(4, 2));
+    const before = AttackScoring.rateAttack(state, attacker, defender);
+    assert.equal(before.exposure, 0);
+
+    state.addUnit('trebuchet', 0, new Hex(5, 2));
+    const covered = AttackScoring.rateAttack(state, attacker, defender);
+    assert.ok(covered.exposure > 0);
+    assert.ok(covered.expectedLoss > before.expectedLoss);
+    assert.ok(covered.score < before.score);
+
+    // Artillery the enemy has not spotted does not count
+    state.enemySeesAll = false;
+    assert.equal(AttackScoring.rateAttack(state, attacker, defender).exposure, 0);
+
+    // A ranged attacker takes no defensive fire
+    const trebuchet = state.addUnit('trebuchet', 1, new Hex(2, 2));
+    state.enemySeesAll = true;
+    assert.equal(AttackScoring.rateAttack(state, trebuchet, defender, { rangedAttack: true }).exposure, 0);
+});
+
+test('the enemy weighs an attack as far as its skill allows', () => {
+    const state = createSeeingState();
+    const attacker = state.addUnit('cavalry', 1, new Hex(3, 2));
+    const defender = state.addUnit('infantry', 0, new Hex(4, 2));
+    defender.strength = 2;
+    const score = difficulty => {
+        state.difficulty = difficulty;
+        return AttackScoring.rateAttack(state, attacker, defender).score;
+    };
+
+    // Easy only counts the damage it deals
+    const rating = AttackScoring.rateAttack(state, attacker, defender);
+    assert.equal(score('easy'), rating.expectedDamage);
+    // Hard sets out to finish the unit off; Brutal rates like Hard
+    assert.ok(Math.abs(score('hard') - score('normal') - 3 * rating.killChance) < 1e-9);
+    assert.equal(score('brutal'), score('hard'));
+});
+
+test('the best attack is chosen among those that go well enough', () => {
+    const ratings = [
+        { damageRatio: 0.8, score: 5 },
+        { damageRatio: 1.6, score: 3 },
+        { damageRatio: 2.0, score: 2 }
+    ];
+
+    assert.equal(AttackScoring.chooseBest(ratings).score, 5);
+    assert.equal(AttackScoring.chooseBest(ratings, 1.5).score, 3);
+    assert.equal(AttackScoring.chooseBest(ratings, 3), null);
+    assert.equal(AttackScoring.chooseBest([]), null);
+});
@@ -0,0 +1,219 @@
+/**
+ * Campaign progress: unlocking, best results and carry-over
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, createTestState, MemoryStorage } = require('./harness');
+
+const game = loadGame();
+const { Hex, Campaign, GameStorage, LocalStorageBackend, CAMPAIGN_RECORD, SaveKind, LevelManager, VictoryGrade, GameEngine, TerrainType, Level1 } = game;
+
+// A branching level (on Level 1's map): a brilliant victory skips ahead,
+// anything else falls back
+LevelManager.register({
+    ...Level1,
+    id: 90,
+    name: 'Fork in the road',
+    turnLimit: 12,
+    outcomes: {
+        brilliant: { minTurnsRemaining: 6, nextLevel: 92 },
+        tactical: { nextLevel: 91 },
+        defeat: { nextLevel: 91 }
+    }
+});
+LevelManager.register({ ...Level1, id: 91, name: 'The long way round', outcomes: undefined });
+LevelManager.register({ ...Level1, id: 92, name: 'The short cut', outcomes: undefined });
+
+/**
+ * A won game on a level, with one surviving core unit
+ * @param {number} levelId
+ * @param {number} prestige
+ * @returns {GameState}
+ */
+function createWonState(levelId, prestige) {
+    const state = createTestState(game);
+    state.currentLevel = levelId;
+    state.prestige = prestige;
+    state.addUnit('cavalry', 0, new Hex(1, 1)).experience = 2;
+    return state;
+}
+
+/**
+ * @param {number} turnsRemaining
+ * @param {number} levelId - The level won, which grades the victory (default 1)
+ * @returns {Object} An offense victory event
+ */
+function offenseVictory(turnsRemaining, levelId = 1) {
+    const victory = { type: 'victory', gameMode: 'offense', turnsRemaining: turnsRemaining, bonus: turnsRemaining * 20 };
+    victory.grade = LevelManager.gradeVictory(levelId, victory);
+    return victory;
+}
+
+test('levels open in order as the one before is won', () => {
+    const campaign = new Campaign();
+
+    assert.equal(campaign.isUnlocked(1), true);
+    assert.equal(campaign.isUnlocked(2), false);
+    assert.equal(campaign.isUnlocked(3), false);
+
+    campaign.recordVictory(createWonState(1, 300), offenseVictory(5));
+
+    assert.equal(campaign.isWon(1), true);
+    assert.equal(campaign.isUnlocked(2), true);
+    assert.equal(campaign.isUnlocked(3), false);
+    assert.equal(campaign.isUnlocked(99), false);
+});
+
+test('the best result and prestige are kept across wins', () => {
+    const campaign = new Campaign();
+
+    campaign.recordVictory(createWonState(1, 300), offenseVictory(5));
+    campaign.recordVictory(createWonState(1, 250), offenseVictory(8));
+    const progress = campaign.recordVictory(createWonState(1, 200), offenseVictory(2));
+
+    assert.equal(progress.wins, 3);
+    assert.equal(progress.bestResult.turnsRemaining, 8);
+    assert.equal(progress.bestPrestige, 300);
+    assert.equal(Campaign.describeResult(progress.bestResult), 'Won with 8 days to spare (Brilliant Victory)');
+    assert.equal(Campaign.describeResult(Campaign.getResult({ gameMode: 'defense', castlesHeld: 2, totalCastles: 3 })),
+        'Held 2 of 3 castles');
+});
+
+test('the next level starts with the latest win\'s prestige and core army', () => {
+    const campaign = new Campaign();
+    campaign.recordVictory(createWonState(1, 300), offenseVictory(5));
+    campaign.recordVictory(createWonState(1, 180), offenseVictory(6));
+
+    const carryOver = campaign.getCarryOver(2);
+
+    assert.equal(campaign.getCarryOver(1), null);
+    assert.equal(carryOver.prestige, 180);
+    assert.equal(carryOver.coreUnits.length, 1);
+    assert.equal(carryOver.coreUnits[0].typeId, 'cavalry');
+    assert.equal(carryOver.coreUnits[0].experience, 2);
+});
+
+test('the level after the last one is null', () => {
+    const levelIds = LevelManager.getAllLevelIds();
+    const last = levelIds[levelIds.length - 1];
+
+    assert.equal(LevelManager.getNextLevel(levelIds[1]).id, levelIds[2]);
+    assert.equal(LevelManager.getNextLevel(last), null);
+    assert.equal(LevelManager.hasNextLevel(last), false);
+});
+
+test('campaign progress is stored apart from saved games', async () => {
+    const storage = new MemoryStorage();
+    await GameStorage.init(new LocalStorageBackend(storage), storage);
+    const campaign = new Campaign();
+    campaign.recordVictory(createWonState(1, 300), offenseVictory(5));
+
+    assert.ok(await GameStorage.saveCampaign(campaign));
+
+    assert.equal(await GameStorage.hasSavedGames(), false);
+    const loaded = await GameStorage.loadCampaign();
+    assert.equal(loaded.isWon(1), true);
+    assert.equal(loaded.getCarryOver(2).prestige, 300);
+});
+
+test('a fresh campaign is returned when none is saved', async () => {
+    const storage = new MemoryStorage();
+    await GameStorage.init(new LocalStorageBackend(storage), storage);
+
+    const campaign = await GameStorage.loadCampaign();
+
+    assert.equal(campaign.isWon(1), false);
+    assert.equal(campaign.isUnlocked(1), true);
+});
+
+test('a stored campaign with no level progress loads as a fresh one', async () => {
+    const storage = new MemoryStorage();
+    await GameStorage.init(new LocalStorageBackend(storage), storage);
+    await GameStorage.backend.put({ key: CAMPAIGN_RECORD, kind: SaveKind.META, data: {} });
+
+    const campaign = await GameStorage.loadCampaign();
+
+    assert.equal(campaign.isWon(1), false);
+    assert.equal(campaign.isUnlocked(1), true);
+});
+
+test('offense victories are graded by the turns left', () => {
+    // Level 1: a third of 15 turns by default; Level 2 asks for 8
+    assert.equal(LevelManager.gradeVictory(1, offenseVictory(5)), VictoryGrade.BRILLIANT);
+    assert.equal(LevelManager.gradeVictory(1, offenseVictory(4)), VictoryGrade.TACTICAL);
+    assert.equal(LevelManager.gradeVictory(2, offenseVictory(7)), VictoryGrade.TACTICAL);
+    assert.equal(LevelManager.gradeVictory(2, offenseVictory(8)), VictoryGrade.BRILLIANT);
+});
+
+test('defense victories are graded by the castles held', () => {
+    const victory = { gameMode: 'defense', castlesHeld: 3, totalCastles: 3 };
+    assert.equal(LevelManager.gradeVictory(3, victory), VictoryGrade.BRILLIANT);
+
+    victory.castlesHeld = 2;
+    assert.equal(LevelManager.gradeVictory(3, victory), VictoryGrade.TACTICAL);
+});
+
+test('the engine grades its victory events', () => {
+    const state = createTestState(game);
+    state.currentLevel = 1;
+    state.map.getCell(new Hex(3, 2)).terrain = TerrainType.CASTLE;
+    state.enemyCastleKeys = ['3,2'];
+    state.totalCastles = 1;
+    state.turnsRemaining = 2;
+    const unit = state.addUnit('infantry', 0, new Hex(1, 2));
+
+    const result = new GameEngine(state).moveUnit(unit.id, new Hex(3, 2));
+
+    const victory = result.events.find(event => event.type === 'victory');
+    assert.equal(victory.grade, VictoryGrade.TACTICAL);
+});
+
+test('a level\'s outcomes pick the next level', () => {
+    assert.equal(LevelManager.getNextLevel(90, VictoryGrade.BRILLIANT).id, 92);
+    assert.equal(LevelManager.getNextLevel(90, VictoryGrade.TACTICAL).id, 91);
+    assert.equal(LevelManager.getNextLevel(90, VictoryGrade.DEFEAT).id, 91);
+    // Without outcomes: victories go on in order, a defeat ends the campaign
+    assert.equal(LevelManager.getNextLevel(91, VictoryGrade.BRILLIANT).id, 92);
+    assert.equal(LevelManager.getNextLevel(91, VictoryGrade.DEFEAT), null);
+});
+
+test('a brilliant victory opens its own branch', () => {
+    const campaign = new Campaign();
+    const victory = offenseVictory(7, 90);
+
+    campaign.recordVictory(createWonState(90, 400), victory);
+
+    assert.equal(campaign.isUnlocked(92), true);
+    assert.equal(campaign.isUnlocked(91), false);
+    assert.equal(campaign.getCarryOver(92).prestige, 400);
+    assert.match(Campaign.describeResult(campaign.getLevelProgress(90).bestResult), /Brilliant Victory/);
+});
+
+test('the first level sends a quick victory to the river and a slow one to the horde', () => {
+    const quick = new Campaign();
+    quick.recordVictory(createWonState(1, 300), offenseVictory(5));
+    const slow = new Campaign();
+    slow.recordVictory(createWonState(1, 300), offenseVictory(4));
+
+    assert.equal(quick.isUnlocked(2), true);
+    assert.equal(quick.isUnlocked(3), false);
+    assert.equal(slow.isUnlocked(2), false);
+    assert.equal(slow.isUnlocked(3), true);
+    assert.equal(slow.getCarryOver(3).coreUnits.length, 1);
+});
+
+test('a defeat continues on the fallback level, if there is one', () => {
+    const campaign = new Campaign();
+
+    assert.equal(campaign.recordDefeat(createWonState(1, 100)), null);
+    assert.equal(campaign.isUnlocked(2), false);
+
+    const fallback = campaign.recordDefeat(createWonState(2, 120));
+
+    assert.equal(fallback.id, 3);
+    assert.equal(campaign.isWon(2), false);
+    assert.equal(campaign.isUnlocked(3), true);
+    assert.equal(campaign.getCarryOver(3).prestige, 120);
+    assert.equal(campaign.getCarryOver(3).coreUnits.length, 1);
+});
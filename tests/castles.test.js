@@ -0,0 +1,195 @@
+/**
+ * Castle capture and the victory / defeat transitions
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, createTestState } = require('./harness');
+
+const game = loadGame();
+const { Hex, TerrainType, GamePhase, GameState, GameEngine } = game;
+
+/**
+ * Offense test state with enemy castles at the given hexes
+ * @param {Array<Hex>} castles
+ * @returns {GameState}
+ */
+function createOffenseState(castles) {
+    const state = createTestState(game);
+    for (const hex of castles) {
+        state.map.getCell(hex).terrain = TerrainType.CASTLE;
+    }
+    state.enemyCastleKeys = castles.map(hex => hex.key);
+    state.totalCastles = castles.length;
+    state.turnsRemaining = 10;
+    state.earlyVictoryBonus = 20;
+    state.prestige = 0;
+    return state;
+}
+
+/**
+ * Defense test state with player castles at the given hexes
+ * @param {Array<Hex>} castles
+ * @returns {GameState}
+ */
+function createDefenseState(castles) {
+    const state = createTestState(game);
+    for (const hex of castles) {
+        state.map.getCell(hex).terrain = TerrainType.CASTLE;
+    }
+    state.gameMode = 'defense';
+    state.playerCastleKeys = castles.map(hex => hex.key);
+    state.prestige = 0;
+    return state;
+}
+
+test('moving onto an enemy castle captures it for 50 prestige', () => {
+    const state = createOffenseState([new Hex(3, 2), new Hex(6, 2)]);
+    const unit = state.addUnit('infantry', 0, new Hex(1, 2));
+    const engine = new GameEngine(state);
+
+    const result = engine.moveUnit(unit.id, new Hex(3, 2));
+
+    assert.ok(result.success);
+    const capture = result.events.find(event => event.type === 'castle_captured');
+    assert.ok(capture);
+    assert.equal(capture.playerId, 0);
+    assert.equal(capture.captured, 1);
+    assert.equal(capture.total, 2);
+    assert.equal(capture.victory, false);
+    assert.equal(state.prestige, 50);
+    assert.ok(state.isCastleCaptured(new Hex(3, 2)));
+    assert.equal(state.phase, GamePhase.MOVEMENT);
+});
+
+test('a castle only counts once', () => {
+    const state = createOffenseState([new Hex(3, 2), new Hex(6, 2)]);
+
+    assert.ok(state.checkCastleCapture(new Hex(3, 2)));
+    assert.equal(state.checkCastleCapture(new Hex(3, 2)), null);
+    assert.equal(state.capturedCastles.length, 1);
+    assert.equal(state.prestige, 50);
+});
+
+test('a castle the enemy retook pays no prestige when captured again', () => {
+    const castle = new Hex(3, 2);
+    const state = createOffenseState([castle, new Hex(6, 2)]);
+    assert.ok(state.checkCastleCapture(castle));
+    state.addUnit('cavalry', 1, castle);
+    assert.ok(state.checkEnemyCastleRetake(castle));
+    state.units.removeUnit(state.getUnitAt(castle).id);
+
+    const recapture = state.checkCastleCapture(castle);
+
+    assert.equal(recapture.prestige, 0);
+    assert.equal(recapture.captured, 1);
+    assert.equal(state.prestige, 50);
+    const loaded = GameState.fromJSON(JSON.parse(JSON.stringify(state)));
+    assert.equal(loaded.castlesEverCaptured.join(' '), castle.key);
+});
+
+test('castles that are not enemy castles do not count', () => {
+    const state = createOffenseState([new Hex(6, 2)]);
+    state.map.getCell(new Hex(3, 2)).terrain = TerrainType.CASTLE;
+
+    assert.equal(state.checkCastleCapture(new Hex(3, 2)), null);
+    assert.equal(state.checkCastleCapture(new Hex(2, 2)), null);
+    assert.equal(state.prestige, 0);
+});
+
+test('capturing the last enemy castle wins with the early victory bonus', () => {
+    const state = createOffenseState([new Hex(3, 2)]);
+    const unit = state.addUnit('infantry', 0, new Hex(1, 2));
+    const engine = new GameEngine(state);
+
+    const result = engine.moveUnit(unit.id, new Hex(3, 2));
+
+    const victory = result.events.find(event => event.type === 'victory');
+    assert.ok(victory);
+    assert.equal(victory.gameMode, 'offense');
+    assert.equal(state.phase, GamePhase.VICTORY);
+    // 50 for the castle + 10 turns remaining × 20
+    assert.equal(state.prestige, 250);
+
+    // The game is over: no more turns
+    assert.equal(engine.endTurn().success, false);
+});
+
+test('running out of turns in offense is a defeat', () => {
+    const state = createOffenseState([new Hex(6, 2)]);
+    state.addUnit('infantry', 0, new Hex(1, 2));
+    state.turnsRemaining = 1;
+    const engine = new GameEngine(state);
+
+    const result = engine.endTurn();
+
+    assert.ok(result.success);
+    assert.equal(state.phase, GamePhase.DEFEAT);
+    const defeat = result.events.find(event => event.type === 'defeat');
+    assert.ok(defeat);
+    assert.equal(defeat.reason, 'turns');
+});
+
+test('ending a turn with turns left starts the next turn', () => {
+    const state = createOffenseState([new Hex(6, 2)]);
+    state.addUnit('infantry', 0, new Hex(1, 2));
+    const engine = new GameEngine(state);
+
+    const result = engine.endTurn();
+
+    assert.ok(result.success);
+    assert.equal(state.phase, GamePhase.MOVEMENT);
+    assert.equal(state.turnsRemaining, 9);
+    assert.equal(result.events.map(event => event.type).join(), 'turn_ended,turn_started');
+});
+
+test('the enemy takes a player castle only when it is empty', () => {
+    const state = createDefenseState([new Hex(2, 2), new Hex(5, 2)]);
+    state.addUnit('infantry', 0, new Hex(2, 2));
+
+    assert.equal(state.checkEnemyCastleCapture(new Hex(2, 2)), false);
+    assert.equal(state.checkEnemyCastleCapture(new Hex(5, 2)), true);
+    assert.equal(state.checkEnemyCastleCapture(new Hex(5, 2)), false);
+    assert.deepEqual([...state.lostCastles], ['5,2']);
+    assert.equal(state.phase, GamePhase.MOVEMENT);
+});
+
+test('losing every player castle in defense is a defeat', () => {
+    const state = createDefenseState([new Hex(2, 2), new Hex(5, 2)]);
+
+    state.checkEnemyCastleCapture(new Hex(2, 2));
+    state.checkEnemyCastleCapture(new Hex(5, 2));
+
+    assert.equal(state.phase, GamePhase.DEFEAT);
+});
+
+test('a lost castle can be recaptured', () => {
+    const state = createDefenseState([new Hex(2, 2), new Hex(5, 2)]);
+    state.checkEnemyCastleCapture(new Hex(5, 2));
+    const unit = state.addUnit('infantry', 0, new Hex(3, 2));
+    const engine = new GameEngine(state);
+
+    const result = engine.moveUnit(unit.id, new Hex(5, 2));
+
+    assert.ok(result.events.some(event => event.type === 'castle_recaptured'));
+    assert.equal(state.lostCastles.length, 0);
+    assert.equal(state.checkPlayerCastleRecapture(new Hex(5, 2)), false);
+});
+
+test('surviving the last turn of a defense level wins per castle held', () => {
+    const state = createDefenseState([new Hex(2, 2), new Hex(5, 2), new Hex(7, 2)]);
+    state.checkEnemyCastleCapture(new Hex(7, 2));
+    state.turnsRemaining = 1;
+    const engine = new GameEngine(state);
+
+    const result = engine.endTurn();
+
+    assert.equal(state.phase, GamePhase.VICTORY);
+    const victory = result.events.find(event => event.type === 'victory');
+    assert.ok(victory);
+    assert.equal(victory.gameMode, 'defense');
+    assert.equal(victory.castlesHeld, 2);
+    assert.equal(victory.totalCastles, 3);
+    assert.equal(victory.bonus, 2 * victory.perCastle);
+    assert.equal(state.prestige, victory.bonus);
+});
@@ -0,0 +1,62 @@
+/**
+ * Player attacks through the GameEngine
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, createTestState } = require('./harness');
+
+const game = loadGame();
+const { Hex, GameEngine } = game;
+
+/**
+ * A player trebuchet with an enemy infantry in range, spotted by a cavalry
+ * @returns {Object} { state, trebuchet, target }
+ */
+function createRangedState() {
+    const state = createTestState(game);
+    const trebuchet = state.addUnit('trebuchet', 0, new Hex(1, 2));
+    const target = state.addUnit('infantry', 1, new Hex(3, 2));
+    state.addUnit('cavalry', 0, new Hex(2, 1));     // Spots the target
+    state.updateVisibility();
+    return { state, trebuchet, target };
+}
+
+test('a ranged shot spends the attack first and is fired fatigued', () => {
+    const { state, trebuchet, target } = createRangedState();
+    const engine = new GameEngine(state);
+
+    const result = engine.rangedAttack(trebuchet.id, target.hex);
+
+    assert.ok(result.success);
+    const battle = result.events[0].battle;
+    assert.equal(battle.fatigueTiers, 2);
+    assert.equal(trebuchet.ammo, trebuchet.getType().maxAmmo - 1);
+    assert.ok(trebuchet.hasAttacked);
+});
+
+test('the odds preview predicts a ranged shot as it will be fired', () => {
+    const { state, trebuchet, target } = createRangedState();
+
+    const preview = state.getAttackPreview(trebuchet, target.hex);
+
+    assert.equal(preview.rangedAttack, true);
+    assert.equal(preview.fatigueTiers, 2);
+    assert.equal(preview.surpriseAttack, undefined);
+    assert.equal(preview.battle.attackerPower,
+        new GameEngine(state).rangedAttack(trebuchet.id, target.hex).events[0].battle.result.attackerPower);
+});
+
+test('the odds preview leaves the last movement search as it was', () => {
+    const state = createTestState(game);
+    const mover = state.addUnit('infantry', 0, new Hex(0, 5));
+    const attacker = state.addUnit('cavalry', 0, new Hex(1, 2));
+    const target = state.addUnit('infantry', 1, new Hex(3, 2));
+    state.updateVisibility();
+    state.getValidMovementHexes(mover);
+    const path = state.followMovementPath(mover.hex, new Hex(1, 5)).map(hex => hex.key).join(' ');
+
+    assert.ok(state.getAttackPreview(attacker, target.hex));
+
+    assert.equal(state.followMovementPath(mover.hex, new Hex(1, 5)).map(hex => hex.key).join(' '), path);
+});
@@ -0,0 +1,118 @@
+/**
+ * The core army that carries over between levels
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, createTestState } = require('./harness');
+
+const game = loadGame();
+const { Hex, GameState, GameEngine, GamePhase } = game;
+
+/**
+ * Core army data for units of the given types and experience
+ * @param {Array<Array>} units - [typeId, experience] pairs
+ * @returns {Array<Object>}
+ */
+function createCoreArmy(units) {
+    const state = createTestState(game);
+    units.forEach(([typeId, experience], i) => {
+        const unit = state.addUnit(typeId, 0, new Hex(i, 0));
+        unit.experience = experience;
+    });
+    return state.getCoreArmy();
+}
+
+test('surviving player units carry over, auxiliaries and enemies do not', () => {
+    const state = createTestState(game);
+    const veteran = state.addUnit('trebuchet', 0, new Hex(1, 1));
+    veteran.strength = 7;
+    veteran.experience = 1.5;
+    veteran.ammo = 2;
+    const auxiliary = state.addUnit('infantry', 0, new Hex(2, 1));
+    auxiliary.isAuxiliary = true;
+    state.addUnit('cavalry', 1, new Hex(5, 1));
+
+    const core = state.getCoreArmy();
+
+    assert.equal(core.length, 1);
+    assert.equal(core[0].id, veteran.id);
+    assert.equal(core[0].strength, 7);
+    assert.equal(core[0].experience, 1.5);
+    assert.equal(core[0].ammo, 2);
+});
+
+test('the core army is placed first, then the next level\'s starting units up to its cap', () => {
+    const core = createCoreArmy([['trebuchet', 2], ['cavalry', 1]]);
+    core[0].strength = 6;
+    core[0].ammo = 1;
+    core[0].hasMoved = true;
+    core[0].entrenchment = 3;
+    const state = GameState.create('Campaign', 2, { seed: 9, coreUnits: core });
+    const engine = new GameEngine(state);
+
+    // Level 2 fields at most 6 units and starts with 3 infantry and a trebuchet
+    assert.equal(state.unitsToPlace, 6);
+    assert.equal(state.unitTypesToPlace.join(), 'infantry,infantry,infantry,trebuchet');
+    assert.equal(engine.purchaseUnit('infantry').reason, 'army_full');
+    assert.equal(state.getNextPlacement().isCore, true);
+
+    const hexes = state.getValidPlacementHexes();
+    const placed = engine.placeUnit(hexes[0]).unit;
+
+    assert.equal(placed.id, core[0].id);
+    assert.equal(placed.typeId, 'trebuchet');
+    assert.equal(placed.strength, 6);
+    assert.equal(placed.experience, 2);
+    assert.equal(placed.ammo, 1);
+    assert.equal(placed.hasMoved, false);
+    assert.equal(placed.entrenchment, 0);
+    assert.equal(placed.movementRemaining, placed.getType().movement);
+    assert.ok(placed.hex.equals(hexes[0]));
+
+    assert.equal(engine.placeUnit(hexes[1]).unit.typeId, 'cavalry');
+    assert.equal(state.getNextPlacement().isCore, false);
+    const levelUnits = hexes.slice(2, 6).map(hex => engine.placeUnit(hex).unit.typeId);
+    assert.equal(levelUnits.join(), 'infantry,infantry,infantry,trebuchet');
+    assert.equal(state.phase, GamePhase.MOVEMENT);
+});
+
+test('a core army too thin to fill the next level is topped up with its starting units', () => {
+    const core = createCoreArmy([['cavalry', 1]]);
+
+    const state = GameState.create('Campaign', 2, { seed: 9, coreUnits: core });
+    const engine = new GameEngine(state);
+
+    assert.equal(state.coreUnitsToPlace.length, 1);
+    assert.equal(state.unitTypesToPlace.join(), 'infantry,infantry,infantry,trebuchet');
+    assert.equal(state.unitsToPlace, 5);
+    state.prestige = 1000;
+    assert.ok(engine.purchaseUnit('infantry').success);
+    assert.equal(engine.purchaseUnit('infantry').reason, 'army_full');
+});
+
+test('the next level\'s unit cap keeps the most experienced core units', () => {
+    // Level 2 fields at most 6 units
+    const core = createCoreArmy([
+        ['infantry', 0], ['infantry', 3], ['cavalry', 1], ['infantry', 0.5],
+        ['trebuchet', 2], ['infantry', 0.2], ['cavalry', 4], ['infantry', 0.1]
+    ]);
+
+    const state = GameState.create('Campaign', 2, { seed: 9, coreUnits: core });
+    const engine = new GameEngine(state);
+
+    assert.equal(state.unitsToPlace, 6);
+    assert.equal(state.coreUnitsToPlace.map(unit => unit.experience).join(), '3,1,0.5,2,0.2,4');
+    state.prestige = 1000;
+    assert.equal(engine.purchaseUnit('infantry').reason, 'army_full');
+});
+
+test('the core army placement queue survives a save', () => {
+    const core = createCoreArmy([['cavalry', 1]]);
+    const state = GameState.create('Campaign', 2, { seed: 9, coreUnits: core });
+
+    const copy = GameState.fromJSON(JSON.parse(JSON.stringify(state)));
+
+    assert.equal(copy.coreUnitsToPlace.length, 1);
+    assert.equal(copy.coreUnitsToPlace[0].id, core[0].id);
+});
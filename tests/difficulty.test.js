@@ -0,0 +1,91 @@
+/**
+ * Difficulty: what it changes at the start of a game, how cleverly the
+ * enemy picks its targets, and where the chosen difficulty is shown
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, createTestState } = require('./harness');
+
+const game = loadGame();
+const { Hex, TerrainType, GameState, GameEngine, EnemyAI, Campaign, Difficulty } = game;
+
+/**
+ * Defense test state with one player castle, held by nobody
+ * @param {Hex} castle
+ * @returns {GameState}
+ */
+function createDefenseState(castle) {
+    const state = createTestState(game);
+    state.map.getCell(castle).terrain = TerrainType.CASTLE;
+    state.gameMode = 'defense';
+    state.playerCastleKeys = [castle.key, new Hex(7, 5).key];
+    state.hordeState = { assignments: {}, capturedCastles: [], garrisonUnits: {}, rebuildMode: false };
+    return state;
+}
+
+test('the difficulty scales starting prestige and enemy strength, and is saved', () => {
+    const expected = {
+        easy: { prestige: 225, strength: 6, seesAll: false },
+        normal: { prestige: 150, strength: 8, seesAll: false },
+        hard: { prestige: 120, strength: 9, seesAll: false },
+        brutal: { prestige: 90, strength: 10, seesAll: true }
+    };
+
+    for (const [difficulty, settings] of Object.entries(expected)) {
+        const state = GameState.create('Difficulty', 1, { seed: 2, difficulty });
+        const loaded = GameState.fromJSON(JSON.parse(JSON.stringify(state)));
+
+        assert.equal(loaded.difficulty, difficulty);
+        assert.equal(loaded.prestige, settings.prestige, difficulty);
+        assert.equal(loaded.enemySeesAll, settings.seesAll, difficulty);
+        for (const unit of loaded.units.getPlayerUnits(1)) {
+            assert.equal(unit.strength, settings.strength, difficulty);
+        }
+    }
+
+    assert.equal(GameState.create('Difficulty', 1, { seed: 2 }).difficulty, Difficulty.NORMAL);
+});
+
+test('a skilled trebuchet finishes off the weakest target, an unskilled one shoots the first', () => {
+    for (const [difficulty, expected] of [['normal', '4,1'], ['hard', '2,4']]) {
+        const state = createTestState(game);
+        state.difficulty = difficulty;
+        state.enemySeesAll = true;
+        const trebuchet = state.addUnit('trebuchet', 1, new Hex(2, 2));
+        state.addUnit('infantry', 0, new Hex(4, 1));
+        state.addUnit('infantry', 0, new Hex(2, 4)).strength = 4;
+
+        assert.equal(EnemyAI.findTrebuchetTarget(state, trebuchet).hex.key, expected, difficulty);
+    }
+});
+
+test('on easy the horde does not rebuild after taking a castle', () => {
+    for (const [difficulty, rebuild] of [['easy', false], ['normal', true]]) {
+        const castle = new Hex(1, 2);
+        const state = createDefenseState(castle);
+        state.difficulty = difficulty;
+        state.addUnit('cavalry', 1, castle);
+
+        const actions = EnemyAI.checkHordeCastleCaptures(state, state.hordeState, {});
+
+        assert.ok(actions.some(action => action.type === 'castle_captured'));
+        assert.equal(state.hordeState.rebuildMode, rebuild, difficulty);
+    }
+});
+
+test('victories carry their difficulty to the victory screen and the campaign', () => {
+    const state = createTestState(game);
+    state.difficulty = 'hard';
+    state.enemyCastleKeys = ['3,2'];
+    state.totalCastles = 1;
+    state.map.getCell(new Hex(3, 2)).terrain = TerrainType.CASTLE;
+    const unit = state.addUnit('cavalry', 0, new Hex(1, 2));
+    const engine = new GameEngine(state);
+
+    const victory = engine.moveUnit(unit.id, new Hex(3, 2)).events.find(event => event.type === 'victory');
+
+    assert.equal(victory.difficulty, 'hard');
+    const progress = new Campaign().recordVictory(state, victory);
+    assert.match(Campaign.describeResult(progress.bestResult), / on Hard$/);
+});
@@ -0,0 +1,202 @@
+/**
+ * Enemy AI: what it sees and remembers, and the garrison of offense levels
+ * holding, retaking and covering castles, counterattacking, falling back
+ * to rebuild, and keeping trebuchets behind the line; and the horde's
+ * cavalry choosing its charges
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, createTestState } = require('./harness');
+
+const game = loadGame();
+const { Hex, TerrainType, GameState, GameEngine, ReplayPlayer, EnemyAI } = game;
+
+/**
+ * Offense test state with enemy castles at the given hexes
+ * @param {Array<Hex>} castles
+ * @returns {GameState}
+ */
+function createOffenseState(castles) {
+    const state = createTestState(game);
+    for (const hex of castles) {
+        state.map.getCell(hex).terrain = TerrainType.CASTLE;
+    }
+    state.enemyCastleKeys = castles.map(hex => hex.key);
+    state.totalCastles = castles.length;
+    return state;
+}
+
+/**
+ * Let the enemy remember seeing a player unit where it stands
+ * @param {GameState} state
+ * @param {Unit} unit - A player unit
+ * @param {number} turnsAgo - How long ago it was seen
+ */
+function rememberSighting(state, unit, turnsAgo = 1) {
+    state.enemySightings[unit.id] = { hex: unit.hex.key, turn: state.turn - turnsAgo };
+}
+
+test('a garrison unit steps out in front of its castle toward the player', () => {
+    const castle = new Hex(1, 2);
+    const state = createOffenseState([castle]);
+    state.addUnit('infantry', 1, castle);
+    const blocker = state.addUnit('infantry', 1, new Hex(0, 4));
+    const attacker = state.addUnit('infantry', 0, new Hex(7, 1));
+    rememberSighting(state, attacker);
+
+    EnemyAI.executeEnemyTurn(state);
+
+    assert.ok(blocker.hex.distanceTo(castle) <= 2, blocker.hex.key);
+    assert.ok(blocker.hex.distanceTo(attacker.hex) < castle.distanceTo(attacker.hex), blocker.hex.key);
+    assert.equal(state.getUnitAt(castle).playerId, 1);
+    assert.equal(state.currentPlayer, 0);
+});
+
+test('the garrison retakes a castle the player left empty, and the replay shows it', () => {
+    const castle = new Hex(1, 2);
+    const state = createOffenseState([castle, new Hex(7, 5)]);
+    state.capturedCastles = [castle.key];
+    const cavalry = state.addUnit('cavalry', 1, new Hex(6, 2));
+    state.addUnit('infantry', 0, new Hex(7, 0));
+    const engine = new GameEngine(state);
+
+    const result = engine.endTurn();
+
+    assert.ok(cavalry.hex.equals(castle));
+    assert.ok(result.events.some(event => event.type === 'castle_retaken' && event.hex.equals(castle)));
+    assert.equal(state.capturedCastles.length, 0);
+
+    const player = ReplayPlayer.fromJSON(JSON.parse(JSON.stringify(engine.replay)));
+    player.seek(player.length);
+    assert.equal(player.state.capturedCastles.length, 0);
+});
+
+test('a zone of control the garrison could not see stops it short, as it would the player', () => {
+    const castle = new Hex(1, 2);
+    const state = createOffenseState([castle, new Hex(7, 5)]);
+    state.capturedCastles = [castle.key];
+    const cavalry = state.addUnit('cavalry', 1, new Hex(6, 2));
+    state.addUnit('infantry', 0, new Hex(3, 1));     // Out of the cavalry's sight, next to its road
+
+    const actions = EnemyAI.executeEnemyTurn(state);
+
+    assert.equal(cavalry.hex.key, '3,2');
+    assert.ok(!actions.some(action => action.type === 'castle_retaken'));
+    assert.equal(state.capturedCastles.join(' '), castle.key);
+});
+
+test('the garrison counterattacks a weakened attacker but not a strong one', () => {
+    const state = createOffenseState([]);
+    const defender = state.addUnit('infantry', 1, new Hex(4, 2));
+    const weak = state.addUnit('infantry', 0, new Hex(6, 2));
+    weak.strength = 3;
+    const strong = state.addUnit('infantry', 0, new Hex(2, 2));
+
+    const actions = EnemyAI.executeEnemyTurn(state);
+
+    const melees = actions.filter(action => action.type === 'melee_attack');
+    assert.equal(melees.length, 1);
+    assert.equal(melees[0].attacker, defender);
+    assert.equal(melees[0].defender, weak);
+    assert.equal(strong.strength, 10);
+    assert.ok(defender.hasAttacked);
+});
+
+test('a damaged unit falls back to its castle and rebuilds there', () => {
+    const castle = new Hex(1, 2);
+    const state = createOffenseState([castle]);
+    state.addUnit('infantry', 1, castle);
+    const damaged = state.addUnit('infantry', 1, new Hex(4, 2));
+    damaged.strength = 3;
+    state.addUnit('infantry', 0, new Hex(7, 5));
+
+    EnemyAI.executeEnemyTurn(state);
+    assert.equal(damaged.hex.distanceTo(castle), 1);
+    assert.equal(damaged.strength, 3);
+
+    const actions = EnemyAI.executeEnemyTurn(state);
+    const rebuilt = actions.find(action => action.type === 'unit_rebuilt');
+    assert.ok(rebuilt);
+    assert.equal(rebuilt.unit, damaged);
+    assert.equal(rebuilt.strengthGained, 3.5);
+    assert.equal(damaged.strength, 6.5);
+    assert.equal(damaged.hex.distanceTo(castle), 1);
+});
+
+test('a trebuchet with nothing in range moves up behind the infantry, not past it', () => {
+    const state = createOffenseState([]);
+    const trebuchet = state.addUnit('trebuchet', 1, new Hex(1, 2));
+    const infantry = state.addUnit('infantry', 1, new Hex(4, 2));
+    const attacker = state.addUnit('infantry', 0, new Hex(7, 2));
+    rememberSighting(state, attacker);
+
+    EnemyAI.executeEnemyTurn(state);
+
+    assert.ok(!trebuchet.hex.equals(new Hex(1, 2)));
+    assert.ok(trebuchet.hex.distanceTo(attacker.hex) > infantry.hex.distanceTo(attacker.hex), trebuchet.hex.key);
+    assert.ok(trebuchet.hex.distanceTo(infantry.hex) <= 2, trebuchet.hex.key);
+});
+
+test('the garrison only attacks player units it can see, unless it sees all', () => {
+    for (const seesAll of [false, true]) {
+        const state = createOffenseState([]);
+        state.enemySeesAll = seesAll;
+        state.addUnit('infantry', 1, new Hex(4, 2));
+        const hidden = state.addUnit('infantry', 0, new Hex(7, 2));    // Reachable, but 3 hexes off
+        hidden.strength = 3;
+
+        const actions = EnemyAI.executeEnemyTurn(state);
+
+        assert.equal(actions.some(action => action.type === 'melee_attack'), seesAll);
+    }
+});
+
+test('the enemy remembers where it saw a unit, and forgets in time or on finding it gone', () => {
+    const state = createOffenseState([]);
+    const spotter = state.addUnit('infantry', 1, new Hex(0, 0));
+    const scout = state.addUnit('cavalry', 0, new Hex(2, 0));
+    const known = () => EnemyAI.getKnownPlayerHexes(state).map(hex => hex.key).join(' ');
+
+    EnemyAI.observe(state);
+    assert.equal(known(), '2,0');
+    assert.ok(EnemyAI.isSpotted(state, scout));
+
+    // The spotter walks away: the scout is remembered, no longer seen
+    state.units.moveUnit(spotter, new Hex(0, 5));
+    state.turn++;
+    EnemyAI.observe(state);
+    assert.equal(known(), '2,0');
+    assert.ok(!EnemyAI.isSpotted(state, scout));
+
+    const loaded = GameState.fromJSON(JSON.parse(JSON.stringify(state)));
+    assert.equal(loaded.enemySightings[scout.id].hex, '2,0');
+
+    state.turn += 3;
+    EnemyAI.observe(state);
+    assert.equal(known(), '');
+
+    // Seen again, then gone when the enemy looks where it was
+    state.units.moveUnit(spotter, new Hex(0, 0));
+    EnemyAI.observe(state);
+    state.units.moveUnit(scout, new Hex(7, 5));
+    EnemyAI.observe(state);
+    assert.equal(known(), '');
+});
+
+test('horde cavalry charges the target it rates best: the hardest hit on easy, the best trade on normal', () => {
+    for (const [difficulty, expected] of [['easy', 'trebuchet'], ['normal', 'infantry']]) {
+        const state = createTestState(game);
+        state.difficulty = difficulty;
+        state.enemySeesAll = true;
+        const cavalry = state.addUnit('cavalry', 1, new Hex(3, 2));
+        state.addUnit('trebuchet', 0, new Hex(4, 2));
+        state.addUnit('infantry', 0, new Hex(2, 2)).strength = 2;
+
+        const actions = EnemyAI.executeSingleCavalryTurn(state, cavalry, new Hex(7, 2));
+
+        const melee = actions.find(action => action.type === 'melee_attack');
+        assert.equal(melee.defender.typeId, expected, difficulty);
+        assert.ok(cavalry.hex.equals(new Hex(3, 2)));
+    }
+});
@@ -0,0 +1,119 @@
+/**
+ * Test harness - loads the game's browser scripts into a Node VM context
+ * The game is plain browser-global scripts (no modules), so the harness
+ * reads the <script> tags from index.html and runs them in order in a
+ * fresh sandbox. Rendering and the Game UI (main.js) are skipped; the
+ * rules modules only need `crypto` for unit IDs.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const crypto = require('node:crypto');
+
+const ROOT = path.join(__dirname, '..');
+
+// Scripts that need a real browser (canvas, DOM)
+const SKIPPED_SCRIPTS = [/^js\/rendering\//, /^js\/main\.js$/];
+
+/**
+ * Script paths in the order index.html loads them
+ * @returns {Array<string>}
+ */
+function getScriptPaths() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const paths = [];
+    for (const match of html.matchAll(/<script src="([^"?]+)(?:\?[^"]*)?"><\/script>/g)) {
+        const src = match[1];
+        if (!SKIPPED_SCRIPTS.some(pattern => pattern.test(src))) {
+            paths.push(src);
+        }
+    }
+    return paths;
+}
+
+/**
+ * Load the game into a fresh sandbox
+ * Returns a proxy to the sandbox's globals, so tests can destructure
+ * classes and constants: const { GameState, Hex } = loadGame();
+ * @returns {Object} The game's globals (GameState, Hex, Unit, resolveBattle, ...)
+ */
+function loadGame() {
+    const sandbox = {
+        console: { log() {}, warn() {}, error() {} },
+        crypto: crypto
+    };
+    // Level files register themselves on window
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+
+    for (const script of getScriptPaths()) {
+        const code = fs.readFileSync(path.join(ROOT, script), 'utf8');
+        vm.runInContext(code, sandbox, { filename: script });
+    }
+
+    // Top-level const/class declarations are not properties of the global
+    // object, so look each name up inside the sandbox
+    return new Proxy({}, {
+        get: (target, name) => typeof name === 'string' ? vm.runInContext(name, sandbox) : undefined
+    });
+}
+
+/**
+ * Build a small all-grass test map in the MOVEMENT phase
+ * Columns q = 0..cols-1, rows r = 0..rows-1 (all inside the playable area).
+ * @param {Object} game - Globals returned by loadGame()
+ * @param {Object} options - Optional parameters
+ * @param {number} options.cols - Number of columns (default 8)
+ * @param {number} options.rows - Number of rows (default 6)
+ * @param {number} options.seed - RNG seed (default 1)
+ * @returns {GameState}
+ */
+function createTestState(game, options = {}) {
+    const { GameState, GamePhase, HexMap, HexCell, Hex, SeededRandom, TerrainType } = game;
+    const cols = options.cols ?? 8;
+    const rows = options.rows ?? 6;
+
+    const state = new GameState();
+    state.rng = new SeededRandom(options.seed ?? 1);
+    state.map = new HexMap();
+    for (let q = 0; q < cols; q++) {
+        for (let r = 0; r < rows; r++) {
+            state.map.addCell(new HexCell(new Hex(q, r), TerrainType.GRASS));
+        }
+    }
+    state.phase = GamePhase.MOVEMENT;
+    state.unitsToPlace = 0;
+    return state;
+}
+
+/**
+ * In-memory stand-in for window.localStorage
+ */
+class MemoryStorage {
+    constructor(items = {}) {
+        this.items = new Map(Object.entries(items));
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return [...this.items.keys()][index] ?? null;
+    }
+
+    getItem(name) {
+        return this.items.has(name) ? this.items.get(name) : null;
+    }
+
+    setItem(name, value) {
+        this.items.set(name, String(value));
+    }
+
+    removeItem(name) {
+        this.items.delete(name);
+    }
+}
+
+module.exports = { loadGame, createTestState, getScriptPaths, MemoryStorage };
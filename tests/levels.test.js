@@ -0,0 +1,208 @@
+/**
+ * Level definitions: the schema check, level files and custom levels
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, MemoryStorage } = require('./harness');
+
+const game = loadGame();
+const { LevelManager, LevelValidator, GameState, GameStorage, LocalStorageBackend, Hex, TerrainType, Level1, Level3 } = game;
+
+/**
+ * A level file's contents: a copy of a built-in level with changes
+ * @param {Object} base - Built-in level
+ * @param {Object} changes - Fields to replace
+ * @returns {Object} Plain level data
+ */
+function levelData(base, changes = {}) {
+    return { ...JSON.parse(JSON.stringify(base)), id: 101, name: 'Test Battle', ...changes };
+}
+
+test('the built-in levels are registered and valid', () => {
+    assert.equal(LevelManager.getAllLevelIds().join(), '1,2,3');
+    for (const id of LevelManager.getAllLevelIds()) {
+        assert.equal(LevelValidator.validate(LevelManager.getLevel(id)).join('\n'), '');
+    }
+});
+
+test('a level file with a built-in level\'s data loads', () => {
+    const result = LevelManager.parseLevelFile(JSON.stringify(levelData(Level3)));
+
+    assert.ok(result.success, result.errors && result.errors.join('\n'));
+    assert.equal(result.level.id, 101);
+    assert.equal(result.level.hordeConfig.raiderTarget, 0);
+});
+
+test('a level file that is not JSON is rejected', () => {
+    const result = LevelManager.parseLevelFile('{ id: 4');
+
+    assert.equal(result.success, false);
+    assert.match(result.errors[0], /not valid JSON/);
+});
+
+test('missing, mistyped and unknown fields are reported by path', () => {
+    const level = levelData(Level1, { turnLimit: 'soon', forrests: [] });
+    delete level.name;
+    level.enemyUnits[1].type = 'dragon';
+    level.castles.enemy[0].vRow = null;
+
+    const errors = LevelValidator.validate(level);
+
+    assert.ok(errors.includes('name: missing'));
+    assert.ok(errors.includes('turnLimit: expected a whole number, got "soon"'));
+    assert.ok(errors.includes('forrests: unknown field'));
+    assert.ok(errors.includes('castles.enemy[0].vRow: expected a number, got null'));
+    assert.ok(errors.some(error => error.startsWith('enemyUnits[1].type: unknown unit type "dragon"')));
+});
+
+test('a castle outside the map is reported', () => {
+    const level = levelData(Level1);
+    level.castles.enemy.push({ q: 40, vRow: 5 });
+    level.castlesToCapture = 2;
+
+    const errors = LevelValidator.validate(level);
+
+    assert.equal(errors.join('\n'), 'castles.enemy[1]: (q 40, vRow 5) is outside the map');
+});
+
+test('a unit on a mountain is reported', () => {
+    const level = levelData(Level3);
+    const map = LevelManager.createMapFromLevel(level);
+    const mountain = map.getAllCells().find(cell =>
+        cell.terrain === TerrainType.MOUNTAIN && map.isPlayable(cell.hex));
+    const vRow = mountain.hex.q / 2 + mountain.hex.r;
+    level.enemyUnits[17] = { type: 'cavalry', q: mountain.hex.q, vRow: vRow };
+
+    const errors = LevelValidator.validate(level);
+
+    assert.equal(errors.join('\n'),
+        `enemyUnits[17]: cavalry at (q ${mountain.hex.q}, vRow ${vRow}) is on impassable mountain`);
+});
+
+test('a river with a gap is reported', () => {
+    const level = levelData(Level1);
+    level.riverPath.splice(3, 2);   // Drop vRow 3 and 4 from the q 8 stretch
+
+    const errors = LevelValidator.validate(level);
+
+    assert.equal(errors.join('\n'),
+        'riverPath[3]: (q 8, vRow 5) is not next to riverPath[2] (q 8, vRow 2) - the river has a gap (mark it ford: true if that is meant)');
+
+    level.riverPath[3].ford = true;
+    assert.equal(LevelValidator.validate(level).length, 0);
+});
+
+test('hordeConfig indices out of range are reported', () => {
+    const level = levelData(Level3);
+    level.hordeConfig.mainForceTarget = 3;
+    level.hordeConfig.raiderUnits.push(18);
+
+    const errors = LevelValidator.validate(level);
+
+    assert.deepEqual([...errors], [
+        'hordeConfig.mainForceTarget: 3 is out of range (castles.player has 3 castles)',
+        'hordeConfig.raiderUnits[7]: 18 is out of range (enemyUnits has 18 units)'
+    ]);
+});
+
+test('counts that disagree are reported', () => {
+    const level = levelData(Level1, { castlesToCapture: 2, playerUnitsToPlace: 3 });
+
+    const errors = LevelValidator.validate(level);
+
+    assert.deepEqual([...errors], [
+        'playerUnitTypes: lists 4 units but playerUnitsToPlace is 3',
+        'castlesToCapture: 2 castles to capture but only 1 enemy castles'
+    ]);
+});
+
+test('an invalid level is not registered', () => {
+    const result = LevelManager.register(levelData(Level1, { id: 50, turnLimit: 0 }));
+
+    assert.equal(result.success, false);
+    assert.equal(result.errors.join(), 'turnLimit: 0 is less than 1');
+    assert.equal(LevelManager.findLevel(50), null);
+});
+
+test('a level file cannot take a campaign level\'s ID', () => {
+    const result = LevelManager.parseLevelFile(JSON.stringify(levelData(Level1, { id: 2 })));
+
+    assert.equal(result.success, false);
+    assert.equal(result.errors.join(), 'id: 2 is taken by the campaign level "Baron von Flussburg"');
+});
+
+test('a custom level plays outside the campaign', () => {
+    const level = LevelManager.parseLevelFile(JSON.stringify(levelData(Level1, { id: 120 }))).level;
+    assert.ok(LevelManager.addCustomLevel(level).success);
+
+    const state = GameState.create('Custom', 120, { seed: 3 });
+
+    assert.equal(state.currentLevel, 120);
+    assert.equal(state.units.getPlayerUnits(1).length, Level1.enemyUnits.length);
+    assert.equal(LevelManager.isCampaignLevel(120), false);
+    assert.equal(LevelManager.getAllLevelIds().includes(120), false);
+});
+
+test('custom levels are kept with the saves', async () => {
+    await GameStorage.init(new LocalStorageBackend(new MemoryStorage()), null);
+    await GameStorage.saveCustomLevel(levelData(Level3, { id: 140 }));
+    await GameStorage.saveCustomLevel(levelData(Level1, { id: 130 }));
+    await GameStorage.saveCustomLevel(levelData(Level1, { id: 140, name: 'Replaced' }));
+
+    const levels = await GameStorage.loadCustomLevels();
+
+    assert.equal(levels.map(level => `${level.id} ${level.name}`).join(), '130 Test Battle,140 Replaced');
+});
+
+test('a level sets its own map size', () => {
+    const level = levelData(Level1, {
+        id: 150, mapWidth: 12, mapHeight: 8,
+        castles: { player: [], enemy: [{ q: 4, vRow: 4 }] },
+        forests: [], riverPath: [], enemyUnits: [{ type: 'infantry', q: 5, vRow: 4.5 }]
+    });
+    delete level.mountainsUpperRight;
+    delete level.hillsBottomRight;
+    delete level.customRoads;
+    assert.equal(LevelValidator.validate(level).join('\n'), '');
+
+    const map = LevelManager.createMapFromLevel(level);
+    const playable = map.getAllCells().filter(cell => map.isPlayable(cell.hex));
+    assert.equal(playable.length, 12 * 8);
+    assert.equal(map.isPlayable(new Hex(11, 0)), true);
+    assert.equal(map.isPlayable(new Hex(12, 0)), false);
+
+    // The player deploys on the two right-hand columns of the smaller map
+    LevelManager.addCustomLevel(level);
+    const state = GameState.create('Small', 150, { seed: 2 });
+    const columns = new Set(state.getValidPlacementHexes().map(hex => hex.q));
+    assert.equal([...columns].join(), '10,11');
+
+    level.castles.enemy.push({ q: 14, vRow: 4 });
+    level.castlesToCapture = 2;
+    assert.equal(LevelValidator.validate(level).join('\n'), 'castles.enemy[1]: (q 14, vRow 4) is outside the map');
+});
+
+test('deployment zones place the player and hold the enemy', () => {
+    const level = levelData(Level1, {
+        id: 151,
+        deploymentZones: { player: { minQ: 0, maxQ: 1, maxVRow: 6 }, enemy: { minQ: 4 } }
+    });
+    const errors = LevelValidator.validate(level);
+    const outside = Level1.enemyUnits.filter(unitDef => unitDef.q < 4).length;
+    assert.equal(errors.length, outside);
+    assert.ok(errors.every(error => error.endsWith('is outside the enemy deployment zone')));
+
+    level.deploymentZones.enemy.minQ = 0;
+    LevelManager.addCustomLevel(level);
+    const state = GameState.create('Zones', 151, { seed: 2 });
+    const hexes = state.getValidPlacementHexes();
+    assert.ok(hexes.length > 0);
+    assert.ok(hexes.every(hex => hex.q <= 1 && hex.q / 2 + hex.r <= 6));
+
+    level.deploymentZones.player = { minQ: 5, maxQ: 4 };
+    assert.deepEqual([...LevelValidator.validate(level)], [
+        'deploymentZones.player: minQ 5 is more than maxQ 4',
+        `deploymentZones.player: 0 free hexes to deploy ${Level1.playerUnitsToPlace} units`
+    ]);
+});
@@ -0,0 +1,207 @@
+/**
+ * Movement rules: terrain costs, roads, rivers and zones of control
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, createTestState } = require('./harness');
+
+const game = loadGame();
+const { Hex, TerrainType, EdgeFeature, GameEngine } = game;
+
+/**
+ * Keys of the hexes a unit can reach
+ * @param {GameState} state
+ * @param {Unit} unit
+ * @returns {Array<string>}
+ */
+function reachableKeys(state, unit) {
+    return state.getValidMovementHexes(unit).map(hex => hex.key);
+}
+
+/**
+ * Movement cost to a hex found by the last getValidMovementHexes call
+ * @param {GameState} state
+ * @param {Hex} hex
+ * @returns {number|undefined}
+ */
+function costTo(state, hex) {
+    return state._movementCosts.get(hex.key);
+}
+
+/**
+ * Set the terrain of a hex on the test map
+ */
+function setTerrain(state, hex, terrain) {
+    state.map.getCell(hex).terrain = terrain;
+}
+
+test('open grass costs 1 movement per hex', () => {
+    const state = createTestState(game);
+    const unit = state.addUnit('infantry', 0, new Hex(1, 2));   // 3 movement
+
+    const reachable = reachableKeys(state, unit);
+    assert.ok(reachable.includes('4,2'));
+    assert.equal(costTo(state, new Hex(4, 2)), 3);
+    assert.ok(!reachable.includes('5,2'));
+});
+
+test('woods cost 2 movement', () => {
+    const state = createTestState(game);
+    setTerrain(state, new Hex(2, 2), TerrainType.WOODS);
+    const unit = state.addUnit('infantry', 0, new Hex(1, 2));
+
+    state.getValidMovementHexes(unit);
+    assert.equal(costTo(state, new Hex(2, 2)), 2);
+});
+
+test('mountains and water are impassable', () => {
+    const state = createTestState(game);
+    setTerrain(state, new Hex(2, 2), TerrainType.MOUNTAIN);
+    setTerrain(state, new Hex(1, 3), TerrainType.WATER);
+    const unit = state.addUnit('infantry', 0, new Hex(1, 2));
+
+    const reachable = reachableKeys(state, unit);
+    assert.ok(!reachable.includes('2,2'));
+    assert.ok(!reachable.includes('1,3'));
+});
+
+test('a road costs 1 movement whatever the terrain', () => {
+    const state = createTestState(game);
+    for (const cell of state.map.getAllCells()) {
+        cell.terrain = TerrainType.WOODS;
+    }
+    for (let q = 1; q < 5; q++) {
+        state.map.setEdgeBetween(new Hex(q, 2), new Hex(q + 1, 2), EdgeFeature.ROAD);
+    }
+    const unit = state.addUnit('infantry', 0, new Hex(1, 2));
+
+    const reachable = reachableKeys(state, unit);
+    assert.ok(reachable.includes('4,2'));
+    assert.equal(costTo(state, new Hex(4, 2)), 3);
+    // Off the road the woods still cost 2
+    assert.equal(costTo(state, new Hex(1, 3)), 2);
+});
+
+test('entering a river costs all remaining movement', () => {
+    const state = createTestState(game);
+    setTerrain(state, new Hex(2, 2), TerrainType.RIVER);
+    const unit = state.addUnit('cavalry', 0, new Hex(1, 2));   // 5 movement
+
+    assert.ok(reachableKeys(state, unit).includes('2,2'));
+    assert.equal(costTo(state, new Hex(2, 2)), 5);
+
+    const result = state.moveUnit(unit, new Hex(2, 2));
+    assert.ok(result.success);
+    assert.equal(unit.movementRemaining, 0);
+    assert.ok(!unit.canMove());
+});
+
+test('a river can only be entered at the start of a move', () => {
+    const state = createTestState(game);
+    setTerrain(state, new Hex(3, 2), TerrainType.RIVER);
+    const unit = state.addUnit('cavalry', 0, new Hex(1, 2));
+
+    assert.ok(!reachableKeys(state, unit).includes('3,2'));
+});
+
+test('a bridge crosses a river for 1 movement', () => {
+    const state = createTestState(game);
+    setTerrain(state, new Hex(2, 2), TerrainType.RIVER);
+    state.map.setEdgeBetween(new Hex(1, 2), new Hex(2, 2), EdgeFeature.BRIDGE);
+    const unit = state.addUnit('infantry', 0, new Hex(1, 2));
+
+    const reachable = reachableKeys(state, unit);
+    assert.equal(costTo(state, new Hex(2, 2)), 1);
+    assert.ok(reachable.includes('3,2'));
+});
+
+test('a visible enemy zone of control stops movement', () => {
+    const state = createTestState(game, { cols: 8, rows: 1 });
+    state.settings.fogOfWar = false;
+    const unit = state.addUnit('cavalry', 0, new Hex(0, 0));
+    state.addUnit('infantry', 1, new Hex(4, 0));
+
+    const reachable = reachableKeys(state, unit);
+    assert.ok(reachable.includes('3,0'));      // enters the ZOC
+    assert.ok(reachable.includes('4,0'));      // attack target
+    assert.ok(!reachable.includes('5,0'));     // cannot slip past
+
+    state.moveUnit(unit, new Hex(3, 0));
+    assert.equal(unit.movementRemaining, 0);
+});
+
+test('a hidden enemy zone of control stops the move part way', () => {
+    const state = createTestState(game, { cols: 8, rows: 2 });
+    const unit = state.addUnit('cavalry', 0, new Hex(0, 0));    // spotting 2
+    state.addUnit('infantry', 1, new Hex(3, 1));                 // 4 hexes away: hidden
+    state.updateVisibility();
+    assert.ok(!state.isHexVisible(new Hex(3, 1)));
+
+    const engine = new GameEngine(state);
+    const result = engine.moveUnit(unit.id, new Hex(5, 0));
+
+    assert.ok(result.success);
+    assert.ok(result.stoppedByHiddenZOC);
+    assert.equal(result.actualHex.key, '3,0');
+    assert.equal(unit.hex.key, '3,0');
+    assert.equal(unit.movementRemaining, 0);
+    assert.equal(result.events[0].type, 'unit_moved');
+    assert.ok(result.events[0].stoppedByHiddenZOC);
+});
+
+test('a hex held by a friendly unit cannot be entered', () => {
+    const state = createTestState(game);
+    const unit = state.addUnit('infantry', 0, new Hex(1, 2));
+    state.addUnit('infantry', 0, new Hex(2, 2));
+
+    assert.ok(!reachableKeys(state, unit).includes('2,2'));
+});
+
+test('a path never runs through a zone of control it would have stopped in', () => {
+    const state = createTestState(game);
+    state.settings.fogOfWar = false;
+    const unit = state.addUnit('cavalry', 0, new Hex(1, 2));
+    state.addUnit('infantry', 1, new Hex(0, 1));     // Holds 1,1 in its zone of control
+
+    const path = state.getPathTo(unit, new Hex(2, 0));
+    assert.equal(path.map(hex => hex.key).join(' '), '1,2 2,1 2,0');
+});
+
+test('a path goes round a unit rather than through it', () => {
+    const state = createTestState(game);
+    state.settings.fogOfWar = false;
+    const unit = state.addUnit('cavalry', 0, new Hex(1, 2));
+    state.addUnit('infantry', 1, new Hex(0, 3));
+
+    const path = state.getPathTo(unit, new Hex(1, 4));
+    assert.equal(path.map(hex => hex.key).join(' '), '1,2 2,2 2,3 1,4');
+    for (const hex of path.slice(1, -1)) {
+        assert.ok(!state.units.getUnitAt(hex) && !state.isInEnemyZOC(hex), hex.key);
+    }
+});
+
+test('a path takes the cheapest way and costs what the move costs', () => {
+    const state = createTestState(game);
+    setTerrain(state, new Hex(2, 1), TerrainType.WOODS);
+    setTerrain(state, new Hex(3, 1), TerrainType.WOODS);
+    const unit = state.addUnit('cavalry', 0, new Hex(1, 1));
+    const movement = unit.movementRemaining;
+
+    // Straight through the woods costs 5, round them 4
+    const path = state.getPathTo(unit, new Hex(4, 1));
+    assert.equal(path.length, 5);
+    assert.ok(path.every(hex => state.getTerrainAt(hex) !== TerrainType.WOODS), path.map(hex => hex.key).join(' '));
+    assert.equal(costTo(state, new Hex(4, 1)), 4);
+
+    state.moveUnit(unit, new Hex(4, 1));
+    assert.equal(unit.movementRemaining, movement - 4);
+});
+
+test('a hex out of reach has no path', () => {
+    const state = createTestState(game);
+    const unit = state.addUnit('infantry', 0, new Hex(1, 2));     // 3 movement
+
+    assert.equal(state.getPathTo(unit, new Hex(7, 2)), null);
+    assert.equal(state.getPathTo(unit, new Hex(4, 2)).length, 4);
+});
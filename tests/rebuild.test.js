@@ -0,0 +1,149 @@
+/**
+ * Rebuild, ammo purchase and battle prestige math
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, createTestState } = require('./harness');
+
+const game = loadGame();
+const { Hex, RebuildSystem } = game;
+
+/**
+ * Test state with one damaged player unit
+ * @param {string} typeId
+ * @param {number} strength
+ * @param {number} prestige
+ * @returns {{ state: GameState, unit: Unit }}
+ */
+function createDamagedUnit(typeId, strength, prestige) {
+    const state = createTestState(game);
+    state.prestige = prestige;
+    const unit = state.addUnit(typeId, 0, new Hex(1, 2));
+    unit.strength = strength;
+    return { state, unit };
+}
+
+test('rebuild costs cover half the missing strength', () => {
+    const { unit } = createDamagedUnit('infantry', 4, 0);   // cost 60
+    unit.experience = 2;
+
+    const costs = RebuildSystem.getCosts(unit);
+
+    assert.equal(costs.totalMissing, 6);
+    assert.equal(costs.missingStrength, 3);
+    assert.equal(costs.withExp, 18);
+    assert.equal(costs.cheap, 9);
+    assert.equal(costs.costPerStrength, 6);
+    assert.equal(costs.costPerStrengthCheap, 3);
+    assert.ok(Math.abs(costs.expLoss - 0.6) < 1e-9);
+});
+
+test('affordable rebuild is capped by prestige and by half the missing strength', () => {
+    const { unit } = createDamagedUnit('infantry', 4, 0);
+
+    const full = RebuildSystem.getAffordableRebuild(unit, 1000, true);
+    assert.equal(full.affordableStrength, 3);
+    assert.equal(full.cost, 18);
+    assert.equal(full.expLoss, 0);
+
+    const partial = RebuildSystem.getAffordableRebuild(unit, 12, true);
+    assert.equal(partial.affordableStrength, 2);
+    assert.equal(partial.cost, 12);
+
+    const broke = RebuildSystem.getAffordableRebuild(unit, 0, true);
+    assert.equal(broke.affordableStrength, 0);
+    assert.equal(broke.cost, 0);
+});
+
+test('rebuilding with experience restores strength and costs the unit its turn', () => {
+    const { state, unit } = createDamagedUnit('infantry', 4, 100);
+    unit.experience = 2;
+    unit.entrenchment = 3;
+    unit.turnsStationary = 2;
+
+    const result = RebuildSystem.rebuild(state, unit, true);
+
+    assert.ok(result.success);
+    assert.equal(result.cost, 18);
+    assert.equal(result.strengthGained, 3);
+    assert.equal(result.expLost, 0);
+    assert.equal(result.ammoGained, 0);
+    assert.equal(unit.strength, 7);
+    assert.equal(unit.experience, 2);
+    assert.equal(state.prestige, 82);
+    assert.ok(unit.hasMoved);
+    assert.ok(unit.hasAttacked);
+    assert.equal(unit.entrenchment, 0);
+    assert.equal(unit.turnsStationary, 0);
+});
+
+test('a cheap rebuild halves the cost and loses experience', () => {
+    const { state, unit } = createDamagedUnit('infantry', 4, 100);
+    unit.experience = 2;
+
+    const result = RebuildSystem.rebuild(state, unit, false);
+
+    assert.ok(result.success);
+    assert.equal(result.cost, 9);
+    assert.equal(unit.strength, 7);
+    assert.ok(Math.abs(unit.experience - 1.4) < 1e-9);
+    assert.equal(state.prestige, 91);
+});
+
+test('rebuilding a trebuchet gives back one ammo', () => {
+    const { state, unit } = createDamagedUnit('trebuchet', 6, 100);
+    unit.ammo = 3;
+
+    const result = RebuildSystem.rebuild(state, unit, true);
+
+    assert.ok(result.success);
+    assert.equal(result.ammoGained, 1);
+    assert.equal(unit.ammo, 4);
+});
+
+test('rebuild is refused for full, acted, broke or engaged units', () => {
+    const full = createDamagedUnit('infantry', 10, 100);
+    assert.equal(RebuildSystem.rebuild(full.state, full.unit, true).success, false);
+
+    const acted = createDamagedUnit('infantry', 4, 100);
+    acted.unit.hasMoved = true;
+    assert.equal(RebuildSystem.rebuild(acted.state, acted.unit, true).success, false);
+
+    const broke = createDamagedUnit('infantry', 4, 0);
+    const result = RebuildSystem.rebuild(broke.state, broke.unit, true);
+    assert.equal(result.success, false);
+    assert.ok(result.insufficientFunds);
+
+    const engaged = createDamagedUnit('infantry', 4, 100);
+    engaged.state.addUnit('infantry', 1, new Hex(2, 2));
+    assert.equal(RebuildSystem.canRebuild(engaged.state, engaged.unit), false);
+    assert.equal(RebuildSystem.getCannotRebuildReason(engaged.state, engaged.unit),
+        'Cannot rebuild in enemy Zone of Control');
+});
+
+test('ammo costs 8 prestige and only full-strength units can buy it', () => {
+    const { state, unit } = createDamagedUnit('trebuchet', 10, 20);
+    unit.ammo = 5;
+
+    const result = RebuildSystem.buyAmmo(state, unit);
+
+    assert.ok(result.success);
+    assert.equal(result.cost, 8);
+    assert.equal(unit.ammo, 6);
+    assert.equal(state.prestige, 12);
+    assert.ok(unit.hasMoved && unit.hasAttacked);
+
+    const damaged = createDamagedUnit('trebuchet', 9, 20);
+    damaged.unit.ammo = 5;
+    assert.equal(RebuildSystem.canBuyAmmo(damaged.state, damaged.unit), false);
+
+    const infantry = createDamagedUnit('infantry', 10, 20);
+    assert.equal(RebuildSystem.canBuyAmmo(infantry.state, infantry.unit), false);
+});
+
+test('battle prestige is experience × 25, and nothing for ranged attackers', () => {
+    assert.equal(RebuildSystem.calculateBattlePrestige(0.5), 13);
+    assert.equal(RebuildSystem.calculateBattlePrestige(1), 25);
+    assert.equal(RebuildSystem.calculateBattlePrestige(1, true), 0);
+});
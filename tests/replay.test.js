@@ -0,0 +1,146 @@
+/**
+ * Replay recording and playback
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./harness');
+
+const game = loadGame();
+const { Hex, GameState, GamePhase, GameEngine, ReplayPlayer } = game;
+
+/**
+ * Play a few days of level 1: every unit heads for the enemy castle,
+ * attacking whatever is in the way
+ * @param {number} days - Days to play
+ * @returns {GameEngine}
+ */
+function playLevel1(days) {
+    const state = GameState.create('Replay', 1, { seed: 11 });
+    const engine = new GameEngine(state);
+    const castle = new Hex(10, 2);
+
+    while (state.phase === GamePhase.PLACEMENT) {
+        engine.placeUnit(state.getValidPlacementHexes()[0]);
+    }
+
+    for (let day = 0; day < days && state.phase === GamePhase.MOVEMENT; day++) {
+        for (const unit of state.units.getPlayerUnits(0)) {
+            if (!unit.canMove() || state.phase !== GamePhase.MOVEMENT) continue;
+            const moves = state.getValidMovementHexes(unit);
+            if (moves.length === 0) continue;
+            moves.sort((a, b) => a.distanceTo(castle) - b.distanceTo(castle));
+            engine.moveUnit(unit.id, moves[0]);
+        }
+        engine.endTurn();
+    }
+    return engine;
+}
+
+/**
+ * Units as comparable text: id, hex and strength
+ * @param {GameState} state
+ * @returns {string}
+ */
+function describeUnits(state) {
+    return state.units.getAllUnits()
+        .map(unit => `${unit.id}@${unit.hex.key}:${unit.strength}`)
+        .sort()
+        .join(' ');
+}
+
+test('the recorder keeps the seed, the starting state and every command', () => {
+    const engine = playLevel1(3);
+    const replay = JSON.parse(JSON.stringify(engine.replay));
+
+    assert.equal(replay.format, 'puddy-replay');
+    assert.equal(replay.seed, 11);
+    assert.equal(replay.levelId, 1);
+    assert.equal(replay.initialState.phase, GamePhase.PLACEMENT);
+    assert.equal(replay.commands[0].command.type, 'place');
+    assert.ok(replay.commands.some(entry => entry.command.type === 'move'));
+    assert.equal(replay.commands.filter(entry => entry.command.type === 'end_turn').length, 3);
+});
+
+test('playing a replay to the end gives the recorded game', () => {
+    const engine = playLevel1(6);
+    const player = ReplayPlayer.fromJSON(JSON.parse(JSON.stringify(engine.replay)));
+
+    player.seek(player.length);
+
+    assert.equal(describeUnits(player.state), describeUnits(engine.state));
+    assert.equal(player.state.turn, engine.state.turn);
+    assert.equal(player.state.prestige, engine.state.prestige);
+    assert.equal(player.state.capturedCastles.length, engine.state.capturedCastles.length);
+});
+
+test('enemy moves and battles are in the replay', () => {
+    // Level 3: the horde rides for the player's castles
+    const state = GameState.create('Replay', 3, { seed: 11 });
+    const engine = new GameEngine(state);
+    state.prestige = 400;
+    for (let i = 0; i < 3; i++) {
+        engine.purchaseUnit('infantry');
+    }
+    while (state.phase === GamePhase.PLACEMENT) {
+        engine.placeUnit(state.getValidPlacementHexes()[0]);
+    }
+    for (let day = 0; day < 6 && state.phase === GamePhase.MOVEMENT; day++) {
+        engine.endTurn();
+    }
+
+    const events = engine.replay.commands.flatMap(entry => entry.events);
+    assert.ok(events.some(event => event.type === 'unit_moved' && event.playerId === 1));
+    assert.ok(events.some(event => event.type === 'battle'));
+
+    const player = ReplayPlayer.fromJSON(JSON.parse(JSON.stringify(engine.replay)));
+    player.seek(player.length);
+    assert.equal(describeUnits(player.state), describeUnits(state));
+    assert.equal(player.state.lostCastles.length, state.lostCastles.length);
+});
+
+test('stepping back and forward shows the same game', () => {
+    const engine = playLevel1(4);
+    const player = ReplayPlayer.fromJSON(JSON.parse(JSON.stringify(engine.replay)));
+
+    player.seek(10);
+    const atTen = describeUnits(player.state);
+    player.stepForward();
+    player.stepForward();
+    player.stepBack();
+    player.stepBack();
+
+    assert.equal(player.position, 10);
+    assert.equal(describeUnits(player.state), atTen);
+    assert.equal(player.stepBack(), true);
+    assert.equal(player.position, 9);
+});
+
+test('day jumps land at the start of a day', () => {
+    const engine = playLevel1(4);
+    const player = ReplayPlayer.fromJSON(JSON.parse(JSON.stringify(engine.replay)));
+
+    assert.ok(player.nextTurn());
+    assert.equal(player.getCurrentEvent().type, 'turn_started');
+    assert.equal(player.state.turn, 2);
+
+    assert.ok(player.nextTurn());
+    assert.equal(player.state.turn, 3);
+
+    assert.ok(player.previousTurn());
+    assert.equal(player.state.turn, 2);
+    assert.equal(player.getCurrentEvent().type, 'turn_started');
+
+    assert.ok(player.previousTurn());
+    assert.equal(player.position, 0);
+    assert.equal(player.previousTurn(), false);
+});
+
+test('replays the viewer cannot read are refused', () => {
+    const data = JSON.parse(JSON.stringify(playLevel1(1).replay));
+
+    assert.equal(ReplayPlayer.fromJSON(null), null);
+    assert.equal(ReplayPlayer.fromJSON({ format: 'something-else' }), null);
+    assert.equal(ReplayPlayer.fromJSON({ ...data, version: data.version + 1 }), null);
+    assert.ok(ReplayPlayer.fromJSON(data));
+});
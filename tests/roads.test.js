@@ -0,0 +1,142 @@
+/**
+ * Road routing: round impassable ground, over rivers at one bridge, joining roads already laid
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./harness');
+
+const game = loadGame();
+const { LevelManager, LevelValidator, PriorityQueue, Hex, TerrainType, EdgeFeature, TERRAIN_PROPERTIES, createHexField, findRoadPath, roadEdgeKey, Level1 } = game;
+
+/**
+ * A hex from level coordinates
+ */
+function at(q, vRow) {
+    return new Hex(q, LevelManager.vRowToR(q, vRow));
+}
+
+// Hexes as "q,vRow" for comparing paths
+function describePath(path) {
+    return path.map(hex => `${hex.q},${hex.q / 2 + hex.r}`).join(' ');
+}
+
+// Every step of a path goes to a neighbouring hex
+function assertConnected(path) {
+    for (let i = 1; i < path.length; i++) {
+        assert.equal(path[i].distanceTo(path[i - 1]), 1, describePath(path));
+    }
+}
+
+/**
+ * A grass map with a mountain wall across column 10, open only at vRow 12
+ */
+function walledMap() {
+    const map = createHexField(20, 15);
+    for (const cell of map.getAllCells()) {
+        const vRow = cell.hex.q / 2 + cell.hex.r;
+        if (cell.hex.q === 10 && vRow !== 12) {
+            cell.terrain = TerrainType.MOUNTAIN;
+        }
+    }
+    return map;
+}
+
+test('the priority queue hands out the lowest priority first, ties in order', () => {
+    const queue = new PriorityQueue();
+    const priorities = [5, 1, 4, 1, 9, 2, 6, 5, 3, 5];
+    priorities.forEach((priority, i) => queue.push(`${priority}:${i}`, priority));
+
+    const out = [];
+    while (!queue.isEmpty()) {
+        out.push(queue.pop());
+    }
+    assert.equal(out.join(' '), '1:1 1:3 2:5 3:8 4:2 5:0 5:7 5:9 6:6 9:4');
+    assert.equal(queue.pop(), undefined);
+});
+
+test('a road goes round a mountain wall through its gap', () => {
+    const map = walledMap();
+    const path = findRoadPath(map, at(5, 3), at(15, 3));
+
+    assertConnected(path);
+    assert.ok(path[0].equals(at(5, 3)) && path[path.length - 1].equals(at(15, 3)));
+    assert.ok(path.every(hex => !TERRAIN_PROPERTIES[map.getCell(hex).terrain].impassable), describePath(path));
+    assert.ok(path.some(hex => hex.equals(at(10, 12))), describePath(path));
+});
+
+test('a road boxed in by mountains still reaches its end', () => {
+    const map = createHexField(20, 15);
+    for (const hex of at(10, 7).neighbors()) {
+        map.getCell(hex).terrain = TerrainType.MOUNTAIN;
+    }
+    const path = findRoadPath(map, at(3, 7), at(10, 7));
+
+    assertConnected(path);
+    assert.ok(path[path.length - 1].equals(at(10, 7)));
+    assert.equal(path.filter(hex => map.getCell(hex).terrain === TerrainType.MOUNTAIN).length, 1);
+});
+
+test('a road crosses a river once, on a bridge', () => {
+    const level = {
+        ...JSON.parse(JSON.stringify(Level1)),
+        id: 101,
+        riverPath: Array.from({ length: 15 }, (_, vRow) => ({ q: 10, vRow: vRow })),
+        customRoads: [{ from: { q: 3, vRow: 2 }, to: { q: 17, vRow: 12 } }]
+    };
+    delete level.terrainRegions;
+    delete level.mountainsUpperRight;
+    delete level.hillsBottomRight;
+    level.forests = [];
+
+    const map = LevelManager.createMapFromLevel(level);
+    const [path] = LevelManager.getRoadPaths(map, level);
+    assertConnected(path);
+
+    const riverHexes = path.filter(hex => map.getCell(hex).terrain === TerrainType.RIVER);
+    assert.equal(riverHexes.length, 1, describePath(path));
+    const i = path.indexOf(riverHexes[0]);
+    for (const [from, to] of [[path[i - 1], path[i]], [path[i], path[i + 1]]]) {
+        const dir = [0, 1, 2, 3, 4, 5].find(d => from.neighbor(d).equals(to));
+        assert.equal(map.getCell(from).getEdge(dir), EdgeFeature.BRIDGE);
+    }
+});
+
+test('a second road joins the first instead of running beside it', () => {
+    const map = createHexField(20, 15);
+    const roads = new Set();
+    const first = LevelManager.traceRoad(map, [at(2, 7), at(18, 7)], roads);
+    const second = LevelManager.traceRoad(map, [at(2, 9), at(18, 9)], roads);
+
+    const shared = second.slice(1).filter((hex, i) => roads.has(roadEdgeKey(second[i], hex)) &&
+        first.some(other => other.equals(hex)));
+    assert.ok(shared.length >= 10, describePath(second));
+});
+
+test('a custom road passes through its waypoints', () => {
+    const level = {
+        ...JSON.parse(JSON.stringify(Level1)),
+        id: 101,
+        customRoads: [{ from: { q: 10, vRow: 7 }, via: [{ q: 4, vRow: 12 }, { q: 8, vRow: 13 }], to: { q: 16, vRow: 12 } }]
+    };
+    assert.equal(LevelValidator.validate(level).join('\n'), '');
+
+    const map = LevelManager.createMapFromLevel(level);
+    const [path] = LevelManager.getRoadPaths(map, level);
+    assertConnected(path);
+    const stops = [at(10, 7), at(4, 12), at(8, 13), at(16, 12)];
+    const indices = stops.map(stop => path.findIndex(hex => hex.equals(stop)));
+    assert.equal(indices[0], 0);
+    assert.equal(indices[3], path.length - 1);
+    assert.ok(indices[1] > 0 && indices[2] > indices[1], describePath(path));
+});
+
+test('a waypoint off the map is reported', () => {
+    const level = {
+        ...JSON.parse(JSON.stringify(Level1)),
+        id: 101,
+        customRoads: [{ from: { q: 10, vRow: 7 }, via: [{ q: 40, vRow: 3 }], to: { q: 0, vRow: 2 } }]
+    };
+
+    assert.equal(LevelValidator.validate(level).join('\n'), 'customRoads[0].via[0]: (q 40, vRow 3) is outside the map');
+});
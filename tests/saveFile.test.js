@@ -0,0 +1,79 @@
+/**
+ * Exporting and importing .puddy.json save files
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./harness');
+
+const game = loadGame();
+const { GameState, GameStorage, SAVE_FILE_VERSION } = game;
+
+/**
+ * Export a game to save file text, as the download does
+ * @param {GameState} state
+ * @returns {string}
+ */
+function exportText(state) {
+    return JSON.stringify(GameStorage.exportGame(state));
+}
+
+test('an exported game imports as the same game', () => {
+    const state = GameState.create('Export test', 2, { seed: 11 });
+    state.prestige = 123;
+    state.capturedCastles.push('10,2');
+
+    const result = GameStorage.importGame(exportText(state));
+
+    assert.ok(result.success);
+    assert.ok(result.gameState instanceof GameState);
+    assert.equal(JSON.stringify(result.gameState), JSON.stringify(state));
+});
+
+test('the save file is versioned and named after the game', () => {
+    const state = GameState.create('My Campaign!', 1, { seed: 3 });
+
+    const data = GameStorage.exportGame(state);
+
+    assert.equal(data.format, 'puddy-save');
+    assert.equal(data.version, SAVE_FILE_VERSION);
+    assert.equal(GameStorage.getExportFileName(state), 'my-campaign--level1-day1.puddy.json');
+});
+
+test('files that are not save files are refused', () => {
+    const notJSON = GameStorage.importGame('{"format": "puddy-save", "vers');
+    assert.equal(notJSON.success, false);
+    assert.match(notJSON.error, /not valid JSON/);
+
+    const replay = GameStorage.importGame(JSON.stringify({ format: 'puddy-replay', version: 1 }));
+    assert.equal(replay.success, false);
+    assert.match(replay.error, /not a Puddy General save file/);
+});
+
+test('a save file from a newer version is refused', () => {
+    const data = GameStorage.exportGame(GameState.create('Future', 1, { seed: 3 }));
+    data.version = SAVE_FILE_VERSION + 1;
+
+    const result = GameStorage.importGame(JSON.stringify(data));
+
+    assert.equal(result.success, false);
+    assert.match(result.error, new RegExp(`version ${SAVE_FILE_VERSION + 1}`));
+});
+
+test('corrupt game data is refused with the reason', () => {
+    const state = GameState.create('Corrupt', 1, { seed: 3 });
+
+    const unknownUnit = JSON.parse(exportText(state));
+    unknownUnit.game.units[0].typeId = 'dragon';
+    const result = GameStorage.importGame(JSON.stringify(unknownUnit));
+    assert.equal(result.success, false);
+    assert.match(result.error, /unknown unit type "dragon"/);
+
+    const noMap = JSON.parse(exportText(state));
+    delete noMap.game.map;
+    assert.match(GameStorage.importGame(JSON.stringify(noMap)).error, /missing map/);
+
+    const badTerrain = JSON.parse(exportText(state));
+    badTerrain.game.map.cells[0].terrain = 'lava';
+    assert.match(GameStorage.importGame(JSON.stringify(badTerrain)).error, /unknown terrain "lava"/);
+});
@@ -0,0 +1,160 @@
+/**
+ * Save versions and the migration chain
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./harness');
+
+const game = loadGame();
+const { GameState, GameStorage, SaveMigrations, Hex, SAVE_MIGRATIONS, SAVE_VERSION } = game;
+
+/**
+ * Current save data for a new game
+ * @returns {Object}
+ */
+function createSave() {
+    return JSON.parse(JSON.stringify(GameState.create('Migration test', 1, { seed: 5 })));
+}
+
+/**
+ * Save data the way builds before versioning wrote it: no version, no RNG,
+ * and none of the fields that were added later
+ * @returns {Object}
+ */
+function createUnversionedSave() {
+    const data = createSave();
+    for (const key of ['saveVersion', 'rng', 'turnsRemaining', 'prestige', 'gameMode',
+        'playerCastleKeys', 'lostCastles', 'hordeState', 'deploymentZone']) {
+        delete data[key];
+    }
+    delete data.map.riverPath;
+    delete data.map.width;
+    delete data.map.height;
+    for (const cell of data.map.cells) {
+        delete cell.edges;
+        delete cell.visibility;
+    }
+    for (const unit of data.units) {
+        delete unit.turnsStationary;
+        delete unit.isAuxiliary;
+    }
+    return data;
+}
+
+test('every version from 1 to SAVE_VERSION has one migration, in order', () => {
+    assert.equal(SAVE_MIGRATIONS.map(migration => migration.version).join(),
+        Array.from({ length: SAVE_VERSION }, (_, i) => i + 1).join());
+});
+
+test('saves are written with the current version', () => {
+    assert.equal(createSave().saveVersion, SAVE_VERSION);
+});
+
+test('an unversioned save is upgraded step by step and loads', () => {
+    const data = createUnversionedSave();
+    const original = JSON.stringify(data);
+
+    const migration = SaveMigrations.migrate(data);
+
+    assert.ok(migration.success);
+    assert.equal(migration.data.saveVersion, SAVE_VERSION);
+    assert.equal(JSON.stringify(data), original, 'the original data is not changed');
+
+    const state = GameState.fromJSON(data);
+    assert.equal(state.turnsRemaining, state.turnLimit);
+    assert.equal(state.prestige, 150);
+    assert.equal(state.gameMode, 'offense');
+    assert.equal(state.lostCastles.length, 0);
+    assert.equal(state.map.riverPath.length, 0);
+    assert.equal(`${state.map.width}x${state.map.height}`, '20x15');
+    assert.ok(state.getValidPlacementHexes().length > 0);
+    assert.equal(state.map.getAllCells()[0].edges.length, 6);
+    assert.equal(state.map.getAllCells()[0].visibility, 'visible');
+    for (const unit of state.units.getAllUnits()) {
+        assert.equal(unit.turnsStationary, 0);
+        assert.equal(unit.isAuxiliary, false);
+    }
+    assert.equal(typeof state.rng.next(), 'number');
+});
+
+test('only the migrations after the save version run', () => {
+    const data = createSave();
+    data.saveVersion = 1;
+    delete data.rng;
+    delete data.prestige;
+
+    const migration = SaveMigrations.migrate(data);
+
+    assert.ok(migration.success);
+    assert.equal(migration.data.saveVersion, SAVE_VERSION);
+    assert.equal(typeof migration.data.rng.state, 'number');
+    // Version 1 defaults are not applied again
+    assert.equal(migration.data.prestige, undefined);
+});
+
+test('a version 3 save deploys where its game mode always did', () => {
+    const data = JSON.parse(JSON.stringify(GameState.create('Defense', 3, { seed: 5 })));
+    data.saveVersion = 3;
+    delete data.deploymentZone;
+    delete data.map.width;
+    delete data.map.height;
+
+    const state = GameState.fromJSON(data);
+
+    const columns = new Set(state.getValidPlacementHexes().map(hex => hex.q));
+    assert.equal([...columns].sort((a, b) => a - b).join(), '12,13,14,15,16,17,18,19');
+    assert.equal(state.map.isPlayable(new Hex(19, 0)), true);
+    assert.equal(state.map.isPlayable(new Hex(20, 0)), false);
+});
+
+test('a version 5 save is played on normal difficulty', () => {
+    const data = JSON.parse(JSON.stringify(GameState.create('Hard', 1, { seed: 5, difficulty: 'hard' })));
+    data.saveVersion = 5;
+    delete data.difficulty;
+
+    assert.equal(GameState.fromJSON(data).difficulty, 'normal');
+});
+
+test('a version 6 save has paid for the castles it holds', () => {
+    const data = createSave();
+    data.saveVersion = 6;
+    data.capturedCastles = ['10,2'];
+    delete data.castlesEverCaptured;
+
+    assert.equal(GameState.fromJSON(data).castlesEverCaptured.join(' '), '10,2');
+});
+
+test('a current save passes through unchanged', () => {
+    const data = createSave();
+
+    const migration = SaveMigrations.migrate(data);
+
+    assert.ok(migration.success);
+    assert.equal(migration.data, data);
+});
+
+test('a save from a newer version is refused, not half-loaded', () => {
+    const data = createSave();
+    data.saveVersion = SAVE_VERSION + 1;
+
+    const migration = SaveMigrations.migrate(data);
+    assert.equal(migration.success, false);
+    assert.match(migration.error, /newer version/);
+
+    assert.throws(() => GameState.fromJSON(data), /newer version/);
+
+    const file = GameStorage.exportGame(GameState.create('File', 1, { seed: 5 }));
+    file.game.saveVersion = SAVE_VERSION + 1;
+    const result = GameStorage.importGame(JSON.stringify(file));
+    assert.equal(result.success, false);
+    assert.match(result.error, /Update the game/);
+});
+
+test('a save with a nonsense version is refused', () => {
+    const data = createSave();
+    data.saveVersion = 'two';
+
+    assert.equal(SaveMigrations.migrate(data).success, false);
+    assert.equal(SaveMigrations.migrate(null).success, false);
+});
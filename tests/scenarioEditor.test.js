@@ -0,0 +1,167 @@
+/**
+ * Scenario editor: painting a level and playing what was painted
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./harness');
+
+const game = loadGame();
+const { ScenarioEditor, EditorTool, LevelManager, LevelValidator, GameState, TerrainType, EdgeFeature, Level1, Level3 } = game;
+
+/**
+ * A hex from level coordinates
+ */
+function at(q, vRow) {
+    return ScenarioEditor.toHex({ q: q, vRow: vRow });
+}
+
+/**
+ * The edge feature between two neighbouring hexes
+ */
+function edgeBetween(map, from, to) {
+    for (let dir = 0; dir < 6; dir++) {
+        if (from.neighbor(dir).equals(to)) {
+            return map.getCell(from).getEdge(dir);
+        }
+    }
+    return null;
+}
+
+// Terrain and edges of every cell, for comparing maps
+function describeMap(map) {
+    return map.getAllCells().map(cell => `${cell.hex.key} ${cell.terrain} ${cell.edges.join('/')}`).join('\n');
+}
+
+test('a level opened in the editor keeps its map', () => {
+    const editor = new ScenarioEditor(Level1);
+
+    assert.equal(describeMap(editor.state.map), describeMap(LevelManager.createMapFromLevel(Level1)));
+    assert.equal(editor.level.customRoads, undefined);
+    assert.ok(editor.level.roadPaths.length > 0);
+    assert.equal(editor.validate().join('\n'), '');
+});
+
+test('painted terrain shows in the preview and in the level', () => {
+    const editor = new ScenarioEditor();
+
+    const result = editor.apply(at(5, 5), { type: EditorTool.TERRAIN, terrain: TerrainType.HILL });
+
+    assert.ok(result.success);
+    assert.equal(editor.state.map.getCell(at(5, 5)).terrain, TerrainType.HILL);
+    assert.equal(LevelManager.createMapFromLevel(editor.toLevel()).getCell(at(5, 5)).terrain, TerrainType.HILL);
+});
+
+test('a road drawn over the river becomes a bridge', () => {
+    const editor = new ScenarioEditor();
+    for (const vRow of [3, 4, 5, 6, 7]) {
+        assert.ok(editor.apply(at(6, vRow), { type: EditorTool.RIVER }).success);
+    }
+
+    const road = [at(4, 5), at(5, 5), at(6, 5), at(7, 5)];
+    for (const hex of road) {
+        editor.apply(hex, { type: EditorTool.ROAD });
+    }
+
+    const map = editor.state.map;
+    assert.equal(edgeBetween(map, road[0], road[1]), EdgeFeature.ROAD);
+    assert.equal(edgeBetween(map, road[1], road[2]), EdgeFeature.BRIDGE);
+    assert.equal(edgeBetween(map, road[2], road[3]), EdgeFeature.BRIDGE);
+    assert.equal(editor.level.roadPaths.length, 1);
+});
+
+test('the river only grows from its end', () => {
+    const editor = new ScenarioEditor();
+    editor.apply(at(6, 3), { type: EditorTool.RIVER });
+    editor.apply(at(6, 4), { type: EditorTool.RIVER });
+
+    const result = editor.apply(at(9, 9), { type: EditorTool.RIVER });
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'The river must carry on next to its end at (q 6, vRow 4).');
+
+    // Clicking the end takes it back
+    assert.ok(editor.apply(at(6, 4), { type: EditorTool.RIVER }).success);
+    assert.equal(editor.level.riverPath.length, 1);
+});
+
+test('castles to capture follow the enemy castles while all of them are asked for', () => {
+    const editor = new ScenarioEditor();
+    editor.apply(at(14, 4), { type: EditorTool.CASTLE, side: 'enemy' });
+    editor.apply(at(14, 9), { type: EditorTool.CASTLE, side: 'enemy' });
+    assert.equal(editor.level.castlesToCapture, 2);
+
+    editor.setOption('castlesToCapture', 1);
+    editor.apply(at(16, 7), { type: EditorTool.CASTLE, side: 'enemy' });
+    assert.equal(editor.level.castlesToCapture, 1);
+
+    // Clicking a castle again pulls it down; the other side's click takes it over
+    editor.apply(at(16, 7), { type: EditorTool.CASTLE, side: 'enemy' });
+    editor.apply(at(14, 9), { type: EditorTool.CASTLE, side: 'player' });
+    assert.equal(editor.level.castles.enemy.length, 1);
+    assert.equal(editor.level.castles.player.length, 1);
+    assert.equal(editor.state.map.getCell(at(14, 9)).terrain, TerrainType.CASTLE);
+});
+
+test('units can\'t be placed on mountains, and painting a mountain clears them', () => {
+    const editor = new ScenarioEditor();
+    const cavalry = { type: EditorTool.UNIT, side: 'enemy', typeId: 'cavalry', strength: 7 };
+    editor.apply(at(10, 6), cavalry);
+    assert.equal(editor.state.getUnitAt(at(10, 6)).strength, 7);
+
+    editor.apply(at(10, 6), { type: EditorTool.TERRAIN, terrain: TerrainType.MOUNTAIN });
+    assert.equal(editor.level.enemyUnits.length, 0);
+
+    const result = editor.apply(at(10, 6), cavalry);
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Units can\'t stand on mountain.');
+});
+
+test('erasing a hex in the middle of a road splits it', () => {
+    const editor = new ScenarioEditor();
+    for (const q of [3, 4, 5, 6, 7]) {
+        editor.apply(at(q, 8 + (q % 2) / 2), { type: EditorTool.ROAD });
+    }
+    editor.apply(at(5, 8.5), { type: EditorTool.ERASE });
+
+    assert.equal(editor.level.roadPaths.map(path => path.length).join(), '2,2');
+    assert.equal(edgeBetween(editor.state.map, at(4, 8), at(5, 8.5)), EdgeFeature.NONE);
+});
+
+test('a defense scenario sends its horde at the nearest castles', () => {
+    const editor = new ScenarioEditor(Level3);
+    const level = editor.toLevel();
+
+    assert.equal(LevelValidator.validate(level).join('\n'), '');
+    assert.equal(level.castlesToDefend, Level3.castles.player.length);
+    assert.equal(level.hordeConfig.mainForceUnits.length + level.hordeConfig.raiderUnits.length,
+        Level3.enemyUnits.length);
+});
+
+test('a painted scenario can be played', () => {
+    const editor = new ScenarioEditor();
+    editor.apply(at(15, 7), { type: EditorTool.CASTLE, side: 'enemy' });
+    editor.apply(at(15, 8), { type: EditorTool.UNIT, side: 'enemy', typeId: 'infantry' });
+    editor.setOption('name', 'Hill Fort');
+    editor.setOption('playerUnitsToPlace', 2);
+
+    const result = LevelManager.addCustomLevel(editor.toLevel());
+    assert.ok(result.success, result.errors && result.errors.join('\n'));
+
+    const state = GameState.create('Custom', result.level.id, { seed: 5 });
+    assert.equal(state.totalCastles, 1);
+    assert.equal(state.unitsToPlace, 2);
+    assert.equal(state.units.getPlayerUnits(1).length, 1);
+    assert.equal(state.map.getCell(at(15, 7)).terrain, TerrainType.CASTLE);
+});
+
+test('shrinking the map reports what falls off it', () => {
+    const editor = new ScenarioEditor();
+    editor.apply(at(15, 7), { type: EditorTool.CASTLE, side: 'enemy' });
+
+    editor.setOption('mapWidth', 12);
+
+    assert.equal(editor.state.map.width, 12);
+    assert.equal(editor.state.map.hasCell(at(15, 7)), false);
+    assert.equal(editor.validate().join('\n'), 'castles.enemy[0]: (q 15, vRow 7.5) is outside the map');
+});
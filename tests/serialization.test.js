@@ -0,0 +1,91 @@
+/**
+ * toJSON / fromJSON round trips for everything that goes into a save
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./harness');
+
+const game = loadGame();
+const { Hex, Unit, UnitManager, HexMap, HexCell, EdgeFeature, TerrainType, GameState, SeededRandom } = game;
+
+/**
+ * Serialize through a JSON string, the way saves are stored
+ * @param {Object} value - Anything with a toJSON method
+ * @returns {Object} Plain parsed data
+ */
+function roundTrip(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+test('a unit survives a round trip', () => {
+    const unit = new Unit('trebuchet', 1, new Hex(4, 3));
+    unit.strength = 6;
+    unit.ammo = 2;
+    unit.experience = 1.5;
+    unit.entrenchment = 2;
+    unit.movementRemaining = 1;
+    unit.hasMoved = true;
+    unit.turnsStationary = 3;
+    unit.isAuxiliary = true;
+
+    const copy = Unit.fromJSON(roundTrip(unit));
+
+    assert.ok(copy instanceof Unit);
+    assert.deepEqual(roundTrip(copy), roundTrip(unit));
+    assert.ok(copy.hex.equals(unit.hex));
+});
+
+test('the unit manager keeps every unit', () => {
+    const manager = new UnitManager();
+    manager.addUnit(new Unit('infantry', 0, new Hex(1, 1)));
+    manager.addUnit(new Unit('cavalry', 1, new Hex(5, 2)));
+
+    const copy = UnitManager.fromJSON(roundTrip(manager));
+
+    assert.equal(copy.getAllUnits().length, 2);
+    assert.equal(copy.getUnitAt(new Hex(5, 2)).typeId, 'cavalry');
+    assert.deepEqual(roundTrip(copy), roundTrip(manager));
+});
+
+test('a map keeps terrain and edges', () => {
+    const map = new HexMap();
+    map.addCell(new HexCell(new Hex(0, 0), TerrainType.WOODS));
+    map.addCell(new HexCell(new Hex(1, 0), TerrainType.RIVER));
+    map.setEdgeBetween(new Hex(0, 0), new Hex(1, 0), EdgeFeature.BRIDGE);
+
+    const copy = HexMap.fromJSON(roundTrip(map));
+
+    assert.equal(copy.getCell(new Hex(0, 0)).terrain, TerrainType.WOODS);
+    assert.equal(copy.getCell(new Hex(1, 0)).terrain, TerrainType.RIVER);
+    assert.equal(copy.getCell(new Hex(0, 0)).getEdge(0), EdgeFeature.BRIDGE);
+    assert.deepEqual(roundTrip(copy), roundTrip(map));
+});
+
+test('a seeded RNG continues the same sequence after a round trip', () => {
+    const rng = new SeededRandom(42);
+    rng.next();
+    rng.next();
+
+    const copy = SeededRandom.fromJSON(roundTrip(rng));
+
+    for (let i = 0; i < 5; i++) {
+        assert.equal(copy.next(), rng.next());
+    }
+});
+
+test('every level survives a game state round trip', () => {
+    for (const levelId of [1, 2, 3]) {
+        const state = GameState.create('Round trip', levelId, { seed: 7 });
+        state.prestige = 321;
+        state.turnsRemaining = 4;
+        state.capturedCastles.push('10,2');
+
+        const data = roundTrip(state);
+        const copy = GameState.fromJSON(data);
+
+        assert.deepEqual(roundTrip(copy), data, `level ${levelId}`);
+        assert.equal(copy.units.getAllUnits().length, state.units.getAllUnits().length);
+        assert.equal(copy.rng.next(), state.rng.next());
+    }
+});
@@ -0,0 +1,145 @@
+/**
+ * Random skirmishes: the same seed gives the same battle, and every battle is playable
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./harness');
+
+const game = loadGame();
+const { SkirmishGenerator, LevelManager, LevelValidator, GameState, ScenarioEditor, TerrainType, EdgeFeature } = game;
+
+const SETTINGS = [
+    {},
+    { mapWidth: 12, mapHeight: 8, castles: 1 },
+    { mapWidth: 40, mapHeight: 30, castles: 6, mountainChains: 6, forestDensity: 1 },
+    { river: false, mountainChains: 0, forestDensity: 0 }
+];
+
+/**
+ * A skirmish that must generate
+ */
+function generate(options) {
+    const result = SkirmishGenerator.generate({ id: 100, ...options });
+    assert.ok(result.success, result.errors && result.errors.join('\n'));
+    return result.level;
+}
+
+test('the same seed and settings give the same skirmish', () => {
+    const first = generate({ seed: 1234, castles: 4 });
+    const second = generate({ seed: 1234, castles: 4 });
+    const other = generate({ seed: 1235, castles: 4 });
+
+    assert.equal(JSON.stringify(first), JSON.stringify(second));
+    assert.notEqual(JSON.stringify(first), JSON.stringify(other));
+    assert.match(first.description, /seed 1234/);
+});
+
+test('settings are kept inside their limits', () => {
+    const settings = SkirmishGenerator.getSettings({ mapWidth: 500, castles: 0, forestDensity: -1, seed: 7 });
+
+    assert.equal(settings.mapWidth, 40);
+    assert.equal(settings.castles, 1);
+    assert.equal(settings.forestDensity, 0);
+    assert.equal(settings.mapHeight, 15);
+    assert.equal(settings.river, true);
+    assert.equal(settings.seed, 7);
+});
+
+test('generated skirmishes are valid and playable', () => {
+    for (const options of SETTINGS) {
+        for (let seed = 1; seed <= 6; seed++) {
+            const level = generate({ ...options, seed: seed });
+            const label = `${JSON.stringify(options)} seed ${seed}`;
+
+            assert.equal(LevelValidator.validate(level).join('\n'), '', label);
+            assert.equal(SkirmishGenerator.checkPlayability(level).join('\n'), '', label);
+            assert.equal(level.castles.enemy.length, SkirmishGenerator.getSettings(options).castles, label);
+            assert.equal(level.riverPath.length > 0, options.river !== false, label);
+        }
+    }
+});
+
+test('the river runs unbroken from the top of the map to the bottom', () => {
+    const level = generate({ seed: 99 });
+    const river = level.riverPath.map(pos => ScenarioEditor.toHex(pos));
+
+    assert.equal(level.riverPath[0].vRow < 1, true);
+    assert.equal(level.riverPath[level.riverPath.length - 1].vRow > level.mapHeight - 1, true);
+    for (let i = 1; i < river.length; i++) {
+        assert.equal(river[i].distanceTo(river[i - 1]), 1, `riverPath[${i}]`);
+    }
+});
+
+test('roads cross the river on bridges', () => {
+    let crossings = 0;
+    for (let seed = 1; seed <= 10; seed++) {
+        const level = generate({ seed: seed });
+        const map = LevelManager.createMapFromLevel(level);
+        for (const path of LevelManager.getRoadPaths(map, level)) {
+            for (let i = 1; i < path.length; i++) {
+                if (![path[i - 1], path[i]].some(hex => map.getCell(hex).terrain === TerrainType.RIVER)) continue;
+                crossings++;
+                const dir = [0, 1, 2, 3, 4, 5].find(d => path[i - 1].neighbor(d).equals(path[i]));
+                assert.equal(map.getCell(path[i - 1]).getEdge(dir), EdgeFeature.BRIDGE);
+            }
+        }
+    }
+    assert.ok(crossings > 0, 'no road crossed a river');
+});
+
+test('a castle cut off by mountains is reported', () => {
+    const level = generate({ seed: 3, castles: 1 });
+    const castle = ScenarioEditor.toHex(level.castles.enemy[0]);
+    for (const hex of castle.neighbors()) {
+        level.terrain.push({ ...LevelManager.hexToPosition(hex), terrain: TerrainType.MOUNTAIN });
+    }
+    level.enemyUnits = [];
+
+    const errors = SkirmishGenerator.checkPlayability(level);
+    assert.ok(errors.some(error => error.startsWith('castles.enemy[0]')), errors.join('\n'));
+});
+
+test('a castle the enemy\'s deployment zone can\'t reach is reported', () => {
+    const level = generate({ seed: 3, castles: 1 });
+    // Shrink the enemy's zone to one corner hex and wall it in
+    level.deploymentZones.enemy = { minQ: 0, maxQ: 0, minVRow: 0, maxVRow: 0 };
+    const corner = ScenarioEditor.toHex({ q: 0, vRow: 0 });
+    level.terrain.push({ q: 0, vRow: 0, terrain: TerrainType.GRASS });
+    for (const hex of corner.neighbors()) {
+        level.terrain.push({ ...LevelManager.hexToPosition(hex), terrain: TerrainType.MOUNTAIN });
+    }
+
+    const errors = SkirmishGenerator.checkPlayability(level);
+    assert.ok(errors.some(error => error.startsWith('castles.enemy[0]') && error.endsWith('the enemy\'s deployment zone')),
+        errors.join('\n'));
+    assert.ok(!errors.some(error => error.endsWith('the player\'s deployment zone')), errors.join('\n'));
+});
+
+test('no enemy unit starts next to the player\'s deployment zone', () => {
+    for (let seed = 1; seed <= 10; seed++) {
+        const level = generate({ seed: seed, mapWidth: 12, castles: 3 });
+        const zone = LevelManager.getDeploymentZone(level, 'player');
+        for (const unitDef of level.enemyUnits) {
+            assert.ok(unitDef.q < zone.minQ - 1, `seed ${seed}: ${unitDef.type} at q ${unitDef.q}`);
+        }
+    }
+});
+
+test('settings with no room for the castles are refused', () => {
+    const result = SkirmishGenerator.generate({ id: 100, seed: 1, mapWidth: 12, mapHeight: 8, castles: 6 });
+
+    assert.equal(result.success, false);
+    assert.match(result.errors[0], /no room for 6 castles/);
+});
+
+test('a skirmish starts as a game', () => {
+    const result = LevelManager.addCustomLevel(generate({ seed: 42, id: LevelManager.getFreeLevelId() }));
+    assert.ok(result.success, result.errors && result.errors.join('\n'));
+
+    const state = GameState.create('Skirmish', result.level.id, { seed: 5 });
+    assert.equal(state.totalCastles, 3);
+    assert.equal(state.unitsToPlace, 5);
+    assert.equal(state.units.getPlayerUnits(1).length, result.level.enemyUnits.length);
+    assert.ok(state.getValidPlacementHexes().length >= 5);
+});
@@ -0,0 +1,118 @@
+/**
+ * GameStorage over a storage backend: games, slots, autosaves and moving
+ * saves over from the old single localStorage list
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, MemoryStorage } = require('./harness');
+
+const game = loadGame();
+const { GameState, GameStorage, LocalStorageBackend, CONFIG } = game;
+
+/**
+ * Point GameStorage at a fresh localStorage backend
+ * @param {MemoryStorage} storage
+ */
+async function initStorage(storage = new MemoryStorage()) {
+    await GameStorage.init(new LocalStorageBackend(storage), storage);
+    return storage;
+}
+
+test('games saved as one localStorage list are moved over on first load', async () => {
+    const first = GameState.create('First', 1, { seed: 1 });
+    const second = JSON.parse(JSON.stringify(GameState.create('Second', 2, { seed: 2 })));
+    delete second.saveVersion;
+    const storage = new MemoryStorage({
+        [CONFIG.STORAGE_KEY]: JSON.stringify([first, second]),
+        [CONFIG.CURRENT_GAME_KEY]: second.id
+    });
+
+    await initStorage(storage);
+
+    assert.equal((await GameStorage.getGameList()).length, 2);
+    assert.equal(storage.getItem(CONFIG.STORAGE_KEY), null);
+    assert.equal(storage.getItem(CONFIG.CURRENT_GAME_KEY), null);
+    const current = await GameStorage.loadCurrentGame();
+    assert.equal(current.id, second.id);
+    assert.equal(current.name, 'Second');
+});
+
+test('an unreadable old list is left in place', async () => {
+    const storage = new MemoryStorage({ [CONFIG.STORAGE_KEY]: '[{"id": ' });
+
+    await initStorage(storage);
+
+    assert.equal(storage.getItem(CONFIG.STORAGE_KEY), '[{"id": ');
+    assert.equal(await GameStorage.hasSavedGames(), false);
+});
+
+test('each game is saved as its own record', async () => {
+    const storage = await initStorage();
+    const first = GameState.create('First', 1, { seed: 1 });
+    const second = GameState.create('Second', 1, { seed: 2 });
+
+    assert.ok(await GameStorage.saveGame(first));
+    assert.ok(await GameStorage.saveGame(second));
+    first.prestige = 77;
+    await GameStorage.saveGame(first);
+
+    assert.ok(storage.getItem(`${CONFIG.STORAGE_RECORD_PREFIX}game:${first.id}`));
+    assert.ok(storage.getItem(`${CONFIG.STORAGE_RECORD_PREFIX}game:${second.id}`));
+    assert.equal((await GameStorage.loadGame(first.id)).prestige, 77);
+    assert.equal((await GameStorage.loadCurrentGame()).id, first.id);
+});
+
+test('named slots are listed newest first and saving to a name replaces it', async () => {
+    await initStorage();
+    const state = GameState.create('Slots', 1, { seed: 3 });
+
+    await GameStorage.saveToSlot('Before the river', state);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    state.prestige = 10;
+    await GameStorage.saveToSlot('  Castle assault ', state);
+    state.prestige = 20;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await GameStorage.saveToSlot('Before the river', state);
+
+    const slots = await GameStorage.getSlotList();
+    assert.equal(slots.map(slot => slot.name).join(), 'Before the river,Castle assault');
+    assert.equal(slots[0].data, undefined, 'lists carry metadata only');
+    assert.equal((await GameStorage.loadSave(slots[0].key)).prestige, 20);
+    assert.equal(await GameStorage.saveToSlot('   ', state), false);
+
+    await GameStorage.deleteSave(slots[1].key);
+    assert.equal((await GameStorage.getSlotList()).length, 1);
+});
+
+test('only the last few turns are kept as autosaves', async () => {
+    await initStorage();
+    const state = GameState.create('Autosave', 1, { seed: 4 });
+    const other = GameState.create('Other', 1, { seed: 5 });
+    await GameStorage.autosave(other);
+
+    for (let turn = 1; turn <= CONFIG.AUTOSAVE_TURNS + 2; turn++) {
+        state.turn = turn;
+        await GameStorage.autosave(state);
+    }
+
+    const autosaves = await GameStorage.getAutosaveList(state.id);
+    assert.equal(autosaves.length, CONFIG.AUTOSAVE_TURNS);
+    assert.equal(autosaves[0].turn, CONFIG.AUTOSAVE_TURNS + 2);
+    assert.equal(autosaves[autosaves.length - 1].turn, 3);
+    assert.equal((await GameStorage.loadSave(autosaves[0].key)).turn, CONFIG.AUTOSAVE_TURNS + 2);
+    assert.equal((await GameStorage.getAutosaveList(other.id)).length, 1);
+});
+
+test('deleting a game removes its autosaves and the current game marker', async () => {
+    await initStorage();
+    const state = GameState.create('Doomed', 1, { seed: 6 });
+    await GameStorage.saveGame(state);
+    await GameStorage.autosave(state);
+
+    assert.ok(await GameStorage.deleteGame(state.id));
+
+    assert.equal(await GameStorage.hasSavedGames(), false);
+    assert.equal((await GameStorage.getAutosaveList(state.id)).length, 0);
+    assert.equal(await GameStorage.loadCurrentGame(), null);
+});
@@ -0,0 +1,131 @@
+/**
+ * Undoing moves that revealed nothing new
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, createTestState } = require('./harness');
+
+const game = loadGame();
+const { Hex, TerrainType, GameEngine } = game;
+
+test('a plain move can be undone', () => {
+    const state = createTestState(game);
+    const unit = state.addUnit('infantry', 0, new Hex(1, 2));
+    unit.entrenchment = 2;
+    unit.turnsStationary = 3;
+    state.updateVisibility();
+    const visibleBefore = [...state._visibleHexes].sort().join();
+    const engine = new GameEngine(state);
+
+    const move = engine.moveUnit(unit.id, new Hex(3, 2));
+    assert.ok(move.undoable);
+    assert.ok(engine.canUndo());
+
+    const result = engine.undoMove();
+
+    assert.ok(result.success);
+    assert.equal(result.events[0].type, 'move_undone');
+    assert.equal(unit.hex.key, '1,2');
+    assert.equal(unit.movementRemaining, 3);
+    assert.equal(unit.hasMoved, false);
+    assert.equal(unit.entrenchment, 2);
+    assert.equal(unit.turnsStationary, 3);
+    assert.equal([...state._visibleHexes].sort().join(), visibleBefore);
+    assert.ok(unit.canMove());
+    assert.equal(engine.canUndo(), false);
+});
+
+test('moves are undone most recent first', () => {
+    const state = createTestState(game);
+    const first = state.addUnit('infantry', 0, new Hex(1, 1));
+    const second = state.addUnit('infantry', 0, new Hex(1, 3));
+    const engine = new GameEngine(state);
+
+    engine.moveUnit(first.id, new Hex(2, 1));
+    engine.moveUnit(second.id, new Hex(2, 3));
+
+    assert.equal(engine.undoMove().unit.id, second.id);
+    assert.equal(engine.undoMove().unit.id, first.id);
+    assert.equal(engine.undoMove().success, false);
+});
+
+test('a move that reveals an enemy cannot be undone', () => {
+    const state = createTestState(game, { cols: 10, rows: 1 });
+    const unit = state.addUnit('infantry', 0, new Hex(0, 0));     // spotting 2
+    state.addUnit('infantry', 1, new Hex(5, 0));
+    state.updateVisibility();
+    assert.ok(!state.isEnemyVisible(new Hex(5, 0)));
+    const engine = new GameEngine(state);
+
+    const move = engine.moveUnit(unit.id, new Hex(3, 0));
+
+    assert.ok(move.success);
+    assert.equal(move.undoable, false);
+    assert.equal(engine.undoMove().success, false);
+    assert.equal(unit.hex.key, '3,0');
+});
+
+test('a move stopped by a hidden zone of control cannot be undone', () => {
+    const state = createTestState(game, { cols: 8, rows: 2 });
+    const unit = state.addUnit('cavalry', 0, new Hex(0, 0));
+    state.addUnit('infantry', 1, new Hex(3, 1));
+    state.updateVisibility();
+    const engine = new GameEngine(state);
+
+    const move = engine.moveUnit(unit.id, new Hex(5, 0));
+
+    assert.ok(move.stoppedByHiddenZOC);
+    assert.equal(move.undoable, false);
+    assert.equal(engine.canUndo(), false);
+});
+
+test('a move that captures a castle cannot be undone', () => {
+    const state = createTestState(game);
+    state.map.getCell(new Hex(3, 2)).terrain = TerrainType.CASTLE;
+    state.enemyCastleKeys = ['3,2'];
+    state.totalCastles = 2;
+    const unit = state.addUnit('infantry', 0, new Hex(1, 2));
+    const engine = new GameEngine(state);
+
+    const move = engine.moveUnit(unit.id, new Hex(3, 2));
+
+    assert.equal(move.undoable, false);
+    assert.equal(engine.canUndo(), false);
+});
+
+test('a battle clears the undo stack', () => {
+    const state = createTestState(game);
+    state.settings.fogOfWar = false;
+    const mover = state.addUnit('infantry', 0, new Hex(1, 0));
+    const attacker = state.addUnit('infantry', 0, new Hex(1, 3));
+    state.addUnit('infantry', 1, new Hex(3, 3));
+    const engine = new GameEngine(state);
+
+    engine.moveUnit(mover.id, new Hex(2, 0));
+    assert.ok(engine.canUndo());
+
+    const attack = engine.moveUnit(attacker.id, new Hex(3, 3));
+
+    assert.ok(attack.battleTriggered);
+    assert.equal(engine.canUndo(), false);
+});
+
+test('any other action clears the undo stack', () => {
+    const state = createTestState(game);
+    state.prestige = 100;
+    const mover = state.addUnit('infantry', 0, new Hex(1, 0));
+    const damaged = state.addUnit('infantry', 0, new Hex(1, 4));
+    damaged.strength = 5;
+    const other = state.addUnit('infantry', 0, new Hex(5, 2));
+    const engine = new GameEngine(state);
+
+    engine.moveUnit(mover.id, new Hex(2, 0));
+    assert.ok(engine.rebuild(damaged.id, true).success);
+    assert.equal(engine.canUndo(), false);
+
+    engine.moveUnit(other.id, new Hex(6, 2));
+    assert.ok(engine.canUndo());
+    engine.endTurn();
+    assert.equal(engine.canUndo(), false);
+});
@@ -0,0 +1,89 @@
+/**
+ * UnitManager: the hex index behind getUnitAt follows every unit
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./harness');
+
+const game = loadGame();
+const { Hex, Unit, UnitManager, GameState, GamePhase, GameEngine } = game;
+
+/**
+ * Every unit is found at its own hex, and nothing is found anywhere else
+ * @param {UnitManager} units
+ */
+function assertIndexed(units) {
+    for (const unit of units.getAllUnits()) {
+        assert.equal(units.getUnitAt(unit.hex), unit, `${unit.id} at ${unit.hex.key}`);
+    }
+    assert.equal(units.unitsByHex.size, units.units.size);
+}
+
+test('a unit is found where it was added, moved and not after removal', () => {
+    const units = new UnitManager();
+    const unit = new Unit('infantry', 0, new Hex(2, 2));
+    units.addUnit(unit);
+    assert.equal(units.getUnitAt(new Hex(2, 2)), unit);
+
+    units.moveUnit(unit, new Hex(3, 2));
+    assert.equal(units.getUnitAt(new Hex(2, 2)), undefined);
+    assert.equal(units.getUnitAt(new Hex(3, 2)), unit);
+    assert.equal(unit.hex.key, '3,2');
+
+    units.removeUnit(unit.id);
+    assert.equal(units.getUnitAt(new Hex(3, 2)), undefined);
+    assertIndexed(units);
+});
+
+test('destroyed units leave the index', () => {
+    const units = new UnitManager();
+    const survivor = new Unit('infantry', 0, new Hex(1, 1));
+    const casualty = new Unit('cavalry', 1, new Hex(2, 1));
+    units.addUnit(survivor);
+    units.addUnit(casualty);
+    casualty.strength = 0;
+
+    units.removeDestroyed();
+    assert.equal(units.getUnitAt(new Hex(2, 1)), undefined);
+    assert.equal(units.getUnitAt(new Hex(1, 1)), survivor);
+    assertIndexed(units);
+});
+
+test('a loaded game indexes its units', () => {
+    const state = GameState.create('Index', 2, { seed: 3 });
+    const loaded = GameState.fromJSON(JSON.parse(JSON.stringify(state)));
+
+    assert.ok(loaded.units.getAllUnits().length > 0);
+    assertIndexed(loaded.units);
+});
+
+test('the index keeps up with moves, battles, undo and enemy turns', () => {
+    for (const levelId of [1, 3]) {
+        const state = GameState.create('Index', levelId, { seed: 11 });
+        const engine = new GameEngine(state);
+        if (state.unitsToPlace === 0) {
+            state.phase = GamePhase.MOVEMENT;     // Level 3 starts with its army on the map
+        }
+        while (state.phase === GamePhase.PLACEMENT) {
+            assert.ok(engine.placeUnit(state.getValidPlacementHexes()[0]).success);
+        }
+
+        for (let day = 0; day < 6 && state.phase === GamePhase.MOVEMENT; day++) {
+            for (const unit of state.units.getPlayerUnits(0)) {
+                if (!unit.canMove() || state.phase !== GamePhase.MOVEMENT) continue;
+                const moves = state.getValidMovementHexes(unit);
+                if (moves.length === 0) continue;
+                moves.sort((a, b) => a.q - b.q);
+                engine.moveUnit(unit.id, moves[0]);
+                assertIndexed(state.units);
+            }
+            if (engine.canUndo()) {
+                engine.undoMove();
+                assertIndexed(state.units);
+            }
+            engine.endTurn();
+            assertIndexed(state.units);
+        }
+    }
+});